@@ -23,7 +23,6 @@ class WC_WMS_Admin_Page_Data {
             'webhook_data' => self::get_stored_webhook_data(),
             'local_stats' => self::get_local_stats(),
             'sync_status' => self::get_sync_status(),
-            'recent_logs' => self::get_recent_logs(),
             'page_info' => [
                 'generated_at' => current_time('mysql'),
                 'data_source' => 'wordpress_options',
@@ -212,7 +211,8 @@ class WC_WMS_Admin_Page_Data {
                 'last_run_formatted' => $last_webhook_registration ?: 'Never',
                 'webhooks_count' => count(get_option('wc_wms_registered_webhooks', [])),
                 'needs_refresh' => empty($last_webhook_registration) || (time() - strtotime($last_webhook_registration)) > 604800
-            ]
+            ],
+            'order_sync_cursor' => WC_WMS_Order_Sync_Manager::getOrderSyncCursor()
         ];
     }
     
@@ -269,19 +269,4 @@ class WC_WMS_Admin_Page_Data {
         
         return $methods_by_zone;
     }
-    
-    /**
-     * Get recent logs for logs tab
-     */
-    private static function get_recent_logs() {
-        $logger = WC_WMS_Logger::instance();
-        $logs = $logger->get_recent_logs('all', 20);
-        
-        $log_level = get_option('wc_wms_log_level', 'info');
-        if ($log_level === 'disabled') {
-            return [];
-        }
-        
-        return $logs;
-    }
 }
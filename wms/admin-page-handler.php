@@ -98,10 +98,34 @@ add_action('wp_ajax_wc_wms_import_articles', function() {
         ini_set('memory_limit', '512M');
         
         $client = WC_WMS_Client::create();
-        $client->logger()->info('Starting article import from WMS via AJAX');
         
-        // Import articles using product integrator
-        $result = $client->productIntegrator()->importArticlesFromWMS(['limit' => 500]);
+        // Preview mode: report what would change without touching WooCommerce
+        if (!empty($_POST['dry_run'])) {
+            $preview = $client->productSyncManager()->previewArticlesFromWms(['limit' => 500]);
+            
+            if (is_wp_error($preview)) {
+                wp_send_json_error($preview->get_error_message());
+                return;
+            }
+            
+            wp_send_json_success($preview);
+            return;
+        }
+        
+        $params = ['limit' => 500];
+        
+        // Only apply the SKUs selected in a preview
+        $skus = isset($_POST['skus']) ? json_decode(stripslashes($_POST['skus']), true) : [];
+        if (!empty($skus) && is_array($skus)) {
+            $params['skus'] = array_map('sanitize_text_field', $skus);
+        }
+        
+        $client->logger()->info('Starting article import from WMS via AJAX', [
+            'selected_skus' => count($params['skus'] ?? [])
+        ]);
+        
+        // Import articles using the centralized product sync manager
+        $result = $client->productSyncManager()->importArticlesFromWms($params);
         
         if (is_wp_error($result)) {
             $client->logger()->error('Article import failed', [
@@ -40,7 +40,10 @@ wp_localize_script('wc-wms-admin-page', 'WC_WMS_ADMIN_NONCE', wp_create_nonce('w
         <a href="#setup" class="nav-tab" onclick="showTab('setup')"><?php _e('🚀 Setup', 'wc-wms-integration'); ?></a>
         <a href="#synchronization" class="nav-tab" onclick="showTab('synchronization')"><?php _e('🔄 Synchronization', 'wc-wms-integration'); ?></a>
         <a href="#inbound" class="nav-tab" onclick="showTab('inbound')"><?php _e('📦 Inbound', 'wc-wms-integration'); ?></a>
+        <a href="#stock" class="nav-tab" onclick="showTab('stock')"><?php _e('📋 Stock', 'wc-wms-integration'); ?></a>
         <a href="#webhooks" class="nav-tab" onclick="showTab('webhooks')"><?php _e('🔗 Webhooks', 'wc-wms-integration'); ?></a>
+        <a href="#privacy" class="nav-tab" onclick="showTab('privacy')"><?php _e('🔒 Privacy', 'wc-wms-integration'); ?></a>
+        <a href="#schedules" class="nav-tab" onclick="showTab('schedules')"><?php _e('⏰ Schedules', 'wc-wms-integration'); ?></a>
         <a href="#logs" class="nav-tab" onclick="showTab('logs')"><?php _e('📊 Logs', 'wc-wms-integration'); ?></a>
     </div>
     
@@ -50,7 +53,10 @@ wp_localize_script('wc-wms-admin-page', 'WC_WMS_ADMIN_NONCE', wp_create_nonce('w
     include plugin_dir_path(__FILE__) . 'admin-tabs/setup-tab.php';
     include plugin_dir_path(__FILE__) . 'admin-tabs/synchronization-tab.php';
     include plugin_dir_path(__FILE__) . 'admin-tabs/inbound-tab.php';
+    include plugin_dir_path(__FILE__) . 'admin-tabs/stock-tab.php';
     include plugin_dir_path(__FILE__) . 'admin-tabs/webhooks-tab.php';
+    include plugin_dir_path(__FILE__) . 'admin-tabs/privacy-tab.php';
+    include plugin_dir_path(__FILE__) . 'admin-tabs/schedules-tab.php';
     include plugin_dir_path(__FILE__) . 'admin-tabs/logs-tab.php';
     ?>
     
@@ -1,5 +1,12 @@
 
 
+// Last stock diagnosis result, kept for sorting and row actions
+var stockDiagnosis = null;
+var stockDiagnosisSort = {
+    'stock-items': { key: 'sku', dir: 1 },
+    'wc-products': { key: 'sku', dir: 1 }
+};
+
 // Diagnose stock sync issues
 function diagnoseStockMismatch() {
     var button = event.target;
@@ -14,40 +21,19 @@ function diagnoseStockMismatch() {
         nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
     }, function(response) {
         if (response.success) {
-            var diagnosis = response.data.diagnosis;
-            var analysis = diagnosis.analysis;
-            
-            var message = 'Stock Sync Diagnosis Results:\n\n';
-            message += 'Summary: ' + response.data.summary + '\n\n';
-            
-            message += 'WooCommerce Products: ' + analysis.total_wc_products + '\n';
-            message += 'WMS Stock Items: ' + analysis.total_stock_items + '\n';
-            message += 'Successful Matches: ' + analysis.matches_found + '\n\n';
-            
-            if (analysis.sku_formats) {
-                message += 'SKU Format Examples:\n';
-                message += 'WooCommerce: ' + (analysis.sku_formats.wc_sku_examples || []).join(', ') + '\n';
-                message += 'WMS Stock: ' + (analysis.sku_formats.stock_sku_examples || []).join(', ') + '\n\n';
-            }
-            
-            if (diagnosis.recommendations && diagnosis.recommendations.length > 0) {
-                message += 'Recommendations:\n';
-                diagnosis.recommendations.forEach(function(rec, index) {
-                    message += (index + 1) + '. ' + rec + '\n';
-                });
-            }
-            
-            alert(message);
+            stockDiagnosis = response.data;
+            renderStockDiagnosis();
+            jQuery('#stock-diagnosis-modal').show();
             updateProgressIndicator(progressDiv, 'success', 'Diagnosis completed');
             
         } else {
             var errorMsg = 'Stock diagnosis failed: ' + (response.data || 'Unknown error');
-            alert(errorMsg);
+            showNotice(errorMsg, 'error');
             updateProgressIndicator(progressDiv, 'error', 'Diagnosis failed');
         }
     }).fail(function(xhr, status, error) {
         var errorMsg = 'Diagnosis request failed: ' + error;
-        alert(errorMsg);
+        showNotice(errorMsg, 'error');
         updateProgressIndicator(progressDiv, 'error', 'Request failed');
         console.error('Stock diagnosis failed:', xhr.responseText);
     }).always(function() {
@@ -58,6 +44,257 @@ function diagnoseStockMismatch() {
     });
 }
 
+// Close stock diagnosis modal
+function closeStockDiagnosis() {
+    jQuery('#stock-diagnosis-modal').hide();
+}
+
+// Render the stock diagnosis report into the modal
+function renderStockDiagnosis() {
+    var diagnosis = stockDiagnosis.diagnosis;
+    var analysis = diagnosis.analysis || {};
+    var skuFormats = analysis.sku_formats || {};
+    var html = '';
+    
+    html += '<p><strong>' + escapeHtml(stockDiagnosis.summary) + '</strong></p>';
+    
+    if (diagnosis.error) {
+        html += '<div class="notice notice-error inline"><p>Diagnosis error: ' + escapeHtml(diagnosis.error) + '</p></div>';
+    }
+    
+    html += '<div id="stock-diagnosis-result"></div>';
+    
+    // Summary
+    html += '<div class="diagnosis-summary">';
+    html += '<div><span class="diagnosis-count">' + (analysis.total_wc_products || 0) + '</span>WooCommerce Products</div>';
+    html += '<div><span class="diagnosis-count">' + (analysis.total_stock_items || 0) + '</span>WMS Stock Items</div>';
+    html += '<div><span class="diagnosis-count status-success">' + (analysis.matches_found || 0) + '</span>Matches</div>';
+    html += '<div><span class="diagnosis-count status-warning">' + (analysis.unmatched_stock_items || []).length + '</span>WMS Only</div>';
+    html += '<div><span class="diagnosis-count status-warning">' + (analysis.unmatched_wc_products || []).length + '</span>WooCommerce Only</div>';
+    html += '</div>';
+    
+    // SKU format examples side by side
+    html += '<h4>SKU Format Examples</h4>';
+    html += '<table class="widefat"><thead><tr><th>WooCommerce</th><th>WMS Stock</th></tr></thead><tbody>';
+    var wcExamples = skuFormats.wc_sku_examples || [];
+    var stockExamples = skuFormats.stock_sku_examples || [];
+    var exampleRows = Math.max(wcExamples.length, stockExamples.length);
+    if (exampleRows === 0) {
+        html += '<tr><td colspan="2"><em>No SKUs available</em></td></tr>';
+    }
+    for (var i = 0; i < exampleRows; i++) {
+        html += '<tr><td><code>' + escapeHtml(wcExamples[i] || '') + '</code></td><td><code>' + escapeHtml(stockExamples[i] || '') + '</code></td></tr>';
+    }
+    html += '</tbody></table>';
+    
+    // Recommendations
+    if (diagnosis.recommendations && diagnosis.recommendations.length > 0) {
+        html += '<h4>Recommendations</h4><ol>';
+        diagnosis.recommendations.forEach(function(rec) {
+            html += '<li>' + escapeHtml(rec) + '</li>';
+        });
+        html += '</ol>';
+    }
+    
+    html += '<p><input type="search" id="stock-diagnosis-filter" class="regular-text" placeholder="Filter by SKU, article code or name..." oninput="filterStockDiagnosis()"></p>';
+    
+    // WMS stock items without a WooCommerce product
+    html += '<h4>WMS Stock Items Without Product</h4>';
+    html += '<p><button type="button" class="button button-primary" id="create-selected-products" onclick="createSelectedProductsFromStock()" disabled>Create Selected Products</button></p>';
+    html += '<table class="widefat striped diagnosis-table" id="diagnosis-stock-items"><thead><tr>';
+    html += '<th style="width: 30px;"><input type="checkbox" onclick="toggleAllStockItems(this)"></th>';
+    html += stockDiagnosisHeader('stock-items', 'sku', 'SKU');
+    html += stockDiagnosisHeader('stock-items', 'article_code', 'Article Code');
+    html += stockDiagnosisHeader('stock-items', 'ean', 'EAN');
+    html += stockDiagnosisHeader('stock-items', 'stock_physical', 'Physical');
+    html += stockDiagnosisHeader('stock-items', 'stock_available', 'Available');
+    html += '<th>Actions</th></tr></thead><tbody></tbody></table>';
+    
+    // WooCommerce products without WMS stock
+    html += '<h4>WooCommerce Products Without WMS Stock</h4>';
+    html += '<table class="widefat striped diagnosis-table" id="diagnosis-wc-products"><thead><tr>';
+    html += stockDiagnosisHeader('wc-products', 'id', 'ID');
+    html += stockDiagnosisHeader('wc-products', 'name', 'Name');
+    html += stockDiagnosisHeader('wc-products', 'sku', 'SKU');
+    html += stockDiagnosisHeader('wc-products', 'wms_article_id', 'WMS Article ID');
+    html += stockDiagnosisHeader('wc-products', 'stock_quantity', 'Stock');
+    html += '<th>Actions</th></tr></thead><tbody></tbody></table>';
+    
+    jQuery('#stock-diagnosis-report').html(html);
+    renderStockDiagnosisRows();
+}
+
+// Build a sortable table header cell
+function stockDiagnosisHeader(table, key, label) {
+    var sort = stockDiagnosisSort[table];
+    var arrow = sort.key === key ? (sort.dir === 1 ? ' ▲' : ' ▼') : '';
+    return '<th class="sortable-column" data-key="' + key + '" data-label="' + label + '" onclick="sortStockDiagnosis(\'' + table + '\', \'' + key + '\')">' + label + arrow + '</th>';
+}
+
+// Sort one of the diagnosis tables by a column, keeping the filter, selection and notices in place
+function sortStockDiagnosis(table, key) {
+    var sort = stockDiagnosisSort[table];
+    sort.dir = sort.key === key ? -sort.dir : 1;
+    sort.key = key;
+    
+    jQuery('#diagnosis-' + table + ' th.sortable-column').each(function() {
+        var th = jQuery(this);
+        th.replaceWith(stockDiagnosisHeader(table, th.attr('data-key'), th.attr('data-label')));
+    });
+    
+    var selected = jQuery('.stock-item-select:checked').map(function() {
+        return this.value;
+    }).get();
+    
+    renderStockDiagnosisRows();
+    
+    jQuery('.stock-item-select:enabled').each(function() {
+        this.checked = selected.indexOf(this.value) !== -1;
+    });
+    updateCreateSelectedButton();
+}
+
+// Sorted copy of a diagnosis row list
+function sortedStockDiagnosisRows(rows, sort) {
+    return rows.slice().sort(function(a, b) {
+        var x = a[sort.key];
+        var y = b[sort.key];
+        if (typeof x === 'number' && typeof y === 'number') {
+            return (x - y) * sort.dir;
+        }
+        return String(x === null || x === undefined ? '' : x).localeCompare(String(y === null || y === undefined ? '' : y), undefined, { numeric: true }) * sort.dir;
+    });
+}
+
+// Render the rows of both diagnosis tables
+function renderStockDiagnosisRows() {
+    var analysis = stockDiagnosis.diagnosis.analysis || {};
+    var stockRows = sortedStockDiagnosisRows(analysis.unmatched_stock_items || [], stockDiagnosisSort['stock-items']);
+    var wcRows = sortedStockDiagnosisRows(analysis.unmatched_wc_products || [], stockDiagnosisSort['wc-products']);
+    var html = '';
+    
+    stockRows.forEach(function(item) {
+        var canCreate = item.sku && item.sku !== 'N/A';
+        html += '<tr data-sku="' + escapeHtml(item.sku) + '">';
+        html += '<td><input type="checkbox" class="stock-item-select" value="' + escapeHtml(item.sku) + '"' + (canCreate ? '' : ' disabled') + ' onchange="updateCreateSelectedButton()"></td>';
+        html += '<td><code>' + escapeHtml(item.sku) + '</code></td>';
+        html += '<td>' + escapeHtml(item.article_code) + '</td>';
+        html += '<td>' + escapeHtml(item.ean) + '</td>';
+        html += '<td>' + escapeHtml(item.stock_physical) + '</td>';
+        html += '<td>' + escapeHtml(item.stock_available) + '</td>';
+        html += '<td>' + (canCreate ? '<button type="button" class="button button-small" onclick="createProductsFromStock([jQuery(this).closest(\'tr\').attr(\'data-sku\')], this)">Create Product</button>' : '<em>No SKU</em>') + '</td>';
+        html += '</tr>';
+    });
+    if (stockRows.length === 0) {
+        html += '<tr><td colspan="7"><em>✅ Every WMS stock item matches a WooCommerce product</em></td></tr>';
+    }
+    jQuery('#diagnosis-stock-items tbody').html(html);
+    
+    html = '';
+    wcRows.forEach(function(product) {
+        html += '<tr>';
+        html += '<td>' + escapeHtml(product.id) + '</td>';
+        html += '<td>' + escapeHtml(product.name) + '</td>';
+        html += '<td><code>' + escapeHtml(product.sku) + '</code></td>';
+        html += '<td>' + escapeHtml(product.wms_article_id) + '</td>';
+        html += '<td>' + escapeHtml(product.stock_quantity) + ' (' + escapeHtml(product.stock_status) + ')</td>';
+        html += '<td><a class="button button-small" href="post.php?post=' + encodeURIComponent(product.id) + '&action=edit" target="_blank">Edit Product</a></td>';
+        html += '</tr>';
+    });
+    if (wcRows.length === 0) {
+        html += '<tr><td colspan="6"><em>✅ Every WooCommerce product has matching WMS stock</em></td></tr>';
+    }
+    jQuery('#diagnosis-wc-products tbody').html(html);
+    
+    filterStockDiagnosis();
+    updateCreateSelectedButton();
+}
+
+// Filter diagnosis tables by the search box
+function filterStockDiagnosis() {
+    var term = (jQuery('#stock-diagnosis-filter').val() || '').toLowerCase();
+    jQuery('.diagnosis-table tbody tr').each(function() {
+        var row = jQuery(this);
+        row.toggle(term === '' || row.text().toLowerCase().indexOf(term) !== -1);
+    });
+}
+
+// Select or deselect all visible WMS stock items
+function toggleAllStockItems(checkbox) {
+    jQuery('#diagnosis-stock-items tbody tr:visible .stock-item-select:enabled').prop('checked', checkbox.checked);
+    updateCreateSelectedButton();
+}
+
+// Enable the bulk create button when items are selected
+function updateCreateSelectedButton() {
+    var count = jQuery('.stock-item-select:checked').length;
+    jQuery('#create-selected-products')
+        .prop('disabled', count === 0)
+        .text(count > 0 ? 'Create ' + count + ' Selected Product' + (count === 1 ? '' : 's') : 'Create Selected Products');
+}
+
+// Create products for the selected WMS stock items
+function createSelectedProductsFromStock() {
+    var skus = jQuery('.stock-item-select:checked').map(function() {
+        return this.value;
+    }).get();
+    
+    if (skus.length === 0) {
+        return;
+    }
+    
+    if (!confirm('Create ' + skus.length + ' WooCommerce product(s) from WMS stock data?')) {
+        return;
+    }
+    
+    createProductsFromStock(skus, document.getElementById('create-selected-products'));
+}
+
+// Create WooCommerce products from WMS stock items
+function createProductsFromStock(skus, button) {
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_create_products_from_stock',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        skus: JSON.stringify(skus)
+    }, function(response) {
+        var result = jQuery('#stock-diagnosis-result');
+        
+        if (response.success) {
+            var failed = (response.data.errors || []).map(function(error) {
+                return error.sku;
+            });
+            var html = '<div class="notice notice-' + (failed.length > 0 ? 'warning' : 'success') + ' inline"><p>' + escapeHtml(response.data.message) + '</p>';
+            if (failed.length > 0) {
+                html += '<ul>';
+                response.data.errors.forEach(function(error) {
+                    html += '<li><code>' + escapeHtml(error.sku) + '</code>: ' + escapeHtml(error.error) + '</li>';
+                });
+                html += '</ul>';
+            }
+            html += '</div>';
+            result.html(html);
+            
+            // Created and already existing SKUs are no longer unmatched
+            var analysis = stockDiagnosis.diagnosis.analysis;
+            analysis.unmatched_stock_items = analysis.unmatched_stock_items.filter(function(item) {
+                return skus.indexOf(item.sku) === -1 || failed.indexOf(item.sku) !== -1;
+            });
+            renderStockDiagnosisRows();
+        } else {
+            result.html('<div class="notice notice-error inline"><p>Failed to create products: ' + escapeHtml(response.data || 'Unknown error') + '</p></div>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#stock-diagnosis-result').html('<div class="notice notice-error inline"><p>Request failed: ' + escapeHtml(error) + '</p></div>');
+        console.error('Create products from stock failed:', xhr.responseText);
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        updateCreateSelectedButton();
+    });
+}
+
 /**
  * WMS Admin Page JavaScript
  */
@@ -87,6 +324,41 @@ function showTab(tabName) {
     if (navTab) {
         navTab.classList.add('nav-tab-active');
     }
+    
+    // Load the log viewer the first time the Logs tab is opened
+    if (tabName === 'logs' && !logViewer.loaded) {
+        loadLogs();
+        loadWebhookQueue();
+    }
+    
+    // Load the webhook event matrix the first time the Webhooks tab is opened
+    if (tabName === 'webhooks' && !webhookMatrixLoaded) {
+        loadWebhookMatrix();
+        loadTestWebhookSamples();
+        loadWebhookRotation();
+        loadWebhookQueueMetrics();
+    }
+    
+    // Load the last product export the first time the Synchronization tab is opened
+    if (tabName === 'synchronization' && !productExport.loaded) {
+        loadProductExport();
+    }
+    
+    // Load the stock dashboard and modification history the first time the Stock tab is opened
+    if (tabName === 'stock' && !stockConsole.loaded) {
+        loadStockDashboard(false);
+        loadStockModifications(1);
+    }
+    
+    // Load GDPR requests and the audit trail the first time the Privacy tab is opened
+    if (tabName === 'privacy' && !gdprConsole.loaded) {
+        loadGdprRequests();
+    }
+    
+    // Load the cron schedules the first time the Schedules tab is opened
+    if (tabName === 'schedules' && !cronSchedules.loaded) {
+        loadCronSchedules();
+    }
 }
 
 // Handle URL hash navigation
@@ -198,6 +470,320 @@ function retryFailedOrders() {
     });
 }
 
+// Orders panel: WMS state per order with bulk export, reset and pull
+var orderSyncPanel = {
+    page: 1,
+    pages: 0
+};
+
+var orderSyncStateLabels = {
+    pending: '⏳ Pending',
+    processing: '🔄 Processing',
+    exported: '✅ Exported',
+    synced_from_wms: '⬇️ Synced from WMS',
+    webhook_processed: '🔗 Webhook processed',
+    failed: '❌ Failed',
+    skipped: '⏭️ Skipped'
+};
+
+function loadOrderSyncStatus(page) {
+    var tbody = jQuery('#order-sync-table tbody');
+    var filters = {};
+    jQuery('#order-sync-filters').serializeArray().forEach(function(field) {
+        filters[field.name] = field.value;
+    });
+    
+    orderSyncPanel.page = Math.max(1, page || 1);
+    tbody.html('<tr><td colspan="7" class="loading">Loading orders...</td></tr>');
+    
+    jQuery.post(ajaxurl, jQuery.extend({
+        action: 'wc_wms_get_order_sync_status',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        page: orderSyncPanel.page
+    }, filters), function(response) {
+        if (response.success) {
+            renderOrderSyncStatus(response.data);
+        } else {
+            tbody.html('<tr><td colspan="7">Failed to load orders: ' + escapeHtml(response.data || 'Unknown error') + '</td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        tbody.html('<tr><td colspan="7">Request failed: ' + escapeHtml(error) + '</td></tr>');
+    });
+}
+
+function renderOrderSyncStatus(data) {
+    var tbody = jQuery('#order-sync-table tbody');
+    var html = '';
+    
+    orderSyncPanel.pages = data.pages;
+    
+    if (data.orders.length === 0) {
+        html = '<tr><td colspan="7"><em>No orders match these filters.</em></td></tr>';
+    }
+    data.orders.forEach(function(row) {
+        html += renderOrderSyncRow(row, null);
+    });
+    tbody.html(html);
+    
+    var counts = [];
+    Object.keys(data.counts).forEach(function(state) {
+        if (data.counts[state] > 0) {
+            counts.push((orderSyncStateLabels[state] || state) + ': ' + data.counts[state]);
+        }
+    });
+    jQuery('#order-sync-counts').text(counts.join(' · '));
+    
+    jQuery('#order-sync-page-info').text(data.total > 0 ? 'Page ' + data.page + ' of ' + data.pages + ' (' + data.total + ' orders)' : '');
+    jQuery('#order-sync-prev').prop('disabled', data.page <= 1);
+    jQuery('#order-sync-next').prop('disabled', data.page >= data.pages);
+    jQuery('#order-sync-table thead input[type="checkbox"]').prop('checked', false);
+    updateOrderBulkButtons();
+}
+
+function renderOrderSyncRow(row, result) {
+    var html = '<tr id="order-sync-row-' + row.order_id + '">';
+    
+    html += '<th class="check-column"><input type="checkbox" class="order-sync-select" value="' + row.order_id + '" onchange="updateOrderBulkButtons()"></th>';
+    html += '<td><a href="' + escapeHtml(row.edit_url) + '">#' + escapeHtml(row.order_number) + '</a><br><small>' + escapeHtml(row.order_status) + '</small></td>';
+    html += '<td>' + escapeHtml(row.date_created || '') + '<br><small>' + escapeHtml(row.total) + '</small></td>';
+    html += '<td>' + (orderSyncStateLabels[row.wms_state] || escapeHtml(row.wms_state)) +
+        (row.last_processed ? '<br><small>' + escapeHtml(row.last_processed) + '</small>' : '') + '</td>';
+    html += '<td>' + (row.wms_order_id ? '<code style="font-size: 11px;">' + escapeHtml(row.wms_order_id) + '</code>' : '—') +
+        (row.external_reference ? '<br><small>Ref: ' + escapeHtml(row.external_reference) + '</small>' : '') + '</td>';
+    html += '<td>' + escapeHtml(row.processing_source || '—') + '</td>';
+    html += '<td>';
+    if (result) {
+        html += '<div style="color: ' + (result.success ? 'green' : '#dc3232') + ';">' + (result.success ? '✅ ' : '❌ ') + escapeHtml(result.message) + '</div>';
+    }
+    if (row.error_message) {
+        html += '<span style="color: #dc3232;">' + escapeHtml(row.error_message) + '</span>';
+    }
+    html += '</td>';
+    html += '</tr>';
+    
+    return html;
+}
+
+function toggleAllOrderSync(checked) {
+    jQuery('.order-sync-select').prop('checked', checked);
+    updateOrderBulkButtons();
+}
+
+function updateOrderBulkButtons() {
+    jQuery('.order-bulk-action').prop('disabled', jQuery('.order-sync-select:checked').length === 0);
+}
+
+function runOrderBulkAction(bulkAction) {
+    var orderIds = jQuery('.order-sync-select:checked').map(function() {
+        return this.value;
+    }).get();
+    var labels = {
+        export: 'Export ' + orderIds.length + ' order(s) to WMS now?',
+        reset: 'Reset ' + orderIds.length + ' order(s) to pending? They will be picked up by the next export.',
+        pull: 'Pull the latest WMS data into ' + orderIds.length + ' order(s)?'
+    };
+    
+    if (orderIds.length === 0 || !confirm(labels[bulkAction])) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Working...');
+    jQuery('.order-bulk-action').not(button).prop('disabled', true);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_order_bulk_action',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        bulk_action: bulkAction,
+        order_ids: orderIds
+    }, function(response) {
+        if (response.success) {
+            response.data.results.forEach(function(result) {
+                var row = jQuery('#order-sync-row-' + result.order_id);
+                if (result.row) {
+                    row.replaceWith(renderOrderSyncRow(result.row, result));
+                } else {
+                    row.find('td:last').html('<span style="color: #dc3232;">❌ ' + escapeHtml(result.message) + '</span>');
+                }
+            });
+            jQuery('#order-bulk-summary').text(response.data.message);
+        } else {
+            showNotice((response.data && response.data.message) || response.data || 'Bulk action failed', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        updateOrderBulkButtons();
+    });
+}
+
+// Backfill orders from WMS by date range, status or external reference
+function runOrderBackfill() {
+    var form = jQuery('#order-backfill-form');
+    var resultDiv = jQuery('#order-backfill-result');
+    var button = form.find('button[type="submit"]')[0];
+    var data = {
+        action: 'wc_wms_sync_orders',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    };
+    
+    form.serializeArray().forEach(function(field) {
+        data[field.name] = field.value;
+    });
+    
+    if (!data.date_from && !data.date_to && !data.modified_since && !data.external_references.trim()) {
+        showNotice('Enter a date range, a changed-since date or at least one external reference.', 'warning');
+        return;
+    }
+    
+    setButtonLoading(button, true, 'Run Backfill');
+    resultDiv.html('<p class="loading">Fetching orders from WMS...</p>');
+    
+    jQuery.post(ajaxurl, data, function(response) {
+        if (typeof response.data === 'string') {
+            resultDiv.html('<div class="notice notice-error inline"><p>❌ ' + escapeHtml(response.data) + '</p></div>');
+            return;
+        }
+        
+        var result = response.data || {};
+        var html = '<div class="notice ' + (response.success ? 'notice-success' : 'notice-warning') + ' inline"><p>';
+        html += (response.success ? '✅ ' : '⚠️ ') + escapeHtml(result.message || '') + '</p>';
+        
+        if (result.has_more) {
+            html += '<p>More orders match these filters than one backfill fetches. Narrow the date range and run it again for the rest.</p>';
+        }
+        
+        if (result.not_found && result.not_found.length > 0) {
+            html += '<p><strong>Not found in WMS:</strong> ' + result.not_found.map(escapeHtml).join(', ') + '</p>';
+        }
+        
+        if (result.errors && result.errors.length > 0) {
+            html += '<ul style="margin-left: 20px; list-style: disc;">';
+            result.errors.forEach(function(error) {
+                var reference = error.external_reference || error.wms_order_id || 'General';
+                html += '<li><strong>' + escapeHtml(String(reference)) + ':</strong> ' + escapeHtml(error.error || error.general_error || '') + '</li>';
+            });
+            html += '</ul>';
+        }
+        
+        html += '</div>';
+        resultDiv.html(html);
+    }).fail(function() {
+        resultDiv.html('<div class="notice notice-error inline"><p>❌ Backfill request failed.</p></div>');
+    }).always(function() {
+        setButtonLoading(button, false, 'Run Backfill');
+    });
+}
+
+// Shipments panel
+function loadShipments() {
+    var tbody = jQuery('#shipment-table tbody');
+    var filters = {};
+    jQuery('#shipment-filters').serializeArray().forEach(function(field) {
+        filters[field.name] = field.value;
+    });
+    
+    tbody.html('<tr><td colspan="7" class="loading">Loading shipments from WMS...</td></tr>');
+    jQuery('#shipment-summary').text('');
+    
+    jQuery.post(ajaxurl, jQuery.extend({
+        action: 'wc_wms_get_shipments',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, filters), function(response) {
+        if (!response.success) {
+            tbody.html('<tr><td colspan="7">' + escapeHtml(response.data || 'Unknown error') + '</td></tr>');
+            return;
+        }
+        
+        var html = '';
+        if (response.data.shipments.length === 0) {
+            html = '<tr><td colspan="7"><em>' + (filters.order_reference ? 'No shipments found for this order reference.' : 'No shipments in this period.') + '</em></td></tr>';
+        }
+        response.data.shipments.forEach(function(shipment) {
+            html += renderShipmentRow(shipment);
+        });
+        tbody.html(html);
+        
+        jQuery('#shipment-summary').text(response.data.count + ' shipment' + (response.data.count === 1 ? '' : 's'));
+    }).fail(function(xhr, status, error) {
+        tbody.html('<tr><td colspan="7">Request failed: ' + escapeHtml(error) + '</td></tr>');
+    });
+}
+
+function renderShipmentRow(shipment) {
+    var html = '<tr>';
+    
+    html += '<td><strong>' + escapeHtml(shipment.reference || shipment.id) + '</strong></td>';
+    html += '<td>' + (shipment.order_edit_url
+        ? '<a href="' + escapeHtml(shipment.order_edit_url) + '">' + escapeHtml(shipment.order_reference) + '</a><br><small>' + escapeHtml(shipment.order_status) + '</small>'
+        : escapeHtml(shipment.order_reference || '—')) + '</td>';
+    html += '<td>' + escapeHtml(shipment.created_at || '') + '</td>';
+    html += '<td>' + escapeHtml(shipment.carrier || '—') +
+        (shipment.shipping_method ? '<br><small>' + escapeHtml(shipment.shipping_method) + '</small>' : '') + '</td>';
+    html += '<td>';
+    if (shipment.tracking.length === 0) {
+        html += '—';
+    }
+    shipment.tracking.forEach(function(tracking) {
+        html += '<div>' + (tracking.tracking_url
+            ? '<a href="' + escapeHtml(tracking.tracking_url) + '" target="_blank" rel="noopener">' + escapeHtml(tracking.tracking_number) + '</a>'
+            : '<code>' + escapeHtml(tracking.tracking_number) + '</code>') + '</div>';
+    });
+    html += '</td>';
+    html += '<td>' + escapeHtml(shipment.status) + '</td>';
+    html += '<td>';
+    if (shipment.return_label_url) {
+        html += '<a href="' + escapeHtml(shipment.return_label_url) + '" target="_blank" rel="noopener">📄 View label</a>';
+    } else {
+        html += '<button type="button" class="button button-small" data-shipment-id="' + escapeHtml(shipment.id) + '" data-shipment-reference="' + escapeHtml(shipment.reference || shipment.id) + '" onclick="createReturnLabel(this)">Create return label</button>';
+    }
+    html += '</td>';
+    html += '</tr>';
+    
+    return html;
+}
+
+function createReturnLabel(button) {
+    var shipmentId = button.getAttribute('data-shipment-id');
+    var shipmentReference = button.getAttribute('data-shipment-reference');
+    
+    if (!confirm('Create a return label for shipment ' + shipmentReference + '? The customer can use it to send the parcel back.')) {
+        return;
+    }
+    
+    var resultDiv = jQuery('#return-label-result');
+    setButtonLoading(button, true, 'Create return label');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_create_return_label',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        shipment_id: shipmentId
+    }, function(response) {
+        if (!response.success) {
+            resultDiv.html('<div class="notice notice-error inline"><p>❌ ' + escapeHtml(response.data || 'Unknown error') + '</p></div>');
+            setButtonLoading(button, false);
+            return;
+        }
+        
+        var url = response.data.return_label_url;
+        if (url) {
+            resultDiv.html('<div class="notice notice-success inline"><p>✅ Return label created for shipment ' + escapeHtml(shipmentReference) +
+                ': <a href="' + escapeHtml(url) + '" target="_blank" rel="noopener">download / print label</a></p></div>');
+            jQuery(button).replaceWith('<a href="' + escapeHtml(url) + '" target="_blank" rel="noopener">📄 View label</a>');
+            window.open(url, '_blank');
+        } else {
+            resultDiv.html('<div class="notice notice-warning inline"><p>⚠️ Return label created for shipment ' + escapeHtml(shipmentReference) +
+                ', but WMS did not return a label URL yet. Reload the shipments in a moment.</p></div>');
+            setButtonLoading(button, false);
+        }
+    }).fail(function(xhr, status, error) {
+        resultDiv.html('<div class="notice notice-error inline"><p>❌ Request failed: ' + escapeHtml(error) + '</p></div>');
+        setButtonLoading(button, false);
+    });
+}
+
 // Import all articles function
 function importAllArticles() {
     if (!confirm('This will import all articles from WMS and create/update WooCommerce products. This may take several minutes. Continue?')) {
@@ -307,7 +893,12 @@ function syncShippingMethods() {
             
             showEnhancedNotice(message, 'success');
             updateProgressIndicator(progressDiv, 'success', 'Shipping methods synced successfully!');
-            
+
+            // Refresh the mapping editor so new WMS methods show up in the dropdowns
+            if (shippingMappingData) {
+                loadShippingMappings();
+            }
+
         } else {
             var errorMsg = 'Shipping methods sync failed: ' + (response.data.message || response.data || 'Unknown error');
             showEnhancedNotice(errorMsg, 'error');
@@ -326,46 +917,253 @@ function syncShippingMethods() {
     });
 }
 
-// Sync location types function
-function syncLocationTypes() {
-    if (!confirm('This will sync location types from WMS. Continue?')) {
-        return;
-    }
-    
-    var button = event.target;
-    var originalText = button.textContent;
-    setButtonLoading(button, true, originalText);
-    
-    // Add progress indicator
-    var progressDiv = createProgressIndicator(button, 'Syncing location types...');
-    
+// Shipping method mapping editor state (loaded via wc_wms_get_shipping_methods)
+var shippingMappingData = null;
+
+// Load shipping method mapping editor
+function loadShippingMappings() {
+    var container = jQuery('#shipping-mapping-content');
+    container.html('<p><span class="spinner is-active" style="float: none; margin: 0 8px 0 0;"></span>Loading shipping methods...</p>');
+    jQuery('#save-shipping-mappings').prop('disabled', true);
+
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_sync_location_types',
+        action: 'wc_wms_get_shipping_methods',
         nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
     }, function(response) {
         if (response.success) {
-            var result = response.data.result;
-            var message = 'Location types sync completed: ' + response.data.message;
-            
-            if (result.total_count) {
-                message += '\n\nDetails:';
-                message += '\n• Total Types: ' + result.total_count;
-                message += '\n• Pickable Types: ' + result.pickable_count;
-                message += '\n• Transport Types: ' + result.transport_count;
-            }
-            
-            showEnhancedNotice(message, 'success');
-            updateProgressIndicator(progressDiv, 'success', 'Location types synced successfully!');
-            
+            shippingMappingData = response.data;
+            renderShippingMappingEditor(response.data);
         } else {
-            var errorMsg = 'Location types sync failed: ' + (response.data.message || response.data || 'Unknown error');
-            showEnhancedNotice(errorMsg, 'error');
-            updateProgressIndicator(progressDiv, 'error', 'Location types sync failed');
+            container.html('<div class="notice notice-error inline"><p>Failed to load shipping methods: ' + escapeHtml(response.data.message || response.data || 'Unknown error') + '</p></div>');
         }
     }).fail(function(xhr, status, error) {
-        var errorMsg = 'Location types sync request failed: ' + error;
-        showEnhancedNotice(errorMsg, 'error');
-        updateProgressIndicator(progressDiv, 'error', 'Request failed');
+        container.html('<div class="notice notice-error inline"><p>Request failed: ' + escapeHtml(error) + '</p></div>');
+        console.error('Load shipping methods failed:', xhr.responseText);
+    });
+}
+
+// Render shipping method mapping table
+function renderShippingMappingEditor(data) {
+    var container = jQuery('#shipping-mapping-content');
+    var wmsMethods = data.wms_methods || {};
+    var wcMethods = data.wc_methods || [];
+    var mappings = data.current_mappings || {};
+
+    if (jQuery.isEmptyObject(wmsMethods)) {
+        container.html('<div class="notice notice-warning inline"><p>No WMS shipping methods synced yet. Click "Sync Now" on the Shipping Methods card first.</p></div>');
+        return;
+    }
+
+    if (wcMethods.length === 0) {
+        container.html('<div class="notice notice-info inline"><p>No WooCommerce shipping methods found. Add shipping methods to your shipping zones in WooCommerce → Settings → Shipping.</p></div>');
+        return;
+    }
+
+    var html = '<p>';
+    html += '<label for="shipping-mapping-default"><strong>Default WMS method:</strong></label> ';
+    html += buildWmsMethodSelect(wmsMethods, data.default_method, 'id="shipping-mapping-default"', '— No default —');
+    html += ' <small>Used for unmapped methods and orders without shipping.</small>';
+    if (data.last_synced) {
+        html += '<br><small>WMS methods last synced: ' + escapeHtml(data.last_synced) + '</small>';
+    }
+    html += '</p>';
+
+    html += '<table class="widefat striped shipping-mapping-table">';
+    html += '<thead><tr><th>Zone</th><th>WooCommerce Method</th><th>WMS Method</th><th style="width: 160px;">Status</th></tr></thead><tbody>';
+
+    wcMethods.forEach(function(method) {
+        var mapped = mappings[method.key] || '';
+        html += '<tr data-method-key="' + escapeHtml(method.key) + '">';
+        html += '<td>' + escapeHtml(method.zone_name) + '</td>';
+        html += '<td><strong>' + escapeHtml(method.title) + '</strong><br><small>' + escapeHtml(method.method_title) + ' (' + escapeHtml(method.key) + ')' + (method.enabled ? '' : ' — disabled') + '</small></td>';
+        html += '<td>' + buildWmsMethodSelect(wmsMethods, mapped, 'class="shipping-mapping-select"', '— Not mapped —') + '</td>';
+        html += '<td class="mapping-status"></td>';
+        html += '</tr>';
+    });
+
+    html += '</tbody></table>';
+    html += '<div id="shipping-mapping-summary" style="margin-top: 10px;"></div>';
+
+    container.html(html);
+
+    container.find('select').on('change', updateShippingMappingStatus);
+    updateShippingMappingStatus();
+    jQuery('#save-shipping-mappings').prop('disabled', false);
+}
+
+// Build a <select> of synced WMS shipping methods
+function buildWmsMethodSelect(wmsMethods, selected, attributes, emptyLabel) {
+    var html = '<select ' + attributes + '>';
+    html += '<option value="">' + emptyLabel + '</option>';
+
+    // A stored mapping that no longer exists in the synced list is kept visible so it can be fixed
+    if (selected && !wmsMethods[selected]) {
+        html += '<option value="' + escapeHtml(selected) + '" selected data-stale="1">⚠️ Unknown method (' + escapeHtml(selected) + ')</option>';
+    }
+
+    jQuery.each(wmsMethods, function(id, method) {
+        var label = method.name + ' (' + method.code + ')' + (method.shipper ? ' — ' + method.shipper : '');
+        html += '<option value="' + escapeHtml(id) + '"' + (id === selected ? ' selected' : '') + '>' + escapeHtml(label) + '</option>';
+    });
+
+    html += '</select>';
+    return html;
+}
+
+// Flag unmapped and stale methods in the mapping table
+function updateShippingMappingStatus() {
+    var hasDefault = !!jQuery('#shipping-mapping-default').val();
+    var unmapped = 0;
+    var stale = 0;
+
+    jQuery('.shipping-mapping-table tbody tr').each(function() {
+        var row = jQuery(this);
+        var select = row.find('.shipping-mapping-select');
+        var statusCell = row.find('.mapping-status');
+
+        row.removeClass('mapping-unmapped mapping-stale');
+
+        if (select.find('option:selected').data('stale')) {
+            stale++;
+            row.addClass('mapping-stale');
+            statusCell.html('<span class="status-error">❌ Unknown WMS method</span>');
+        } else if (!select.val()) {
+            unmapped++;
+            row.addClass('mapping-unmapped');
+            statusCell.html(hasDefault ?
+                '<span class="status-warning">⚠️ Uses default</span>' :
+                '<span class="status-error">❌ Unmapped</span>');
+        } else {
+            statusCell.html('<span class="status-success">✅ Mapped</span>');
+        }
+    });
+
+    var summary = jQuery('#shipping-mapping-summary');
+    var total = jQuery('.shipping-mapping-table tbody tr').length;
+    var text = (total - unmapped - stale) + '/' + total + ' methods mapped';
+    if (unmapped > 0) {
+        text += ', ' + unmapped + ' unmapped' + (hasDefault ? ' (using default)' : '');
+    }
+    if (stale > 0) {
+        text += ', ' + stale + ' pointing to unknown WMS methods';
+    }
+    summary.html('<small>' + text + '</small>');
+}
+
+// Validate the mapping editor and collect the mappings
+function validateShippingMappings() {
+    var errors = [];
+    var mappings = {};
+    var defaultMethod = jQuery('#shipping-mapping-default').val();
+
+    if (jQuery('#shipping-mapping-default option:selected').data('stale')) {
+        errors.push('The default method no longer exists in WMS.');
+    }
+
+    jQuery('.shipping-mapping-table tbody tr').each(function() {
+        var row = jQuery(this);
+        var key = row.data('method-key');
+        var select = row.find('.shipping-mapping-select');
+        var label = row.find('td:eq(1) strong').text() + ' (' + row.find('td:eq(0)').text() + ')';
+
+        if (select.find('option:selected').data('stale')) {
+            errors.push(label + ' is mapped to a WMS method that no longer exists.');
+        } else if (!select.val() && !defaultMethod) {
+            errors.push(label + ' is not mapped and no default method is set.');
+        }
+
+        if (select.val()) {
+            mappings[key] = select.val();
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        mappings: mappings,
+        default_method: defaultMethod
+    };
+}
+
+// Save shipping method mappings
+function saveShippingMappings() {
+    var validation = validateShippingMappings();
+
+    if (!validation.valid) {
+        alert('Please fix the following before saving:\n\n• ' + validation.errors.join('\n• '));
+        return;
+    }
+
+    var button = document.getElementById('save-shipping-mappings');
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_save_shipping_mappings',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        mappings: JSON.stringify(validation.mappings),
+        default_method: validation.default_method
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+            shippingMappingData.current_mappings = validation.mappings;
+            shippingMappingData.default_method = validation.default_method;
+        } else {
+            showNotice('Failed to save shipping mappings: ' + (response.data.message || response.data || 'Unknown error'), 'error');
+            (response.data.invalid || []).forEach(function(key) {
+                jQuery('.shipping-mapping-table tr[data-method-key]').filter(function() {
+                    return jQuery(this).attr('data-method-key') === String(key);
+                }).addClass('mapping-stale');
+            });
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Save request failed: ' + error, 'error');
+        console.error('Save shipping mappings failed:', xhr.responseText);
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+// Sync location types function
+function syncLocationTypes() {
+    if (!confirm('This will sync location types from WMS. Continue?')) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    // Add progress indicator
+    var progressDiv = createProgressIndicator(button, 'Syncing location types...');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_sync_location_types',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            var result = response.data.result;
+            var message = 'Location types sync completed: ' + response.data.message;
+            
+            if (result.total_count) {
+                message += '\n\nDetails:';
+                message += '\n• Total Types: ' + result.total_count;
+                message += '\n• Pickable Types: ' + result.pickable_count;
+                message += '\n• Transport Types: ' + result.transport_count;
+            }
+            
+            showEnhancedNotice(message, 'success');
+            updateProgressIndicator(progressDiv, 'success', 'Location types synced successfully!');
+            
+        } else {
+            var errorMsg = 'Location types sync failed: ' + (response.data.message || response.data || 'Unknown error');
+            showEnhancedNotice(errorMsg, 'error');
+            updateProgressIndicator(progressDiv, 'error', 'Location types sync failed');
+        }
+    }).fail(function(xhr, status, error) {
+        var errorMsg = 'Location types sync request failed: ' + error;
+        showEnhancedNotice(errorMsg, 'error');
+        updateProgressIndicator(progressDiv, 'error', 'Request failed');
         console.error('Location types sync failed:', xhr.responseText);
     }).always(function() {
         setButtonLoading(button, false, originalText);
@@ -441,7 +1239,7 @@ function importEverything() {
 function createModernProgressContainer(button) {
     var container = jQuery('<div class="sync-progress-container" style="margin-top: 15px; padding: 20px; background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);"></div>');
     
-    var header = jQuery('<div class="progress-header"><h4 style="margin: 0 0 10px 0; color: #495057;">🔄 Sync Progress</h4></div>');
+    var header = jQuery('<div class="progress-header"><button type="button" class="button button-small sync-cancel-btn" onclick="cancelSyncBatch()" style="float: right; display: none;">Cancel Sync</button><h4 style="margin: 0 0 10px 0; color: #495057;">🔄 Sync Progress</h4></div>');
     var progressBar = jQuery('<div class="progress-bar-container" style="width: 100%; background: #e9ecef; border-radius: 4px; overflow: hidden; height: 20px; margin-bottom: 10px;"><div class="progress-bar" style="height: 100%; background: linear-gradient(90deg, #007cba, #00a0d2); width: 0%; transition: width 0.3s ease;"></div></div>');
     var statusText = jQuery('<div class="progress-status" style="font-weight: 500; margin-bottom: 10px;">Initializing...</div>');
     var jobsList = jQuery('<div class="jobs-list" style="font-size: 14px;"></div>');
@@ -481,49 +1279,203 @@ function updateProgressContainer(container, statusText, percentage, status) {
     }
 }
 
-// Start sync progress polling
-function startSyncProgressPolling(batch_id, progressContainer, isInitialSync) {
-    var pollInterval = 2000; // Poll every 2 seconds
-    var pollCount = 0;
-    var maxPolls = 300; // Maximum 10 minutes of polling
+// Batches cancelled from this page; pollers stop on their next tick
+var cancelledSyncBatches = {};
+
+// Progress subscriptions of the Synchronization and Setup tab consoles, so each follows one batch at a time
+var syncProgressSubscriptions = {
+    sync: null,
+    setup: null
+};
+
+// Whether a console is still following a batch
+function hasActiveSyncSubscription(view) {
+    return syncProgressSubscriptions[view] !== null && syncProgressSubscriptions[view].isActive();
+}
+
+// Follow the progress of a sync batch. Streams job state changes over
+// Server-Sent Events and falls back to polling with exponential backoff
+// when the browser or server can't keep a stream open.
+// callbacks.onUpdate(progress) returns false once the batch is finished.
+function subscribeSyncProgress(batch_id, callbacks) {
+    var minInterval = 2000;
+    var maxInterval = 30000;
+    var maxDuration = 600000; // Stop following after 10 minutes
+    var pollInterval = minInterval;
+    var lastState = null;
+    var closed = false;
+    var source = null;
+    var pollTimer = null;
     
-    var poll = function() {
-        pollCount++;
-        
-        if (pollCount > maxPolls) {
-            updateProgressContainer(progressContainer, 'Polling timeout - sync may still be running', 0, 'error');
-            resetSyncButton(jQuery('.sync-everything-btn'), 'Sync Everything');
-            return;
+    var close = function() {
+        closed = true;
+        if (source) {
+            source.close();
         }
-        
+        clearTimeout(pollTimer);
+        clearTimeout(timeoutTimer);
+    };
+    
+    var handle = function(progress) {
+        if (!closed && callbacks.onUpdate(progress) === false) {
+            close();
+        }
+    };
+    
+    var schedulePoll = function(delay) {
+        if (!closed) {
+            pollTimer = setTimeout(poll, delay);
+        }
+    };
+    
+    var backoff = function() {
+        pollInterval = Math.min(pollInterval * 2, maxInterval);
+        schedulePoll(pollInterval);
+    };
+    
+    var poll = function() {
         jQuery.post(ajaxurl, {
             action: 'wc_wms_get_sync_progress',
             batch_id: batch_id,
             nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
         }, function(response) {
-            if (response.success) {
-                var progress = response.data;
-                displaySyncProgress(progress, progressContainer, isInitialSync);
-                
-                // Continue polling if not finished
-                if (progress.overall_status === 'running' || progress.overall_status === 'pending') {
-                    setTimeout(poll, pollInterval);
+            if (closed) {
+                return;
+            }
+            
+            if (!response.success) {
+                if (callbacks.onError) {
+                    close();
+                    callbacks.onError(response.data);
                 } else {
-                    // Sync completed
-                    handleSyncCompletion(progress, progressContainer, isInitialSync);
+                    backoff();
                 }
+                return;
+            }
+            
+            // Back off while nothing changes, speed up again as soon as it does
+            var state = JSON.stringify(response.data);
+            if (state !== lastState) {
+                lastState = state;
+                pollInterval = minInterval;
+                handle(response.data);
+                schedulePoll(pollInterval);
             } else {
-                updateProgressContainer(progressContainer, 'Failed to get progress: ' + response.data, 0, 'error');
-                resetSyncButton(jQuery('.sync-everything-btn'), 'Sync Everything');
+                backoff();
             }
         }).fail(function() {
-            // Retry on failure
-            setTimeout(poll, pollInterval * 2);
+            if (!closed) {
+                backoff();
+            }
         });
     };
     
-    // Start polling
-    setTimeout(poll, 1000);
+    var startPolling = function() {
+        if (source) {
+            source.close();
+            source = null;
+        }
+        schedulePoll(1000);
+    };
+    
+    var timeoutTimer = setTimeout(function() {
+        if (!closed) {
+            close();
+            if (callbacks.onTimeout) {
+                callbacks.onTimeout();
+            }
+        }
+    }, maxDuration);
+    
+    var subscription = {
+        close: close,
+        isActive: function() {
+            return !closed;
+        }
+    };
+    
+    if (!window.EventSource) {
+        startPolling();
+        return subscription;
+    }
+    
+    var streamUrl = ajaxurl + (ajaxurl.indexOf('?') === -1 ? '?' : '&') + jQuery.param({
+        action: 'wc_wms_stream_sync_progress',
+        batch_id: batch_id,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    });
+    var received = false;
+    var failedConnections = 0;
+    
+    source = new EventSource(streamUrl);
+    
+    source.addEventListener('progress', function(e) {
+        received = true;
+        failedConnections = 0;
+        handle(JSON.parse(e.data));
+    });
+    
+    source.addEventListener('done', function(e) {
+        handle(JSON.parse(e.data));
+        close();
+    });
+    
+    // Batch lookup failed on the server; let the regular polling path report it
+    source.addEventListener('missing', startPolling);
+    
+    source.onerror = function() {
+        if (closed) {
+            return;
+        }
+        
+        // The server ends each stream after a short window and EventSource
+        // reconnects by itself; only give up when streaming never worked or
+        // keeps failing without delivering anything
+        failedConnections++;
+        if (!received || failedConnections >= 3 || source.readyState === EventSource.CLOSED) {
+            startPolling();
+        }
+    };
+    
+    return subscription;
+}
+
+// Start sync progress updates
+function startSyncProgressPolling(batch_id, progressContainer, isInitialSync) {
+    progressContainer.data('batch-id', batch_id);
+    progressContainer.find('.sync-cancel-btn').show();
+    
+    if (syncProgressSubscriptions.sync) {
+        syncProgressSubscriptions.sync.close();
+    }
+    
+    syncProgressSubscriptions.sync = subscribeSyncProgress(batch_id, {
+        onUpdate: function(progress) {
+            displaySyncProgress(progress, progressContainer, isInitialSync);
+            
+            if (cancelledSyncBatches[batch_id] || progress.overall_status === 'cancelled') {
+                handleSyncCancelled(progress, progressContainer);
+                return false;
+            }
+            
+            // Keep listening while not finished
+            if (progress.overall_status === 'running' || progress.overall_status === 'pending') {
+                return true;
+            }
+            
+            // Sync completed
+            handleSyncCompletion(progress, progressContainer, isInitialSync);
+            return false;
+        },
+        onError: function(message) {
+            updateProgressContainer(progressContainer, 'Failed to get progress: ' + message, 0, 'error');
+            resetSyncButton(jQuery('.sync-everything-btn'), 'Sync Everything');
+        },
+        onTimeout: function() {
+            updateProgressContainer(progressContainer, 'Progress timeout - sync may still be running', 0, 'error');
+            resetSyncButton(jQuery('.sync-everything-btn'), 'Sync Everything');
+        }
+    });
 }
 
 // Display sync progress
@@ -547,16 +1499,86 @@ function displaySyncProgress(progress, progressContainer, isInitialSync) {
             jobDiv.append('<div style="color: #dc3232; font-size: 12px; margin-top: 4px;">Error: ' + job.error + '</div>');
         }
         
+        // Per-job actions
+        var actions = '';
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            actions += '<button type="button" class="button button-small" onclick="manageSyncJob(\'' + progress.batch_id + '\', \'' + job.type + '\', \'retry\')">Retry</button> ';
+        }
+        if (job.status === 'failed' || job.status === 'pending') {
+            actions += '<button type="button" class="button button-small" onclick="manageSyncJob(\'' + progress.batch_id + '\', \'' + job.type + '\', \'skip\')">Skip</button>';
+        }
+        if (actions) {
+            jobDiv.append('<span class="job-actions" style="float: right;">' + actions + '</span>');
+        }
+        
         jobsList.append(jobDiv);
     });
 }
 
+// Retry or skip a single job of a sync batch
+function manageSyncJob(batch_id, job_type, job_action) {
+    var button = event.target;
+    var progressContainer = jQuery(button).closest('.sync-progress-container');
+    
+    if (job_action === 'skip' && !confirm('Skip this job? The rest of the batch will be treated as done without it.')) {
+        return;
+    }
+    
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_process_sync_job',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        batch_id: batch_id,
+        job_type: job_type,
+        job_action: job_action
+    }, function(response) {
+        if (response.success) {
+            showNotice(job_action === 'retry' ? 'Job retried successfully' : 'Job skipped', 'success');
+            displayManagedSyncProgress(response.data.progress, progressContainer);
+        } else {
+            showNotice((job_action === 'retry' ? 'Retry failed: ' : 'Skip failed: ') + (response.data || 'Unknown error'), 'error');
+            refreshManagedSyncProgress(batch_id, progressContainer);
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+// Reload progress of a batch after a job action
+function refreshManagedSyncProgress(batch_id, progressContainer) {
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_sync_progress',
+        batch_id: batch_id,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            displayManagedSyncProgress(response.data, progressContainer);
+        }
+    });
+}
+
+// Show progress after a job action without re-running the completion flow
+function displayManagedSyncProgress(progress, progressContainer) {
+    displaySyncProgress(progress, progressContainer, false);
+    
+    if (progress.overall_status === 'completed') {
+        updateProgressContainer(progressContainer, '✅ All jobs finished (' + progress.skipped_jobs + ' skipped)', 100, 'completed');
+    } else if (progress.overall_status === 'completed_with_errors') {
+        updateProgressContainer(progressContainer, 'Sync completed with issues (' + progress.failed_jobs + ' failed jobs)', progress.percentage, 'completed_with_errors');
+    }
+}
+
 // Get job status icon
 function getJobStatusIcon(status) {
     switch (status) {
         case 'completed': return '✅';
         case 'processing': return '🔄';
         case 'failed': return '❌';
+        case 'skipped': return '⏭️';
+        case 'cancelled': return '🚫';
         default: return '⏳';
     }
 }
@@ -571,11 +1593,57 @@ function getJobStatusColor(status) {
     }
 }
 
+// Cancel the remaining jobs of a running sync batch
+function cancelSyncBatch(batch_id) {
+    var button = event.target;
+    batch_id = batch_id || jQuery(button).closest('.sync-progress-container').data('batch-id');
+    
+    if (!batch_id || !confirm('Cancel this sync? Jobs that have not started yet will not run. A job that is already running will finish first.')) {
+        return;
+    }
+    
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_cancel_sync_batch',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        batch_id: batch_id
+    }, function(response) {
+        if (response.success) {
+            cancelledSyncBatches[batch_id] = true;
+            showNotice(response.data.message, 'warning');
+        } else {
+            showNotice('Failed to cancel sync: ' + (response.data || 'Unknown error'), 'error');
+            setButtonLoading(button, false, originalText);
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Cancel request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+// Show which jobs ran and which were cancelled
+function handleSyncCancelled(progress, progressContainer) {
+    var ran = progress.completed_jobs + progress.failed_jobs + progress.skipped_jobs;
+    var message = '🚫 Sync cancelled: ' + ran + ' jobs ran, ' + progress.cancelled_jobs + ' cancelled';
+    
+    if (progress.current_job) {
+        message += ' (' + progress.current_job.title + ' is finishing in the background)';
+    }
+    
+    updateProgressContainer(progressContainer, message, progress.percentage, 'completed_with_errors');
+    progressContainer.find('.sync-cancel-btn').hide();
+    resetSyncButton(jQuery('.sync-everything-btn'), 'Sync Everything');
+}
+
 // Handle sync completion
 function handleSyncCompletion(progress, progressContainer, isInitialSync) {
     var button = jQuery('.sync-everything-btn');
     var originalText = 'Sync Everything';
     
+    progressContainer.find('.sync-cancel-btn').hide();
+    
     if (progress.overall_status === 'completed') {
         var message = isInitialSync ? 
             '🚀 Initial sync completed successfully! All automatic processes are now enabled.' :
@@ -612,6 +1680,11 @@ function handleSyncCompletion(progress, progressContainer, isInitialSync) {
     }
     
     resetSyncButton(button, originalText);
+    
+    // Keep the history list current if it is open
+    if (jQuery('#sync-history-content').children().length) {
+        loadSyncHistory();
+    }
 }
 
 // Reset sync button
@@ -620,26 +1693,133 @@ function resetSyncButton(button, originalText) {
     button.text(originalText || 'Sync Everything');
 }
 
-// Customer import functions
-function importCustomers() {
-    if (!confirm('This will import customers from WMS to WooCommerce. Note: WMS Customers API is read-only. Continue?')) {
-        return;
-    }
-    
-    var button = event.target;
-    button.disabled = true;
-    button.textContent = 'Importing...';
-    
+// Reattach progress views to a sync batch that is still running (e.g. after a page reload)
+function resumeActiveSyncBatch() {
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_import_customers',
+        action: 'wc_wms_get_active_sync_batch',
         nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
     }, function(response) {
-        if (response.success) {
-            var result = response.data;
-            var message = 'Customer import completed:\n';
-            message += '• Imported: ' + result.imported + '\n';
-            message += '• Updated: ' + result.updated + '\n';
-            message += '• Errors: ' + result.errors + '\n';
+        if (!response.success || !response.data.batch_id) {
+            return;
+        }
+        
+        var batch_id = response.data.batch_id;
+        var progress = response.data.progress;
+        
+        // Synchronization tab console, unless it already follows a batch started from this page
+        var syncButton = jQuery('.sync-everything-btn');
+        if (syncButton.length && !hasActiveSyncSubscription('sync')) {
+            var isInitialSync = !jQuery('.initial-sync-status .notice-success').length;
+            var progressContainer = createModernProgressContainer(syncButton[0]);
+            
+            syncButton.prop('disabled', true).text('🔄 Sync in progress...');
+            displaySyncProgress(progress, progressContainer, isInitialSync);
+            startSyncProgressPolling(batch_id, progressContainer, isInitialSync);
+        }
+        
+        // Setup tab console
+        var setupButton = jQuery('button[onclick="syncEverything()"]');
+        if (setupButton.length && jQuery('#progress-steps').length && !hasActiveSyncSubscription('setup')) {
+            var setupOriginalText = setupButton.text().trim();
+            var progressSteps = renderSetupProgressSteps();
+            
+            jQuery('#sync-progress').show();
+            jQuery('#sync-results').hide();
+            setupButton.prop('disabled', true);
+            updateSetupProgress(progress, progressSteps);
+            startSetupProgressPolling(batch_id, progressSteps, setupButton[0], setupOriginalText);
+        }
+    });
+}
+
+// Load history of past sync batches
+function loadSyncHistory() {
+    var container = jQuery('#sync-history-content');
+    container.html('<p class="loading">Loading sync history...</p>');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_sync_history',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            renderSyncHistory(response.data.batches);
+        } else {
+            container.html('<div class="notice notice-error inline"><p>Failed to load sync history: ' + escapeHtml(response.data || 'Unknown error') + '</p></div>');
+        }
+    }).fail(function(xhr, status, error) {
+        container.html('<div class="notice notice-error inline"><p>Request failed: ' + escapeHtml(error) + '</p></div>');
+    });
+}
+
+// Render sync history with expandable per-job results
+function renderSyncHistory(batches) {
+    var container = jQuery('#sync-history-content');
+    var statusLabels = {
+        completed: '✅ Completed',
+        completed_with_errors: '⚠️ Completed with errors',
+        running: '🔄 Running',
+        pending: '⏳ Pending',
+        cancelled: '🚫 Cancelled'
+    };
+    
+    if (batches.length === 0) {
+        container.html('<p><em>No sync batches have been run yet.</em></p>');
+        return;
+    }
+    
+    var html = '<table class="widefat striped"><thead><tr><th>Started</th><th>Batch</th><th>Status</th><th>Jobs</th><th></th></tr></thead><tbody>';
+    
+    batches.forEach(function(batch, index) {
+        html += '<tr>';
+        html += '<td>' + escapeHtml(batch.started_at || batch.created_at) + '</td>';
+        html += '<td><code>' + escapeHtml(batch.batch_id) + '</code></td>';
+        html += '<td>' + (statusLabels[batch.overall_status] || escapeHtml(batch.overall_status)) + '</td>';
+        html += '<td>' + batch.completed_jobs + '/' + batch.total_jobs + (batch.failed_jobs > 0 ? ' <span class="status-error">(' + batch.failed_jobs + ' failed)</span>' : '') + '</td>';
+        html += '<td><button type="button" class="button button-small" onclick="jQuery(\'#sync-history-jobs-' + index + '\').toggle()">Details</button></td>';
+        html += '</tr>';
+        
+        html += '<tr id="sync-history-jobs-' + index + '" style="display: none;"><td colspan="5">';
+        batch.jobs.forEach(function(job) {
+            html += '<div class="job-item" style="margin: 5px 0; padding: 8px; background: #fff; border-radius: 4px; border-left: 3px solid ' + getJobStatusColor(job.status) + ';">';
+            html += '<span style="margin-right: 8px;">' + getJobStatusIcon(job.status) + '</span><strong>' + escapeHtml(job.title) + '</strong>';
+            if (job.started_at) {
+                html += ' <small>(' + escapeHtml(job.started_at) + (job.completed_at ? ' → ' + escapeHtml(job.completed_at) : '') + ')</small>';
+            }
+            if (job.error) {
+                html += '<div style="color: #dc3232; font-size: 12px; margin-top: 4px;">Error: ' + escapeHtml(job.error) + '</div>';
+            }
+            if (job.result) {
+                html += '<details style="margin-top: 4px;"><summary>Result</summary><pre class="log-payload">' + escapeHtml(JSON.stringify(job.result, null, 2)) + '</pre></details>';
+            }
+            html += '</div>';
+        });
+        html += '</td></tr>';
+    });
+    
+    html += '</tbody></table>';
+    container.html(html);
+}
+
+// Customer import functions
+function importCustomers() {
+    if (!confirm('This will import customers from WMS to WooCommerce. Note: WMS Customers API is read-only. Continue?')) {
+        return;
+    }
+    
+    var button = event.target;
+    button.disabled = true;
+    button.textContent = 'Importing...';
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_import_customers',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            var result = response.data;
+            var message = 'Customer import completed:\n';
+            message += '• Imported: ' + result.imported + '\n';
+            message += '• Updated: ' + result.updated + '\n';
+            message += '• Errors: ' + result.errors + '\n';
             
             if (result.error_details && result.error_details.length > 0) {
                 message += '\nFirst few errors:\n';
@@ -661,7 +1841,7 @@ function importCustomers() {
 
 // Order sync function
 function syncOrders() {
-    if (!confirm('This will sync orders from WMS to WooCommerce. This may take a few minutes. Continue?')) {
+    if (!confirm('This will sync orders changed in WMS since the last order sync to WooCommerce. This may take a few minutes. Continue?')) {
         return;
     }
     
@@ -681,6 +1861,14 @@ function syncOrders() {
             message += '• Updated: ' + result.updated + '\n';
             message += '• Skipped: ' + result.skipped + '\n';
             
+            if (result.has_more) {
+                message += '\nMore changed orders are waiting; they are fetched on the next run.\n';
+            }
+            
+            if (result.cursor) {
+                message += '\nUp to date until ' + result.cursor.synced_until_formatted;
+            }
+            
             alert(message);
         } else {
             var errorMessage = 'Order sync failed: ' + (response.data.message || 'Unknown error');
@@ -704,7 +1892,6 @@ function syncOrders() {
     }).always(function() {
         button.disabled = false;
         button.textContent = 'Sync Orders Now';
-        location.reload();
     });
 }
 
@@ -904,99 +2091,253 @@ function getCustomerStats() {
 }
 
 
-// Export all products function
+// Product export: a batch of chunk jobs with per-chunk progress and per-SKU failures
+var productExport = {
+    loaded: false,
+    batchId: null,
+    subscription: null
+};
+
+// Load the most recent product export and keep following it while it runs
+function loadProductExport() {
+    productExport.loaded = true;
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_product_export',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (!response.success) {
+            jQuery('#product-export-status').html('<p class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load the last product export') + '</p>');
+            return;
+        }
+        
+        if (response.data.export) {
+            renderProductExport(response.data.export, response.data.progress);
+            followProductExport(response.data.export, response.data.progress);
+        }
+    });
+}
+
+// Start a new export with the selected filters
 function exportAllProducts() {
-    // Validate required WordPress AJAX variables
-    if (typeof ajaxurl === 'undefined') {
-        alert('Error: ajaxurl is not defined. WordPress AJAX may not be properly loaded.');
+    var form = jQuery('#product-export-form');
+    var data = {
+        action: 'wc_wms_export_all_products',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        category: form.find('select[name="category[]"]').val() || [],
+        modified_since: form.find('input[name="modified_since"]').val(),
+        needs_sync: form.find('input[name="needs_sync"]').is(':checked') ? 1 : 0
+    };
+    
+    if (!confirm('Export the matching WooCommerce products to WMS? New products are created as WMS articles, linked products are updated.')) {
         return;
     }
     
-    if (typeof WC_WMS_ADMIN_NONCE === 'undefined') {
-        alert('Error: WC_WMS_ADMIN_NONCE is not defined. Admin scripts may not be properly loaded.');
-        return;
+    var button = document.getElementById('product-export-start');
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Queueing products...');
+    
+    jQuery.post(ajaxurl, data, function(response) {
+        if (!response.success) {
+            showNotice(escapeHtml(response.data || 'Failed to start product export'), 'error');
+            return;
+        }
+        
+        showNotice(escapeHtml(response.data.message), response.data.export ? 'success' : 'warning');
+        
+        if (response.data.export) {
+            renderProductExport(response.data.export, response.data.progress);
+            followProductExport(response.data.export, response.data.progress);
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + escapeHtml(error), 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+// Chunks are still waiting or being exported; a stalled chunk no longer counts
+function isProductExportActive(progress) {
+    return progress.jobs.some(function(job) {
+        return job.status === 'pending' || (job.status === 'processing' && !job.stalled);
+    });
+}
+
+function followProductExport(exportData, progress) {
+    if (productExport.subscription) {
+        productExport.subscription.close();
+        productExport.subscription = null;
     }
     
-    if (!confirm('This will export ALL WooCommerce products to WMS. This may take several minutes for large catalogs. Continue?')) {
+    productExport.batchId = exportData.batch_id;
+    
+    if (!isProductExportActive(progress)) {
         return;
     }
     
+    productExport.subscription = subscribeSyncProgress(exportData.batch_id, {
+        onUpdate: function(update) {
+            renderProductExport(exportData, update);
+            return isProductExportActive(update);
+        },
+        onError: function(message) {
+            showNotice('Failed to follow product export: ' + escapeHtml(message), 'error');
+        },
+        onTimeout: function() {
+            jQuery('#product-export-progress-text').append(' <em>(stopped following - reload to check again)</em>');
+        }
+    });
+}
+
+// Queue failed, cancelled and interrupted chunks again
+function resumeProductExport() {
     var button = event.target;
     var originalText = button.textContent;
-    button.disabled = true;
-    button.textContent = 'Exporting...';
-    
-    // Create progress indicator
-    var progressDiv = jQuery('<div id="export-progress" style="margin-top: 10px; padding: 10px; background: #f0f0f0; border-radius: 3px;"></div>');
-    jQuery(button).after(progressDiv);
-    progressDiv.html('<strong>🔄 Starting export...</strong>');
-    
-    // Make AJAX request to export products
+    setButtonLoading(button, true, 'Resuming...');
     
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_export_all_products',
-        nonce: WC_WMS_ADMIN_NONCE
+        action: 'wc_wms_resume_product_export',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        batch_id: productExport.batchId
     }, function(response) {
+        if (!response.success) {
+            showNotice(escapeHtml(response.data || 'Failed to resume product export'), 'error');
+            setButtonLoading(button, false, originalText);
+            return;
+        }
         
+        showNotice(escapeHtml(response.data.message), response.data.resumed > 0 ? 'success' : 'warning');
+        renderProductExport(response.data.export, response.data.progress);
+        followProductExport(response.data.export, response.data.progress);
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + escapeHtml(error), 'error');
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+function cancelProductExport() {
+    if (!confirm('Cancel the remaining chunks of this export? A chunk that is exporting right now still finishes; you can resume the export later.')) {
+        return;
+    }
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_cancel_sync_batch',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        batch_id: productExport.batchId
+    }, function(response) {
         if (response.success) {
-            var result = response.data;
-            var message = 'Export/Update completed:\n';
-            message += '• New Products: ' + result.exported + ' exported\n';
-            message += '• Existing Products: ' + result.updated + ' updated\n';
-            message += '• Errors: ' + result.errors + ' products\n';
-            
-            if (result.error_details && result.error_details.length > 0) {
-                message += '\nFirst few errors:\n';
-                message += result.error_details.slice(0, 3).join('\n');
-            }
-            
-            if (result.export_completed) {
-                message += '\n\n✅ Setup Status: Products export marked as completed!';
-                message += '\n\nNext Steps:';
-                message += '\n1. Go to Setup tab to configure shipping methods';
-                message += '\n2. Register webhooks in Webhooks tab';
-                message += '\n3. Perform initial stock sync in Synchronization tab';
-            }
-            
-            alert(message);
-            
-            // Update progress
-            var progressMessage = '<strong>✅ Export/Update Complete!</strong> New: ' + result.exported + ', Updated: ' + result.updated + ', Errors: ' + result.errors;
-            if (result.export_completed) {
-                progressMessage += '<br><strong style="color: green;">🎉 Products export setup completed!</strong>';
-                // Setup progress will be refreshed on page reload
-            }
-            progressDiv.html(progressMessage);
+            showNotice(escapeHtml(response.data.message), 'success');
+            loadProductExport();
         } else {
-            var errorMsg = 'Export failed: ' + (response.data || 'Unknown error');
-            alert(errorMsg);
-            progressDiv.html('<strong>❌ Export Failed!</strong> ' + (response.data || 'Unknown error'));
-            console.error('Export failed:', response);
+            showNotice(escapeHtml(response.data || 'Failed to cancel product export'), 'error');
         }
     }).fail(function(xhr, status, error) {
-        var errorMsg = 'Request failed: ' + error;
-        if (xhr.responseText) {
-            try {
-                var errorResponse = JSON.parse(xhr.responseText);
-                if (errorResponse.data) {
-                    errorMsg += '\nDetails: ' + errorResponse.data;
-                }
-            } catch (e) {
-                errorMsg += '\nResponse: ' + xhr.responseText.substring(0, 200);
-            }
+        showNotice('Request failed: ' + escapeHtml(error), 'error');
+    });
+}
+
+function renderProductExport(exportData, progress) {
+    var totals = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    var failures = [];
+    var counts = { completed: 0, pending: 0, processing: 0, stalled: 0, failed: 0, cancelled: 0 };
+    
+    progress.jobs.forEach(function(job) {
+        if (job.stalled) {
+            counts.stalled++;
+        } else if (counts[job.status] !== undefined) {
+            counts[job.status]++;
+        }
+        
+        if (job.result) {
+            totals.created += job.result.created || 0;
+            totals.updated += job.result.updated || 0;
+            totals.skipped += job.result.skipped || 0;
+            totals.failed += job.result.failed || 0;
+            (job.result.failures || []).forEach(function(failure) {
+                failures.push(jQuery.extend({ chunk: job.title }, failure));
+            });
+        }
+    });
+    
+    var active = isProductExportActive(progress);
+    var resumable = !active && (counts.stalled + counts.failed + counts.cancelled) > 0;
+    var percentage = Math.round((counts.completed / progress.total_jobs) * 100);
+    
+    // Filters used for this export
+    var filters = [];
+    if (exportData.filters.category && exportData.filters.category.length > 0) {
+        filters.push('categories: ' + exportData.filters.category.join(', '));
+    }
+    if (exportData.filters.modified_since) {
+        filters.push('changed since ' + exportData.filters.modified_since);
+    }
+    if (exportData.filters.needs_sync) {
+        filters.push('never synced or changed since last sync');
+    }
+    
+    var html = '<p><strong>' + (active ? '🔄 Export running' : (resumable ? '⚠️ Export interrupted' : '✅ Export finished')) + '</strong> · ';
+    html += exportData.total_products + ' candidate products in ' + exportData.total_chunks + ' chunks';
+    html += ' · ' + (filters.length > 0 ? escapeHtml(filters.join('; ')) : 'all products');
+    html += ' <small>(' + escapeHtml(exportData.batch_id) + ')</small></p>';
+    
+    html += '<div class="progress-bar-container" style="background: #f0f0f0; border-radius: 4px; height: 20px; overflow: hidden;">';
+    html += '<div style="width: ' + percentage + '%; height: 100%; background: ' + (resumable ? '#f56e28' : '#46b450') + ';"></div></div>';
+    html += '<p id="product-export-progress-text">' + counts.completed + '/' + progress.total_jobs + ' chunks completed';
+    if (counts.processing > 0) {
+        html += ', ' + counts.processing + ' exporting';
+    }
+    if (counts.pending > 0) {
+        html += ', ' + counts.pending + ' waiting';
+    }
+    if (counts.stalled > 0) {
+        html += ', <span class="status-error">' + counts.stalled + ' interrupted</span>';
+    }
+    if (counts.failed > 0) {
+        html += ', <span class="status-error">' + counts.failed + ' failed</span>';
+    }
+    if (counts.cancelled > 0) {
+        html += ', ' + counts.cancelled + ' cancelled';
+    }
+    html += '</p>';
+    
+    html += '<div class="diagnosis-summary">';
+    html += '<div><span class="diagnosis-count">' + totals.created + '</span>Created</div>';
+    html += '<div><span class="diagnosis-count">' + totals.updated + '</span>Updated</div>';
+    html += '<div><span class="diagnosis-count">' + totals.skipped + '</span>Skipped</div>';
+    html += '<div><span class="diagnosis-count' + (totals.failed > 0 ? ' status-error' : '') + '">' + totals.failed + '</span>Failed SKUs</div>';
+    html += '</div>';
+    
+    if (active) {
+        html += '<p><button type="button" class="button" onclick="cancelProductExport()">Cancel Export</button></p>';
+    } else if (resumable) {
+        html += '<p><button type="button" class="button button-primary" onclick="resumeProductExport()">Resume Export</button> ';
+        html += '<span class="description">Completed chunks are not exported again.</span></p>';
+    }
+    
+    // Chunk errors (the whole chunk failed, e.g. WMS was unreachable)
+    progress.jobs.forEach(function(job) {
+        if (job.error) {
+            html += '<p class="status-error">' + escapeHtml(job.title) + ': ' + escapeHtml(job.error) + '</p>';
         }
-        alert(errorMsg);
-        progressDiv.html('<strong>❌ Request Failed!</strong> ' + error + ' (Status: ' + status + ')');
-        console.error('Export request failed:', {
-            status: status,
-            error: error,
-            responseText: xhr.responseText,
-            statusCode: xhr.status
-        });
-    }).always(function() {
-        button.disabled = false;
-        button.textContent = originalText;
     });
+    
+    if (failures.length > 0) {
+        html += '<h4>Failed SKUs</h4>';
+        html += '<table class="widefat fixed striped"><thead><tr>';
+        html += '<th style="width: 150px;">SKU</th><th>Product</th><th>Error</th><th style="width: 180px;">Chunk</th>';
+        html += '</tr></thead><tbody>';
+        failures.forEach(function(failure) {
+            html += '<tr>';
+            html += '<td><code>' + escapeHtml(failure.sku || '—') + '</code></td>';
+            html += '<td>' + escapeHtml(failure.name) + ' <small>#' + failure.product_id + '</small></td>';
+            html += '<td>' + escapeHtml(failure.error) + '</td>';
+            html += '<td>' + escapeHtml(failure.chunk) + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+    }
+    
+    jQuery('#product-export-status').html(html);
 }
 
 // Webhook management functions
@@ -1046,135 +2387,2240 @@ function registerWebhooks() {
             alert(errorMsg);
         }
     }).fail(function(xhr, status, error) {
-        alert('Request failed: ' + error);
-    }).always(function() {
-        button.disabled = false;
-        button.textContent = 'Register All Webhooks with WMS';
-        location.reload();
+        alert('Request failed: ' + error);
+    }).always(function() {
+        button.disabled = false;
+        button.textContent = 'Register All Webhooks with WMS';
+        location.reload();
+    });
+}
+
+function checkWebhookStatus() {
+    var button = event.target;
+    button.disabled = true;
+    button.textContent = 'Checking...';
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_check_webhook_status',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            var status = response.data;
+            var message = 'Webhook Status (Local Tracking):\n';
+            message += 'Registered locally: ' + status.registered_locally + '\n';
+            message += 'Expected webhooks: ' + status.expected_webhooks + '\n';
+            message += 'All registered: ' + (status.all_registered ? 'Yes' : 'No') + '\n';
+            
+            if (status.missing_events && status.missing_events.length > 0) {
+                message += 'Missing events: ' + status.missing_events.join(', ') + '\n';
+            }
+            
+            if (status.registered_events && status.registered_events.length > 0) {
+                message += 'Registered events: ' + status.registered_events.join(', ') + '\n';
+            }
+            
+            if (status.last_registration) {
+                message += 'Last registration: ' + status.last_registration + '\n';
+            }
+            
+            message += '\nNote: ' + status.note;
+            
+            alert(message);
+        } else {
+            alert('Failed to check webhook status: ' + (response.data || 'Unknown error'));
+        }
+    }).always(function() {
+        button.disabled = false;
+        button.textContent = 'Check Local Webhook Status';
+    });
+}
+
+function deleteAllWebhooks() {
+    if (!confirm('Are you sure you want to delete ALL webhooks from WMS? This cannot be undone.')) {
+        return;
+    }
+    
+    var button = event.target;
+    button.disabled = true;
+    button.textContent = 'Deleting...';
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_delete_all_webhooks',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            alert('All webhooks deleted: ' + response.data.message);
+        } else {
+            alert('Failed to delete webhooks: ' + (response.data.message || 'Unknown error'));
+        }
+    }).always(function() {
+        button.disabled = false;
+        button.textContent = 'Delete All Webhooks';
+        location.reload();
+    });
+}
+
+function validateWebhookConfig() {
+    var button = event.target;
+    button.disabled = true;
+    button.textContent = 'Validating...';
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_validate_webhook_config',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            var validation = response.data;
+            var message = 'Webhook Configuration:\n';
+            message += 'Valid: ' + (validation.valid ? 'Yes' : 'No') + '\n';
+            message += 'Webhook URL: ' + validation.webhook_url + '\n';
+            message += 'Secret configured: ' + (validation.webhook_secret_configured ? 'Yes' : 'No') + '\n';
+            if (validation.issues.length > 0) {
+                message += '\nIssues:\n' + validation.issues.join('\n');
+            }
+            alert(message);
+        } else {
+            alert('Failed to validate webhook config: ' + (response.data || 'Unknown error'));
+        }
+    }).always(function() {
+        button.disabled = false;
+        button.textContent = 'Validate Webhook Config';
+    });
+}
+
+// Webhook secret rotation: state panel with a live countdown of the grace period
+var webhookRotationTimer = null;
+
+function loadWebhookRotation() {
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_webhook_rotation_status',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            renderWebhookRotation(response.data);
+        } else {
+            jQuery('#webhook-rotation-status').html('<span style="color: #dc3232;">' + escapeHtml(response.data || 'Failed to load rotation state') + '</span>');
+        }
+    });
+}
+
+function renderWebhookRotation(status) {
+    var container = jQuery('#webhook-rotation-status');
+    var html = '';
+    
+    clearInterval(webhookRotationTimer);
+    
+    if (status.state !== 'active') {
+        html = '<p>✅ No rotation in progress — only the current secret is accepted.';
+        if (status.last_rotation) {
+            html += '<br><small>Last rotation started ' + formatUnixTime(status.last_rotation.started_at) +
+                ', previous secret retired ' + formatUnixTime(status.last_rotation.retired_at) +
+                (status.last_rotation.reason === 'expired' ? ' (grace period ended)' : ' (confirmed by an administrator)') + '</small>';
+        }
+        html += '</p>';
+        container.html(html);
+        jQuery('#webhook-rotation-start').show();
+        return;
+    }
+    
+    var expiresAt = Date.now() + status.seconds_remaining * 1000;
+    var reregistration = status.reregistration;
+    
+    html += '<p>🔄 <strong>Rotation in progress</strong> — both the new and the previous secret are accepted.<br>';
+    html += 'Previous secret retires in <strong id="webhook-rotation-countdown"></strong> (' + formatUnixTime(status.expires_at) + ')<br>';
+    html += 'Previous secret last used by WMS: ' + (status.previous_last_used ? formatUnixTime(status.previous_last_used) : '<em>not since the rotation started</em>') + '</p>';
+    
+    if (reregistration) {
+        html += '<p>Re-registration: ' + reregistration.updated.length + ' webhooks updated with the new secret';
+        if (reregistration.missing.length > 0) {
+            html += ', <span style="color: #f56e28;">' + reregistration.missing.length + ' not registered (' + escapeHtml(reregistration.missing.join(', ')) + ')</span>';
+        }
+        html += '</p>';
+        if (reregistration.errors.length > 0) {
+            html += '<ul style="color: #dc3232;">';
+            reregistration.errors.forEach(function(error) {
+                html += '<li>' + escapeHtml(error) + '</li>';
+            });
+            html += '</ul>';
+        }
+    } else {
+        html += '<p style="color: #f56e28;">⚠️ Webhooks have not been re-registered with the new secret yet.</p>';
+    }
+    
+    html += '<p>';
+    html += '<button type="button" class="button" onclick="reregisterWebhooksWithCurrentSecret()">Re-register Webhooks</button> ';
+    html += '<button type="button" class="button button-primary" onclick="retirePreviousWebhookSecret()">Retire Previous Secret Now</button>';
+    html += '</p>';
+    
+    container.html(html);
+    jQuery('#webhook-rotation-start').hide();
+    
+    var updateCountdown = function() {
+        var remaining = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+        var hours = Math.floor(remaining / 3600);
+        var minutes = Math.floor((remaining % 3600) / 60);
+        var seconds = remaining % 60;
+        
+        jQuery('#webhook-rotation-countdown').text(hours + 'h ' + (minutes < 10 ? '0' : '') + minutes + 'm ' + (seconds < 10 ? '0' : '') + seconds + 's');
+        
+        if (remaining === 0) {
+            clearInterval(webhookRotationTimer);
+            loadWebhookRotation();
+        }
+    };
+    
+    updateCountdown();
+    webhookRotationTimer = setInterval(updateCountdown, 1000);
+}
+
+function formatUnixTime(timestamp) {
+    return escapeHtml(new Date(timestamp * 1000).toLocaleString());
+}
+
+function rotateWebhookSecret() {
+    var graceHours = jQuery('#webhook-rotation-grace').val();
+    
+    if (!confirm('Generate a new webhook secret? Registered webhooks are updated to use it, and the previous secret keeps working for ' + graceHours + ' hour(s).')) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Rotating...');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_rotate_webhook_secret',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        grace_hours: graceHours
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+            renderWebhookRotation(response.data);
+        } else {
+            showNotice(response.data || 'Failed to rotate webhook secret', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+function reregisterWebhooksWithCurrentSecret() {
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Re-registering...');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_reregister_webhooks_with_current_secret',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, response.data.errors.length > 0 ? 'warning' : 'success');
+        } else {
+            showNotice(response.data || 'Failed to re-register webhooks', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        loadWebhookRotation();
+    });
+}
+
+function retirePreviousWebhookSecret() {
+    if (!confirm('Stop accepting the previous secret now? Webhooks WMS still signs with it will be rejected.')) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Retiring...');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_retire_previous_webhook_secret',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+        } else {
+            showNotice(response.data || 'Failed to retire previous secret', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        loadWebhookRotation();
+    });
+}
+
+// Webhook event matrix: per-event registration state and actions
+var webhookMatrixLoaded = false;
+
+function loadWebhookMatrix() {
+    var tbody = jQuery('#webhook-matrix tbody');
+    webhookMatrixLoaded = true;
+    tbody.html('<tr><td colspan="4" class="loading">Loading webhook registrations from WMS...</td></tr>');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_webhook_matrix',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            renderWebhookMatrix(response.data);
+        } else {
+            tbody.html('<tr><td colspan="4">Failed to load webhooks: ' + escapeHtml(response.data || 'Unknown error') + '</td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        tbody.html('<tr><td colspan="4">Request failed: ' + escapeHtml(error) + '</td></tr>');
+    });
+}
+
+function renderWebhookMatrix(matrix) {
+    var statusLabels = {
+        registered: '<span style="color: green;">✅ Registered</span>',
+        missing: '<span style="color: #dc3232;">❌ Missing</span>',
+        drifted: '<span style="color: #f56e28;">⚠️ URL drifted</span>',
+        unexpected: '<span style="color: #8c8f94;">❔ Not expected</span>'
+    };
+    var html = '';
+    
+    matrix.events.forEach(function(entry) {
+        var event = escapeHtml(entry.event);
+        
+        html += '<tr>';
+        html += '<td><strong>' + event + '</strong></td>';
+        html += '<td>' + (statusLabels[entry.status] || escapeHtml(entry.status)) + '</td>';
+        html += '<td>';
+        if (entry.webhooks.length === 0) {
+            html += '<em>Not registered</em>';
+        }
+        entry.webhooks.forEach(function(webhook) {
+            var urlColor = webhook.url === matrix.webhook_url ? '' : ' style="color: #f56e28;"';
+            html += '<div><code style="font-size: 11px;">' + escapeHtml(webhook.id) + '</code><br>';
+            html += '<code style="font-size: 11px; word-break: break-all;"' + urlColor + '>' + escapeHtml(webhook.url) + '</code></div>';
+        });
+        html += '</td>';
+        html += '<td>';
+        if (entry.status === 'missing') {
+            html += '<button type="button" class="button button-small button-primary" onclick="registerWebhookEvent(\'' + event + '\', false)">Register</button> ';
+        } else if (entry.status !== 'unexpected') {
+            html += '<button type="button" class="button button-small" onclick="registerWebhookEvent(\'' + event + '\', true)">Re-register</button> ';
+        }
+        if (entry.webhooks.length > 0) {
+            html += '<button type="button" class="button button-small" onclick="deleteWebhookEvent(\'' + event + '\')">Delete</button>';
+        }
+        html += '</td>';
+        html += '</tr>';
+    });
+    
+    jQuery('#webhook-matrix tbody').html(html);
+    jQuery('#webhook-matrix-summary').text(
+        matrix.counts.registered + ' registered, ' + matrix.counts.missing + ' missing, ' +
+        matrix.counts.drifted + ' drifted' + (matrix.counts.unexpected > 0 ? ', ' + matrix.counts.unexpected + ' not expected' : '') +
+        ' — expected URL: ' + matrix.webhook_url
+    );
+    jQuery('#repair-missing-webhooks').prop('disabled', matrix.counts.missing === 0);
+}
+
+function registerWebhookEvent(eventKey, replace) {
+    if (replace && !confirm('Re-register ' + eventKey + '? Its current registrations are deleted and a fresh one pointing at this site is created.')) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_register_webhook_event',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        event: eventKey,
+        replace: replace ? 1 : 0
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+            loadWebhookMatrix();
+        } else {
+            showNotice((response.data && response.data.message) || response.data || 'Failed to register webhook', 'error');
+            setButtonLoading(button, false, originalText);
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+function deleteWebhookEvent(eventKey) {
+    if (!confirm('Delete every WMS registration of ' + eventKey + '? WooCommerce stops receiving these events until it is registered again.')) {
+        return;
+    }
+    
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_delete_webhook_event',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        event: eventKey
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+            loadWebhookMatrix();
+        } else {
+            showNotice(response.data || 'Failed to delete webhook', 'error');
+            setButtonLoading(button, false, originalText);
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+function repairMissingWebhooks() {
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_repair_missing_webhooks',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            var message = response.data.message;
+            if (response.data.errors.length > 0) {
+                message += ': ' + response.data.errors.join('; ');
+            }
+            showNotice(message, response.data.success ? 'success' : 'warning');
+        } else {
+            showNotice((response.data && response.data.message) || response.data || 'Failed to repair webhooks', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        loadWebhookMatrix();
+    });
+}
+
+// Webhook queue dashboard: depth, blocked webhooks and throughput, refreshed while the tab is open
+var webhookQueueDashboard = {
+    timer: null,
+    loading: false
+};
+
+function loadWebhookQueueMetrics() {
+    if (webhookQueueDashboard.loading) {
+        return;
+    }
+    webhookQueueDashboard.loading = true;
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_webhook_queue_metrics',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            renderWebhookQueueMetrics(response.data);
+        } else {
+            jQuery('#webhook-queue-dashboard').html('<p style="color: #dc3232;">' + escapeHtml(response.data || 'Failed to load queue metrics') + '</p>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#webhook-queue-dashboard').html('<p style="color: #dc3232;">Request failed: ' + escapeHtml(error) + '</p>');
+    }).always(function() {
+        webhookQueueDashboard.loading = false;
+    });
+    
+    toggleWebhookQueueAutoRefresh();
+}
+
+function toggleWebhookQueueAutoRefresh() {
+    clearInterval(webhookQueueDashboard.timer);
+    webhookQueueDashboard.timer = null;
+    
+    if (!jQuery('#webhook-queue-auto-refresh').is(':checked')) {
+        return;
+    }
+    
+    webhookQueueDashboard.timer = setInterval(function() {
+        // Only poll while the Webhooks tab is on screen
+        if (jQuery('#webhooks-tab').is(':visible') && !document.hidden) {
+            loadWebhookQueueMetrics();
+        }
+    }, 15000);
+}
+
+function formatQueueAge(seconds) {
+    if (seconds === null || seconds === undefined) {
+        return '—';
+    }
+    if (seconds < 60) {
+        return seconds + 's';
+    }
+    if (seconds < 3600) {
+        return Math.floor(seconds / 60) + 'm';
+    }
+    if (seconds < 86400) {
+        return Math.floor(seconds / 3600) + 'h ' + Math.floor((seconds % 3600) / 60) + 'm';
+    }
+    return Math.floor(seconds / 86400) + 'd ' + Math.floor((seconds % 86400) / 3600) + 'h';
+}
+
+function renderWebhookQueueMetrics(metrics) {
+    var stats = metrics.stats;
+    var rates = metrics.rates;
+    var html = '<div class="diagnosis-summary">';
+    
+    html += '<div><span class="diagnosis-count">' + (stats.pending || 0) + '</span>Pending</div>';
+    html += '<div><span class="diagnosis-count">' + (stats.processing || 0) + '</span>Processing</div>';
+    html += '<div><span class="diagnosis-count' + (metrics.oldest_pending_age > 900 ? ' status-warning' : '') + '">' + formatQueueAge(metrics.oldest_pending_age) + '</span>Oldest pending</div>';
+    html += '<div><span class="diagnosis-count' + (metrics.blocked.length > 0 ? ' status-warning' : '') + '">' + metrics.blocked.length + '</span>Blocked on prerequisite</div>';
+    html += '<div><span class="diagnosis-count">' + rates.processed_last_hour + '</span>Processed last hour<br><small>' + rates.processed_per_minute + '/min (last 15 min) · ' + rates.received_last_hour + ' received</small></div>';
+    html += '<div><span class="diagnosis-count' + (rates.failed_last_hour > 0 ? ' status-error' : '') + '">' + rates.failed_last_hour + '</span>Failed last hour<br><small>' + rates.retrying_last_hour + ' retrying</small></div>';
+    html += '</div>';
+    
+    // Depth per event, in the order the queue processes them
+    html += '<h4>Queue depth by event</h4>';
+    if (metrics.depth.length === 0) {
+        html += '<p><em>The queue is empty.</em></p>';
+    } else {
+        html += '<table class="widefat fixed striped"><thead><tr>';
+        html += '<th>Event</th><th style="width: 80px;">Priority</th><th style="width: 90px;">Pending</th><th style="width: 90px;">Processing</th><th style="width: 90px;">Failed</th><th style="width: 130px;">Oldest pending</th>';
+        html += '</tr></thead><tbody>';
+        metrics.depth.forEach(function(row) {
+            html += '<tr>';
+            html += '<td><code>' + escapeHtml(row.event) + '</code></td>';
+            html += '<td>' + row.priority + '</td>';
+            html += '<td>' + row.pending + '</td>';
+            html += '<td>' + row.processing + '</td>';
+            html += '<td>' + (row.failed > 0 ? '<span style="color: #dc3232;">' + row.failed + '</span>' : '0') + '</td>';
+            html += '<td>' + formatQueueAge(row.oldest_pending_age) + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+    }
+    
+    // Webhooks waiting on their prerequisite event
+    if (metrics.blocked.length > 0) {
+        html += '<h4>Blocked on prerequisites</h4>';
+        html += '<table class="widefat fixed striped"><thead><tr>';
+        html += '<th>Event</th><th>Waiting on</th><th>Reference</th><th style="width: 80px;">Attempts</th><th style="width: 100px;">Waiting for</th>';
+        html += '</tr></thead><tbody>';
+        metrics.blocked.forEach(function(webhook) {
+            html += '<tr>';
+            html += '<td><code>' + escapeHtml(webhook.event) + '</code><br><small>' + escapeHtml(webhook.webhook_id) + '</small></td>';
+            html += '<td><code>' + escapeHtml(webhook.prerequisite_event) + '</code></td>';
+            html += '<td>' + escapeHtml(webhook.external_reference || webhook.entity_id || '—') + '</td>';
+            html += '<td>' + webhook.attempts + '</td>';
+            html += '<td>' + formatQueueAge(webhook.age) + '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        if (metrics.blocked_checked >= 50) {
+            html += '<p class="description">Only the first 50 pending webhooks with a prerequisite were checked.</p>';
+        }
+    }
+    
+    // Errors seen in the last hour
+    if (metrics.recent_errors.length > 0) {
+        html += '<h4>Failures in the last hour</h4><ul>';
+        metrics.recent_errors.forEach(function(error) {
+            html += '<li><code>' + escapeHtml(error.group_name + '.' + error.action) + '</code> ×' + error.count + ': ' + escapeHtml(error.error_message) + ' <small>(last ' + escapeHtml(error.last_seen) + ')</small></li>';
+        });
+        html += '</ul>';
+    }
+    
+    jQuery('#webhook-queue-dashboard').html(html);
+    jQuery('#webhook-queue-updated').text('Updated ' + metrics.timestamp);
+}
+
+function processWebhookQueueBatch() {
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Processing...');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_process_webhook_queue_batch',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        batch_size: jQuery('#webhook-queue-batch-size').val()
+    }, function(response) {
+        if (response.success) {
+            var html = '<div class="notice notice-' + (response.data.failed > 0 ? 'warning' : 'success') + ' inline"><p>' + escapeHtml(response.data.message) + '</p>';
+            if (response.data.errors.length > 0) {
+                html += '<ul>';
+                response.data.errors.forEach(function(error) {
+                    html += '<li><code>' + escapeHtml(error.webhook_id) + '</code>: ' + escapeHtml(error.error) + '</li>';
+                });
+                html += '</ul>';
+            }
+            html += '</div>';
+            jQuery('#webhook-queue-batch-result').html(html);
+        } else {
+            showNotice(response.data || 'Failed to process webhook queue', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        loadWebhookQueueMetrics();
+    });
+}
+
+// Test webhook tool: sample payloads keyed by "group.action"
+var testWebhookSamples = {};
+
+function loadTestWebhookSamples() {
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_test_webhook_samples',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            testWebhookSamples = response.data.samples;
+            selectTestWebhookEvent();
+        } else {
+            showNotice(response.data || 'Failed to load sample payloads', 'error');
+        }
+    });
+}
+
+function selectTestWebhookEvent() {
+    var sample = testWebhookSamples[jQuery('#test-webhook-event').val()];
+    jQuery('#test-webhook-payload').val(sample ? JSON.stringify(sample, null, 2) : '');
+    jQuery('#test-webhook-result').empty();
+}
+
+function sendTestWebhook() {
+    var payload = jQuery('#test-webhook-payload').val();
+
+    try {
+        JSON.parse(payload);
+    } catch (e) {
+        showNotice('Payload is not valid JSON: ' + escapeHtml(e.message), 'error');
+        return;
+    }
+
+    var button = event.target;
+    if (!confirm('Send this test webhook? It is processed like a real WMS event, so WooCommerce orders, stock or inbounds matching the references in the payload will be changed.')) {
+        return;
+    }
+
+    var originalText = button.textContent;
+    setButtonLoading(button, true, 'Sending...');
+    jQuery('#test-webhook-result').html('<p class="loading">Sending test webhook...</p>');
+
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_send_test_webhook',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        payload: payload,
+        invalid_signature: jQuery('#test-webhook-invalid-signature').is(':checked')
+    }, function(response) {
+        if (response.success) {
+            renderTestWebhookResult(response.data);
+        } else {
+            jQuery('#test-webhook-result').empty();
+            showNotice(response.data || 'Failed to send test webhook', 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#test-webhook-result').empty();
+        showNotice('Request failed: ' + error, 'error');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+    });
+}
+
+function renderTestWebhookResult(result) {
+    var signature = result.signature;
+    var queue = result.queue_entry;
+    var log = result.log_entry;
+    var html = '<div class="wms-card">';
+
+    // Validator verdict
+    html += '<h4>🔐 Validator</h4><p>';
+    if (signature.valid) {
+        html += '<span style="color: green;">✅ Signature accepted</span>';
+    } else {
+        html += '<span style="color: #dc3232;">❌ Signature rejected</span>';
+    }
+    if (signature.intentionally_invalid) {
+        html += ' — signed with an invalid signature on purpose, rejection is expected';
+    } else if (!signature.secret_configured) {
+        html += ' — no webhook secret is configured';
+    }
+    html += '<br><small>Webhook ID: <code>' + escapeHtml(result.webhook_id) + '</code> · X-Hmac-Sha256: <code>' + escapeHtml(signature.sent || '(empty)') + '</code></small></p>';
+
+    // Endpoint response
+    html += '<h4>🌐 Endpoint response</h4>';
+    html += '<p>HTTP <strong>' + escapeHtml(String(result.status_code)) + '</strong>';
+    if (result.transport === 'internal') {
+        html += ' <small>(loopback request failed, dispatched inside WordPress)</small>';
+    }
+    html += '</p>';
+    html += '<pre style="max-height: 200px; overflow: auto;">' + escapeHtml(JSON.stringify(result.response, null, 2)) + '</pre>';
+
+    // Processor result as recorded in the queue
+    html += '<h4>⚙️ Processor</h4><p>';
+    html += 'Processor: <code>' + escapeHtml(result.processor || 'none (group not supported)') + '</code><br>';
+    if (queue) {
+        html += 'Queue status: <strong>' + escapeHtml(queue.status) + '</strong>, attempts: ' + escapeHtml(String(queue.attempts));
+        if (queue.status === 'pending' && queue.prerequisite_event) {
+            html += '<br>Waiting on prerequisite: <code>' + escapeHtml(queue.prerequisite_event) + '</code>';
+        }
+        if (queue.error_message) {
+            html += '<br><span style="color: #dc3232;">Error: ' + escapeHtml(queue.error_message) + '</span>';
+        }
+    } else {
+        html += '<em>Not queued — the endpoint stopped before processing.</em>';
+    }
+    html += '</p>';
+
+    // Resulting log entry
+    html += '<h4>📋 Log entry</h4><p>';
+    if (log) {
+        html += escapeHtml(log.created_at) + ' · <code>' + escapeHtml(log.webhook_type) + '</code> · ';
+        if (log.error_message) {
+            html += '<span style="color: #dc3232;">Error: ' + escapeHtml(log.error_message) + '</span>';
+        } else {
+            html += parseInt(log.processed, 10) ? '<span style="color: green;">Processed</span>' : 'Pending';
+        }
+        html += '<br><a href="#logs" onclick="showTab(\'logs\')">View in Logs tab</a>';
+    } else {
+        html += '<em>No webhook log entry was written for this request.</em>';
+    }
+    html += '</p></div>';
+
+    jQuery('#test-webhook-result').html(html);
+}
+
+// GDPR console: tracked export/redaction requests and their audit trail
+var gdprConsole = {
+    loaded: false,
+    timer: null
+};
+
+var gdprStatusLabels = {
+    pending: '⏳ Pending',
+    submitted: '📨 Submitted',
+    completed: '✅ Completed',
+    failed: '❌ Failed'
+};
+
+var gdprAuditLabels = {
+    requested: '📨 Requested',
+    completed: '✅ Completed',
+    failed: '❌ Failed',
+    downloaded: '⬇️ Downloaded',
+    expired: '🗑️ Export deleted'
+};
+
+function loadGdprRequests() {
+    gdprConsole.loaded = true;
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_gdpr_get_requests',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            renderGdprRequests(response.data.requests);
+            renderGdprAuditTrail(response.data.audit);
+        } else {
+            jQuery('#gdpr-requests-table tbody').html('<tr><td colspan="7"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load GDPR requests') + '</span></td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#gdpr-requests-table tbody').html('<tr><td colspan="7"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td></tr>');
+    });
+    
+    toggleGdprAutoPoll();
+}
+
+function startGdprRequest(type) {
+    var email = jQuery('#gdpr-email').val().trim();
+    if (!email) {
+        showNotice('Enter the email address of the person the request is for', 'error');
+        return;
+    }
+    
+    if (type === 'redact') {
+        var confirmation = prompt('Redaction permanently removes all personal data WMS holds for ' + email + '. This cannot be undone.\n\nType the email address again to confirm:');
+        if (confirmation === null) {
+            return;
+        }
+        if (confirmation.trim().toLowerCase() !== email.toLowerCase()) {
+            showNotice('The email addresses do not match - redaction was not requested', 'error');
+            return;
+        }
+    }
+    
+    var buttons = jQuery('#gdpr-request-form button').prop('disabled', true);
+    jQuery('#gdpr-request-result').html('<p class="loading">Sending request to WMS...</p>');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_gdpr_start_request',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        email: email,
+        type: type
+    }, function(response) {
+        if (response.success) {
+            jQuery('#gdpr-request-result').html('<div class="notice notice-success inline"><p>✅ ' + escapeHtml(response.data.message) + '</p></div>');
+            jQuery('#gdpr-email').val('');
+        } else {
+            jQuery('#gdpr-request-result').html('<div class="notice notice-error inline"><p>❌ ' + escapeHtml(response.data || 'Failed to start GDPR request') + '</p></div>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#gdpr-request-result').html('<div class="notice notice-error inline"><p>❌ Request failed: ' + escapeHtml(error) + '</p></div>');
+    }).always(function() {
+        buttons.prop('disabled', false);
+        loadGdprRequests();
+    });
+}
+
+function pollGdprRequests(requestId) {
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_gdpr_poll_requests',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        request_id: requestId || ''
+    }, function(response) {
+        if (response.success) {
+            renderGdprRequests(response.data.requests);
+            renderGdprAuditTrail(response.data.audit);
+            jQuery('#gdpr-poll-updated').text('Checked ' + response.data.checked + ' pending request(s) at ' + new Date().toLocaleTimeString());
+            response.data.errors.forEach(function(error) {
+                showNotice('Could not check GDPR request for ' + escapeHtml(error.email) + ': ' + escapeHtml(error.error), 'warning');
+            });
+        } else {
+            showNotice(escapeHtml(response.data || 'Failed to check GDPR requests'), 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('Request failed: ' + escapeHtml(error), 'error');
+    });
+}
+
+function toggleGdprAutoPoll() {
+    clearInterval(gdprConsole.timer);
+    gdprConsole.timer = null;
+    
+    if (!jQuery('#gdpr-auto-poll').is(':checked')) {
+        return;
+    }
+    
+    gdprConsole.timer = setInterval(function() {
+        // Only poll while the Privacy tab is on screen and something is still pending
+        if (jQuery('#privacy-tab').is(':visible') && !document.hidden && jQuery('#gdpr-requests-table tr[data-status="pending"]').length > 0) {
+            pollGdprRequests();
+        }
+    }, 30000);
+}
+
+function downloadGdprExport(requestId) {
+    window.location.href = ajaxurl + (ajaxurl.indexOf('?') === -1 ? '?' : '&') + jQuery.param({
+        action: 'wc_wms_gdpr_download_export',
+        request_id: requestId,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    });
+    
+    // The download is recorded in the audit trail
+    setTimeout(loadGdprRequests, 2000);
+}
+
+function renderGdprRequests(requests) {
+    var tbody = jQuery('#gdpr-requests-table tbody');
+    
+    if (requests.length === 0) {
+        tbody.html('<tr><td colspan="7"><em>No GDPR requests yet.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    requests.forEach(function(request) {
+        html += '<tr data-status="' + escapeHtml(request.status) + '">';
+        html += '<td>' + formatUnixTime(request.requested_at) + '</td>';
+        html += '<td>' + escapeHtml(request.email) + '</td>';
+        html += '<td>' + (request.type === 'export' ? 'Export' : 'Redaction') + '</td>';
+        html += '<td>' + (gdprStatusLabels[request.status] || escapeHtml(request.status));
+        if (request.error) {
+            html += '<br><small class="status-error">' + escapeHtml(request.error) + '</small>';
+        }
+        html += '</td>';
+        html += '<td>' + (request.wms_request_id ? '<code>' + escapeHtml(request.wms_request_id) + '</code>' : '—');
+        if (request.last_checked_at) {
+            html += '<br><small>Checked ' + formatUnixTime(request.last_checked_at) + '</small>';
+        }
+        html += '</td>';
+        html += '<td>' + escapeHtml(request.requested_by) + (request.source === 'wp_privacy' ? '<br><small>via WordPress privacy tools</small>' : '') + '</td>';
+        html += '<td>';
+        if (request.status === 'pending' && request.wms_request_id) {
+            html += '<button type="button" class="button button-small" onclick="pollGdprRequests(\'' + escapeHtml(request.id) + '\')">Check Now</button> ';
+        }
+        if (request.has_export_data) {
+            html += '<button type="button" class="button button-small" onclick="downloadGdprExport(\'' + escapeHtml(request.id) + '\')">Download</button>';
+            if (request.export_expires_at) {
+                html += '<br><small>Deleted after ' + formatUnixTime(request.export_expires_at) + '</small>';
+            }
+        } else if (request.download_url) {
+            html += '<a href="' + escapeHtml(request.download_url) + '" target="_blank" rel="noopener" class="button button-small">Download from WMS</a>';
+        }
+        html += '</td>';
+        html += '</tr>';
+    });
+    
+    tbody.html(html);
+}
+
+function renderGdprAuditTrail(entries) {
+    var tbody = jQuery('#gdpr-audit-table tbody');
+    
+    if (entries.length === 0) {
+        tbody.html('<tr><td colspan="5"><em>The audit trail is empty.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    entries.forEach(function(entry) {
+        html += '<tr>';
+        html += '<td>' + formatUnixTime(entry.time) + '</td>';
+        html += '<td>' + escapeHtml(entry.user) + '</td>';
+        html += '<td>' + (gdprAuditLabels[entry.action] || escapeHtml(entry.action)) + '</td>';
+        html += '<td>' + (entry.type === 'export' ? 'Export' : 'Redaction') + ' for ' + escapeHtml(entry.email) + (entry.source === 'wp_privacy' ? ' <small>(WordPress privacy tools)</small>' : '') + '</td>';
+        html += '<td>' + escapeHtml(entry.details || '') + '</td>';
+        html += '</tr>';
+    });
+    
+    tbody.html(html);
+}
+
+// Stock dashboard state: the last loaded dashboard and how each table is sorted
+var stockDashboard = {
+    data: null,
+    sort: {
+        turnover: { key: 'total_sold', dir: -1 },
+        low: { key: 'stock_quantity', dir: 1 },
+        batches: { key: 'expiration_date', dir: 1 }
+    }
+};
+
+// Table columns: value key, header label and optional cell renderer
+var stockDashboardColumns = {
+    turnover: [
+        { key: 'sku', label: 'SKU', render: function(row) { return '<code>' + escapeHtml(row.sku) + '</code>'; } },
+        { key: 'product_name', label: 'Product' },
+        { key: 'total_sold', label: 'Sold' },
+        { key: 'current_stock', label: 'Stock' },
+        { key: 'turnover_rate', label: 'Turnover' },
+        { key: 'days_of_stock', label: 'Days of Stock' }
+    ],
+    low: [
+        { key: 'sku', label: 'SKU', render: function(row) { return '<code>' + escapeHtml(row.sku) + '</code>'; } },
+        { key: 'name', label: 'Product' },
+        { key: 'stock_quantity', label: 'Stock', render: function(row) { return '<span class="' + (row.stock_quantity > 0 ? 'status-warning' : 'status-error') + '">' + escapeHtml(row.stock_quantity) + '</span>'; } },
+        { key: 'stock_status', label: 'Status' },
+        { key: 'wms_variant_id', label: 'In WMS', render: function(row) { return row.wms_variant_id ? '✅' : '—'; } }
+    ],
+    batches: [
+        { key: 'reference', label: 'Batch', render: function(row) { return escapeHtml(row.reference || row.id); } },
+        { key: 'sku', label: 'SKU', render: function(row) { return row.sku ? '<code>' + escapeHtml(row.sku) + '</code>' : '—'; } },
+        { key: 'quantity', label: 'Quantity' },
+        { key: 'expiration_date', label: 'Expires', render: function(row) {
+            if (!row.expiration_date) {
+                return '—';
+            }
+            var expired = new Date(row.expiration_date) < new Date();
+            return '<span class="' + (expired ? 'status-error' : '') + '">' + escapeHtml(row.expiration_date) + (expired ? ' (expired)' : '') + '</span>';
+        } }
+    ]
+};
+
+function loadStockDashboard(saveThreshold) {
+    var data = {
+        action: 'wc_wms_stock_get_dashboard',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    };
+    if (saveThreshold) {
+        data.threshold = jQuery('#stock-dashboard-threshold').val();
+    }
+    
+    jQuery('#stock-dashboard-updated').text('Loading...');
+    
+    jQuery.post(ajaxurl, data, function(response) {
+        if (response.success) {
+            stockDashboard.data = response.data;
+            jQuery('#stock-dashboard-threshold').val(response.data.threshold);
+            jQuery('#stock-dashboard-updated').text('Updated ' + formatUnixTime(response.data.generated_at));
+            renderStockDashboard();
+        } else {
+            jQuery('#stock-dashboard-updated').text('');
+            jQuery('#stock-dashboard-summary').html('<div class="notice notice-error inline"><p>❌ ' + escapeHtml(response.data || 'Failed to load stock dashboard') + '</p></div>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#stock-dashboard-updated').text('');
+        jQuery('#stock-dashboard-summary').html('<div class="notice notice-error inline"><p>❌ Request failed: ' + escapeHtml(error) + '</p></div>');
+    });
+}
+
+function renderStockDashboard() {
+    var data = stockDashboard.data;
+    var summary = data.summary;
+    
+    // Low stock products are capped at 50 by the stock service
+    var lowStockCount = data.low_stock.length >= 50 ? '50+' : data.low_stock.length;
+    
+    var html = '<div class="diagnosis-summary">';
+    html += '<div><span class="diagnosis-count">' + summary.stock_managed_products + '</span>Stock Managed</div>';
+    html += '<div><span class="diagnosis-count">' + summary.sync_percentage + '%</span>Synced with WMS (' + summary.wms_synced_products + ')</div>';
+    html += '<div><span class="diagnosis-count ' + (summary.out_of_stock_products > 0 ? 'status-error' : 'status-success') + '">' + summary.out_of_stock_products + '</span>Out of Stock</div>';
+    html += '<div><span class="diagnosis-count ' + (data.low_stock.length > 0 ? 'status-warning' : 'status-success') + '">' + lowStockCount + '</span>Low Stock (≤ ' + data.threshold + ')</div>';
+    html += '<div><span class="diagnosis-count">' + escapeHtml(data.currency) + Number(summary.estimated_stock_value).toFixed(2) + '</span>Estimated Stock Value</div>';
+    html += '<div><span class="diagnosis-count">' + data.batches.length + '</span>WMS Batches</div>';
+    html += '</div>';
+    jQuery('#stock-dashboard-summary').html(html);
+    
+    var alerts = '';
+    data.alerts.forEach(function(alert) {
+        alerts += '<div class="notice notice-' + (alert.severity === 'warning' ? 'warning' : 'error') + ' inline"><p>' + escapeHtml(alert.message) + '</p></div>';
+    });
+    jQuery('#stock-dashboard-alerts').html(alerts);
+    
+    renderStockTurnover();
+    
+    renderStockBarChart('#stock-low-chart', data.low_stock.slice().sort(function(a, b) {
+        return a.stock_quantity - b.stock_quantity;
+    }), 'stock_quantity', 'Lowest stock');
+    renderStockDashboardTable('low', data.low_stock, 'No products at or below the low stock threshold.');
+    
+    renderStockDashboardTable('batches', data.batches, data.batches_error ? '❌ Could not load batches from WMS: ' + data.batches_error : 'No batches in WMS.');
+}
+
+function renderStockTurnover() {
+    if (!stockDashboard.data) {
+        return;
+    }
+    
+    var days = jQuery('#stock-turnover-period').val();
+    var rows = stockDashboard.data.turnover[days] || [];
+    
+    renderStockBarChart('#stock-turnover-chart', rows, 'total_sold', 'Best sellers, last ' + days + ' days');
+    renderStockDashboardTable('turnover', rows, 'Nothing sold in the last ' + days + ' days.');
+}
+
+// Horizontal bar chart of the first 10 rows, scaled to the largest value
+function renderStockBarChart(container, rows, valueKey, title) {
+    rows = rows.slice(0, 10);
+    if (rows.length === 0) {
+        jQuery(container).html('');
+        return;
+    }
+    
+    var max = Math.max.apply(null, rows.map(function(row) {
+        return Math.max(0, Number(row[valueKey]) || 0);
+    })) || 1;
+    
+    var html = '<h4>' + escapeHtml(title) + '</h4>';
+    rows.forEach(function(row) {
+        var value = Number(row[valueKey]) || 0;
+        html += '<div class="stock-bar-row">';
+        html += '<span class="stock-bar-label" title="' + escapeHtml(row.product_name || row.name) + '">' + escapeHtml(row.sku || row.product_name || row.name) + '</span>';
+        html += '<span class="stock-bar" style="width: ' + Math.round(Math.max(0, value) / max * 100) + '%;"></span>';
+        html += '<span class="stock-bar-value">' + value + '</span>';
+        html += '</div>';
+    });
+    
+    jQuery(container).html(html);
+}
+
+function renderStockDashboardTable(table, rows, emptyText) {
+    var columns = stockDashboardColumns[table];
+    var sort = stockDashboard.sort[table];
+    var tableId = '#stock-' + table + '-table';
+    
+    var header = '<tr>';
+    columns.forEach(function(column) {
+        var arrow = sort.key === column.key ? (sort.dir === 1 ? ' ▲' : ' ▼') : '';
+        header += '<th class="sortable-column" onclick="sortStockDashboard(\'' + table + '\', \'' + column.key + '\')">' + column.label + arrow + '</th>';
+    });
+    header += '</tr>';
+    jQuery(tableId + ' thead').html(header);
+    
+    if (rows.length === 0) {
+        jQuery(tableId + ' tbody').html('<tr><td colspan="' + columns.length + '"><em>' + escapeHtml(emptyText) + '</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    sortedStockDiagnosisRows(rows, sort).forEach(function(row) {
+        html += '<tr>';
+        columns.forEach(function(column) {
+            html += '<td>' + (column.render ? column.render(row) : escapeHtml(row[column.key])) + '</td>';
+        });
+        html += '</tr>';
+    });
+    jQuery(tableId + ' tbody').html(html);
+}
+
+function sortStockDashboard(table, key) {
+    var sort = stockDashboard.sort[table];
+    sort.dir = sort.key === key ? -sort.dir : 1;
+    sort.key = key;
+    
+    if (table === 'turnover') {
+        renderStockTurnover();
+    } else {
+        renderStockDashboard();
+    }
+}
+
+function downloadStockPlanning() {
+    window.location.href = ajaxurl + (ajaxurl.indexOf('?') === -1 ? '?' : '&') + jQuery.param({
+        action: 'wc_wms_stock_download_planning',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    });
+}
+
+// Targeted refresh: products or SKUs are sent in chunks the server accepts per request
+var targetedRefreshFields = [
+    { key: 'name', label: 'Name' },
+    { key: 'stock_quantity', label: 'Stock' },
+    { key: 'stock_status', label: 'Status' }
+];
+
+function refreshSelectedProducts(productIds) {
+    var form = jQuery('#targeted-refresh-form');
+    var items = productIds || jQuery('#targeted-refresh-skus').val().split(/[\s,;]+/).filter(function(sku) {
+        return sku !== '';
+    });
+    var refreshProducts = jQuery('#targeted-refresh-products').is(':checked');
+    var refreshStock = jQuery('#targeted-refresh-stock').is(':checked');
+    
+    if (items.length === 0) {
+        showNotice('Paste at least one SKU to refresh', 'error');
+        return;
+    }
+    if (!refreshProducts && !refreshStock) {
+        showNotice('Choose product data, stock or both to refresh', 'error');
+        return;
+    }
+    
+    var chunkSize = parseInt(form.data('max-products'), 10) || 50;
+    var result = { summary: { refreshed: 0, failed: 0, skipped: 0 }, rows: [], not_found: [], errors: [] };
+    var button = document.getElementById('targeted-refresh-submit');
+    setButtonLoading(button, true);
+    jQuery('#targeted-refresh-result').html('');
+    
+    function refreshChunk(offset) {
+        if (offset >= items.length) {
+            jQuery('#targeted-refresh-progress').text('');
+            setButtonLoading(button, false);
+            renderTargetedRefresh(result);
+            return;
+        }
+        
+        var chunk = items.slice(offset, offset + chunkSize);
+        jQuery('#targeted-refresh-progress').text('Refreshing ' + (offset + 1) + '–' + (offset + chunk.length) + ' of ' + items.length + '...');
+        
+        var data = {
+            action: 'wc_wms_refresh_selected_products',
+            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+            refresh_products: refreshProducts ? 1 : 0,
+            refresh_stock: refreshStock ? 1 : 0
+        };
+        if (productIds) {
+            data.product_ids = chunk;
+        } else {
+            data.skus = chunk.join('\n');
+        }
+        
+        jQuery.post(ajaxurl, data, function(response) {
+            if (response.success) {
+                result.summary.refreshed += response.data.summary.refreshed;
+                result.summary.failed += response.data.summary.failed;
+                result.summary.skipped += response.data.summary.skipped;
+                result.rows = result.rows.concat(response.data.rows);
+                result.not_found = result.not_found.concat(response.data.not_found);
+            } else {
+                result.errors.push(response.data || 'Failed to refresh products');
+            }
+        }).fail(function(xhr, status, error) {
+            result.errors.push('Request failed: ' + error);
+        }).always(function() {
+            refreshChunk(offset + chunkSize);
+        });
+    }
+    
+    refreshChunk(0);
+}
+
+function renderTargetedRefresh(result) {
+    var html = '';
+    
+    result.errors.forEach(function(error) {
+        html += '<div class="notice notice-error inline"><p>❌ ' + escapeHtml(error) + '</p></div>';
+    });
+    
+    html += '<div class="diagnosis-summary">';
+    html += '<div><span class="diagnosis-count status-success">' + result.summary.refreshed + '</span>Refreshed</div>';
+    html += '<div><span class="diagnosis-count' + (result.summary.failed > 0 ? ' status-error' : '') + '">' + result.summary.failed + '</span>Failed</div>';
+    html += '<div><span class="diagnosis-count">' + result.summary.skipped + '</span>Unchanged</div>';
+    html += '<div><span class="diagnosis-count' + (result.not_found.length > 0 ? ' status-warning' : '') + '">' + result.not_found.length + '</span>SKUs Not Found</div>';
+    html += '</div>';
+    
+    if (result.not_found.length > 0) {
+        html += '<p class="status-warning">No WooCommerce product for: ' + result.not_found.map(function(sku) {
+            return '<code>' + escapeHtml(sku) + '</code>';
+        }).join(', ') + '</p>';
+    }
+    
+    if (result.rows.length > 0) {
+        html += '<table class="widefat striped"><thead><tr><th style="width: 160px;">SKU</th><th>Product</th><th>Before → After</th><th style="width: 220px;">Result</th></tr></thead><tbody>';
+        result.rows.forEach(function(row) {
+            html += '<tr>';
+            html += '<td><code>' + escapeHtml(row.sku || '—') + '</code>' + (row.parent_id ? '<br><small>Variation of #' + row.parent_id + '</small>' : '') + '</td>';
+            html += '<td>' + escapeHtml(row.name || '#' + row.product_id) + '</td>';
+            html += '<td>';
+            if (row.before && row.after) {
+                html += '<ul class="import-preview-changes">';
+                targetedRefreshFields.forEach(function(field) {
+                    var before = row.before[field.key];
+                    var after = row.after[field.key];
+                    html += '<li>' + field.label + ': ' + (before === after
+                        ? escapeHtml(after === null ? '—' : after)
+                        : '<del>' + escapeHtml(before === null ? '—' : before) + '</del> → <ins>' + escapeHtml(after === null ? '—' : after) + '</ins>') + '</li>';
+                });
+                html += '</ul>';
+            }
+            html += '</td>';
+            html += '<td>';
+            if (row.refreshed.length > 0) {
+                html += '<span class="status-success">✅ ' + row.refreshed.map(function(part) {
+                    return part === 'product' ? 'Product data' : 'Stock';
+                }).join(', ') + '</span>';
+            }
+            row.errors.forEach(function(error) {
+                html += '<br><span class="status-error">❌ ' + escapeHtml(error) + '</span>';
+            });
+            if (row.refreshed.length === 0 && row.errors.length === 0) {
+                html += '<em>Refreshed through its variations</em>';
+            }
+            html += '</td>';
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+    }
+    
+    jQuery('#targeted-refresh-result').html(html);
+}
+
+// Products selected with the "Refresh from WMS" bulk action on the Products screen
+jQuery(document).ready(function() {
+    var match = window.location.search.match(/[?&]wms_refresh_products=([\d,]+)/);
+    if (!match) {
+        return;
+    }
+    
+    // Drop the parameter so reloading the page does not refresh the products again
+    if (window.history.replaceState) {
+        window.history.replaceState(null, '', window.location.href.replace(/([?&])wms_refresh_products=[\d,]*&?/, '$1').replace(/[?&]#/, '#'));
+    }
+    
+    refreshSelectedProducts(match[1].split(',').filter(function(id) {
+        return id !== '';
+    }));
+});
+
+// Stock tab state: the product looked up and the modification page shown
+var stockConsole = {
+    loaded: false,
+    product: null,
+    page: 1,
+    modifications: []
+};
+
+var stockReasonLabels = {
+    CORRECTION: '✏️ Correction',
+    DEFECTIVE: '💔 Defective',
+    LOST: '❓ Lost'
+};
+
+function lookupStockSku(sku) {
+    sku = sku || jQuery('#stock-lookup-sku').val().trim();
+    if (!sku) {
+        return;
+    }
+    
+    jQuery('#stock-lookup-result').html('<p class="loading">Looking up ' + escapeHtml(sku) + ' in WooCommerce and WMS...</p>');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_stock_lookup_sku',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        sku: sku
+    }, function(response) {
+        if (response.success) {
+            stockConsole.product = response.data;
+            renderStockLookup(response.data);
+        } else {
+            stockConsole.product = null;
+            jQuery('#stock-adjustment').hide();
+            jQuery('#stock-lookup-result').html('<div class="notice notice-error inline"><p>❌ ' + escapeHtml(response.data || 'Failed to look up SKU') + '</p></div>');
+        }
+        renderStockModifications();
+    }).fail(function(xhr, status, error) {
+        jQuery('#stock-lookup-result').html('<div class="notice notice-error inline"><p>❌ Request failed: ' + escapeHtml(error) + '</p></div>');
+    });
+}
+
+function renderStockLookup(product) {
+    var html = '<h4><a href="' + escapeHtml(product.edit_url) + '">' + escapeHtml(product.name) + '</a> <code>' + escapeHtml(product.sku) + '</code></h4>';
+    
+    html += '<div class="diagnosis-summary">';
+    html += '<div><span class="diagnosis-count">' + (product.wc_quantity === null ? '—' : product.wc_quantity) + '</span>WooCommerce' + (product.wc_quantity === null ? ' (stock not managed)' : '') + '</div>';
+    html += '<div><span class="diagnosis-count' + (product.wms_error ? ' status-error' : '') + '">' + (product.wms_quantity === null ? '—' : product.wms_quantity) + '</span>WMS' + (product.wms_error ? ' (unavailable)' : '') + '</div>';
+    if (product.difference !== null) {
+        html += '<div><span class="diagnosis-count ' + (product.difference === 0 ? 'status-success' : 'status-warning') + '">' + (product.difference > 0 ? '+' : '') + product.difference + '</span>Difference</div>';
+    }
+    html += '</div>';
+    
+    if (product.last_updated) {
+        html += '<p><small>WooCommerce stock last updated from WMS: ' + escapeHtml(product.last_updated) + '</small></p>';
+    }
+    if (product.wms_error) {
+        html += '<p class="status-error">❌ Could not get the WMS stock: ' + escapeHtml(product.wms_error) + '. Look the SKU up again to adjust its stock.</p>';
+    }
+    if (!product.wms_variant_id) {
+        html += '<p class="status-warning">⚠️ This product is not synchronized with WMS yet, so its WMS stock cannot be shown or adjusted.</p>';
+    }
+    
+    jQuery('#stock-lookup-result').html(html);
+    jQuery('#stock-adjustment').toggle(!!product.wms_variant_id && !product.wms_error);
+    updateStockAdjustmentHint();
+}
+
+function updateStockAdjustmentHint() {
+    var hint = jQuery('#stock-adjustment-reason').val() === 'CORRECTION'
+        ? 'Change to book in WMS: positive adds stock, negative removes it.'
+        : 'Number of items to book out of WMS stock.';
+    jQuery('#stock-adjustment-hint').text(hint);
+}
+
+function submitStockAdjustment() {
+    var product = stockConsole.product;
+    if (!product) {
+        return;
+    }
+    
+    var reason = jQuery('#stock-adjustment-reason').val();
+    var quantity = parseInt(jQuery('#stock-adjustment-quantity').val(), 10);
+    var note = jQuery('#stock-adjustment-note').val().trim();
+    
+    if (!quantity) {
+        showNotice('Enter a quantity other than zero', 'error');
+        return;
+    }
+    if (!note) {
+        showNotice('Enter a note explaining the adjustment', 'error');
+        return;
+    }
+    
+    var change = reason === 'CORRECTION' ? quantity : -Math.abs(quantity);
+    var message = 'Book ' + (change > 0 ? '+' : '') + change + ' for ' + product.sku + ' (' + product.name + ') in WMS as ' + reason.toLowerCase() + '?';
+    if (product.wms_quantity !== null) {
+        message += '\n\nWMS stock: ' + product.wms_quantity + ' → ' + (product.wms_quantity + change);
+    }
+    message += '\nNote: ' + note;
+    
+    if (!confirm(message)) {
+        return;
+    }
+    
+    var button = document.getElementById('stock-adjustment-submit');
+    setButtonLoading(button, true);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_stock_submit_adjustment',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        product_id: product.product_id,
+        reason: reason,
+        quantity: quantity,
+        note: note
+    }, function(response) {
+        if (response.success) {
+            showNotice('✅ ' + escapeHtml(response.data.message) + (response.data.modification_id ? ' - modification ' + escapeHtml(response.data.modification_id) : ''), 'success');
+            jQuery('#stock-adjustment-quantity').val('');
+            jQuery('#stock-adjustment-note').val('');
+            lookupStockSku(product.sku);
+            loadStockModifications(1);
+        } else {
+            showNotice('❌ ' + escapeHtml(response.data || 'Failed to submit stock adjustment'), 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('❌ Request failed: ' + escapeHtml(error), 'error');
+    }).always(function() {
+        setButtonLoading(button, false);
+    });
+}
+
+function loadStockModifications(page) {
+    stockConsole.loaded = true;
+    stockConsole.page = Math.max(1, page || 1);
+    
+    jQuery('#stock-modifications-table tbody').html('<tr><td colspan="5" class="loading">Loading modifications from WMS...</td></tr>');
+    jQuery('#stock-modifications-newer, #stock-modifications-older').prop('disabled', true);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_stock_get_modifications',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        page: stockConsole.page,
+        reason: jQuery('#stock-modifications-reason').val()
+    }, function(response) {
+        if (response.success) {
+            stockConsole.modifications = response.data.modifications;
+            renderStockModifications();
+            jQuery('#stock-modifications-page').text('Page ' + response.data.page);
+            jQuery('#stock-modifications-newer').prop('disabled', response.data.page <= 1);
+            jQuery('#stock-modifications-older').prop('disabled', !response.data.has_more);
+        } else {
+            jQuery('#stock-modifications-table tbody').html('<tr><td colspan="5"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load modifications') + '</span></td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#stock-modifications-table tbody').html('<tr><td colspan="5"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td></tr>');
+    });
+}
+
+function renderStockModifications() {
+    if (!stockConsole.loaded) {
+        return;
+    }
+    
+    var tbody = jQuery('#stock-modifications-table tbody');
+    var product = stockConsole.product;
+    var onlyCurrentSku = jQuery('#stock-modifications-current-sku').is(':checked') && product;
+    
+    var modifications = stockConsole.modifications.filter(function(modification) {
+        return !onlyCurrentSku || modification.lines.some(function(line) {
+            return line.sku === product.sku || (product.wms_variant_id && line.variant_id === product.wms_variant_id);
+        });
+    });
+    
+    if (modifications.length === 0) {
+        tbody.html('<tr><td colspan="5"><em>No modifications on this page.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    modifications.forEach(function(modification) {
+        html += '<tr>';
+        html += '<td>' + escapeHtml(modification.created_at || '—') + '<br><small><code>' + escapeHtml(modification.id) + '</code></small></td>';
+        html += '<td>' + (stockReasonLabels[modification.reason] || escapeHtml(modification.reason)) + '</td>';
+        html += '<td>' + escapeHtml(modification.status || '—') + '</td>';
+        html += '<td>' + modification.lines.map(function(line) {
+            return '<code>' + escapeHtml(line.sku || line.variant_id) + '</code> ' + (line.quantity > 0 ? '+' : '') + line.quantity;
+        }).join('<br>') + '</td>';
+        html += '<td>' + escapeHtml(modification.note) + '</td>';
+        html += '</tr>';
+    });
+    
+    tbody.html(html);
+}
+
+// Cron schedules: jobs, available intervals and the job being run from the console
+var cronSchedules = {
+    loaded: false,
+    rows: [],
+    intervals: [],
+    now: 0,
+    running: null
+};
+
+var cronResultLabels = {
+    success: '<span class="status-success">✅ Success</span>',
+    failed: '<span class="status-error">❌ Failed</span>',
+    skipped: '<span class="status-warning">⏭️ Skipped</span>'
+};
+
+function loadCronSchedules() {
+    cronSchedules.loaded = true;
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_cron_schedules',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }, function(response) {
+        if (response.success) {
+            cronSchedules.rows = response.data.schedules;
+            cronSchedules.intervals = response.data.intervals;
+            cronSchedules.now = response.data.now;
+            renderCronSchedules();
+            jQuery('#cron-schedules-warning').html(response.data.cron_disabled ? '<div class="notice notice-warning inline"><p>⚠️ WP-Cron is disabled (<code>DISABLE_WP_CRON</code>). Jobs only run when a server cron job calls <code>wp-cron.php</code>.</p></div>' : '');
+            jQuery('#cron-schedules-updated').text('Updated ' + new Date().toLocaleTimeString());
+        } else {
+            jQuery('#cron-schedules-table tbody').html('<tr><td colspan="7"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load cron schedules') + '</span></td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#cron-schedules-table tbody').html('<tr><td colspan="7"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td></tr>');
+    });
+}
+
+// Describe how far a server timestamp is from the server time the schedules were loaded at
+function formatCronRelative(timestamp) {
+    var seconds = timestamp - cronSchedules.now;
+    var minutes = Math.round(Math.abs(seconds) / 60);
+    var text = minutes < 1 ? 'less than a minute' : (minutes < 120 ? minutes + ' min' : Math.round(minutes / 60) + ' hours');
+    
+    return seconds < 0 ? text + ' ago' : 'in ' + text;
+}
+
+function renderCronSchedules() {
+    var tbody = jQuery('#cron-schedules-table tbody');
+    
+    if (cronSchedules.rows.length === 0) {
+        tbody.html('<tr><td colspan="7"><em>No cron jobs found.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    cronSchedules.rows.forEach(function(row) {
+        var hook = escapeHtml(row.hook);
+        var last = row.last_run;
+        
+        html += '<tr>';
+        html += '<td><strong>' + escapeHtml(row.label) + '</strong><br><small><code>' + hook + '</code> → <code>' + escapeHtml(row.callback) + '()</code></small></td>';
+        
+        html += '<td><select onchange="updateCronSchedule(\'' + hook + '\', \'interval\', this.value)">';
+        cronSchedules.intervals.forEach(function(interval) {
+            html += '<option value="' + escapeHtml(interval.name) + '"' + (interval.name === row.interval ? ' selected' : '') + '>';
+            html += escapeHtml(interval.display) + (interval.name === row.default_interval ? ' (default)' : '') + '</option>';
+        });
+        html += '</select></td>';
+        
+        if (row.paused) {
+            html += '<td><span class="status-warning">⏸️ Paused</span></td>';
+        } else if (!row.next_run) {
+            html += '<td><span class="status-error">Not scheduled</span></td>';
+        } else {
+            html += '<td>' + formatUnixTime(row.next_run) + '<br><small' + (row.next_run < cronSchedules.now - 60 ? ' class="status-warning">overdue, ' : '>') + formatCronRelative(row.next_run) + '</small></td>';
+        }
+        
+        if (last) {
+            html += '<td>' + formatUnixTime(last.last_run) + '<br><small>' + (last.trigger === 'manual' ? 'Run now' : 'WP-Cron') + ', ' + formatCronRelative(last.last_run) + '</small></td>';
+            html += '<td>' + last.duration + 's</td>';
+            html += '<td>' + (cronResultLabels[last.result] || escapeHtml(last.result)) + (last.message ? '<br><small>' + escapeHtml(last.message) + '</small>' : '') + '</td>';
+        } else {
+            html += '<td colspan="3"><em>Not run since schedules are tracked</em></td>';
+        }
+        
+        html += '<td>';
+        if (row.paused) {
+            html += '<button type="button" class="button button-small" onclick="updateCronSchedule(\'' + hook + '\', \'resume\')">▶️ Resume</button> ';
+        } else {
+            html += '<button type="button" class="button button-small" onclick="updateCronSchedule(\'' + hook + '\', \'pause\')">⏸️ Pause</button> ';
+        }
+        html += '<button type="button" class="button button-small button-primary" onclick="runCronJob(\'' + hook + '\')"' + (cronSchedules.running || row.running ? ' disabled' : '') + '>' + (row.running ? 'Running...' : 'Run now') + '</button>';
+        html += '</td>';
+        html += '</tr>';
+    });
+    
+    tbody.html(html);
+}
+
+function findCronSchedule(hook) {
+    return cronSchedules.rows.filter(function(row) {
+        return row.hook === hook;
+    })[0];
+}
+
+function updateCronSchedule(hook, operation, interval) {
+    var row = findCronSchedule(hook);
+    
+    if (operation === 'pause' && !confirm('Pause "' + row.label + '"? It will not run again until you resume it.')) {
+        return;
+    }
+    
+    jQuery('#cron-schedules-table button, #cron-schedules-table select').prop('disabled', true);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_update_cron_schedule',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        hook: hook,
+        operation: operation,
+        interval: interval || ''
+    }, function(response) {
+        if (response.success) {
+            cronSchedules.rows = response.data.schedules;
+            cronSchedules.now = response.data.now;
+            showNotice('✅ ' + escapeHtml(row.label) + (operation === 'pause' ? ' paused' : (operation === 'resume' ? ' resumed' : ' rescheduled')), 'success');
+        } else {
+            showNotice('❌ ' + escapeHtml(response.data || 'Failed to update cron schedule'), 'error');
+        }
+    }).fail(function(xhr, status, error) {
+        showNotice('❌ Request failed: ' + escapeHtml(error), 'error');
+    }).always(function() {
+        renderCronSchedules();
+    });
+}
+
+// Run a job's cron handler now and stream what it logs until it finishes
+function runCronJob(hook) {
+    if (cronSchedules.running) {
+        return;
+    }
+    
+    if (!window.EventSource) {
+        showNotice('❌ Your browser cannot follow a job run. Use a current browser to run jobs from here.', 'error');
+        return;
+    }
+    
+    var row = findCronSchedule(hook);
+    var finished = false;
+    
+    cronSchedules.running = hook;
+    renderCronSchedules();
+    
+    jQuery('#cron-run-output').show();
+    jQuery('#cron-run-title').text('▶️ ' + row.label);
+    jQuery('#cron-run-log').empty();
+    jQuery('#cron-run-result').html('<p class="loading">Running...</p>');
+    
+    var source = new EventSource(ajaxurl + (ajaxurl.indexOf('?') === -1 ? '?' : '&') + jQuery.param({
+        action: 'wc_wms_stream_cron_run',
+        hook: hook,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    }));
+    
+    // Close on the first outcome so the browser never reconnects and runs the job again
+    var finish = function(html) {
+        finished = true;
+        source.close();
+        cronSchedules.running = null;
+        jQuery('#cron-run-result').html(html);
+        loadCronSchedules();
+    };
+    
+    source.addEventListener('start', function(e) {
+        var data = JSON.parse(e.data);
+        appendCronRunLog(new Date(data.started * 1000).toLocaleTimeString() + ' Started ' + data.hook);
+    });
+    
+    source.addEventListener('log', function(e) {
+        var data = JSON.parse(e.data);
+        appendCronRunLog(new Date(data.time * 1000).toLocaleTimeString() + ' [' + data.level.toUpperCase() + '] ' + data.message);
+    });
+    
+    source.addEventListener('done', function(e) {
+        var run = JSON.parse(e.data);
+        appendCronRunLog('Finished in ' + run.duration + 's');
+        finish('<p>' + (cronResultLabels[run.result] || escapeHtml(run.result)) + (run.message ? ' ' + escapeHtml(run.message) : '') + '</p>');
+    });
+    
+    source.addEventListener('failed', function(e) {
+        finish('<p><span class="status-error">❌ ' + escapeHtml(JSON.parse(e.data).message) + '</span></p>');
+    });
+    
+    source.onerror = function() {
+        if (!finished) {
+            finish('<p><span class="status-error">❌ Lost the connection. The job may still be running; refresh the schedules to see its result.</span></p>');
+        }
+    };
+}
+
+function appendCronRunLog(line) {
+    var log = jQuery('#cron-run-log');
+    log.append(document.createTextNode(line + '\n'));
+    log.scrollTop(log[0].scrollHeight);
+}
+
+// Log viewer state: cursors of the pages visited so far
+var logViewer = {
+    loaded: false,
+    cursors: [''],
+    page: 0,
+    nextCursor: null
+};
+
+// Load logs for the current filters (first page)
+function loadLogs() {
+    logViewer.cursors = [''];
+    logViewer.page = 0;
+    fetchLogsPage();
+}
+
+// Load the next (older) page of logs
+function loadOlderLogs() {
+    if (!logViewer.nextCursor) {
+        return;
+    }
+    logViewer.page++;
+    logViewer.cursors[logViewer.page] = logViewer.nextCursor;
+    fetchLogsPage();
+}
+
+// Load the previous (newer) page of logs
+function loadNewerLogs() {
+    if (logViewer.page === 0) {
+        return;
+    }
+    logViewer.page--;
+    fetchLogsPage();
+}
+
+// Reset log filters and reload
+function resetLogFilters() {
+    document.getElementById('log-filters').reset();
+    loadLogs();
+}
+
+// Fetch a page of logs from the server
+function fetchLogsPage() {
+    var tbody = jQuery('#logs-table tbody');
+    var data = {
+        action: 'wc_wms_get_logs',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        cursor: logViewer.cursors[logViewer.page]
+    };
+    
+    jQuery('#log-filters').serializeArray().forEach(function(field) {
+        data[field.name] = field.value;
+    });
+    
+    logViewer.loaded = true;
+    tbody.html('<tr><td colspan="4" class="loading">Loading logs...</td></tr>');
+    jQuery('#logs-newer, #logs-older').prop('disabled', true);
+    
+    jQuery.post(ajaxurl, data, function(response) {
+        if (response.success) {
+            logViewer.nextCursor = response.data.next_cursor;
+            renderLogs(response.data.logs);
+            jQuery('#logs-newer').prop('disabled', logViewer.page === 0);
+            jQuery('#logs-older').prop('disabled', !response.data.has_more);
+            jQuery('#logs-page-info').text('Page ' + (logViewer.page + 1));
+        } else {
+            tbody.html('<tr><td colspan="4"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load logs') + '</span></td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        tbody.html('<tr><td colspan="4"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td></tr>');
+        console.error('Load logs failed:', xhr.responseText);
+    });
+}
+
+// Render log rows with expandable payload details
+function renderLogs(logs) {
+    var tbody = jQuery('#logs-table tbody');
+    
+    if (logs.length === 0) {
+        tbody.html('<tr><td colspan="4"><em>No log entries match the current filters.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    logs.forEach(function(log) {
+        var isApi = log.log_type === 'api';
+        var status;
+        
+        if (log.error_message) {
+            status = '<span style="color: red;">❌ Error</span>';
+        } else if (isApi) {
+            status = '<span style="color: green;">✅ Success</span>';
+        } else if (parseInt(log.processed, 10)) {
+            status = '<span style="color: green;">✅ Processed</span>';
+        } else {
+            status = '<span style="color: orange;">⏳ Pending</span>';
+        }
+        
+        html += '<tr class="log-row" onclick="toggleLogDetails(this)">';
+        html += '<td>' + escapeHtml(log.created_at) + '</td>';
+        html += '<td><span class="dashicons dashicons-' + (isApi ? 'cloud' : 'admin-post') + '"></span> ' + (isApi ? 'Api' : 'Webhook') + '</td>';
+        if (isApi) {
+            html += '<td><strong>' + escapeHtml(log.method) + '</strong> ' + escapeHtml(log.endpoint);
+        } else {
+            html += '<td><strong>' + escapeHtml(log.webhook_type) + '</strong>';
+        }
+        if (log.error_message) {
+            html += '<br><small class="status-error">' + escapeHtml(log.error_message) + '</small>';
+        }
+        html += '</td>';
+        html += '<td>' + status + '</td>';
+        html += '</tr>';
+        
+        html += '<tr class="log-details" style="display: none;"><td colspan="4">';
+        if (isApi) {
+            html += formatLogPayload('Request', log.request_data);
+            html += formatLogPayload('Response', log.response_data);
+        } else {
+            html += formatLogPayload('Payload', log.payload);
+        }
+        if (log.error_message) {
+            html += '<h4>Error</h4><pre class="log-payload">' + escapeHtml(log.error_message) + '</pre>';
+        }
+        html += '</td></tr>';
+    });
+    
+    tbody.html(html);
+}
+
+// Expand or collapse the details row below a log row
+function toggleLogDetails(row) {
+    jQuery(row).next('.log-details').toggle();
+}
+
+// Pretty-print a stored JSON payload
+function formatLogPayload(label, raw) {
+    var value = raw;
+    
+    // Payloads are stored JSON encoded; decode (twice for encoded strings) for display
+    for (var i = 0; i < 2 && typeof value === 'string'; i++) {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            break;
+        }
+    }
+    
+    if (value === null || value === undefined || value === '') {
+        return '<h4>' + label + '</h4><p><em>Empty</em></p>';
+    }
+    
+    var text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    return '<h4>' + label + '</h4><pre class="log-payload">' + escapeHtml(text) + '</pre>';
+}
+
+// Load the webhook processing queue
+function loadWebhookQueue() {
+    var tbody = jQuery('#webhook-queue-table tbody');
+    tbody.html('<tr><td colspan="5" class="loading">Loading webhook queue...</td></tr>');
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_get_webhook_queue',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        status: jQuery('#webhook-queue-status').val()
+    }, function(response) {
+        if (response.success) {
+            var stats = response.data.stats;
+            jQuery('#webhook-queue-stats').text(
+                'Pending: ' + stats.pending + ' | Processing: ' + stats.processing +
+                ' | Failed: ' + stats.failed + ' | Processed: ' + stats.processed
+            );
+            renderWebhookQueue(response.data.webhooks);
+        } else {
+            tbody.html('<tr><td colspan="5"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load webhook queue') + '</span></td></tr>');
+        }
+    }).fail(function(xhr, status, error) {
+        tbody.html('<tr><td colspan="5"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td></tr>');
+        console.error('Load webhook queue failed:', xhr.responseText);
+    });
+}
+
+// Render webhook queue rows with per-webhook actions
+function renderWebhookQueue(webhooks) {
+    var tbody = jQuery('#webhook-queue-table tbody');
+    var statusIcons = {
+        pending: '<span style="color: orange;">⏳ Pending</span>',
+        processing: '<span style="color: #0073aa;">🔄 Processing</span>',
+        processed: '<span style="color: green;">✅ Processed</span>',
+        failed: '<span style="color: red;">❌ Failed</span>',
+        ignored: '<span style="color: #666;">🚫 Ignored</span>'
+    };
+    
+    if (webhooks.length === 0) {
+        tbody.html('<tr><td colspan="5"><em>No webhooks in the queue.</em></td></tr>');
+        return;
+    }
+    
+    var html = '';
+    webhooks.forEach(function(webhook) {
+        var id = escapeHtml(webhook.webhook_id);
+        
+        html += '<tr data-webhook-id="' + id + '">';
+        html += '<td>' + escapeHtml(webhook.created_at) + '</td>';
+        html += '<td><strong>' + escapeHtml(webhook.group_name + '.' + webhook.action) + '</strong>';
+        html += '<br><small>Entity: ' + escapeHtml(webhook.entity_id) + (webhook.external_reference ? ' | Ref: ' + escapeHtml(webhook.external_reference) : '') + '</small>';
+        if (webhook.error_message) {
+            html += '<br><small class="status-error">' + escapeHtml(webhook.error_message) + '</small>';
+        }
+        html += '</td>';
+        html += '<td>' + (statusIcons[webhook.status] || escapeHtml(webhook.status)) + '</td>';
+        html += '<td>' + escapeHtml(webhook.attempts) + '</td>';
+        html += '<td>';
+        if (webhook.status !== 'processed') {
+            html += '<button type="button" class="button button-small" onclick="reprocessWebhook(\'' + id + '\')">Reprocess Now</button> ';
+        }
+        if (webhook.status === 'pending' || webhook.status === 'failed') {
+            html += '<button type="button" class="button button-small" onclick="ignoreWebhook(\'' + id + '\')">Ignore</button> ';
+        }
+        if (parseInt(webhook.requires_prerequisite, 10)) {
+            html += '<button type="button" class="button button-small" onclick="showWebhookPrerequisite(\'' + id + '\')">Prerequisite</button>';
+        }
+        html += '</td>';
+        html += '</tr>';
+    });
+    
+    tbody.html(html);
+}
+
+// Reprocess a single webhook immediately
+function reprocessWebhook(webhookId) {
+    var button = event.target;
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, {
+        action: 'wc_wms_reprocess_webhook',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        webhook_id: webhookId
+    }, function(response) {
+        if (response.success) {
+            showNotice(response.data.message, 'success');
+        } else {
+            showNotice(response.data.message || response.data || 'Reprocessing failed', 'error');
+        }
+        loadWebhookQueue();
+    }).fail(function(xhr, status, error) {
+        showNotice('Reprocess request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
     });
 }
 
-function checkWebhookStatus() {
+// Mark a webhook as ignored
+function ignoreWebhook(webhookId) {
+    if (!confirm('Mark webhook ' + webhookId + ' as ignored? It will not be processed.')) {
+        return;
+    }
+    
     var button = event.target;
-    button.disabled = true;
-    button.textContent = 'Checking...';
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
     
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_check_webhook_status',
-        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+        action: 'wc_wms_ignore_webhook',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        webhook_id: webhookId
     }, function(response) {
         if (response.success) {
-            var status = response.data;
-            var message = 'Webhook Status (Local Tracking):\n';
-            message += 'Registered locally: ' + status.registered_locally + '\n';
-            message += 'Expected webhooks: ' + status.expected_webhooks + '\n';
-            message += 'All registered: ' + (status.all_registered ? 'Yes' : 'No') + '\n';
-            
-            if (status.missing_events && status.missing_events.length > 0) {
-                message += 'Missing events: ' + status.missing_events.join(', ') + '\n';
-            }
-            
-            if (status.registered_events && status.registered_events.length > 0) {
-                message += 'Registered events: ' + status.registered_events.join(', ') + '\n';
-            }
-            
-            if (status.last_registration) {
-                message += 'Last registration: ' + status.last_registration + '\n';
-            }
-            
-            message += '\nNote: ' + status.note;
-            
-            alert(message);
+            showNotice(response.data.message, 'success');
+            loadWebhookQueue();
         } else {
-            alert('Failed to check webhook status: ' + (response.data || 'Unknown error'));
+            showNotice('Failed to ignore webhook: ' + (response.data || 'Unknown error'), 'error');
+            setButtonLoading(button, false, originalText);
         }
-    }).always(function() {
-        button.disabled = false;
-        button.textContent = 'Check Local Webhook Status';
+    }).fail(function(xhr, status, error) {
+        showNotice('Ignore request failed: ' + error, 'error');
+        setButtonLoading(button, false, originalText);
     });
 }
 
-function deleteAllWebhooks() {
-    if (!confirm('Are you sure you want to delete ALL webhooks from WMS? This cannot be undone.')) {
+// Show the prerequisite event a webhook is waiting on
+function showWebhookPrerequisite(webhookId) {
+    var row = jQuery('#webhook-queue-table tr[data-webhook-id="' + webhookId + '"]');
+    var existing = row.next('.webhook-prerequisite');
+    
+    if (existing.length) {
+        existing.remove();
         return;
     }
     
-    var button = event.target;
-    button.disabled = true;
-    button.textContent = 'Deleting...';
+    var detailsRow = jQuery('<tr class="webhook-prerequisite"><td colspan="5" class="loading">Loading prerequisite...</td></tr>');
+    row.after(detailsRow);
     
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_delete_all_webhooks',
-        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+        action: 'wc_wms_get_webhook_prerequisite',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        webhook_id: webhookId
     }, function(response) {
-        if (response.success) {
-            alert('All webhooks deleted: ' + response.data.message);
+        if (!response.success) {
+            detailsRow.html('<td colspan="5"><span class="status-error">❌ ' + escapeHtml(response.data || 'Failed to load prerequisite') + '</span></td>');
+            return;
+        }
+        
+        var details = response.data;
+        var html = '<td colspan="5">';
+        html += '<p><strong>' + escapeHtml(details.event_type) + '</strong> waits on <strong>' + escapeHtml(details.prerequisite_event) + '</strong> for entity <code>' + escapeHtml(details.entity_id) + '</code>: ';
+        html += details.prerequisite_met ? '<span class="status-success">✅ Prerequisite met</span>' : '<span class="status-warning">⏳ Prerequisite not met</span>';
+        html += '</p>';
+        
+        if (details.prerequisite_webhooks.length === 0) {
+            html += '<p><em>No ' + escapeHtml(details.prerequisite_event) + ' webhook has been received for this entity.</em></p>';
         } else {
-            alert('Failed to delete webhooks: ' + (response.data.message || 'Unknown error'));
+            html += '<table class="widefat"><thead><tr><th>Webhook ID</th><th>Received</th><th>Status</th><th>Attempts</th><th>Error</th></tr></thead><tbody>';
+            details.prerequisite_webhooks.forEach(function(prereq) {
+                html += '<tr>';
+                html += '<td><code>' + escapeHtml(prereq.webhook_id) + '</code></td>';
+                html += '<td>' + escapeHtml(prereq.created_at) + '</td>';
+                html += '<td>' + escapeHtml(prereq.status) + '</td>';
+                html += '<td>' + escapeHtml(prereq.attempts) + '</td>';
+                html += '<td>' + escapeHtml(prereq.error_message) + '</td>';
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
         }
-    }).always(function() {
-        button.disabled = false;
-        button.textContent = 'Delete All Webhooks';
-        location.reload();
+        
+        html += '</td>';
+        detailsRow.html(html);
+    }).fail(function(xhr, status, error) {
+        detailsRow.html('<td colspan="5"><span class="status-error">❌ Request failed: ' + escapeHtml(error) + '</span></td>');
     });
 }
 
-function validateWebhookConfig() {
+// Replay all failed webhooks in a time range
+function replayFailedWebhooks() {
+    var from = jQuery('#replay-from').val();
+    var to = jQuery('#replay-to').val();
+    
+    if (!from || !to) {
+        alert('Please select both a start and end time.');
+        return;
+    }
+    
+    if (!confirm('Replay all failed webhooks received between ' + from.replace('T', ' ') + ' and ' + to.replace('T', ' ') + '?')) {
+        return;
+    }
+    
     var button = event.target;
-    button.disabled = true;
-    button.textContent = 'Validating...';
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
+    
+    var progressDiv = createProgressIndicator(button, 'Replaying failed webhooks...');
     
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_validate_webhook_config',
-        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+        action: 'wc_wms_replay_failed_webhooks',
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        from: from.replace('T', ' '),
+        to: to.replace('T', ' ')
     }, function(response) {
         if (response.success) {
-            var validation = response.data;
-            var message = 'Webhook Configuration:\n';
-            message += 'Valid: ' + (validation.valid ? 'Yes' : 'No') + '\n';
-            message += 'Webhook URL: ' + validation.webhook_url + '\n';
-            message += 'Secret configured: ' + (validation.webhook_secret_configured ? 'Yes' : 'No') + '\n';
-            if (validation.issues.length > 0) {
-                message += '\nIssues:\n' + validation.issues.join('\n');
-            }
-            alert(message);
+            var results = response.data.results;
+            showNotice(response.data.message, results.failed > 0 ? 'warning' : 'success');
+            updateProgressIndicator(progressDiv, results.failed > 0 ? 'warning' : 'success', response.data.message);
         } else {
-            alert('Failed to validate webhook config: ' + (response.data || 'Unknown error'));
+            showNotice('Replay failed: ' + (response.data || 'Unknown error'), 'error');
+            updateProgressIndicator(progressDiv, 'error', 'Replay failed');
         }
+        loadWebhookQueue();
+    }).fail(function(xhr, status, error) {
+        showNotice('Replay request failed: ' + error, 'error');
+        updateProgressIndicator(progressDiv, 'error', 'Request failed');
     }).always(function() {
-        button.disabled = false;
-        button.textContent = 'Validate Webhook Config';
+        setButtonLoading(button, false, originalText);
+        setTimeout(function() {
+            if (progressDiv) progressDiv.fadeOut();
+        }, 5000);
     });
 }
 
-function generateWebhookSecret() {
-    if (!confirm('This will generate a new webhook secret. You will need to re-register webhooks. Continue?')) {
-        return;
+// Import preview (dry run) for articles and customers
+var importPreview = null;
+var importPreviewTypes = {
+    articles: {
+        action: 'wc_wms_import_articles',
+        title: '📦 Article Import Preview',
+        keyLabel: 'SKU',
+        selectionParam: 'skus',
+        noun: 'product'
+    },
+    customers: {
+        action: 'wc_wms_import_customers',
+        title: '👥 Customer Import Preview',
+        keyLabel: 'WMS Customer',
+        selectionParam: 'customer_ids',
+        noun: 'customer'
     }
+};
+
+// Ask the server what an import would change, without applying anything
+function previewImport(type, button) {
+    button = button || event.target;
+    var config = importPreviewTypes[type];
+    var originalText = button.textContent;
+    setButtonLoading(button, true, originalText);
     
-    var button = event.target;
-    button.disabled = true;
-    button.textContent = 'Generating...';
+    if (!jQuery('#import-preview-modal').is(':visible')) {
+        jQuery('#import-preview-result').empty();
+    }
+    
+    var progressDiv = createProgressIndicator(button, 'Comparing WMS data with WooCommerce...');
     
     jQuery.post(ajaxurl, {
-        action: 'wc_wms_generate_webhook_secret',
-        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+        action: config.action,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+        dry_run: 1
     }, function(response) {
         if (response.success) {
-            alert('New webhook secret generated: ' + response.data.message);
+            importPreview = { type: type, data: response.data };
+            renderImportPreview();
+            jQuery('#import-preview-modal').show();
+            updateProgressIndicator(progressDiv, 'success', 'Preview ready');
         } else {
-            alert('Failed to generate webhook secret: ' + (response.data || 'Unknown error'));
+            var errorMsg = 'Import preview failed: ' + ((response.data && response.data.message) || response.data || 'Unknown error');
+            showNotice(errorMsg, 'error');
+            updateProgressIndicator(progressDiv, 'error', 'Preview failed');
         }
+    }).fail(function(xhr, status, error) {
+        showNotice('Import preview request failed: ' + error, 'error');
+        updateProgressIndicator(progressDiv, 'error', 'Request failed');
+        console.error('Import preview failed:', xhr.responseText);
     }).always(function() {
-        button.disabled = false;
-        button.textContent = 'Generate New Secret';
-        location.reload();
+        setButtonLoading(button, false, originalText);
+        setTimeout(function() {
+            if (progressDiv) progressDiv.fadeOut();
+        }, 5000);
+    });
+}
+
+// Close import preview modal
+function closeImportPreview() {
+    jQuery('#import-preview-modal').hide();
+}
+
+// Render the preview summary and review table
+function renderImportPreview() {
+    var config = importPreviewTypes[importPreview.type];
+    var summary = importPreview.data.summary || {};
+    var html = '<div class="diagnosis-summary">';
+    
+    [['create', 'To create'], ['update', 'To update'], ['skip', 'Unchanged'], ['error', 'Errors']].forEach(function(entry) {
+        html += '<div><span class="diagnosis-count">' + (summary[entry[0]] || 0) + '</span>' + entry[1] + '</div>';
+    });
+    html += '</div>';
+    
+    jQuery('#import-preview-title').text(config.title);
+    jQuery('#import-preview-key-label').text(config.keyLabel);
+    jQuery('#import-preview-summary').html(html);
+    
+    html = '';
+    (importPreview.data.items || []).forEach(function(item) {
+        var selectable = item.key && (item.action === 'create' || item.action === 'update');
+        
+        html += '<tr data-action="' + escapeHtml(item.action) + '">';
+        html += '<td><input type="checkbox" class="import-preview-select" value="' + escapeHtml(item.key) + '"' + (selectable ? ' checked' : ' disabled') + ' onchange="updateApplySelectedButton()"></td>';
+        html += '<td><code>' + escapeHtml(item.key || 'N/A') + '</code>' + (item.code ? '<br><small>' + escapeHtml(item.code) + '</small>' : '') + '</td>';
+        html += '<td>' + escapeHtml(item.name) + '</td>';
+        html += '<td><span class="import-action import-action-' + escapeHtml(item.action) + '">' + escapeHtml(item.action) + '</span></td>';
+        html += '<td>' + renderImportPreviewChanges(item) + '</td>';
+        html += '</tr>';
+    });
+    
+    if (html === '') {
+        html = '<tr><td colspan="5"><em>WMS returned nothing to import</em></td></tr>';
+    }
+    
+    jQuery('#import-preview-table tbody').html(html);
+    filterImportPreview();
+}
+
+// Render the field-level changes of one preview row
+function renderImportPreviewChanges(item) {
+    if (item.error) {
+        return '<span style="color: #dc3232;">' + escapeHtml(item.error) + '</span>';
+    }
+    
+    if (!item.changes || item.changes.length === 0) {
+        return '<em>' + (item.action === 'update' ? 'Sync metadata only' : 'No changes') + '</em>';
+    }
+    
+    var html = '<ul class="import-preview-changes">';
+    item.changes.forEach(function(change) {
+        html += '<li><strong>' + escapeHtml(change.field) + ':</strong> ';
+        if (change.current !== null && change.current !== '') {
+            html += '<del>' + escapeHtml(change.current) + '</del> → ';
+        }
+        html += '<ins>' + escapeHtml(change.new) + '</ins></li>';
+    });
+    html += '</ul>';
+    
+    return html;
+}
+
+// Filter preview rows by action and search text
+function filterImportPreview() {
+    var action = jQuery('#import-preview-action-filter').val();
+    var term = (jQuery('#import-preview-search').val() || '').toLowerCase();
+    
+    jQuery('#import-preview-table tbody tr').each(function() {
+        var row = jQuery(this);
+        var matchesAction = !action || row.attr('data-action') === action;
+        var matchesTerm = term === '' || row.text().toLowerCase().indexOf(term) !== -1;
+        row.toggle(matchesAction && matchesTerm);
     });
+    
+    updateApplySelectedButton();
 }
 
+// Select or deselect all visible preview rows
+function toggleAllImportPreview(checkbox) {
+    jQuery('#import-preview-table tbody tr:visible .import-preview-select:enabled').prop('checked', checkbox.checked);
+    updateApplySelectedButton();
+}
+
+// Enable the apply button when rows are selected
+function updateApplySelectedButton() {
+    var count = jQuery('#import-preview-table tbody tr:visible .import-preview-select:checked').length;
+    jQuery('#apply-selected-import')
+        .prop('disabled', count === 0)
+        .text(count > 0 ? 'Apply ' + count + ' Selected' : 'Apply Selected');
+}
 
+// Run the import for the selected rows, or for everything
+function applyImportPreview(all) {
+    var type = importPreview.type;
+    var config = importPreviewTypes[type];
+    var button = document.getElementById(all ? 'apply-all-import' : 'apply-selected-import');
+    var data = {
+        action: config.action,
+        nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+    };
+    
+    if (all) {
+        if (!confirm('Apply the full import? Every ' + config.noun + ' WMS returns will be created or updated, including rows you did not select.')) {
+            return;
+        }
+    } else {
+        var keys = jQuery('#import-preview-table tbody tr:visible .import-preview-select:checked').map(function() {
+            return this.value;
+        }).get();
+        
+        if (keys.length === 0 || !confirm('Apply the import for ' + keys.length + ' selected ' + config.noun + '(s)?')) {
+            return;
+        }
+        
+        data[config.selectionParam] = JSON.stringify(keys);
+    }
+    
+    var originalText = button.textContent;
+    var applied = false;
+    setButtonLoading(button, true, originalText);
+    
+    jQuery.post(ajaxurl, data, function(response) {
+        var result = jQuery('#import-preview-result');
+        
+        if (response.success) {
+            var details = response.data.error_details || [];
+            var html = '<div class="notice notice-' + (details.length > 0 ? 'warning' : 'success') + ' inline"><p>' + escapeHtml(response.data.message) + '</p>';
+            if (details.length > 0) {
+                html += '<ul>';
+                details.slice(0, 10).forEach(function(error) {
+                    html += '<li>' + escapeHtml(typeof error === 'string' ? error : error.customer_name + ': ' + error.error) + '</li>';
+                });
+                html += '</ul>';
+            }
+            html += '</div>';
+            result.html(html);
+            applied = true;
+        } else {
+            result.html('<div class="notice notice-error inline"><p>Import failed: ' + escapeHtml((response.data && response.data.message) || response.data || 'Unknown error') + '</p></div>');
+        }
+    }).fail(function(xhr, status, error) {
+        jQuery('#import-preview-result').html('<div class="notice notice-error inline"><p>Import request failed: ' + escapeHtml(error) + '</p></div>');
+    }).always(function() {
+        setButtonLoading(button, false, originalText);
+        
+        // Refresh the preview so applied rows show their new state
+        if (applied) {
+            previewImport(type, button);
+        }
+    });
+}
 
 // Utility Functions
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function showNotice(message, type) {
     type = type || 'success';
     var noticeClass = 'notice-' + type;
@@ -1344,6 +4790,9 @@ jQuery(document).ready(function($) {
             refreshSetupProgress();
         }, 500);
     });
+    
+    // Reattach to a sync batch that is still running
+    resumeActiveSyncBatch();
 });
 
 // Refresh setup progress function
@@ -1422,29 +4871,7 @@ function syncEverything() {
     jQuery('#sync-progress').show();
     jQuery('#sync-results').hide();
     
-    // Initialize setup-specific progress steps (matching our sync jobs)
-    var progressSteps = [
-        { key: 'connection_test', label: 'Testing WMS connection...' },
-        { key: 'webhook_registration', label: 'Registering webhooks...' },
-        { key: 'shipping_methods', label: 'Syncing shipping methods...' },
-        { key: 'location_types', label: 'Syncing location types...' },
-        { key: 'articles_import', label: 'Importing articles/products...' },
-        { key: 'stock_sync', label: 'Syncing stock levels...' },
-        { key: 'customers_import', label: 'Importing customers...' },
-        { key: 'orders_sync', label: 'Syncing orders from WMS...' },
-        { key: 'inbounds_sync', label: 'Syncing inbounds...' },
-        { key: 'shipments_sync', label: 'Syncing shipments...' }
-    ];
-    
-    // Create progress display
-    var progressHtml = '<ul style="list-style: none; padding: 0; margin: 0;">';
-    progressSteps.forEach(function(step, index) {
-        progressHtml += '<li id="setup-step-' + step.key + '" style="margin: 5px 0; padding: 5px; background: #f0f0f0; border-radius: 3px;">';
-        progressHtml += '⏳ ' + step.label + '</li>';
-    });
-    progressHtml += '</ul>';
-    
-    jQuery('#progress-steps').html(progressHtml);
+    var progressSteps = renderSetupProgressSteps();
     
     // Start queue-based sync
     jQuery.post(ajaxurl, {
@@ -1472,48 +4899,66 @@ function syncEverything() {
     });
 }
 
-// Setup-specific progress polling
+// Render setup-specific progress steps (matching our sync jobs)
+function renderSetupProgressSteps() {
+    var progressSteps = [
+        { key: 'connection_test', label: 'Testing WMS connection...' },
+        { key: 'webhook_registration', label: 'Registering webhooks...' },
+        { key: 'shipping_methods', label: 'Syncing shipping methods...' },
+        { key: 'location_types', label: 'Syncing location types...' },
+        { key: 'articles_import', label: 'Importing articles/products...' },
+        { key: 'stock_sync', label: 'Syncing stock levels...' },
+        { key: 'customers_import', label: 'Importing customers...' },
+        { key: 'orders_sync', label: 'Syncing orders from WMS...' },
+        { key: 'inbounds_sync', label: 'Syncing inbounds...' },
+        { key: 'shipments_sync', label: 'Syncing shipments...' }
+    ];
+    
+    // Create progress display
+    var progressHtml = '<ul style="list-style: none; padding: 0; margin: 0;">';
+    progressSteps.forEach(function(step, index) {
+        progressHtml += '<li id="setup-step-' + step.key + '" style="margin: 5px 0; padding: 5px; background: #f0f0f0; border-radius: 3px;">';
+        progressHtml += '⏳ ' + step.label + '</li>';
+    });
+    progressHtml += '</ul>';
+    
+    jQuery('#progress-steps').html(progressHtml);
+    
+    return progressSteps;
+}
+
+// Setup-specific progress updates
 function startSetupProgressPolling(batch_id, progressSteps, button, originalText) {
-    var pollInterval = 2000; // Poll every 2 seconds
-    var pollCount = 0;
-    var maxPolls = 300; // Maximum 10 minutes
+    jQuery('#progress-steps').append('<button type="button" class="button setup-cancel-btn" onclick="cancelSyncBatch(\'' + batch_id + '\')" style="margin-top: 10px;">Cancel Setup</button>');
     
-    var poll = function() {
-        pollCount++;
-        
-        if (pollCount > maxPolls) {
+    if (syncProgressSubscriptions.setup) {
+        syncProgressSubscriptions.setup.close();
+    }
+    
+    // Progress errors are retried with backoff, so no onError here
+    syncProgressSubscriptions.setup = subscribeSyncProgress(batch_id, {
+        onUpdate: function(progress) {
+            updateSetupProgress(progress, progressSteps);
+            
+            if (cancelledSyncBatches[batch_id]) {
+                progress.overall_status = 'cancelled';
+                handleSetupCompletion(progress, button, originalText);
+                return false;
+            }
+            
+            // Keep listening while not finished
+            if (progress.overall_status === 'running' || progress.overall_status === 'pending') {
+                return true;
+            }
+            
+            // Setup completed
+            handleSetupCompletion(progress, button, originalText);
+            return false;
+        },
+        onTimeout: function() {
             showSetupError('Setup timeout - jobs may still be running in background', button, originalText);
-            return;
         }
-        
-        jQuery.post(ajaxurl, {
-            action: 'wc_wms_get_sync_progress',
-            batch_id: batch_id,
-            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
-        }, function(response) {
-            if (response.success) {
-                var progress = response.data;
-                updateSetupProgress(progress, progressSteps);
-                
-                // Continue polling if not finished
-                if (progress.overall_status === 'running' || progress.overall_status === 'pending') {
-                    setTimeout(poll, pollInterval);
-                } else {
-                    // Setup completed
-                    handleSetupCompletion(progress, button, originalText);
-                }
-            } else {
-                // Retry on progress error
-                setTimeout(poll, pollInterval * 2);
-            }
-        }).fail(function() {
-            // Retry on network failure
-            setTimeout(poll, pollInterval * 2);
-        });
-    };
-    
-    // Start polling
-    setTimeout(poll, 1000);
+    });
 }
 
 // Update setup-specific progress display
@@ -1540,6 +4985,10 @@ function updateSetupProgress(progress, progressSteps) {
                     bgColor = '#f8d7da';
                     textColor = 'color: #721c24;';
                     break;
+                case 'cancelled':
+                    icon = '🚫';
+                    bgColor = '#e2e3e5';
+                    break;
                 default:
                     icon = '⏳';
                     bgColor = '#f0f0f0';
@@ -1559,11 +5008,17 @@ function updateSetupProgress(progress, progressSteps) {
 function handleSetupCompletion(progress, button, originalText) {
     button.disabled = false;
     button.textContent = originalText;
+    jQuery('.setup-cancel-btn').remove();
+    
+    var cancelled = progress.overall_status === 'cancelled';
     
     // Show detailed results
-    var resultsHtml = '<div style="background: ' + (progress.failed_jobs === 0 ? '#d1ecf1' : '#fff3cd') + '; padding: 15px; border-radius: 5px; margin: 10px 0;">';
+    var resultsHtml = '<div style="background: ' + (progress.failed_jobs === 0 && !cancelled ? '#d1ecf1' : '#fff3cd') + '; padding: 15px; border-radius: 5px; margin: 10px 0;">';
     
-    if (progress.failed_jobs === 0) {
+    if (cancelled) {
+        resultsHtml += '<h4 style="margin: 0 0 10px 0; color: #664d03;">🚫 Setup Cancelled</h4>';
+        resultsHtml += '<p>' + (progress.completed_jobs + progress.failed_jobs + progress.skipped_jobs) + ' jobs ran before the sync was cancelled, ' + progress.cancelled_jobs + ' were cancelled.</p>';
+    } else if (progress.failed_jobs === 0) {
         resultsHtml += '<h4 style="margin: 0 0 10px 0; color: #0f5132;">✅ Setup Completed Successfully!</h4>';
         resultsHtml += '<p>All ' + progress.total_jobs + ' setup jobs completed successfully. Your WMS integration is now fully configured!</p>';
     } else {
@@ -1577,7 +5032,7 @@ function handleSetupCompletion(progress, button, originalText) {
     resultsHtml += '<ul style="margin: 0; padding-left: 20px; font-size: 14px;">';
     
     progress.jobs.forEach(function(job) {
-        var icon = job.status === 'completed' ? '✅' : (job.status === 'failed' ? '❌' : '🔄');
+        var icon = getJobStatusIcon(job.status);
         resultsHtml += '<li><strong>' + job.title + ':</strong> ' + icon + ' ' + job.status;
         if (job.error) {
             resultsHtml += ' <small style="color: #721c24;">(' + job.error + ')</small>';
@@ -1588,7 +5043,7 @@ function handleSetupCompletion(progress, button, originalText) {
     resultsHtml += '</ul></div>';
     
     // Add next steps
-    if (progress.failed_jobs === 0) {
+    if (progress.failed_jobs === 0 && !cancelled) {
         resultsHtml += '<div style="margin-top: 15px; padding: 10px; background: white; border-radius: 3px;">';
         resultsHtml += '<h5 style="margin: 0 0 5px 0;">🎯 What\'s Next:</h5>';
         resultsHtml += '<ul style="margin: 0; padding-left: 20px;">';
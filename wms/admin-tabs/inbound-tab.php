@@ -146,6 +146,69 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
+    <!-- Location Types Card -->
+    <div class="wms-card">
+        <h3>Location Types</h3>
+        <p class="description"><small>💡 Location types configured in WMS. Check which ones are pickable or used for transport before planning an inbound.</small></p>
+
+        <div class="stats-grid">
+            <div class="stat-item">
+                <span class="stat-value" id="location-types-total">-</span>
+                <span class="stat-label">Location Types</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value" id="location-types-pickable">-</span>
+                <span class="stat-label">Pickable</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value" id="location-types-non-pickable">-</span>
+                <span class="stat-label">Not Pickable</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-value" id="location-types-transport">-</span>
+                <span class="stat-label">Transport</span>
+            </div>
+        </div>
+        <p class="description"><small id="location-types-last-sync"></small></p>
+
+        <!-- Filters -->
+        <div class="filters">
+            <input type="search" id="location-type-search" placeholder="Code or name">
+            <select id="location-type-pickable">
+                <option value="">Pickable or not</option>
+                <option value="yes">Pickable</option>
+                <option value="no">Not pickable</option>
+            </select>
+            <select id="location-type-transport">
+                <option value="">Transport or not</option>
+                <option value="yes">Transport</option>
+                <option value="no">Not transport</option>
+            </select>
+            <button type="button" id="load-location-types" class="button button-primary">🔍 Load from WMS</button>
+            <span id="location-types-count"></span>
+        </div>
+
+        <div class="table-container">
+            <table class="wp-list-table widefat striped" id="location-types-table">
+                <thead>
+                    <tr>
+                        <th>Code</th>
+                        <th>Name</th>
+                        <th>Administration Code</th>
+                        <th>Pickable</th>
+                        <th>Transport</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td colspan="6" class="loading">Click "🔍 Load from WMS" to browse location types.</td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+
     <!-- Inbound Details Modal -->
     <div id="inbound-modal" class="wms-modal" style="display: none;">
         <div class="modal-content">
@@ -157,6 +220,9 @@ if (!defined('ABSPATH')) {
                 <!-- Details loaded dynamically -->
             </div>
             <div class="modal-footer">
+                <button type="button" class="button" id="edit-inbound" style="display: none;">✏️ Edit</button>
+                <button type="button" class="button" id="discard-inbound-changes" style="display: none;">Discard Changes</button>
+                <button type="button" class="button button-primary" id="save-inbound" style="display: none;">💾 Save Changes</button>
                 <button type="button" class="button modal-close">Close</button>
             </div>
         </div>
@@ -320,6 +386,20 @@ if (!defined('ABSPATH')) {
     color: #666;
 }
 
+.edit-inbound-lines input {
+    width: 100%;
+}
+
+.edit-inbound-line.has-error td {
+    background: #fcf0f1;
+}
+
+.line-errors {
+    margin: 4px 0 0 0;
+    color: #d63638;
+    font-size: 12px;
+}
+
 .status-announced { color: #ffb900; }
 .status-completed { color: #46b450; }
 .status-cancelled { color: #dc3232; }
@@ -354,6 +434,7 @@ if (!defined('ABSPATH')) {
 jQuery(document).ready(function($) {
     let currentPage = 1;
     let lineIndex = 1;
+    let currentInbound = null;
 
     // Initialize
     // Note: Auto-loading removed - use cron sync (every 4h) + manual refresh buttons
@@ -368,6 +449,9 @@ jQuery(document).ready(function($) {
     
     // Show initial message in table
     $('#inbounds-table tbody').html('<tr><td colspan="6" class="loading">📊 Inbounds auto-sync every 4 hours via cron. Click "🔄 Refresh from WMS" to load latest data manually.</td></tr>');
+    
+    // Location type statistics come from the last sync, no WMS request needed
+    loadLocationTypeStats();
 
     // Event Handlers
     $('#refresh-stats').click(loadStats);
@@ -383,6 +467,14 @@ jQuery(document).ready(function($) {
     $(document).on('click', '.view-inbound', viewInbound);
     $(document).on('click', '.cancel-inbound', cancelInbound);
     $(document).on('click', '.modal-close', () => $('#inbound-modal').hide());
+    $(document).on('click', '.remove-edit-line', removeEditLine);
+    $(document).on('click', '#add-edit-line', () => addEditLine({}));
+    $('#edit-inbound').click(editInbound);
+    $('#discard-inbound-changes').click(() => renderInboundDetails(currentInbound));
+    $('#save-inbound').click(saveInbound);
+    $('#load-location-types').click(loadLocationTypes);
+    $('#location-type-search').keypress(function(e) { if (e.which === 13) loadLocationTypes(); });
+    $(document).on('click', '.view-location-type', viewLocationType);
 
     // Functions
     function loadStats() {
@@ -546,51 +638,17 @@ jQuery(document).ready(function($) {
     }
 
     function viewInbound() {
-        const inboundId = $(this).data('id');
-        
+        loadInboundDetails($(this).data('id'));
+    }
+
+    function loadInboundDetails(inboundId) {
         $.post(ajaxurl, {
             action: 'wc_wms_get_inbound_details',
             nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
             inbound_id: inboundId
         }, function(response) {
             if (response.success) {
-                const inbound = response.data;
-                let content = `
-                    <h4>Inbound: ${inbound.reference}</h4>
-                    <p><strong>External Reference:</strong> ${inbound.external_reference}</p>
-                    <p><strong>Status:</strong> <span class="status-${inbound.status}">${getStatusIcon(inbound.status)} ${inbound.status}</span></p>
-                    <p><strong>Date:</strong> ${formatDate(inbound.inbound_date)}</p>
-                    <p><strong>Type:</strong> ${inbound.is_return ? 'Return Inbound' : 'Regular Inbound'}</p>
-                    <p><strong>Note:</strong> ${inbound.note || 'No note'}</p>
-                    
-                    <h5>Inbound Lines</h5>
-                    <table class="wp-list-table widefat">
-                        <thead>
-                            <tr>
-                                <th>Article Code</th>
-                                <th>Quantity</th>
-                                <th>Processed</th>
-                                <th>Packing Slip</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                `;
-
-                if (inbound.inbound_lines) {
-                    inbound.inbound_lines.forEach(function(line) {
-                        content += `
-                            <tr>
-                                <td>${line.variant?.article_code || 'N/A'}</td>
-                                <td>${line.quantity}</td>
-                                <td>${line.processed || 0}</td>
-                                <td>${line.packing_slip}</td>
-                            </tr>
-                        `;
-                    });
-                }
-
-                content += `</tbody></table>`;
-                $('#inbound-details').html(content);
+                renderInboundDetails(response.data);
                 $('#inbound-modal').show();
             } else {
                 showNotice('Error loading inbound details: ' + response.data.message, 'error');
@@ -598,6 +656,193 @@ jQuery(document).ready(function($) {
         });
     }
 
+    function renderInboundDetails(inbound) {
+        currentInbound = inbound;
+
+        let content = `
+            <h4>Inbound: ${inbound.reference}</h4>
+            <p><strong>External Reference:</strong> ${inbound.external_reference}</p>
+            <p><strong>Status:</strong> <span class="status-${inbound.status}">${getStatusIcon(inbound.status)} ${inbound.status}</span></p>
+            <p><strong>Date:</strong> ${formatDate(inbound.inbound_date)}</p>
+            <p><strong>Type:</strong> ${inbound.is_return ? 'Return Inbound' : 'Regular Inbound'}</p>
+            <p><strong>Note:</strong> ${inbound.note || 'No note'}</p>
+            
+            <h5>Inbound Lines</h5>
+            <table class="wp-list-table widefat">
+                <thead>
+                    <tr>
+                        <th>Article Code</th>
+                        <th>Quantity</th>
+                        <th>Processed</th>
+                        <th>Packing Slip</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        if (inbound.inbound_lines) {
+            inbound.inbound_lines.forEach(function(line) {
+                content += `
+                    <tr>
+                        <td>${line.variant?.article_code || 'N/A'}</td>
+                        <td>${line.quantity}</td>
+                        <td>${line.processed || 0}</td>
+                        <td>${line.packing_slip}</td>
+                    </tr>
+                `;
+            });
+        }
+
+        content += `</tbody></table>`;
+        $('#inbound-details').html(content);
+
+        // Only announced inbounds can still be changed in the WMS
+        $('#edit-inbound').toggle(inbound.status === 'announced');
+        $('#save-inbound, #discard-inbound-changes').hide();
+    }
+
+    function editInbound() {
+        const inbound = currentInbound;
+        const date = inbound.inbound_date ? inbound.inbound_date.substring(0, 10) : '';
+
+        const content = `
+            <h4>Edit Inbound: ${inbound.reference}</h4>
+            <p><strong>External Reference:</strong> ${inbound.external_reference}</p>
+            <div id="edit-inbound-error"></div>
+            <div class="wms-form">
+                <div class="form-row">
+                    <label for="edit-inbound-date">Inbound Date *</label>
+                    <input type="date" id="edit-inbound-date" value="${date}" required>
+                </div>
+                <div class="form-row">
+                    <label for="edit-inbound-note">Note</label>
+                    <textarea id="edit-inbound-note" rows="2"></textarea>
+                </div>
+            </div>
+            
+            <h5>Inbound Lines</h5>
+            <table class="wp-list-table widefat edit-inbound-lines">
+                <thead>
+                    <tr>
+                        <th>Article Code</th>
+                        <th style="width: 90px;">Quantity</th>
+                        <th style="width: 90px;">Packing Slip</th>
+                        <th style="width: 40px;"></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p><button type="button" id="add-edit-line" class="button">➕ Add Line</button></p>
+        `;
+
+        $('#inbound-details').html(content);
+        $('#edit-inbound-note').val(inbound.note || '');
+
+        (inbound.inbound_lines || []).forEach(function(line) {
+            addEditLine({
+                article_code: line.variant?.article_code || '',
+                quantity: line.quantity,
+                packing_slip: line.packing_slip
+            });
+        });
+
+        $('#edit-inbound').hide();
+        $('#save-inbound, #discard-inbound-changes').show();
+    }
+
+    function addEditLine(line) {
+        const row = $(`
+            <tr class="edit-inbound-line">
+                <td>
+                    <input type="text" name="article_code" placeholder="Article Code/SKU *">
+                    <div class="line-errors"></div>
+                </td>
+                <td><input type="number" name="quantity" min="1"></td>
+                <td><input type="number" name="packing_slip" min="0"></td>
+                <td><button type="button" class="button remove-edit-line" title="Remove">❌</button></td>
+            </tr>
+        `);
+
+        row.find('[name="article_code"]').val(line.article_code || '');
+        row.find('[name="quantity"]').val(line.quantity || '');
+        row.find('[name="packing_slip"]').val(line.packing_slip ?? '');
+        $('.edit-inbound-lines tbody').append(row);
+    }
+
+    function removeEditLine() {
+        if ($('.edit-inbound-line').length > 1) {
+            $(this).closest('.edit-inbound-line').remove();
+        } else {
+            showNotice('At least one line is required', 'error');
+        }
+    }
+
+    function showLineErrors(lineErrors) {
+        $('.edit-inbound-line').each(function(index) {
+            const errors = lineErrors[index] || [];
+            $(this).toggleClass('has-error', errors.length > 0);
+            $(this).find('.line-errors').html(errors.map(error => $('<div>').text(error).html()).join('<br>'));
+        });
+    }
+
+    function saveInbound() {
+        const lines = [];
+        const lineErrors = {};
+
+        $('.edit-inbound-line').each(function(index) {
+            const articleCode = $(this).find('[name="article_code"]').val().trim();
+            const quantity = parseInt($(this).find('[name="quantity"]').val());
+            const packingSlip = $(this).find('[name="packing_slip"]').val();
+            const errors = [];
+
+            if (!articleCode) errors.push('Article code is required');
+            if (!(quantity >= 1)) errors.push('Quantity must be at least 1');
+            if (packingSlip !== '' && parseInt(packingSlip) < 0) errors.push('Packing slip cannot be negative');
+            if (errors.length > 0) lineErrors[index] = errors;
+
+            lines.push({
+                article_code: articleCode,
+                quantity: quantity,
+                packing_slip: packingSlip === '' ? quantity : parseInt(packingSlip)
+            });
+        });
+
+        showLineErrors(lineErrors);
+        $('#edit-inbound-error').empty();
+
+        if (Object.keys(lineErrors).length > 0) {
+            return;
+        }
+
+        const button = $('#save-inbound');
+        button.prop('disabled', true);
+
+        $.post(ajaxurl, {
+            action: 'wc_wms_update_inbound',
+            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+            inbound_id: currentInbound.id,
+            inbound_date: $('#edit-inbound-date').val(),
+            note: $('#edit-inbound-note').val(),
+            inbound_lines: JSON.stringify(lines)
+        }, function(response) {
+            if (response.success) {
+                showNotice('Inbound updated successfully: ' + currentInbound.reference, 'success');
+                loadInboundDetails(currentInbound.id);
+                loadInbounds();
+            } else {
+                const error = response.data || {};
+                showLineErrors(error.line_errors || {});
+                $('#edit-inbound-error').html(
+                    $('<div class="notice notice-error inline">').append($('<p>').text('WMS rejected the update: ' + (error.message || error)))
+                );
+            }
+        }).fail(function() {
+            $('#edit-inbound-error').html('<div class="notice notice-error inline"><p>Update request failed</p></div>');
+        }).always(function() {
+            button.prop('disabled', false);
+        });
+    }
+
     function cancelInbound() {
         if (!confirm('Are you sure you want to cancel this inbound?')) return;
 
@@ -618,6 +863,115 @@ jQuery(document).ready(function($) {
         });
     }
 
+    function loadLocationTypeStats() {
+        $.post(ajaxurl, {
+            action: 'wc_wms_get_location_type_stats',
+            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : '')
+        }, function(response) {
+            if (response.success) {
+                const stats = response.data;
+                $('#location-types-total').text(stats.total_types);
+                $('#location-types-pickable').text(stats.pickable_types);
+                $('#location-types-non-pickable').text(stats.non_pickable_types);
+                $('#location-types-transport').text(stats.transport_types);
+                $('#location-types-last-sync').text('Statistics from the last location type sync: ' + stats.last_sync);
+            }
+        });
+    }
+
+    function loadLocationTypes() {
+        const tbody = $('#location-types-table tbody');
+        tbody.html('<tr><td colspan="6" class="loading">Loading location types from WMS...</td></tr>');
+        $('#location-types-count').text('');
+
+        $.post(ajaxurl, {
+            action: 'wc_wms_get_location_types',
+            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+            search: $('#location-type-search').val(),
+            pickable: $('#location-type-pickable').val(),
+            transport: $('#location-type-transport').val()
+        }, function(response) {
+            tbody.empty();
+
+            if (!response.success) {
+                tbody.html(`<tr><td colspan="6">❌ ${escapeHtml(response.data || 'Failed to load location types')}</td></tr>`);
+                return;
+            }
+
+            $('#location-types-count').text(`${response.data.count} location type${response.data.count === 1 ? '' : 's'}`);
+
+            if (response.data.count === 0) {
+                tbody.html('<tr><td colspan="6">No location types match these filters.</td></tr>');
+                return;
+            }
+
+            response.data.location_types.forEach(function(type) {
+                tbody.append(`
+                    <tr>
+                        <td><strong>${escapeHtml(type.code)}</strong></td>
+                        <td>${escapeHtml(type.name)}</td>
+                        <td>${escapeHtml(formatAdministrationCode(type.administration_code))}</td>
+                        <td>${type.pickable ? '✅' : '—'}</td>
+                        <td>${type.transport ? '🚚' : '—'}</td>
+                        <td><button type="button" class="button-small view-location-type" data-id="${escapeHtml(type.id)}">Details</button></td>
+                    </tr>
+                `);
+            });
+        }).fail(function() {
+            tbody.html('<tr><td colspan="6">❌ Request failed</td></tr>');
+        });
+
+        loadLocationTypeStats();
+    }
+
+    function viewLocationType() {
+        const button = $(this);
+        const row = button.closest('tr');
+
+        // Toggle the details row
+        if (row.next().hasClass('location-type-details')) {
+            row.next().remove();
+            return;
+        }
+
+        button.prop('disabled', true);
+
+        $.post(ajaxurl, {
+            action: 'wc_wms_get_location_type_details',
+            nonce: (typeof WC_WMS_ADMIN_NONCE !== 'undefined' ? WC_WMS_ADMIN_NONCE : ''),
+            location_type_id: button.data('id')
+        }, function(response) {
+            let details;
+
+            if (response.success) {
+                details = '<table class="widefat" style="max-width: 600px;"><tbody>';
+                Object.keys(response.data).forEach(function(key) {
+                    const value = response.data[key];
+                    const display = key === 'administration_code' ? formatAdministrationCode(value) :
+                        (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+                    details += `<tr><th style="width: 180px;">${escapeHtml(key)}</th><td>${escapeHtml(display)}</td></tr>`;
+                });
+                details += '</tbody></table>';
+            } else {
+                details = `❌ ${escapeHtml(response.data || 'Failed to load location type')}`;
+            }
+
+            row.after(`<tr class="location-type-details"><td colspan="6">${details}</td></tr>`);
+        }).always(function() {
+            button.prop('disabled', false);
+        });
+    }
+
+    function formatAdministrationCode(administrationCode) {
+        if (!administrationCode) {
+            return '—';
+        }
+        if (typeof administrationCode === 'object') {
+            return [administrationCode.code, administrationCode.name].filter(Boolean).join(' - ');
+        }
+        return administrationCode;
+    }
+
     function updatePagination(itemCount) {
         $('#prev-page').prop('disabled', currentPage <= 1);
         $('#next-page').prop('disabled', itemCount < 10);
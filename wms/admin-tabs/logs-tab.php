@@ -7,75 +7,101 @@
 if (!defined('ABSPATH')) {
     exit;
 }
-
-$recent_logs = $data['recent_logs'] ?? [];
 ?>
 
 <div id="logs-tab" class="tab-content" style="display: none;">
     <h2><?php _e('Recent Activity', 'wc-wms-integration'); ?></h2>
-    
-    <?php if (empty($recent_logs)): ?>
-        <div class="notice notice-info">
-            <p><strong><?php _e('No activity logged yet.', 'wc-wms-integration'); ?></strong></p>
-            <p><?php _e('Activity will appear here when:', 'wc-wms-integration'); ?></p>
-            <ul style="margin-left: 20px;">
-                <li>• <?php _e('API requests are made to WMS', 'wc-wms-integration'); ?></li>
-                <li>• <?php _e('Webhooks are received from WMS', 'wc-wms-integration'); ?></li>
-                <li>• <?php _e('Orders are processed', 'wc-wms-integration'); ?></li>
-                <li>• <?php _e('Connection tests are performed', 'wc-wms-integration'); ?></li>
-            </ul>
-            <p><em><?php _e('Try running a connection test to generate the first log entry.', 'wc-wms-integration'); ?></em></p>
+    <p class="description"><?php _e('API requests sent to WMS and webhooks received from WMS. Click a row to inspect the full request, response or payload.', 'wc-wms-integration'); ?></p>
+
+    <!-- Log Filters -->
+    <form id="log-filters" class="log-filters" onsubmit="loadLogs(); return false;">
+        <select name="type">
+            <option value="all"><?php _e('All types', 'wc-wms-integration'); ?></option>
+            <option value="api"><?php _e('API', 'wc-wms-integration'); ?></option>
+            <option value="webhook"><?php _e('Webhook', 'wc-wms-integration'); ?></option>
+        </select>
+        <select name="method">
+            <option value=""><?php _e('Any method', 'wc-wms-integration'); ?></option>
+            <option value="GET">GET</option>
+            <option value="POST">POST</option>
+            <option value="PATCH">PATCH</option>
+            <option value="PUT">PUT</option>
+            <option value="DELETE">DELETE</option>
+        </select>
+        <input type="text" name="endpoint" placeholder="<?php esc_attr_e('Endpoint contains...', 'wc-wms-integration'); ?>">
+        <input type="text" name="webhook_group" placeholder="<?php esc_attr_e('Webhook group (e.g. order)', 'wc-wms-integration'); ?>">
+        <input type="text" name="webhook_action" placeholder="<?php esc_attr_e('Webhook action (e.g. updated)', 'wc-wms-integration'); ?>">
+        <select name="status">
+            <option value=""><?php _e('Any status', 'wc-wms-integration'); ?></option>
+            <option value="success"><?php _e('Success / Processed', 'wc-wms-integration'); ?></option>
+            <option value="pending"><?php _e('Pending (webhooks)', 'wc-wms-integration'); ?></option>
+            <option value="error"><?php _e('Error', 'wc-wms-integration'); ?></option>
+        </select>
+        <label><input type="checkbox" name="errors_only" value="1"> <?php _e('Errors only', 'wc-wms-integration'); ?></label>
+        <label><?php _e('From', 'wc-wms-integration'); ?> <input type="date" name="date_from"></label>
+        <label><?php _e('To', 'wc-wms-integration'); ?> <input type="date" name="date_to"></label>
+        <button type="submit" class="button button-primary"><?php _e('Apply Filters', 'wc-wms-integration'); ?></button>
+        <button type="button" class="button" onclick="resetLogFilters()"><?php _e('Reset', 'wc-wms-integration'); ?></button>
+    </form>
+
+    <table class="widefat fixed striped" id="logs-table">
+        <thead>
+            <tr>
+                <th style="width: 150px;"><?php _e('Time', 'wc-wms-integration'); ?></th>
+                <th style="width: 100px;"><?php _e('Type', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Details', 'wc-wms-integration'); ?></th>
+                <th style="width: 100px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="4" class="loading"><?php _e('Open this tab to load logs...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+
+    <div class="tablenav bottom">
+        <div class="tablenav-pages">
+            <button type="button" class="button" id="logs-newer" onclick="loadNewerLogs()" disabled><?php _e('← Newer', 'wc-wms-integration'); ?></button>
+            <span id="logs-page-info" style="margin: 0 10px;"></span>
+            <button type="button" class="button" id="logs-older" onclick="loadOlderLogs()" disabled><?php _e('Older →', 'wc-wms-integration'); ?></button>
         </div>
-    <?php else: ?>
-        <table class="widefat fixed striped">
-            <thead>
-                <tr>
-                    <th style="width: 150px;"><?php _e('Time', 'wc-wms-integration'); ?></th>
-                    <th style="width: 100px;"><?php _e('Type', 'wc-wms-integration'); ?></th>
-                    <th><?php _e('Details', 'wc-wms-integration'); ?></th>
-                    <th style="width: 100px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
-                </tr>
-            </thead>
-            <tbody>
-                <?php foreach ($recent_logs as $log): ?>
-                    <tr>
-                        <td><?php echo esc_html(date('M j, H:i:s', strtotime($log->created_at))); ?></td>
-                        <td>
-                            <span class="dashicons dashicons-<?php echo $log->log_type === 'api' ? 'cloud' : 'admin-post'; ?>"></span>
-                            <?php echo esc_html(ucfirst($log->log_type)); ?>
-                        </td>
-                        <td>
-                            <?php if ($log->log_type === 'api'): ?>
-                                <strong><?php echo esc_html($log->method); ?></strong> 
-                                <?php echo esc_html($log->endpoint); ?>
-                                <?php if (!empty($log->request_data)): ?>
-                                    <br><small><?php echo esc_html(substr($log->request_data, 0, 100)); ?>...</small>
-                                <?php endif; ?>
-                            <?php else: ?>
-                                <strong><?php echo esc_html($log->webhook_type); ?></strong>
-                                <?php if (!empty($log->payload)): ?>
-                                    <br><small><?php echo esc_html(substr($log->payload, 0, 100)); ?>...</small>
-                                <?php endif; ?>
-                            <?php endif; ?>
-                        </td>
-                        <td>
-                            <?php if ($log->log_type === 'api'): ?>
-                                <?php if ($log->error_message): ?>
-                                    <span style="color: red;">❌ Error</span>
-                                <?php else: ?>
-                                    <span style="color: green;">✅ Success</span>
-                                <?php endif; ?>
-                            <?php else: ?>
-                                <?php if ($log->processed): ?>
-                                    <span style="color: green;">✅ Processed</span>
-                                <?php else: ?>
-                                    <span style="color: orange;">⏳ Pending</span>
-                                <?php endif; ?>
-                            <?php endif; ?>
-                        </td>
-                    </tr>
-                <?php endforeach; ?>
-            </tbody>
-        </table>
-    <?php endif; ?>
+    </div>
+
+    <!-- Webhook Processing Queue -->
+    <h2 style="margin-top: 40px;"><?php _e('Webhook Queue', 'wc-wms-integration'); ?></h2>
+    <p class="description"><?php _e('Webhooks waiting in the processing queue. Reprocess them now, ignore them, or see which prerequisite event they are waiting on.', 'wc-wms-integration'); ?></p>
+
+    <div class="log-filters">
+        <select id="webhook-queue-status" onchange="loadWebhookQueue()">
+            <option value=""><?php _e('All statuses', 'wc-wms-integration'); ?></option>
+            <option value="pending"><?php _e('Pending', 'wc-wms-integration'); ?></option>
+            <option value="processing"><?php _e('Processing', 'wc-wms-integration'); ?></option>
+            <option value="failed"><?php _e('Failed', 'wc-wms-integration'); ?></option>
+            <option value="processed"><?php _e('Processed', 'wc-wms-integration'); ?></option>
+            <option value="ignored"><?php _e('Ignored', 'wc-wms-integration'); ?></option>
+        </select>
+        <button type="button" class="button" onclick="loadWebhookQueue()"><?php _e('Refresh', 'wc-wms-integration'); ?></button>
+        <span id="webhook-queue-stats"></span>
+    </div>
+
+    <div class="log-filters">
+        <strong><?php _e('Replay failed webhooks received', 'wc-wms-integration'); ?></strong>
+        <label><?php _e('From', 'wc-wms-integration'); ?> <input type="datetime-local" id="replay-from"></label>
+        <label><?php _e('To', 'wc-wms-integration'); ?> <input type="datetime-local" id="replay-to"></label>
+        <button type="button" class="button button-secondary" onclick="replayFailedWebhooks()"><?php _e('Replay All Failed', 'wc-wms-integration'); ?></button>
+    </div>
+
+    <table class="widefat fixed striped" id="webhook-queue-table">
+        <thead>
+            <tr>
+                <th style="width: 150px;"><?php _e('Received', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Event', 'wc-wms-integration'); ?></th>
+                <th style="width: 110px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                <th style="width: 70px;"><?php _e('Attempts', 'wc-wms-integration'); ?></th>
+                <th style="width: 300px;"><?php _e('Actions', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="5" class="loading"><?php _e('Open this tab to load the webhook queue...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
 </div>
@@ -0,0 +1,74 @@
+<?php
+/**
+ * Privacy tab template
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div id="privacy-tab" class="tab-content" style="display: none;">
+    <h2><?php _e('🔒 GDPR Requests', 'wc-wms-integration'); ?></h2>
+    <p class="description">
+        <?php _e('Export or redact the personal data WMS holds for a customer. Requests are tracked here until WMS reports them as completed, and every action is recorded in the audit trail below.', 'wc-wms-integration'); ?>
+        <?php printf(
+            __('Requests made through WordPress <a href="%1$s">Export Personal Data</a> and <a href="%2$s">Erase Personal Data</a> are sent to WMS and tracked here as well.', 'wc-wms-integration'),
+            esc_url(admin_url('export-personal-data.php')),
+            esc_url(admin_url('erase-personal-data.php'))
+        ); ?>
+    </p>
+
+    <form id="gdpr-request-form" class="log-filters" onsubmit="startGdprRequest('export'); return false;">
+        <input type="email" id="gdpr-email" placeholder="<?php esc_attr_e('customer@example.com', 'wc-wms-integration'); ?>" required style="width: 280px;">
+        <button type="submit" class="button button-primary"><?php _e('Request Data Export', 'wc-wms-integration'); ?></button>
+        <button type="button" class="button button-secondary" onclick="startGdprRequest('redact')"><?php _e('Redact Person Data', 'wc-wms-integration'); ?></button>
+    </form>
+    <p class="description"><?php _e('⚠️ Redaction permanently removes the person\'s data from WMS and cannot be undone.', 'wc-wms-integration'); ?></p>
+    <p class="description"><?php _e('Exported data is kept for 7 days so it can be downloaded here, then deleted automatically. The request itself stays in the list and the audit trail.', 'wc-wms-integration'); ?></p>
+
+    <div id="gdpr-request-result"></div>
+
+    <h3><?php _e('⏳ Requests', 'wc-wms-integration'); ?></h3>
+    <div class="log-filters">
+        <button type="button" class="button" onclick="pollGdprRequests()"><?php _e('Check Pending Now', 'wc-wms-integration'); ?></button>
+        <label><input type="checkbox" id="gdpr-auto-poll" checked onchange="toggleGdprAutoPoll()"> <?php _e('Check pending requests every 30 seconds', 'wc-wms-integration'); ?></label>
+        <span id="gdpr-poll-updated"></span>
+    </div>
+
+    <table class="widefat fixed striped" id="gdpr-requests-table">
+        <thead>
+            <tr>
+                <th style="width: 150px;"><?php _e('Requested', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Email', 'wc-wms-integration'); ?></th>
+                <th style="width: 90px;"><?php _e('Type', 'wc-wms-integration'); ?></th>
+                <th style="width: 130px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                <th><?php _e('WMS Request', 'wc-wms-integration'); ?></th>
+                <th style="width: 140px;"><?php _e('Requested By', 'wc-wms-integration'); ?></th>
+                <th style="width: 150px;"><?php _e('Actions', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="7" class="loading"><?php _e('Open this tab to load GDPR requests...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+
+    <h3><?php _e('📜 Audit Trail', 'wc-wms-integration'); ?></h3>
+    <p class="description"><?php _e('Who requested or downloaded what and when, when WMS completed or failed a request, and when exported data was deleted. Routine status checks are not recorded. The most recent 100 entries are shown.', 'wc-wms-integration'); ?></p>
+
+    <table class="widefat fixed striped" id="gdpr-audit-table">
+        <thead>
+            <tr>
+                <th style="width: 150px;"><?php _e('Time', 'wc-wms-integration'); ?></th>
+                <th style="width: 140px;"><?php _e('User', 'wc-wms-integration'); ?></th>
+                <th style="width: 110px;"><?php _e('Action', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Request', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Details', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="5" class="loading"><?php _e('Open this tab to load the audit trail...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+</div>
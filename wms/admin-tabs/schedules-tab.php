@@ -0,0 +1,48 @@
+<?php
+/**
+ * Schedules tab template
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div id="schedules-tab" class="tab-content" style="display: none;">
+    <h2><?php _e('⏰ Cron Schedules', 'wc-wms-integration'); ?></h2>
+    <p class="description">
+        <?php _e('The background jobs that keep WooCommerce and WMS in sync. Change how often a job runs, pause it while you investigate a problem, or run it right away and follow its output.', 'wc-wms-integration'); ?>
+        <?php _e('Paused jobs stay paused until you resume them, also after the plugin is reactivated.', 'wc-wms-integration'); ?>
+    </p>
+
+    <div id="cron-schedules-warning"></div>
+
+    <div class="log-filters">
+        <button type="button" class="button" onclick="loadCronSchedules()"><?php _e('Refresh', 'wc-wms-integration'); ?></button>
+        <span id="cron-schedules-updated"></span>
+    </div>
+
+    <table class="widefat fixed striped" id="cron-schedules-table">
+        <thead>
+            <tr>
+                <th><?php _e('Job', 'wc-wms-integration'); ?></th>
+                <th style="width: 230px;"><?php _e('Interval', 'wc-wms-integration'); ?></th>
+                <th style="width: 160px;"><?php _e('Next Run', 'wc-wms-integration'); ?></th>
+                <th style="width: 160px;"><?php _e('Last Run', 'wc-wms-integration'); ?></th>
+                <th style="width: 80px;"><?php _e('Duration', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Last Result', 'wc-wms-integration'); ?></th>
+                <th style="width: 170px;"><?php _e('Actions', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="7" class="loading"><?php _e('Open this tab to load the cron schedules...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+
+    <div id="cron-run-output" style="display: none;">
+        <h3 id="cron-run-title"></h3>
+        <pre class="log-payload" id="cron-run-log"></pre>
+        <div id="cron-run-result"></div>
+    </div>
+</div>
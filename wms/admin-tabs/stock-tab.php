@@ -0,0 +1,148 @@
+<?php
+/**
+ * Stock tab template
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+
+<div id="stock-tab" class="tab-content" style="display: none;">
+    <h2><?php _e('📈 Stock Dashboard', 'wc-wms-integration'); ?></h2>
+    <p class="description"><?php _e('Low stock, sales turnover and WMS batches at a glance. Download the planning CSV to plan inbounds.', 'wc-wms-integration'); ?></p>
+
+    <form id="stock-dashboard-form" class="log-filters" onsubmit="loadStockDashboard(true); return false;">
+        <label for="stock-dashboard-threshold"><?php _e('Low stock at or below', 'wc-wms-integration'); ?></label>
+        <input type="number" id="stock-dashboard-threshold" min="0" step="1" style="width: 80px;">
+        <button type="submit" class="button"><?php _e('Save &amp; Refresh', 'wc-wms-integration'); ?></button>
+        <button type="button" class="button" onclick="downloadStockPlanning()"><?php _e('Download Planning CSV', 'wc-wms-integration'); ?></button>
+        <span id="stock-dashboard-updated"></span>
+    </form>
+
+    <div id="stock-dashboard-summary"></div>
+    <div id="stock-dashboard-alerts"></div>
+
+    <h3><?php _e('🔄 Turnover', 'wc-wms-integration'); ?></h3>
+    <div class="log-filters">
+        <select id="stock-turnover-period" onchange="renderStockTurnover()">
+            <?php foreach (WC_WMS_Constants::STOCK_TURNOVER_PERIODS as $days): ?>
+                <option value="<?php echo esc_attr($days); ?>" <?php selected($days, 30); ?>><?php printf(__('Last %d days', 'wc-wms-integration'), $days); ?></option>
+            <?php endforeach; ?>
+        </select>
+    </div>
+    <div id="stock-turnover-chart" class="stock-bar-chart"></div>
+    <table class="widefat striped diagnosis-table" id="stock-turnover-table">
+        <thead></thead>
+        <tbody>
+            <tr><td class="loading"><?php _e('Open this tab to load the stock dashboard...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+
+    <h3><?php _e('⚠️ Low Stock', 'wc-wms-integration'); ?></h3>
+    <div id="stock-low-chart" class="stock-bar-chart"></div>
+    <table class="widefat striped diagnosis-table" id="stock-low-table">
+        <thead></thead>
+        <tbody></tbody>
+    </table>
+
+    <h3><?php _e('🏷️ WMS Batches', 'wc-wms-integration'); ?></h3>
+    <table class="widefat striped diagnosis-table" id="stock-batches-table">
+        <thead></thead>
+        <tbody></tbody>
+    </table>
+
+    <hr style="margin: 30px 0;">
+
+    <h2><?php _e('📋 Stock Lookup', 'wc-wms-integration'); ?></h2>
+    <p class="description"><?php _e('Compare the stock WooCommerce and WMS hold for a product, and book corrections, defective or lost items in WMS.', 'wc-wms-integration'); ?></p>
+
+    <form id="stock-lookup-form" class="log-filters" onsubmit="lookupStockSku(); return false;">
+        <input type="text" id="stock-lookup-sku" placeholder="<?php esc_attr_e('SKU', 'wc-wms-integration'); ?>" required style="width: 220px;">
+        <button type="submit" class="button button-primary"><?php _e('Look Up', 'wc-wms-integration'); ?></button>
+    </form>
+
+    <div id="stock-lookup-result"></div>
+
+    <div id="stock-adjustment" style="display: none;">
+        <h3><?php _e('✏️ Stock Adjustment', 'wc-wms-integration'); ?></h3>
+        <form id="stock-adjustment-form" onsubmit="submitStockAdjustment(); return false;">
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="stock-adjustment-reason"><?php _e('Reason', 'wc-wms-integration'); ?></label></th>
+                    <td>
+                        <select id="stock-adjustment-reason" onchange="updateStockAdjustmentHint()">
+                            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_CORRECTION); ?>"><?php _e('Correction', 'wc-wms-integration'); ?></option>
+                            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_DEFECTIVE); ?>"><?php _e('Defective', 'wc-wms-integration'); ?></option>
+                            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_LOST); ?>"><?php _e('Lost', 'wc-wms-integration'); ?></option>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="stock-adjustment-quantity"><?php _e('Quantity', 'wc-wms-integration'); ?></label></th>
+                    <td>
+                        <input type="number" id="stock-adjustment-quantity" step="1" required style="width: 100px;">
+                        <p class="description" id="stock-adjustment-hint"></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="stock-adjustment-note"><?php _e('Note', 'wc-wms-integration'); ?></label></th>
+                    <td><textarea id="stock-adjustment-note" rows="3" class="large-text" required placeholder="<?php esc_attr_e('Why is the stock being adjusted?', 'wc-wms-integration'); ?>"></textarea></td>
+                </tr>
+            </table>
+            <p><button type="submit" class="button button-primary" id="stock-adjustment-submit"><?php _e('Submit Adjustment', 'wc-wms-integration'); ?></button></p>
+        </form>
+    </div>
+
+    <h3><?php _e('🎯 Refresh Selected Products from WMS', 'wc-wms-integration'); ?></h3>
+    <p class="description">
+        <?php _e('Refresh just a few products instead of the whole catalogue. Paste SKUs below, or select products on the Products screen and choose "Refresh from WMS" from the bulk actions.', 'wc-wms-integration'); ?>
+    </p>
+    <form id="targeted-refresh-form" onsubmit="refreshSelectedProducts(); return false;" data-max-products="<?php echo esc_attr(WC_WMS_Constants::TARGETED_REFRESH_MAX_PRODUCTS); ?>">
+        <textarea id="targeted-refresh-skus" rows="4" class="large-text code" placeholder="<?php esc_attr_e('One SKU per line, or separated by commas', 'wc-wms-integration'); ?>"></textarea>
+        <div class="log-filters">
+            <label><input type="checkbox" id="targeted-refresh-products" checked> <?php _e('Product data', 'wc-wms-integration'); ?></label>
+            <label><input type="checkbox" id="targeted-refresh-stock" checked> <?php _e('Stock', 'wc-wms-integration'); ?></label>
+            <button type="submit" class="button button-primary" id="targeted-refresh-submit"><?php _e('Refresh from WMS', 'wc-wms-integration'); ?></button>
+            <span id="targeted-refresh-progress"></span>
+        </div>
+    </form>
+
+    <div id="targeted-refresh-result"></div>
+
+    <h3><?php _e('📜 Modification History', 'wc-wms-integration'); ?></h3>
+    <div class="log-filters">
+        <select id="stock-modifications-reason" onchange="loadStockModifications(1)">
+            <option value=""><?php _e('All reasons', 'wc-wms-integration'); ?></option>
+            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_CORRECTION); ?>"><?php _e('Correction', 'wc-wms-integration'); ?></option>
+            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_DEFECTIVE); ?>"><?php _e('Defective', 'wc-wms-integration'); ?></option>
+            <option value="<?php echo esc_attr(WC_WMS_Constants::MODIFICATION_REASON_LOST); ?>"><?php _e('Lost', 'wc-wms-integration'); ?></option>
+        </select>
+        <label><input type="checkbox" id="stock-modifications-current-sku" onchange="renderStockModifications()"> <?php _e('Only the looked up SKU', 'wc-wms-integration'); ?></label>
+        <button type="button" class="button" onclick="loadStockModifications(stockConsole.page)"><?php _e('Refresh', 'wc-wms-integration'); ?></button>
+    </div>
+
+    <table class="widefat fixed striped" id="stock-modifications-table">
+        <thead>
+            <tr>
+                <th style="width: 150px;"><?php _e('Created', 'wc-wms-integration'); ?></th>
+                <th style="width: 110px;"><?php _e('Reason', 'wc-wms-integration'); ?></th>
+                <th style="width: 110px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Lines', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Note', 'wc-wms-integration'); ?></th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr><td colspan="5" class="loading"><?php _e('Open this tab to load the modification history...', 'wc-wms-integration'); ?></td></tr>
+        </tbody>
+    </table>
+
+    <div class="tablenav bottom">
+        <div class="tablenav-pages">
+            <button type="button" class="button" id="stock-modifications-newer" onclick="loadStockModifications(stockConsole.page - 1)" disabled><?php _e('← Newer', 'wc-wms-integration'); ?></button>
+            <span id="stock-modifications-page" style="margin: 0 10px;"></span>
+            <button type="button" class="button" id="stock-modifications-older" onclick="loadStockModifications(stockConsole.page + 1)" disabled><?php _e('Older →', 'wc-wms-integration'); ?></button>
+        </div>
+    </div>
+</div>
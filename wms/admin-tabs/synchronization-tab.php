@@ -117,6 +117,7 @@ global $wpdb;
             }
             ?>
             <button type="button" class="button" onclick="syncAllStock()"><?php _e('Sync Now', 'wc-wms-integration'); ?></button>
+            <button type="button" class="button" onclick="diagnoseStockMismatch()"><?php _e('Diagnose', 'wc-wms-integration'); ?></button>
             <p class="description"><small>🕐 Auto-sync: Every hour</small></p>
         </div>
         
@@ -160,6 +161,7 @@ global $wpdb;
             }
             ?>
             <button type="button" class="button" onclick="importAllArticles()"><?php _e('Import from WMS', 'wc-wms-integration'); ?></button>
+            <button type="button" class="button button-secondary" onclick="previewImport('articles')"><?php _e('Preview Changes', 'wc-wms-integration'); ?></button>
         </div>
         
         <!-- Customer Import Status -->
@@ -185,6 +187,7 @@ global $wpdb;
             ?>
             <div style="margin-top: 10px;">
                 <button type="button" class="button" onclick="importCustomers()" style="margin-right: 5px;"><?php _e('Import from WMS', 'wc-wms-integration'); ?></button>
+                <button type="button" class="button button-secondary" onclick="previewImport('customers')" style="margin-right: 5px;"><?php _e('Preview Changes', 'wc-wms-integration'); ?></button>
                 <button type="button" class="button button-secondary" onclick="getCustomerStats()"><?php _e('View Stats', 'wc-wms-integration'); ?></button>
             </div>
         </div>
@@ -289,9 +292,193 @@ global $wpdb;
             <button type="button" class="button" onclick="syncShipments()"><?php _e('Sync Shipments Now', 'wc-wms-integration'); ?></button>
             <p class="description"><small>🕐 Auto-sync: Every 3 hours</small></p>
         </div>
+
+    </div>
+
+    <!-- Shipping Method Mapping Editor -->
+    <div class="shipping-mapping-editor" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('🗺️ Shipping Method Mapping', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('Map each WooCommerce shipping method to a WMS shipping method. Orders using an unmapped method fall back to the default WMS method.', 'wc-wms-integration'); ?></p>
+
+        <div id="shipping-mapping-content" style="margin: 15px 0;">
+            <p><em><?php _e('Click "Load Mappings" to edit the current shipping method mappings.', 'wc-wms-integration'); ?></em></p>
+        </div>
+
+        <div class="shipping-mapping-actions">
+            <button type="button" class="button" onclick="loadShippingMappings()"><?php _e('Load Mappings', 'wc-wms-integration'); ?></button>
+            <button type="button" class="button button-primary" id="save-shipping-mappings" onclick="saveShippingMappings()" disabled><?php _e('Save Mappings', 'wc-wms-integration'); ?></button>
+        </div>
+    </div>
+
+    <!-- Order Sync Status -->
+    <div class="order-sync-status" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('📋 Orders in WMS', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('The WMS state of each WooCommerce order. Select orders to export them now, reset them to pending, or pull their latest data from WMS.', 'wc-wms-integration'); ?></p>
         
+        <form id="order-sync-filters" class="log-filters" onsubmit="loadOrderSyncStatus(1); return false;">
+            <select name="state">
+                <option value=""><?php _e('All states', 'wc-wms-integration'); ?></option>
+                <option value="pending"><?php _e('Pending', 'wc-wms-integration'); ?></option>
+                <option value="processing"><?php _e('Processing', 'wc-wms-integration'); ?></option>
+                <option value="exported"><?php _e('Exported', 'wc-wms-integration'); ?></option>
+                <option value="synced_from_wms"><?php _e('Synced from WMS', 'wc-wms-integration'); ?></option>
+                <option value="webhook_processed"><?php _e('Webhook processed', 'wc-wms-integration'); ?></option>
+                <option value="failed"><?php _e('Failed', 'wc-wms-integration'); ?></option>
+                <option value="skipped"><?php _e('Skipped', 'wc-wms-integration'); ?></option>
+            </select>
+            <label><?php _e('From', 'wc-wms-integration'); ?> <input type="date" name="date_from"></label>
+            <label><?php _e('To', 'wc-wms-integration'); ?> <input type="date" name="date_to"></label>
+            <button type="submit" class="button"><?php _e('Load Orders', 'wc-wms-integration'); ?></button>
+            <span id="order-sync-counts"></span>
+        </form>
+        
+        <div class="log-filters">
+            <button type="button" class="button order-bulk-action" onclick="runOrderBulkAction('export')" disabled><?php _e('Export Now', 'wc-wms-integration'); ?></button>
+            <button type="button" class="button order-bulk-action" onclick="runOrderBulkAction('reset')" disabled><?php _e('Reset to Pending', 'wc-wms-integration'); ?></button>
+            <button type="button" class="button order-bulk-action" onclick="runOrderBulkAction('pull')" disabled><?php _e('Pull Latest from WMS', 'wc-wms-integration'); ?></button>
+            <span id="order-bulk-summary"></span>
+        </div>
+        
+        <table class="widefat fixed striped" id="order-sync-table">
+            <thead>
+                <tr>
+                    <td class="check-column" style="width: 30px;"><input type="checkbox" onchange="toggleAllOrderSync(this.checked)"></td>
+                    <th style="width: 90px;"><?php _e('Order', 'wc-wms-integration'); ?></th>
+                    <th style="width: 130px;"><?php _e('Created', 'wc-wms-integration'); ?></th>
+                    <th style="width: 140px;"><?php _e('WMS State', 'wc-wms-integration'); ?></th>
+                    <th><?php _e('WMS Order ID', 'wc-wms-integration'); ?></th>
+                    <th style="width: 100px;"><?php _e('Source', 'wc-wms-integration'); ?></th>
+                    <th><?php _e('Last Error / Result', 'wc-wms-integration'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr><td colspan="7"><em><?php _e('Click "Load Orders" to list orders and their WMS state.', 'wc-wms-integration'); ?></em></td></tr>
+            </tbody>
+        </table>
+        
+        <div class="tablenav bottom">
+            <div class="tablenav-pages">
+                <button type="button" class="button" id="order-sync-prev" onclick="loadOrderSyncStatus(orderSyncPanel.page - 1)" disabled><?php _e('← Newer', 'wc-wms-integration'); ?></button>
+                <span id="order-sync-page-info" style="margin: 0 10px;"></span>
+                <button type="button" class="button" id="order-sync-next" onclick="loadOrderSyncStatus(orderSyncPanel.page + 1)" disabled><?php _e('Older →', 'wc-wms-integration'); ?></button>
+            </div>
+        </div>
     </div>
-    
+
+    <!-- Product Export -->
+    <div class="product-export" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('📤 Product Export to WMS', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('Create or update WMS articles for published WooCommerce products. The catalogue is exported in chunks in the background; an interrupted export can be resumed after its last completed chunk.', 'wc-wms-integration'); ?></p>
+        
+        <form id="product-export-form" onsubmit="exportAllProducts(); return false;">
+            <div class="log-filters">
+                <label><?php _e('Categories', 'wc-wms-integration'); ?>
+                    <select name="category[]" multiple size="4" style="min-width: 200px; vertical-align: top;">
+                        <?php foreach (get_terms(['taxonomy' => 'product_cat', 'hide_empty' => false]) as $product_category): ?>
+                            <option value="<?php echo esc_attr($product_category->slug); ?>"><?php echo esc_html($product_category->name); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </label>
+                <label><?php _e('Changed since', 'wc-wms-integration'); ?> <input type="date" name="modified_since"></label>
+                <label><input type="checkbox" name="needs_sync" value="1"> <?php _e('Only products never synced or changed since their last sync', 'wc-wms-integration'); ?></label>
+            </div>
+            <p class="description"><?php _e('Leave the categories empty to export all categories.', 'wc-wms-integration'); ?></p>
+            <button type="submit" class="button button-primary" id="product-export-start"><?php _e('Start Export', 'wc-wms-integration'); ?></button>
+        </form>
+        
+        <div id="product-export-status" style="margin-top: 15px;"></div>
+    </div>
+
+    <!-- Order Backfill -->
+    <div class="order-backfill" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('📥 Order Backfill', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('Scheduled order syncs only fetch orders changed in WMS since the previous run. Use a backfill to pull older orders by creation date range, change date, WMS status or external reference; it does not move the scheduled sync position.', 'wc-wms-integration'); ?></p>
+        <?php
+        $order_sync_cursor = $data['sync_status']['order_sync_cursor'] ?? null;
+        
+        if ($order_sync_cursor) {
+            echo '<p>' . sprintf(
+                __('Scheduled sync is up to date until %s (last run fetched %d orders%s).', 'wc-wms-integration'),
+                esc_html($order_sync_cursor['synced_until_formatted']),
+                (int) $order_sync_cursor['last_result']['total_fetched'],
+                !empty($order_sync_cursor['last_result']['has_more']) ? __(', more pending', 'wc-wms-integration') : ''
+            ) . '</p>';
+            
+            if (!empty($order_sync_cursor['set_aside_orders'])) {
+                echo '<div class="notice notice-warning inline"><p>' . sprintf(
+                    __('%d orders failed to sync %d times in a row and were set aside so the scheduled sync can move on. Backfill them by external reference to retry:', 'wc-wms-integration'),
+                    count($order_sync_cursor['set_aside_orders']),
+                    WC_WMS_Constants::ORDER_SYNC_MAX_ATTEMPTS
+                ) . '</p><ul>';
+                foreach ($order_sync_cursor['set_aside_orders'] as $wms_order_id => $set_aside) {
+                    echo '<li><code>' . esc_html($set_aside['external_reference'] ?: $wms_order_id) . '</code> — ' . esc_html($set_aside['error']) . '</li>';
+                }
+                echo '</ul></div>';
+            }
+        } else {
+            echo '<p>' . __('Scheduled sync has not run for this store yet. Its first run fetches orders changed in the last 24 hours.', 'wc-wms-integration') . '</p>';
+        }
+        ?>
+        
+        <form id="order-backfill-form" onsubmit="runOrderBackfill(); return false;">
+            <div class="log-filters">
+                <label><?php _e('From', 'wc-wms-integration'); ?> <input type="date" name="date_from"></label>
+                <label><?php _e('To', 'wc-wms-integration'); ?> <input type="date" name="date_to"></label>
+                <label><?php _e('Changed since', 'wc-wms-integration'); ?> <input type="date" name="modified_since"></label>
+                <select name="status">
+                    <option value=""><?php _e('Any WMS status', 'wc-wms-integration'); ?></option>
+                    <?php foreach (array_keys(WC_WMS_Order_Sync_Manager::STATUS_MAPPING) as $wms_status): ?>
+                        <option value="<?php echo esc_attr($wms_status); ?>"><?php echo esc_html($wms_status); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </div>
+            <p>
+                <label for="order-backfill-references"><?php _e('External references (optional, one per line or comma separated; leave the dates and status empty when using them):', 'wc-wms-integration'); ?></label><br>
+                <textarea id="order-backfill-references" name="external_references" rows="3" class="large-text code"></textarea>
+            </p>
+            <button type="submit" class="button button-primary"><?php _e('Run Backfill', 'wc-wms-integration'); ?></button>
+        </form>
+        
+        <div id="order-backfill-result" style="margin-top: 10px;"></div>
+    </div>
+
+    <!-- Shipments -->
+    <div class="shipments-panel" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('🚚 Shipments', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('Shipments in WMS with their carrier and tracking numbers. Create a return label for a customer without logging into the WMS portal.', 'wc-wms-integration'); ?></p>
+        
+        <form id="shipment-filters" class="log-filters" onsubmit="loadShipments(); return false;">
+            <input type="text" name="order_reference" placeholder="<?php esc_attr_e('Order reference', 'wc-wms-integration'); ?>">
+            <select name="days">
+                <option value="3"><?php _e('Last 3 days', 'wc-wms-integration'); ?></option>
+                <option value="7" selected><?php _e('Last 7 days', 'wc-wms-integration'); ?></option>
+                <option value="30"><?php _e('Last 30 days', 'wc-wms-integration'); ?></option>
+            </select>
+            <button type="submit" class="button"><?php _e('Load Shipments', 'wc-wms-integration'); ?></button>
+            <span id="shipment-summary"></span>
+        </form>
+        <p class="description"><?php _e('An order reference searches all shipments of that order regardless of date.', 'wc-wms-integration'); ?></p>
+        
+        <div id="return-label-result"></div>
+        
+        <table class="widefat fixed striped" id="shipment-table">
+            <thead>
+                <tr>
+                    <th style="width: 130px;"><?php _e('Shipment', 'wc-wms-integration'); ?></th>
+                    <th style="width: 130px;"><?php _e('Order', 'wc-wms-integration'); ?></th>
+                    <th style="width: 130px;"><?php _e('Created', 'wc-wms-integration'); ?></th>
+                    <th><?php _e('Carrier', 'wc-wms-integration'); ?></th>
+                    <th><?php _e('Tracking Number', 'wc-wms-integration'); ?></th>
+                    <th style="width: 90px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                    <th style="width: 160px;"><?php _e('Return Label', 'wc-wms-integration'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr><td colspan="7"><em><?php _e('Click "Load Shipments" to list recent shipments.', 'wc-wms-integration'); ?></em></td></tr>
+            </tbody>
+        </table>
+    </div>
+
     <!-- Master Import Button -->
     <div style="text-align: center; margin: 20px 0;">
         <?php 
@@ -316,4 +503,71 @@ global $wpdb;
         }
         ?>
     </div>
+
+    <!-- Sync History -->
+    <div class="sync-history" style="border: 1px solid #ddd; padding: 15px; border-radius: 5px; background: #fff; margin: 20px 0;">
+        <h3 style="margin-top: 0;"><?php _e('📜 Sync History', 'wc-wms-integration'); ?></h3>
+        <p class="description"><?php _e('Previous "Import Everything" runs with the result of each job.', 'wc-wms-integration'); ?></p>
+        <div id="sync-history-content" style="margin: 15px 0;"></div>
+        <button type="button" class="button" onclick="loadSyncHistory()"><?php _e('Load History', 'wc-wms-integration'); ?></button>
+    </div>
+
+    <!-- Stock Diagnosis Modal -->
+    <div id="stock-diagnosis-modal" class="wms-modal wms-modal-wide" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3><?php _e('🔍 Stock Sync Diagnosis', 'wc-wms-integration'); ?></h3>
+                <button type="button" class="modal-close" onclick="closeStockDiagnosis()">&times;</button>
+            </div>
+            <div class="modal-body" id="stock-diagnosis-report">
+                <!-- Report rendered by diagnoseStockMismatch() -->
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button" onclick="diagnoseStockMismatch()"><?php _e('Run Again', 'wc-wms-integration'); ?></button>
+                <button type="button" class="button modal-close" onclick="closeStockDiagnosis()"><?php _e('Close', 'wc-wms-integration'); ?></button>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Import Preview Modal -->
+    <div id="import-preview-modal" class="wms-modal wms-modal-wide" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="import-preview-title"><?php _e('Import Preview', 'wc-wms-integration'); ?></h3>
+                <button type="button" class="modal-close" onclick="closeImportPreview()">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p class="description"><?php _e('Nothing has been changed yet. Review what the import would do and apply the rows you want.', 'wc-wms-integration'); ?></p>
+                <div id="import-preview-summary"></div>
+                <div class="log-filters">
+                    <select id="import-preview-action-filter" onchange="filterImportPreview()">
+                        <option value=""><?php _e('All actions', 'wc-wms-integration'); ?></option>
+                        <option value="create"><?php _e('Create', 'wc-wms-integration'); ?></option>
+                        <option value="update"><?php _e('Update', 'wc-wms-integration'); ?></option>
+                        <option value="skip"><?php _e('Skip (no changes)', 'wc-wms-integration'); ?></option>
+                        <option value="error"><?php _e('Error', 'wc-wms-integration'); ?></option>
+                    </select>
+                    <input type="text" id="import-preview-search" placeholder="<?php esc_attr_e('Search...', 'wc-wms-integration'); ?>" onkeyup="filterImportPreview()">
+                </div>
+                <table class="widefat fixed striped" id="import-preview-table">
+                    <thead>
+                        <tr>
+                            <th style="width: 30px;"><input type="checkbox" onchange="toggleAllImportPreview(this)"></th>
+                            <th style="width: 160px;" id="import-preview-key-label"><?php _e('Key', 'wc-wms-integration'); ?></th>
+                            <th style="width: 200px;"><?php _e('Name', 'wc-wms-integration'); ?></th>
+                            <th style="width: 90px;"><?php _e('Action', 'wc-wms-integration'); ?></th>
+                            <th><?php _e('Changes', 'wc-wms-integration'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <div id="import-preview-result" style="margin-top: 10px;"></div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="button button-primary" id="apply-selected-import" onclick="applyImportPreview(false)" disabled><?php _e('Apply Selected', 'wc-wms-integration'); ?></button>
+                <button type="button" class="button" id="apply-all-import" onclick="applyImportPreview(true)"><?php _e('Apply All', 'wc-wms-integration'); ?></button>
+                <button type="button" class="button modal-close" onclick="closeImportPreview()"><?php _e('Close', 'wc-wms-integration'); ?></button>
+            </div>
+        </div>
+    </div>
 </div>
@@ -9,7 +9,6 @@ if (!defined('ABSPATH')) {
 }
 
 $webhook_data = $data['webhook_data'] ?? [];
-$registered_webhooks = $webhook_data['registered_webhooks'] ?? [];
 $webhook_url = $webhook_data['webhook_url'] ?? home_url('/wp-json/wc-wms/v1/webhook');
 $webhook_count = $webhook_data['webhook_count'] ?? 0;
 $last_registration = $webhook_data['last_registration_formatted'] ?? 'Never registered';
@@ -22,57 +21,75 @@ $webhook_secret_configured = !empty($webhook_secret);
 <div id="webhooks-tab" class="tab-content" style="display: none;">
     <h2><?php _e('🔗 Webhook Configuration', 'wc-wms-integration'); ?></h2>
     
-    <?php if (!empty($registered_webhooks)): ?>
-    <h3><?php _e('📋 Registered Webhooks', 'wc-wms-integration'); ?></h3>
-    <table class="widefat fixed striped">
+    <h3><?php _e('📋 Webhook Events', 'wc-wms-integration'); ?></h3>
+    <p class="description"><?php _e('Every event the plugin expects, as registered in WMS right now. Fix a single event without touching the others.', 'wc-wms-integration'); ?></p>
+    
+    <div class="log-filters">
+        <button type="button" class="button" onclick="loadWebhookMatrix()"><?php _e('Refresh', 'wc-wms-integration'); ?></button>
+        <button type="button" class="button button-primary" id="repair-missing-webhooks" onclick="repairMissingWebhooks()" disabled><?php _e('Repair Missing Only', 'wc-wms-integration'); ?></button>
+        <span id="webhook-matrix-summary"></span>
+    </div>
+    
+    <table class="widefat fixed striped" id="webhook-matrix">
         <thead>
             <tr>
-                <th style="width: 300px;"><?php _e('Webhook ID', 'wc-wms-integration'); ?></th>
-                <th style="width: 150px;"><?php _e('Event Type', 'wc-wms-integration'); ?></th>
-                <th><?php _e('URL', 'wc-wms-integration'); ?></th>
-                <th style="width: 100px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                <th style="width: 160px;"><?php _e('Event', 'wc-wms-integration'); ?></th>
+                <th style="width: 120px;"><?php _e('Status', 'wc-wms-integration'); ?></th>
+                <th><?php _e('Registrations', 'wc-wms-integration'); ?></th>
+                <th style="width: 220px;"><?php _e('Actions', 'wc-wms-integration'); ?></th>
             </tr>
         </thead>
         <tbody>
-            <?php foreach ($registered_webhooks as $webhook): ?>
-            <tr>
-                <td>
-                    <code style="font-size: 11px;"><?php echo esc_html($webhook['id'] ?? ($webhook['webhook_id'] ?? 'N/A')); ?></code>
-                </td>
-                <td>
-                    <strong><?php 
-                        // Handle different webhook event formats
-                        if (isset($webhook['group']) && isset($webhook['action'])) {
-                            echo esc_html($webhook['group'] . '.' . $webhook['action']);
-                        } elseif (isset($webhook['event_type'])) {
-                            echo esc_html($webhook['event_type']);
-                        } elseif (isset($webhook['event'])) {
-                            echo esc_html($webhook['event']);
-                        } else {
-                            echo 'Unknown';
-                        }
-                    ?></strong>
-                </td>
-                <td>
-                    <code style="font-size: 11px; word-break: break-all;"><?php echo esc_html($webhook['url'] ?? $webhook_url); ?></code>
-                </td>
-                <td>
-                    <span style="color: green;">✅ Active</span>
-                </td>
-            </tr>
-            <?php endforeach; ?>
+            <tr><td colspan="4" class="loading"><?php _e('Open this tab to load webhook registrations...', 'wc-wms-integration'); ?></td></tr>
         </tbody>
     </table>
     
     <p><strong>Total Registered:</strong> <?php echo $webhook_count; ?> | 
-       <strong>Last Registration:</strong> <?php echo esc_html($last_registration); ?> 
-    <?php else: ?>
-    <div class="notice notice-warning">
-        <p><strong><?php _e('No Registered Webhooks Found', 'wc-wms-integration'); ?></strong></p>
-        <p><?php _e('Click "Register All Webhooks with WMS" below to set up webhook integration.', 'wc-wms-integration'); ?></p>
+       <strong>Last Registration:</strong> <?php echo esc_html($last_registration); ?></p>
+    
+    <h3><?php _e('📊 Webhook Queue', 'wc-wms-integration'); ?></h3>
+    <p class="description"><?php _e('Incoming webhooks are queued and processed in priority order; updates wait until the event they depend on has been processed.', 'wc-wms-integration'); ?></p>
+    
+    <div class="log-filters">
+        <button type="button" class="button" onclick="loadWebhookQueueMetrics()"><?php _e('Refresh', 'wc-wms-integration'); ?></button>
+        <label><input type="checkbox" id="webhook-queue-auto-refresh" checked onchange="toggleWebhookQueueAutoRefresh()"> <?php _e('Auto-refresh every 15 seconds', 'wc-wms-integration'); ?></label>
+        <label><?php _e('Batch size', 'wc-wms-integration'); ?>
+            <select id="webhook-queue-batch-size">
+                <option value="10">10</option>
+                <option value="20" selected>20</option>
+                <option value="50">50</option>
+            </select>
+        </label>
+        <button type="button" class="button button-primary" onclick="processWebhookQueueBatch()"><?php _e('Process Batch Now', 'wc-wms-integration'); ?></button>
+        <span id="webhook-queue-updated"></span>
     </div>
-    <?php endif; ?>
     
+    <div id="webhook-queue-batch-result"></div>
+    <div id="webhook-queue-dashboard"><p class="loading"><?php _e('Open this tab to load queue metrics...', 'wc-wms-integration'); ?></p></div>
+    
+    <h3><?php _e('🧪 Send Test Webhook', 'wc-wms-integration'); ?></h3>
+    <p class="description"><?php _e('Send a sample event to this site\'s webhook endpoint, exactly as WMS would. The test goes through the real validator, queue and processor, so it changes WooCommerce data when the references in the payload match. The samples use WMS-TEST references that match nothing in the store.', 'wc-wms-integration'); ?></p>
+
+    <div class="log-filters">
+        <label><?php _e('Event', 'wc-wms-integration'); ?>
+            <select id="test-webhook-event" onchange="selectTestWebhookEvent()">
+                <?php foreach (WC_WMS_Webhook_Service::EXPECTED_EVENTS as $event): ?>
+                    <option value="<?php echo esc_attr($event); ?>"><?php echo esc_html($event); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+        <button type="button" class="button" onclick="selectTestWebhookEvent()"><?php _e('Reset Sample', 'wc-wms-integration'); ?></button>
+        <label><input type="checkbox" id="test-webhook-invalid-signature"> <?php _e('Sign with an invalid signature', 'wc-wms-integration'); ?></label>
+    </div>
+
+    <textarea id="test-webhook-payload" rows="14" class="large-text code" spellcheck="false"></textarea>
+
+    <p>
+        <button type="button" class="button button-primary" onclick="sendTestWebhook()"><?php _e('Send Test Webhook', 'wc-wms-integration'); ?></button>
+    </p>
+
+    <div id="test-webhook-result"></div>
+
     <h3><?php _e('⚙️ Webhook Management', 'wc-wms-integration'); ?></h3>
     
     <table class="form-table">
@@ -98,10 +115,21 @@ $webhook_secret_configured = !empty($webhook_secret);
             </td>
         </tr>
         <tr>
-            <th scope="row"><?php _e('Generate New Secret', 'wc-wms-integration'); ?></th>
+            <th scope="row"><?php _e('Rotate Secret', 'wc-wms-integration'); ?></th>
             <td>
-                <button type="button" class="button" onclick="generateWebhookSecret()"><?php _e('Generate New Secret', 'wc-wms-integration'); ?></button>
-                <p class="description"><?php _e('Generate a new webhook secret (will require re-registration)', 'wc-wms-integration'); ?></p>
+                <div id="webhook-rotation-status"><em><?php _e('Open this tab to load the rotation state...', 'wc-wms-integration'); ?></em></div>
+                <div id="webhook-rotation-start" style="display: none;">
+                    <label><?php _e('Keep accepting the previous secret for', 'wc-wms-integration'); ?>
+                        <select id="webhook-rotation-grace">
+                            <option value="1"><?php _e('1 hour', 'wc-wms-integration'); ?></option>
+                            <option value="6"><?php _e('6 hours', 'wc-wms-integration'); ?></option>
+                            <option value="24" selected><?php _e('24 hours', 'wc-wms-integration'); ?></option>
+                            <option value="72"><?php _e('3 days', 'wc-wms-integration'); ?></option>
+                        </select>
+                    </label>
+                    <button type="button" class="button" onclick="rotateWebhookSecret()"><?php _e('Rotate Secret', 'wc-wms-integration'); ?></button>
+                </div>
+                <p class="description"><?php _e('Generates a new webhook secret and updates every WMS registration to use it. Webhooks signed with the previous secret are still accepted until the grace period ends or you retire it.', 'wc-wms-integration'); ?></p>
             </td>
         </tr>
         <tr>
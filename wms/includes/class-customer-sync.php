@@ -120,6 +120,23 @@ class WC_WMS_Customer_Sync {
         }
     }
     
+    /**
+     * Preview a customer import without changing WooCommerce
+     * 
+     * @param array $params Same parameters as import_customers_from_wms()
+     * @return array|WP_Error Per-customer actions and field changes
+     */
+    public function preview_customers_from_wms($params = []) {
+        try {
+            return $this->wmsClient->customerIntegrator()->previewCustomersFromWMS($params);
+        } catch (Exception $e) {
+            $this->wmsClient->logger()->error('Failed to preview customer import from WMS', [
+                'error' => $e->getMessage()
+            ]);
+            return new WP_Error('wms_error', $e->getMessage());
+        }
+    }
+    
     /**
      * Sync customers via cron (import-only)
      */
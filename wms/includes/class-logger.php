@@ -118,10 +118,11 @@ class WC_WMS_Logger {
     /**
      * Log webhook received
      */
-    public function log_webhook($type, $data, $processed = false, $error = null) {
+    public function log_webhook($type, $data, $processed = false, $error = null, $webhook_id = null) {
         $log_data = [
             'type' => 'webhook',
             'webhook_type' => $type,
+            'webhook_id' => $webhook_id,
             'data' => $data,
             'processed' => $processed,
             'error' => $error,
@@ -130,14 +131,38 @@ class WC_WMS_Logger {
         
         if ($error) {
             $this->error('Webhook Processing Failed', $log_data);
-        } else {
+        } elseif ($processed) {
             $this->info('Webhook Processed', $log_data);
+        } else {
+            $this->info('Webhook Received', $log_data);
         }
         
         // Store in database
         $this->store_webhook_log($log_data);
     }
     
+    /**
+     * Update the stored log of a webhook once its queued processing finished
+     */
+    public function update_webhook_log($webhook_id, $processed, $error = null) {
+        global $wpdb;
+        
+        if (empty($webhook_id)) {
+            return;
+        }
+        
+        $wpdb->update(
+            $wpdb->prefix . 'wc_wms_webhook_logs',
+            [
+                'processed' => $processed ? 1 : 0,
+                'error_message' => $error
+            ],
+            ['webhook_id' => $webhook_id],
+            ['%d', '%s'],
+            ['%s']
+        );
+    }
+    
     /**
      * Log order processing
      */
@@ -162,6 +187,9 @@ class WC_WMS_Logger {
      * Generic log method
      */
     private function log($level, $message, $context = []) {
+        // Lets the schedules console follow what a cron job logs while it runs
+        do_action('wc_wms_logged', $level, $message, $context);
+        
         if (!$this->logger) {
             error_log("[WMS-{$level}] {$message} " . json_encode($context));
             return;
@@ -222,12 +250,13 @@ class WC_WMS_Logger {
             $table_name,
             [
                 'webhook_type' => $data['webhook_type'],
+                'webhook_id' => $data['webhook_id'] ?? null,
                 'payload' => json_encode($data['data']),
                 'processed' => $data['processed'] ? 1 : 0,
                 'error_message' => $data['error'],
                 'created_at' => $data['timestamp']
             ],
-            ['%s', '%s', '%d', '%s', '%s']
+            ['%s', '%s', '%s', '%d', '%s', '%s']
         );
     }
     
@@ -271,12 +300,14 @@ class WC_WMS_Logger {
         $sql = "CREATE TABLE IF NOT EXISTS $table_name (
             id mediumint(9) NOT NULL AUTO_INCREMENT,
             webhook_type varchar(50) NOT NULL,
+            webhook_id varchar(255) DEFAULT NULL,
             payload longtext,
             processed tinyint(1) DEFAULT 0,
             error_message text,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY (id),
             KEY webhook_type (webhook_type),
+            KEY webhook_id (webhook_id),
             KEY processed (processed),
             KEY created_at (created_at)
         ) $charset_collate;";
@@ -318,4 +349,161 @@ class WC_WMS_Logger {
         
         return array_slice($logs, 0, $limit);
     }
+    
+    /**
+     * Query API and webhook logs with filters and cursor pagination
+     * 
+     * Logs are ordered by created_at, log type and id (newest first). The cursor
+     * is the "created_at|log_type|id" key of the last log on the previous page.
+     */
+    public function query_logs($filters = [], $cursor = '', $limit = 25) {
+        global $wpdb;
+        
+        $type = $filters['type'] ?? 'all';
+        $status = $filters['status'] ?? '';
+        
+        // API-only and webhook-only filters narrow the log type
+        $include_api = in_array($type, ['all', 'api'], true)
+            && empty($filters['webhook_group'])
+            && empty($filters['webhook_action'])
+            && $status !== 'pending';
+        $include_webhook = in_array($type, ['all', 'webhook'], true)
+            && empty($filters['method'])
+            && empty($filters['endpoint']);
+        
+        $cursor_key = null;
+        if (!empty($cursor)) {
+            $parts = explode('|', $cursor);
+            if (count($parts) === 3) {
+                $cursor_key = [
+                    'created_at' => $parts[0],
+                    'log_type' => $parts[1],
+                    'id' => intval($parts[2])
+                ];
+            }
+        }
+        
+        $logs = [];
+        
+        if ($include_api) {
+            $where = [];
+            $params = [];
+            
+            if (!empty($filters['method'])) {
+                $where[] = 'method = %s';
+                $params[] = $filters['method'];
+            }
+            
+            if (!empty($filters['endpoint'])) {
+                $where[] = 'endpoint LIKE %s';
+                $params[] = '%' . $wpdb->esc_like($filters['endpoint']) . '%';
+            }
+            
+            if ($status === 'success') {
+                $where[] = "(error_message IS NULL OR error_message = '')";
+            }
+            
+            $table = $wpdb->prefix . 'wc_wms_api_logs';
+            $logs = array_merge($logs, $this->query_log_table($table, 'api', $where, $params, $filters, $cursor_key, $limit + 1));
+        }
+        
+        if ($include_webhook) {
+            $where = [];
+            $params = [];
+            
+            if (!empty($filters['webhook_group'])) {
+                $where[] = 'webhook_type LIKE %s';
+                $params[] = $wpdb->esc_like($filters['webhook_group']) . '.%';
+            }
+            
+            if (!empty($filters['webhook_action'])) {
+                $where[] = 'webhook_type LIKE %s';
+                $params[] = '%.' . $wpdb->esc_like($filters['webhook_action']);
+            }
+            
+            if ($status === 'success') {
+                $where[] = 'processed = 1';
+            } elseif ($status === 'pending') {
+                $where[] = "processed = 0 AND (error_message IS NULL OR error_message = '')";
+            }
+            
+            $table = $wpdb->prefix . 'wc_wms_webhook_logs';
+            $logs = array_merge($logs, $this->query_log_table($table, 'webhook', $where, $params, $filters, $cursor_key, $limit + 1));
+        }
+        
+        usort($logs, function($a, $b) {
+            if ($a->created_at !== $b->created_at) {
+                return strcmp($b->created_at, $a->created_at);
+            }
+            if ($a->log_type !== $b->log_type) {
+                return strcmp($b->log_type, $a->log_type);
+            }
+            return $b->id - $a->id;
+        });
+        
+        $has_more = count($logs) > $limit;
+        $logs = array_slice($logs, 0, $limit);
+        
+        $next_cursor = null;
+        if ($has_more) {
+            $last = end($logs);
+            $next_cursor = $last->created_at . '|' . $last->log_type . '|' . $last->id;
+        }
+        
+        return [
+            'logs' => $logs,
+            'has_more' => $has_more,
+            'next_cursor' => $next_cursor
+        ];
+    }
+    
+    /**
+     * Fetch one page of a single log table for query_logs()
+     */
+    private function query_log_table($table, $log_type, $where, $params, $filters, $cursor_key, $limit) {
+        global $wpdb;
+        
+        if ($wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $table)) !== $table) {
+            return [];
+        }
+        
+        if (!empty($filters['errors_only']) || ($filters['status'] ?? '') === 'error') {
+            $where[] = "error_message IS NOT NULL AND error_message <> ''";
+        }
+        
+        if (!empty($filters['date_from'])) {
+            $where[] = 'created_at >= %s';
+            $params[] = $filters['date_from'] . ' 00:00:00';
+        }
+        
+        if (!empty($filters['date_to'])) {
+            $where[] = 'created_at <= %s';
+            $params[] = $filters['date_to'] . ' 23:59:59';
+        }
+        
+        // Keyset condition: only rows that sort after the cursor
+        if ($cursor_key) {
+            $type_order = strcmp($log_type, $cursor_key['log_type']);
+            if ($type_order < 0) {
+                $where[] = 'created_at <= %s';
+                $params[] = $cursor_key['created_at'];
+            } elseif ($type_order === 0) {
+                $where[] = '(created_at < %s OR (created_at = %s AND id < %d))';
+                $params[] = $cursor_key['created_at'];
+                $params[] = $cursor_key['created_at'];
+                $params[] = $cursor_key['id'];
+            } else {
+                $where[] = 'created_at < %s';
+                $params[] = $cursor_key['created_at'];
+            }
+        }
+        
+        $where_sql = empty($where) ? '' : 'WHERE ' . implode(' AND ', $where);
+        $params[] = $limit;
+        
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT *, '{$log_type}' as log_type FROM $table $where_sql ORDER BY created_at DESC, id DESC LIMIT %d",
+            ...$params
+        ));
+    }
 }
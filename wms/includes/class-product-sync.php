@@ -54,8 +54,12 @@ class WC_WMS_Product_Sync {
      * Schedule product sync cron job
      */
     public function schedule_product_sync_cron() {
+        if (WC_WMS_Cron_Manager::isHookPaused('wc_wms_sync_products')) {
+            return;
+        }
+        
         if (!wp_next_scheduled('wc_wms_sync_products')) {
-            wp_schedule_event(time(), 'hourly', 'wc_wms_sync_products');
+            wp_schedule_event(time(), WC_WMS_Cron_Manager::getHookInterval('wc_wms_sync_products'), 'wc_wms_sync_products');
         }
     }
     
@@ -21,6 +21,10 @@ class WC_WMS_Ajax_Handlers {
         // Product sync handlers
         add_action('wp_ajax_wc_wms_sync_all_products', [self::class, 'sync_all_products']);
         add_action('wp_ajax_wc_wms_sync_everything', [self::class, 'sync_everything']);
+        add_action('wp_ajax_wc_wms_export_all_products', [self::class, 'export_all_products']);
+        add_action('wp_ajax_wc_wms_get_product_export', [self::class, 'get_product_export']);
+        add_action('wp_ajax_wc_wms_resume_product_export', [self::class, 'resume_product_export']);
+        add_action('wp_ajax_wc_wms_refresh_selected_products', [self::class, 'refresh_selected_products']);
         
         // Customer sync handlers
         add_action('wp_ajax_wc_wms_import_customers', [self::class, 'import_customers']);
@@ -28,23 +32,40 @@ class WC_WMS_Ajax_Handlers {
         
         // Order sync handlers
         add_action('wp_ajax_wc_wms_sync_orders', [self::class, 'sync_orders']);
+        add_action('wp_ajax_wc_wms_get_order_sync_status', [self::class, 'get_order_sync_status']);
+        add_action('wp_ajax_wc_wms_order_bulk_action', [self::class, 'order_bulk_action']);
         
         // Location type handlers
         add_action('wp_ajax_wc_wms_sync_location_types', [self::class, 'sync_location_types']);
         add_action('wp_ajax_wc_wms_get_location_types', [self::class, 'get_location_types']);
+        add_action('wp_ajax_wc_wms_get_location_type_details', [self::class, 'get_location_type_details']);
         add_action('wp_ajax_wc_wms_get_location_type_stats', [self::class, 'get_location_type_stats']);
         
         // Stock sync handlers
         add_action('wp_ajax_wc_wms_sync_all_stock', [self::class, 'sync_all_stock']);
         add_action('wp_ajax_wc_wms_diagnose_stock_mismatch', [self::class, 'diagnose_stock_mismatch']);
         add_action('wp_ajax_wc_wms_create_products_from_stock', [self::class, 'create_products_from_stock']);
+        add_action('wp_ajax_wc_wms_stock_lookup_sku', [self::class, 'stock_lookup_sku']);
+        add_action('wp_ajax_wc_wms_stock_submit_adjustment', [self::class, 'stock_submit_adjustment']);
+        add_action('wp_ajax_wc_wms_stock_get_modifications', [self::class, 'stock_get_modifications']);
+        add_action('wp_ajax_wc_wms_stock_get_dashboard', [self::class, 'stock_get_dashboard']);
+        add_action('wp_ajax_wc_wms_stock_download_planning', [self::class, 'stock_download_planning']);
         
         // Webhook handlers
         add_action('wp_ajax_wc_wms_register_webhooks', [self::class, 'register_webhooks']);
         add_action('wp_ajax_wc_wms_check_webhook_status', [self::class, 'check_webhook_status']);
         add_action('wp_ajax_wc_wms_delete_all_webhooks', [self::class, 'delete_all_webhooks']);
         add_action('wp_ajax_wc_wms_validate_webhook_config', [self::class, 'validate_webhook_config']);
-        add_action('wp_ajax_wc_wms_generate_webhook_secret', [self::class, 'generate_webhook_secret']);
+        add_action('wp_ajax_wc_wms_get_webhook_rotation_status', [self::class, 'get_webhook_rotation_status']);
+        add_action('wp_ajax_wc_wms_rotate_webhook_secret', [self::class, 'rotate_webhook_secret']);
+        add_action('wp_ajax_wc_wms_reregister_webhooks_with_current_secret', [self::class, 'reregister_webhooks_with_current_secret']);
+        add_action('wp_ajax_wc_wms_retire_previous_webhook_secret', [self::class, 'retire_previous_webhook_secret']);
+        add_action('wp_ajax_wc_wms_get_webhook_matrix', [self::class, 'get_webhook_matrix']);
+        add_action('wp_ajax_wc_wms_register_webhook_event', [self::class, 'register_webhook_event']);
+        add_action('wp_ajax_wc_wms_delete_webhook_event', [self::class, 'delete_webhook_event']);
+        add_action('wp_ajax_wc_wms_repair_missing_webhooks', [self::class, 'repair_missing_webhooks']);
+        add_action('wp_ajax_wc_wms_get_test_webhook_samples', [self::class, 'get_test_webhook_samples']);
+        add_action('wp_ajax_wc_wms_send_test_webhook', [self::class, 'send_test_webhook']);
         add_action('wp_ajax_wc_wms_check_logging_security', [self::class, 'check_logging_security']);
         
         // Inbound handlers
@@ -58,12 +79,38 @@ class WC_WMS_Ajax_Handlers {
         
         // Shipment handlers
         add_action('wp_ajax_wc_wms_sync_shipments', [self::class, 'sync_shipments']);
+        add_action('wp_ajax_wc_wms_get_shipments', [self::class, 'get_shipments']);
+        add_action('wp_ajax_wc_wms_create_return_label', [self::class, 'create_return_label']);
+        add_action('wp_ajax_wc_wms_get_order_shipments', [self::class, 'get_order_shipments']);
         
         // Shipping method handlers
         add_action('wp_ajax_wc_wms_sync_shipping_methods', [self::class, 'sync_shipping_methods']);
         add_action('wp_ajax_wc_wms_get_shipping_methods', [self::class, 'get_shipping_methods']);
         add_action('wp_ajax_wc_wms_save_shipping_mappings', [self::class, 'save_shipping_mappings']);
         
+        // Log viewer handlers
+        add_action('wp_ajax_wc_wms_get_logs', [self::class, 'get_logs']);
+        
+        // Cron schedule handlers
+        add_action('wp_ajax_wc_wms_get_cron_schedules', [self::class, 'get_cron_schedules']);
+        add_action('wp_ajax_wc_wms_update_cron_schedule', [self::class, 'update_cron_schedule']);
+        add_action('wp_ajax_wc_wms_stream_cron_run', [self::class, 'stream_cron_run']);
+        
+        // Webhook queue handlers
+        add_action('wp_ajax_wc_wms_get_webhook_queue', [self::class, 'get_webhook_queue']);
+        add_action('wp_ajax_wc_wms_get_webhook_queue_metrics', [self::class, 'get_webhook_queue_metrics']);
+        add_action('wp_ajax_wc_wms_process_webhook_queue_batch', [self::class, 'process_webhook_queue_batch']);
+        add_action('wp_ajax_wc_wms_reprocess_webhook', [self::class, 'reprocess_webhook']);
+        add_action('wp_ajax_wc_wms_ignore_webhook', [self::class, 'ignore_webhook']);
+        add_action('wp_ajax_wc_wms_get_webhook_prerequisite', [self::class, 'get_webhook_prerequisite']);
+        add_action('wp_ajax_wc_wms_replay_failed_webhooks', [self::class, 'replay_failed_webhooks']);
+        
+        // GDPR handlers
+        add_action('wp_ajax_wc_wms_gdpr_start_request', [self::class, 'gdpr_start_request']);
+        add_action('wp_ajax_wc_wms_gdpr_get_requests', [self::class, 'gdpr_get_requests']);
+        add_action('wp_ajax_wc_wms_gdpr_poll_requests', [self::class, 'gdpr_poll_requests']);
+        add_action('wp_ajax_wc_wms_gdpr_download_export', [self::class, 'gdpr_download_export']);
+        
         // Initial sync management
         add_action('wp_ajax_wc_wms_reset_initial_sync', [self::class, 'reset_initial_sync']);
         
@@ -71,6 +118,10 @@ class WC_WMS_Ajax_Handlers {
         add_action('wp_ajax_wc_wms_start_sync_jobs', [self::class, 'start_sync_jobs']);
         add_action('wp_ajax_wc_wms_get_sync_progress', [self::class, 'get_sync_progress']);
         add_action('wp_ajax_wc_wms_process_sync_job', [self::class, 'process_sync_job']);
+        add_action('wp_ajax_wc_wms_get_active_sync_batch', [self::class, 'get_active_sync_batch']);
+        add_action('wp_ajax_wc_wms_get_sync_history', [self::class, 'get_sync_history']);
+        add_action('wp_ajax_wc_wms_cancel_sync_batch', [self::class, 'cancel_sync_batch']);
+        add_action('wp_ajax_wc_wms_stream_sync_progress', [self::class, 'stream_sync_progress']);
     }
     
     /**
@@ -86,8 +137,15 @@ class WC_WMS_Ajax_Handlers {
                 $client->authenticator()->authenticate();
             }
             
+            // Optional list of SKUs selected in the diagnosis report
+            $skus = [];
+            if (!empty($_POST['skus'])) {
+                $skus = json_decode(stripslashes($_POST['skus']), true);
+                $skus = is_array($skus) ? array_values(array_filter(array_map('sanitize_text_field', $skus))) : [];
+            }
+            
             // Use product integrator to create products from stock
-            $results = $client->productIntegrator()->createProductsFromStock(50);
+            $results = $client->productIntegrator()->createProductsFromStock(50, $skus);
             
             wp_send_json_success([
                 'message' => sprintf(
@@ -106,6 +164,127 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * Start a chunked export of WooCommerce products to WMS
+     */
+    public static function export_all_products() {
+        self::verify_request();
+        
+        $filters = [
+            'category' => array_values(array_filter(array_map('sanitize_title', (array) ($_POST['category'] ?? [])))),
+            'modified_since' => sanitize_text_field($_POST['modified_since'] ?? ''),
+            'needs_sync' => !empty($_POST['needs_sync'])
+        ];
+        
+        try {
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            $export = $syncJobsManager->startProductExport($filters);
+            
+            if (!$export['batch_id']) {
+                wp_send_json_success([
+                    'message' => 'No products match the selected filters',
+                    'export' => null
+                ]);
+                return;
+            }
+            
+            wp_send_json_success([
+                'message' => sprintf('Queued %d products in %d chunks for export', $export['total_products'], $export['total_chunks']),
+                'export' => $export,
+                'progress' => $syncJobsManager->getSyncProgress($export['batch_id'])
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to start product export: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get a product export (the most recent one by default) with its chunk progress
+     */
+    public static function get_product_export() {
+        self::verify_request();
+        
+        try {
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            $batch_id = sanitize_text_field($_POST['batch_id'] ?? '') ?: $syncJobsManager->getLatestProductExportBatchId();
+            $export = $batch_id ? $syncJobsManager->getProductExport($batch_id) : null;
+            
+            wp_send_json_success([
+                'export' => $export,
+                'progress' => $export ? $syncJobsManager->getSyncProgress($batch_id) : null
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get product export: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Resume an interrupted product export after its last completed chunk
+     */
+    public static function resume_product_export() {
+        self::verify_request();
+        
+        $batch_id = sanitize_text_field($_POST['batch_id'] ?? '');
+        
+        if (empty($batch_id)) {
+            wp_send_json_error('Batch ID is required');
+            return;
+        }
+        
+        try {
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            $resumed = $syncJobsManager->resumeProductExport($batch_id);
+            
+            wp_send_json_success([
+                'message' => $resumed > 0 ? sprintf('Resumed export: %d chunks queued again', $resumed) : 'Nothing to resume - no failed, cancelled or interrupted chunks',
+                'resumed' => $resumed,
+                'export' => $syncJobsManager->getProductExport($batch_id),
+                'progress' => $syncJobsManager->getSyncProgress($batch_id)
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to resume product export: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Refresh product data and stock from WMS for selected products or pasted SKUs
+     */
+    public static function refresh_selected_products() {
+        self::verify_request();
+        
+        $product_ids = array_filter(array_map('intval', (array) ($_POST['product_ids'] ?? [])));
+        $skus = preg_split('/[\s,;]+/', sanitize_textarea_field($_POST['skus'] ?? ''), -1, PREG_SPLIT_NO_EMPTY);
+        $refresh_products = !empty($_POST['refresh_products']);
+        $refresh_stock = !empty($_POST['refresh_stock']);
+        
+        if (!$refresh_products && !$refresh_stock) {
+            wp_send_json_error('Choose product data, stock or both to refresh');
+        }
+        
+        try {
+            $integrator = WC_WMS_Service_Container::getWmsClient()->productIntegrator();
+            
+            $not_found = [];
+            if (!empty($skus)) {
+                $lookup = $integrator->findProductIdsBySkus($skus);
+                $product_ids = array_merge($product_ids, $lookup['product_ids']);
+                $not_found = $lookup['not_found'];
+            }
+            
+            $result = empty($product_ids)
+                ? ['summary' => ['refreshed' => 0, 'failed' => 0, 'skipped' => 0], 'rows' => []]
+                : $integrator->refreshSelectedProducts($product_ids, $refresh_products, $refresh_stock);
+            $result['not_found'] = $not_found;
+            
+            wp_send_json_success($result);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to refresh products: ' . $e->getMessage());
+        }
+    }
+    
     /**
      * Sync all products - Import articles from WMS
      */
@@ -530,7 +709,24 @@ class WC_WMS_Ajax_Handlers {
             
             // Use centralized order sync manager
             $orderSyncManager = new WC_WMS_Order_Sync_Manager($client);
-            $result = $orderSyncManager->processManualOrderSync();
+            
+            // Backfill filters - any of them turns this into a backfill that leaves the cursor alone
+            $filters = [
+                'date_from' => sanitize_text_field($_POST['date_from'] ?? ''),
+                'date_to' => sanitize_text_field($_POST['date_to'] ?? ''),
+                'modified_since' => sanitize_text_field($_POST['modified_since'] ?? ''),
+                'status' => sanitize_text_field($_POST['status'] ?? ''),
+                'external_references' => array_values(array_filter(array_map('trim',
+                    preg_split('/[\s,]+/', sanitize_textarea_field($_POST['external_references'] ?? ''))
+                )))
+            ];
+            
+            if (array_filter($filters)) {
+                $result = $orderSyncManager->processOrderBackfill($filters);
+            } else {
+                // Same as the scheduled run: only orders changed since the store's cursor
+                $result = $orderSyncManager->processIncrementalOrderSync(['limit' => 50]);
+            }
             
             if (isset($result['errors']) && !empty($result['errors'])) {
                 wp_send_json_error([
@@ -539,7 +735,8 @@ class WC_WMS_Ajax_Handlers {
                     'created' => $result['created'],
                     'updated' => $result['updated'],
                     'errors' => $result['errors'],
-                    'error_count' => count($result['errors'])
+                    'error_count' => count($result['errors']),
+                    'not_found' => $result['not_found'] ?? []
                 ]);
             } else {
                 // Update order sync timestamp
@@ -551,7 +748,10 @@ class WC_WMS_Ajax_Handlers {
                     'total_fetched' => $result['total_fetched'],
                     'created' => $result['created'],
                     'updated' => $result['updated'],
-                    'skipped' => $result['skipped']
+                    'skipped' => $result['skipped'],
+                    'not_found' => $result['not_found'] ?? [],
+                    'has_more' => !empty($result['has_more']),
+                    'cursor' => $result['cursor'] ?? null
                 ]);
             }
         } catch (Exception $e) {
@@ -559,6 +759,70 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * List orders with their WMS state
+     */
+    public static function get_order_sync_status() {
+        self::verify_request();
+        
+        $filters = [
+            'state' => sanitize_text_field($_POST['state'] ?? ''),
+            'date_from' => sanitize_text_field($_POST['date_from'] ?? ''),
+            'date_to' => sanitize_text_field($_POST['date_to'] ?? '')
+        ];
+        $page = max(1, intval($_POST['page'] ?? 1));
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $orderSyncManager = new WC_WMS_Order_Sync_Manager($client);
+            
+            wp_send_json_success($orderSyncManager->getOrderSyncStatusList($filters, $page, 20));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load orders: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Export, reset or pull a selection of orders
+     */
+    public static function order_bulk_action() {
+        self::verify_request();
+        
+        $bulkAction = sanitize_text_field($_POST['bulk_action'] ?? '');
+        $orderIds = array_slice(array_filter(array_map('intval', (array) ($_POST['order_ids'] ?? []))), 0, 50);
+        
+        if (empty($orderIds)) {
+            wp_send_json_error('No orders selected');
+            return;
+        }
+        
+        if ($bulkAction !== 'reset' && !get_option('wc_wms_initial_sync_completed', false)) {
+            wp_send_json_error([
+                'message' => 'Order export and pull are disabled until initial sync is completed. Please run "Sync Everything" first.',
+                'code' => 'initial_sync_required'
+            ]);
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $orderSyncManager = new WC_WMS_Order_Sync_Manager($client);
+            $results = $orderSyncManager->runOrderBulkAction($bulkAction, $orderIds);
+            
+            $failed = count(array_filter($results, function($result) {
+                return !$result['success'];
+            }));
+            
+            wp_send_json_success([
+                'message' => sprintf('%d orders processed, %d failed', count($results) - $failed, $failed),
+                'results' => $results,
+                'failed' => $failed
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Bulk action failed: ' . $e->getMessage());
+        }
+    }
+    
     /**
      * Import customers
      */
@@ -576,7 +840,32 @@ class WC_WMS_Ajax_Handlers {
         
         try {
             $customerSync = WC_WMS_Service_Container::getCustomerSync();
-            $result = $customerSync->import_customers_from_wms(['limit' => 100]);
+            
+            // Preview mode: report what would change without touching WooCommerce
+            if (!empty($_POST['dry_run'])) {
+                $preview = $customerSync->preview_customers_from_wms(['limit' => 100]);
+                
+                if (is_wp_error($preview)) {
+                    wp_send_json_error([
+                        'message' => $preview->get_error_message(),
+                        'code' => $preview->get_error_code()
+                    ]);
+                    return;
+                }
+                
+                wp_send_json_success($preview);
+                return;
+            }
+            
+            $params = ['limit' => 100];
+            
+            // Only apply the customers selected in a preview
+            $customer_ids = isset($_POST['customer_ids']) ? json_decode(stripslashes($_POST['customer_ids']), true) : [];
+            if (!empty($customer_ids) && is_array($customer_ids)) {
+                $params['customer_ids'] = array_map('sanitize_text_field', $customer_ids);
+            }
+            
+            $result = $customerSync->import_customers_from_wms($params);
             
             if (is_wp_error($result)) {
                 wp_send_json_error([
@@ -592,6 +881,7 @@ class WC_WMS_Ajax_Handlers {
                         $result['imported'], $result['updated'], $result['errors']),
                     'imported' => $result['imported'],
                     'updated' => $result['updated'],
+                    'skipped' => $result['skipped'] ?? 0,
                     'errors' => $result['errors'],
                     'error_details' => $result['error_details']
                 ]);
@@ -671,6 +961,130 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * Look up a product by SKU with its WooCommerce and WMS stock
+     */
+    public static function stock_lookup_sku() {
+        self::verify_request();
+        
+        $sku = sanitize_text_field($_POST['sku'] ?? '');
+        if ($sku === '') {
+            wp_send_json_error('SKU is required');
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            wp_send_json_success($client->stockIntegrator()->getStockComparison($sku));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to look up SKU: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Submit a stock adjustment (correction, defective or lost) to WMS
+     */
+    public static function stock_submit_adjustment() {
+        self::verify_request();
+        
+        $product_id = intval($_POST['product_id'] ?? 0);
+        $reason = sanitize_text_field($_POST['reason'] ?? '');
+        $quantity = intval($_POST['quantity'] ?? 0);
+        $note = sanitize_textarea_field($_POST['note'] ?? '');
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->stockIntegrator()->submitStockAdjustment($product_id, $reason, $quantity, $note);
+            
+            wp_send_json_success(array_merge($result, [
+                'message' => sprintf('Stock adjustment submitted to WMS (%s, %+d)', $result['reason'], $result['quantity'])
+            ]));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to submit stock adjustment: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get a page of WMS stock modification history
+     */
+    public static function stock_get_modifications() {
+        self::verify_request();
+        
+        $page = max(1, intval($_POST['page'] ?? 1));
+        $reason = sanitize_text_field($_POST['reason'] ?? '');
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            wp_send_json_success($client->stockIntegrator()->getModificationHistory($page, $reason));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get modifications: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get the stock dashboard, saving the low stock threshold first when one is posted
+     */
+    public static function stock_get_dashboard() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            
+            if (isset($_POST['threshold']) && $_POST['threshold'] !== '') {
+                $client->stock()->setLowStockThreshold(intval($_POST['threshold']));
+            }
+            
+            wp_send_json_success($client->stockIntegrator()->getStockDashboard());
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load stock dashboard: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Download low stock and turnover per product as CSV for purchase planning
+     */
+    public static function stock_download_planning() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $rows = $client->stockIntegrator()->getStockPlanningRows();
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to download stock planning: ' . $e->getMessage());
+            return;
+        }
+        
+        $header = ['SKU', 'Product', 'Product ID', 'Stock', 'Stock Status', 'Low Stock'];
+        foreach (WC_WMS_Constants::STOCK_TURNOVER_PERIODS as $days) {
+            $header[] = sprintf('Sold %d Days', $days);
+        }
+        $header[] = 'Days of Stock';
+        $header[] = 'WMS Variant ID';
+        
+        nocache_headers();
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="wms-stock-planning-' . gmdate('Y-m-d') . '.csv"');
+        
+        $output = fopen('php://output', 'w');
+        fputcsv($output, $header);
+        foreach ($rows as $row) {
+            $row['low_stock'] = $row['low_stock'] ? 'yes' : 'no';
+            fputcsv($output, array_map([self::class, 'csv_safe_value'], array_values($row)));
+        }
+        fclose($output);
+        exit;
+    }
+    
+    /**
+     * Keep spreadsheet apps from running product names or SKUs as formulas
+     */
+    private static function csv_safe_value($value) {
+        if (is_string($value) && $value !== '' && in_array($value[0], ['=', '+', '-', '@', "\t", "\r"], true)) {
+            return "'" . $value;
+        }
+        
+        return $value;
+    }
+    
     /**
      * Get customer statistics
      */
@@ -799,104 +1213,312 @@ class WC_WMS_Ajax_Handlers {
     }
     
     /**
-     * Validate webhook config
+     * Get per-event webhook registration matrix
      */
-    public static function validate_webhook_config() {
+    public static function get_webhook_matrix() {
         self::verify_request();
         
         try {
             $client = WC_WMS_Service_Container::getWmsClient();
-            $validation = $client->webhookIntegrator()->validateWebhookConfiguration();
-            
-            wp_send_json_success($validation);
+            wp_send_json_success($client->webhookIntegrator()->getWebhookEventMatrix());
         } catch (Exception $e) {
-            wp_send_json_error('Webhook config validation failed: ' . $e->getMessage());
+            wp_send_json_error('Failed to load webhook matrix: ' . $e->getMessage());
         }
     }
     
     /**
-     * Generate webhook secret
+     * Register or re-register a single webhook event
      */
-    public static function generate_webhook_secret() {
+    public static function register_webhook_event() {
         self::verify_request();
         
+        if (!get_option('wc_wms_initial_sync_completed', false)) {
+            wp_send_json_error([
+                'message' => 'Webhook registration is disabled until initial sync is completed. Please run "Sync Everything" first.',
+                'code' => 'initial_sync_required'
+            ]);
+            return;
+        }
+        
+        $event = sanitize_text_field($_POST['event'] ?? '');
+        $replace = !empty($_POST['replace']);
+        
+        if (empty($event)) {
+            wp_send_json_error('Webhook event is required');
+            return;
+        }
+        
         try {
             $client = WC_WMS_Service_Container::getWmsClient();
-            $secret = $client->webhooks()->generateWebhookSecret();
+            $result = $client->webhookIntegrator()->registerWebhookEvent($event, $replace);
             
-            wp_send_json_success([
-                'message' => 'New webhook secret generated',
-                'secret_length' => strlen($secret)
-            ]);
+            wp_send_json_success(array_merge($result, [
+                'message' => sprintf('%s %s', $replace ? 'Re-registered' : 'Registered', $event)
+            ]));
         } catch (Exception $e) {
-            wp_send_json_error('Failed to generate webhook secret: ' . $e->getMessage());
+            wp_send_json_error('Failed to register webhook: ' . $e->getMessage());
         }
     }
     
     /**
-     * Sync location types from WMS
+     * Delete the registrations of a single webhook event
      */
-    public static function sync_location_types() {
+    public static function delete_webhook_event() {
         self::verify_request();
         
-        // Check if initial sync is completed before allowing manual location type sync
-        if (!get_option('wc_wms_initial_sync_completed', false)) {
-            wp_send_json_error([
-                'message' => 'Location type sync is disabled until initial sync is completed. Please run "Sync Everything" first.',
-                'code' => 'initial_sync_required'
-            ]);
+        $event = sanitize_text_field($_POST['event'] ?? '');
+        
+        if (empty($event)) {
+            wp_send_json_error('Webhook event is required');
             return;
         }
         
         try {
             $client = WC_WMS_Service_Container::getWmsClient();
-            $result = $client->locationTypes()->syncLocationTypes();
+            $result = $client->webhookIntegrator()->deleteWebhookEvent($event);
             
-            if ($result['success']) {
-                wp_send_json_success([
-                    'message' => sprintf(
-                        'Successfully synced %d location types (%d pickable, %d transport)',
-                        $result['total_count'],
-                        $result['pickable_count'],
-                        $result['transport_count']
-                    ),
-                    'result' => $result
-                ]);
-            } else {
-                wp_send_json_error([
-                    'message' => 'Failed to sync location types',
-                    'result' => $result
-                ]);
-            }
+            wp_send_json_success(array_merge($result, [
+                'message' => sprintf('Deleted %d webhook(s) for %s', count($result['deleted']), $event)
+            ]));
         } catch (Exception $e) {
-            wp_send_json_error('Location types sync failed: ' . $e->getMessage());
+            wp_send_json_error('Failed to delete webhook: ' . $e->getMessage());
         }
     }
     
     /**
-     * Get location types
+     * Register only the expected webhook events that are missing
      */
-    public static function get_location_types() {
+    public static function repair_missing_webhooks() {
         self::verify_request();
         
-        try {
-            $client = WC_WMS_Service_Container::getWmsClient();
-            
+        if (!get_option('wc_wms_initial_sync_completed', false)) {
+            wp_send_json_error([
+                'message' => 'Webhook registration is disabled until initial sync is completed. Please run "Sync Everything" first.',
+                'code' => 'initial_sync_required'
+            ]);
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->webhookIntegrator()->repairMissingWebhooks();
+            
+            wp_send_json_success(array_merge($result, [
+                'message' => $result['summary']
+            ]));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to repair webhooks: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get sample payloads for the test webhook tool
+     */
+    public static function get_test_webhook_samples() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $samples = $client->webhookIntegrator()->getTestWebhookSamples();
+            
+            wp_send_json_success(['samples' => $samples]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load sample payloads: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Send a test webhook to our own endpoint
+     */
+    public static function send_test_webhook() {
+        self::verify_request();
+        
+        $payload = json_decode(stripslashes($_POST['payload'] ?? ''), true);
+        $invalid_signature = isset($_POST['invalid_signature']) && $_POST['invalid_signature'] === 'true';
+        
+        if (!is_array($payload)) {
+            wp_send_json_error('Payload is not valid JSON: ' . json_last_error_msg());
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->webhookIntegrator()->sendTestWebhook($payload, $invalid_signature);
+            
+            wp_send_json_success($result);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to send test webhook: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Validate webhook config
+     */
+    public static function validate_webhook_config() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $validation = $client->webhookIntegrator()->validateWebhookConfiguration();
+            
+            wp_send_json_success($validation);
+        } catch (Exception $e) {
+            wp_send_json_error('Webhook config validation failed: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get webhook secret rotation state
+     */
+    public static function get_webhook_rotation_status() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            
+            wp_send_json_success($client->webhooks()->getSecretRotationStatus());
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get rotation status: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Rotate the webhook secret with a grace period for the previous one
+     */
+    public static function rotate_webhook_secret() {
+        self::verify_request();
+        
+        $grace_hours = intval($_POST['grace_hours'] ?? 0);
+        $grace_period = $grace_hours > 0 ? $grace_hours * HOUR_IN_SECONDS : WC_WMS_Constants::WEBHOOK_SECRET_GRACE_PERIOD;
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $status = $client->webhooks()->startSecretRotation($grace_period);
+            
+            wp_send_json_success(array_merge($status, [
+                'message' => 'New webhook secret is active. The previous secret is accepted until ' . wp_date('Y-m-d H:i', $status['expires_at'])
+            ]));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to rotate webhook secret: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Push the current webhook secret to every registered webhook
+     */
+    public static function reregister_webhooks_with_current_secret() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->webhooks()->reregisterWebhooksWithCurrentSecret();
+            
+            wp_send_json_success(array_merge($result, [
+                'message' => sprintf('Updated %d webhooks, %d errors', count($result['updated']), count($result['errors']))
+            ]));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to re-register webhooks: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Stop accepting the previous webhook secret before the grace period ends
+     */
+    public static function retire_previous_webhook_secret() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            
+            if (!$client->webhooks()->retirePreviousSecret('confirmed')) {
+                wp_send_json_error('No secret rotation is in progress');
+                return;
+            }
+            
+            wp_send_json_success(['message' => 'Previous webhook secret retired']);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to retire previous secret: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Sync location types from WMS
+     */
+    public static function sync_location_types() {
+        self::verify_request();
+        
+        // Check if initial sync is completed before allowing manual location type sync
+        if (!get_option('wc_wms_initial_sync_completed', false)) {
+            wp_send_json_error([
+                'message' => 'Location type sync is disabled until initial sync is completed. Please run "Sync Everything" first.',
+                'code' => 'initial_sync_required'
+            ]);
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->locationTypes()->syncLocationTypes();
+            
+            if ($result['success']) {
+                wp_send_json_success([
+                    'message' => sprintf(
+                        'Successfully synced %d location types (%d pickable, %d transport)',
+                        $result['total_count'],
+                        $result['pickable_count'],
+                        $result['transport_count']
+                    ),
+                    'result' => $result
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => 'Failed to sync location types',
+                    'result' => $result
+                ]);
+            }
+        } catch (Exception $e) {
+            wp_send_json_error('Location types sync failed: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get location types
+     */
+    public static function get_location_types() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            
             // Get filter parameters
             $pickable_only = isset($_POST['pickable_only']) && $_POST['pickable_only'] === 'true';
             $code = sanitize_text_field($_POST['code'] ?? '');
             
+            // Browser filters - 'yes', 'no' or empty for either
+            $choices = ['yes' => true, 'no' => false];
+            $pickable = $pickable_only ? true : ($choices[$_POST['pickable'] ?? ''] ?? null);
+            $transport = $choices[$_POST['transport'] ?? ''] ?? null;
+            $search = sanitize_text_field($_POST['search'] ?? '');
+            
             $criteria = [];
-            if ($pickable_only) {
-                $criteria['pickable'] = true;
+            if ($pickable !== null) {
+                $criteria['pickable'] = $pickable;
+            }
+            if ($transport !== null) {
+                $criteria['transport'] = $transport;
             }
             if (!empty($code)) {
                 $criteria['code'] = $code;
             }
+            if (!empty($search)) {
+                $criteria['search'] = $search;
+            }
             
-            $locationTypes = empty($criteria) ? 
-                $client->locationTypes()->getLocationTypes() : 
-                $client->locationTypes()->searchLocationTypes($criteria);
+            if (!empty($code)) {
+                $locationTypes = $client->locationTypes()->searchLocationTypes($criteria);
+            } else {
+                $locationTypes = $client->locationTypes()->browseLocationTypes($criteria);
+            }
             
             wp_send_json_success([
                 'location_types' => $locationTypes,
@@ -908,6 +1530,28 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * Get a single location type from WMS
+     */
+    public static function get_location_type_details() {
+        self::verify_request();
+        
+        $location_type_id = sanitize_text_field($_POST['location_type_id'] ?? '');
+        if (empty($location_type_id)) {
+            wp_send_json_error('Location type ID is required');
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $locationType = $client->locationTypes()->getLocationType($location_type_id);
+            
+            wp_send_json_success($locationType);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get location type: ' . $e->getMessage());
+        }
+    }
+    
     /**
      * Get location type statistics
      */
@@ -979,14 +1623,24 @@ class WC_WMS_Ajax_Handlers {
             // Get WooCommerce shipping methods
             $wcShippingMethods = [];
             $shipping_zones = WC_Shipping_Zones::get_zones();
-            
+
+            // Include the default zone (Rest of the World) as well
+            $default_zone = new WC_Shipping_Zone(0);
+            $shipping_zones[] = [
+                'zone_id' => 0,
+                'zone_name' => $default_zone->get_zone_name(),
+                'shipping_methods' => $default_zone->get_shipping_methods()
+            ];
+
             foreach ($shipping_zones as $zone) {
                 foreach ($zone['shipping_methods'] as $method) {
                     $wcShippingMethods[] = [
-                        'id' => $method->get_id(),
+                        'key' => $method->id . ':' . $method->get_instance_id(),
+                        'id' => $method->id,
                         'instance_id' => $method->get_instance_id(),
                         'title' => $method->get_title(),
                         'method_title' => $method->get_method_title(),
+                        'enabled' => $method->is_enabled(),
                         'zone_id' => $zone['zone_id'],
                         'zone_name' => $zone['zone_name']
                     ];
@@ -1028,12 +1682,36 @@ class WC_WMS_Ajax_Handlers {
             }
             
             $defaultMethod = sanitize_text_field($_POST['default_method'] ?? '');
-            
+
+            // Reject mappings to WMS methods that are not in the synced list
+            $wmsShippingMethods = get_option('wc_wms_shipping_methods', []);
+            $unknownMethods = [];
+            foreach ($mappings as $wcMethod => $wmsMethod) {
+                if ($wmsMethod === '') {
+                    unset($mappings[$wcMethod]);
+                } elseif (!isset($wmsShippingMethods[$wmsMethod])) {
+                    $unknownMethods[] = $wcMethod;
+                }
+            }
+            if (!empty($defaultMethod) && !isset($wmsShippingMethods[$defaultMethod])) {
+                $unknownMethods[] = 'default';
+            }
+
+            if (!empty($unknownMethods)) {
+                wp_send_json_error([
+                    'message' => 'Unknown WMS shipping method selected. Please sync shipping methods and try again.',
+                    'invalid' => $unknownMethods
+                ]);
+                return;
+            }
+
             // Save mappings
             update_option('wc_wms_shipping_method_uuid_mapping', $mappings);
             
             if (!empty($defaultMethod)) {
                 update_option('wc_wms_default_shipping_method_uuid', $defaultMethod);
+            } else {
+                delete_option('wc_wms_default_shipping_method_uuid');
             }
             
             // Log the update
@@ -1198,13 +1876,29 @@ class WC_WMS_Ajax_Handlers {
         try {
             $updateData = [];
             
-            if (!empty($_POST['note'])) {
+            // A note may be cleared, so only skip it when it wasn't sent at all
+            if (isset($_POST['note'])) {
                 $updateData['note'] = sanitize_textarea_field($_POST['note']);
             }
             if (!empty($_POST['inbound_date'])) {
                 $updateData['inbound_date'] = sanitize_text_field($_POST['inbound_date']);
             }
             
+            if (isset($_POST['inbound_lines'])) {
+                $inboundLines = json_decode(stripslashes($_POST['inbound_lines']), true);
+                
+                $sanitizedLines = [];
+                foreach ((array) $inboundLines as $line) {
+                    $sanitizedLines[] = [
+                        'article_code' => sanitize_text_field($line['article_code'] ?? ''),
+                        'quantity' => intval($line['quantity'] ?? 0),
+                        'packing_slip' => intval($line['packing_slip'] ?? $line['quantity'] ?? 0)
+                    ];
+                }
+                
+                $updateData['inbound_lines'] = $sanitizedLines;
+            }
+            
             if (empty($updateData)) {
                 wp_send_json_error('No data to update');
             }
@@ -1213,9 +1907,12 @@ class WC_WMS_Ajax_Handlers {
             $result = $inboundService->updateInbound($inboundId, $updateData);
             
             if (is_wp_error($result)) {
+                $errorData = $result->get_error_data();
+                
                 wp_send_json_error([
                     'message' => $result->get_error_message(),
-                    'code' => $result->get_error_code()
+                    'code' => $result->get_error_code(),
+                    'line_errors' => $errorData['line_errors'] ?? []
                 ]);
             }
             
@@ -1443,6 +2140,78 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * Get recent shipments, or all shipments of one order, for the shipments panel
+     */
+    public static function get_shipments() {
+        self::verify_request();
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            
+            $shipments = $client->shipmentIntegrator()->getShipmentList([
+                'order_reference' => sanitize_text_field($_POST['order_reference'] ?? ''),
+                'days' => intval($_POST['days'] ?? 7),
+                'limit' => intval($_POST['limit'] ?? 50)
+            ]);
+            
+            wp_send_json_success([
+                'shipments' => $shipments,
+                'count' => count($shipments)
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load shipments: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get shipments, WMS state and WMS history for the order screen meta box
+     */
+    public static function get_order_shipments() {
+        self::verify_request();
+        
+        $order = wc_get_order(intval($_POST['order_id'] ?? 0));
+        if (!$order) {
+            wp_send_json_error('Order not found');
+            return;
+        }
+        
+        try {
+            wp_send_json_success(WC_WMS_Order_Meta_Box::getOrderShipmentData($order));
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load shipments: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Create a return label for a shipment
+     */
+    public static function create_return_label() {
+        self::verify_request();
+        
+        $shipment_id = sanitize_text_field($_POST['shipment_id'] ?? '');
+        if (empty($shipment_id)) {
+            wp_send_json_error('Shipment ID is required');
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $result = $client->shipmentIntegrator()->createReturnLabel($shipment_id);
+            
+            if (!$result['success']) {
+                wp_send_json_error('Failed to create return label: ' . $result['error']);
+                return;
+            }
+            
+            wp_send_json_success($result);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to create return label: ' . $e->getMessage());
+        }
+    }
+    
     /**
      * Check logging security
      */
@@ -1505,23 +2274,205 @@ class WC_WMS_Ajax_Handlers {
     }
     
     /**
-     * Process next sync job (for manual triggering)
+     * Get the currently running sync batch (if any) so the UI can reattach
      */
-    public static function process_sync_job() {
+    public static function get_active_sync_batch() {
         self::verify_request();
         
         try {
             $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
-            $result = $syncJobsManager->processNextJob();
+            $batch_id = $syncJobsManager->getActiveBatchId();
             
-            if ($result === null) {
-                wp_send_json_success(['message' => 'No pending jobs to process']);
-            } else {
-                wp_send_json_success($result);
-            }
+            wp_send_json_success([
+                'batch_id' => $batch_id,
+                'progress' => $batch_id ? $syncJobsManager->getSyncProgress($batch_id) : null
+            ]);
             
         } catch (Exception $e) {
-            wp_send_json_error('Failed to process sync job: ' . $e->getMessage());
+            wp_send_json_error('Failed to get active sync batch: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Cancel the remaining jobs of a running sync batch
+     */
+    public static function cancel_sync_batch() {
+        self::verify_request();
+        
+        $batch_id = sanitize_text_field($_POST['batch_id'] ?? '');
+        
+        if (empty($batch_id)) {
+            wp_send_json_error('Batch ID is required');
+            return;
+        }
+        
+        try {
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            $cancelled = $syncJobsManager->cancelBatch($batch_id);
+            
+            wp_send_json_success([
+                'message' => sprintf('Cancelled %d pending sync jobs', $cancelled),
+                'cancelled' => $cancelled,
+                'progress' => $syncJobsManager->getSyncProgress($batch_id)
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to cancel sync batch: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Stream sync progress as Server-Sent Events
+     * 
+     * Connections are kept short; EventSource reconnects by itself and every
+     * reconnect also gives WP-Cron a chance to pick up the next sync jobs.
+     */
+    public static function stream_sync_progress() {
+        self::verify_request();
+        
+        $batch_id = sanitize_text_field($_GET['batch_id'] ?? '');
+        
+        if (empty($batch_id)) {
+            wp_send_json_error('Batch ID is required');
+            return;
+        }
+        
+        $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+        
+        ignore_user_abort(false);
+        if (function_exists('set_time_limit')) {
+            set_time_limit(WC_WMS_Constants::SSE_STREAM_DURATION + 10);
+        }
+        
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+        
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        
+        self::send_sse_event(null, null, 1000);
+        
+        $deadline = time() + WC_WMS_Constants::SSE_STREAM_DURATION;
+        $last_state = null;
+        $last_sent = time();
+        
+        while (time() < $deadline && !connection_aborted()) {
+            $progress = $syncJobsManager->getSyncProgress($batch_id);
+            
+            if (isset($progress['error'])) {
+                self::send_sse_event('missing', $progress);
+                break;
+            }
+            
+            // Only emit when a job actually changed state
+            $state = md5(wp_json_encode($progress));
+            if ($state !== $last_state) {
+                self::send_sse_event('progress', $progress);
+                $last_state = $state;
+                $last_sent = time();
+            } elseif (time() - $last_sent >= WC_WMS_Constants::SSE_KEEPALIVE_INTERVAL) {
+                echo ": keepalive\n\n";
+                flush();
+                $last_sent = time();
+            }
+            
+            if (!in_array($progress['overall_status'], ['running', 'pending'], true)) {
+                self::send_sse_event('done', $progress);
+                break;
+            }
+            
+            sleep(1);
+        }
+        
+        exit;
+    }
+    
+    /**
+     * Write a single Server-Sent Event and flush it to the client
+     */
+    private static function send_sse_event($event, $data, $retry = null) {
+        if ($retry !== null) {
+            echo 'retry: ' . intval($retry) . "\n";
+        }
+        if ($event !== null) {
+            echo 'event: ' . $event . "\n";
+            echo 'data: ' . wp_json_encode($data) . "\n";
+        }
+        echo "\n";
+        flush();
+    }
+    
+    /**
+     * Get history of past sync batches with per-job results
+     */
+    public static function get_sync_history() {
+        self::verify_request();
+        
+        try {
+            $limit = max(1, min(50, intval($_POST['limit'] ?? 10)));
+            
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            
+            wp_send_json_success([
+                'batches' => $syncJobsManager->getBatchHistory($limit)
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get sync history: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Process next sync job (for manual triggering), or retry/skip a specific job
+     */
+    public static function process_sync_job() {
+        self::verify_request();
+        
+        $batch_id = sanitize_text_field($_POST['batch_id'] ?? '');
+        $job_type = sanitize_text_field($_POST['job_type'] ?? '');
+        $job_action = sanitize_text_field($_POST['job_action'] ?? '');
+        
+        try {
+            $syncJobsManager = new WC_WMS_Sync_Jobs_Manager();
+            
+            if (!empty($job_action)) {
+                if (empty($batch_id) || !WC_WMS_Sync_Jobs_Manager::isKnownJobType($job_type)) {
+                    wp_send_json_error('A batch ID and valid job type are required');
+                    return;
+                }
+                
+                if ($job_action === 'retry') {
+                    $result = $syncJobsManager->retryJob($batch_id, $job_type);
+                } elseif ($job_action === 'skip') {
+                    $result = $syncJobsManager->skipJob($batch_id, $job_type);
+                } else {
+                    wp_send_json_error('Unknown job action: ' . $job_action);
+                    return;
+                }
+                
+                if (!$result['success']) {
+                    wp_send_json_error($result['error']);
+                    return;
+                }
+                
+                wp_send_json_success(array_merge($result, [
+                    'progress' => $syncJobsManager->getSyncProgress($batch_id)
+                ]));
+                return;
+            }
+            
+            $result = $syncJobsManager->processNextJob();
+            
+            if ($result === null) {
+                wp_send_json_success(['message' => 'No pending jobs to process']);
+            } else {
+                wp_send_json_success($result);
+            }
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to process sync job: ' . $e->getMessage());
         }
     }
     
@@ -1549,6 +2500,463 @@ class WC_WMS_Ajax_Handlers {
         }
     }
     
+    /**
+     * Get filtered API and webhook logs (cursor paginated)
+     */
+    public static function get_logs() {
+        self::verify_request();
+        
+        try {
+            $type = sanitize_text_field($_POST['type'] ?? 'all');
+            $status = sanitize_text_field($_POST['status'] ?? '');
+            
+            $filters = [
+                'type' => in_array($type, ['all', 'api', 'webhook'], true) ? $type : 'all',
+                'method' => strtoupper(sanitize_text_field($_POST['method'] ?? '')),
+                'endpoint' => sanitize_text_field($_POST['endpoint'] ?? ''),
+                'webhook_group' => sanitize_text_field($_POST['webhook_group'] ?? ''),
+                'webhook_action' => sanitize_text_field($_POST['webhook_action'] ?? ''),
+                'status' => in_array($status, ['success', 'pending', 'error'], true) ? $status : '',
+                'errors_only' => !empty($_POST['errors_only']) && $_POST['errors_only'] !== 'false',
+                'date_from' => preg_match('/^\d{4}-\d{2}-\d{2}$/', $_POST['date_from'] ?? '') ? $_POST['date_from'] : '',
+                'date_to' => preg_match('/^\d{4}-\d{2}-\d{2}$/', $_POST['date_to'] ?? '') ? $_POST['date_to'] : ''
+            ];
+            
+            $cursor = sanitize_text_field($_POST['cursor'] ?? '');
+            $limit = max(1, min(100, intval($_POST['limit'] ?? 25)));
+            
+            $result = WC_WMS_Logger::instance()->query_logs($filters, $cursor, $limit);
+            
+            wp_send_json_success([
+                'logs' => $result['logs'],
+                'has_more' => $result['has_more'],
+                'next_cursor' => $result['next_cursor'],
+                'filters' => $filters
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load logs: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get queued webhooks
+     */
+    public static function get_webhook_queue() {
+        self::verify_request();
+        
+        try {
+            $status = sanitize_text_field($_POST['status'] ?? '');
+            if (!in_array($status, ['', 'pending', 'processing', 'processed', 'failed', 'ignored'], true)) {
+                $status = '';
+            }
+            
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            
+            wp_send_json_success([
+                'webhooks' => $queueManager->getQueuedWebhooks($status, 50),
+                'stats' => $queueManager->getQueueStats()
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load webhook queue: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get webhook queue dashboard metrics
+     */
+    public static function get_webhook_queue_metrics() {
+        self::verify_request();
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            
+            wp_send_json_success($queueManager->getQueueMetrics());
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load webhook queue metrics: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Process one batch of the webhook queue now
+     */
+    public static function process_webhook_queue_batch() {
+        self::verify_request();
+        
+        $batchSize = max(1, min(100, intval($_POST['batch_size'] ?? 20)));
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            $result = $queueManager->processQueuedWebhooks($batchSize);
+            
+            wp_send_json_success(array_merge($result, [
+                'message' => sprintf(
+                    'Processed %d webhooks: %d successful, %d failed, %d waiting on a prerequisite',
+                    $result['processed'],
+                    $result['successful'],
+                    $result['failed'],
+                    $result['skipped']
+                )
+            ]));
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to process webhook queue: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Reprocess a queued webhook immediately
+     */
+    public static function reprocess_webhook() {
+        self::verify_request();
+        
+        $webhookId = sanitize_text_field($_POST['webhook_id'] ?? '');
+        
+        if (empty($webhookId)) {
+            wp_send_json_error('Webhook ID is required');
+            return;
+        }
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            $result = $queueManager->forceProcessWebhookById($webhookId);
+            
+            if ($result['success']) {
+                wp_send_json_success([
+                    'message' => sprintf('Webhook %s reprocessed successfully', $webhookId),
+                    'webhook_id' => $webhookId,
+                    'result' => $result['result'] ?? null
+                ]);
+            } else {
+                wp_send_json_error([
+                    'message' => sprintf('Webhook %s failed: %s', $webhookId, $result['error']),
+                    'webhook_id' => $webhookId
+                ]);
+            }
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to reprocess webhook: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Mark a queued webhook as ignored
+     */
+    public static function ignore_webhook() {
+        self::verify_request();
+        
+        $webhookId = sanitize_text_field($_POST['webhook_id'] ?? '');
+        
+        if (empty($webhookId)) {
+            wp_send_json_error('Webhook ID is required');
+            return;
+        }
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            
+            if (!$queueManager->ignoreWebhook($webhookId)) {
+                wp_send_json_error('Webhook not found or already ignored');
+                return;
+            }
+            
+            wp_send_json_success([
+                'message' => sprintf('Webhook %s marked as ignored', $webhookId),
+                'webhook_id' => $webhookId
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to ignore webhook: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get the prerequisite event a queued webhook is waiting on
+     */
+    public static function get_webhook_prerequisite() {
+        self::verify_request();
+        
+        $webhookId = sanitize_text_field($_POST['webhook_id'] ?? '');
+        
+        if (empty($webhookId)) {
+            wp_send_json_error('Webhook ID is required');
+            return;
+        }
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            $details = $queueManager->getPrerequisiteDetails($webhookId);
+            
+            if (!$details['success']) {
+                wp_send_json_error($details['error']);
+                return;
+            }
+            
+            wp_send_json_success($details);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load prerequisite: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Replay all failed webhooks received within a time range
+     */
+    public static function replay_failed_webhooks() {
+        self::verify_request();
+        
+        $from = strtotime(sanitize_text_field($_POST['from'] ?? ''));
+        $to = strtotime(sanitize_text_field($_POST['to'] ?? ''));
+        
+        if (!$from || !$to || $from > $to) {
+            wp_send_json_error('A valid time range is required');
+            return;
+        }
+        
+        try {
+            $queueManager = new WC_WMS_Webhook_Queue_Manager();
+            $results = $queueManager->replayFailedWebhooks(date('Y-m-d H:i:s', $from), date('Y-m-d H:i:s', $to));
+            
+            wp_send_json_success([
+                'message' => sprintf(
+                    'Replayed %d failed webhooks: %d successful, %d failed, %d waiting on prerequisites',
+                    $results['replayed'],
+                    $results['successful'],
+                    $results['failed'],
+                    $results['deferred']
+                ),
+                'results' => $results
+            ]);
+            
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to replay webhooks: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Start a GDPR export or redaction request in WMS
+     */
+    public static function gdpr_start_request() {
+        self::verify_request();
+        
+        $email = sanitize_email($_POST['email'] ?? '');
+        $type = sanitize_text_field($_POST['type'] ?? '');
+        
+        if (!is_email($email)) {
+            wp_send_json_error('A valid email address is required');
+            return;
+        }
+        
+        if (!in_array($type, ['export', 'redact'], true)) {
+            wp_send_json_error('Invalid GDPR request type');
+            return;
+        }
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $request = $client->gdprIntegrator()->startGdprRequest($email, $type, 'console');
+            
+            wp_send_json_success([
+                'message' => sprintf(
+                    '%s request for %s sent to WMS (%s)',
+                    $type === 'export' ? 'Export' : 'Redaction',
+                    $email,
+                    $request['status']
+                ),
+                'request' => $request
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to start GDPR request: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Get tracked GDPR requests and the audit trail
+     */
+    public static function gdpr_get_requests() {
+        self::verify_request();
+        
+        try {
+            $integrator = WC_WMS_Service_Container::getWmsClient()->gdprIntegrator();
+            
+            wp_send_json_success([
+                'requests' => $integrator->getGdprRequests(),
+                'audit' => $integrator->getGdprAuditTrail()
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to get GDPR requests: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Check the WMS status of one or all pending GDPR requests
+     */
+    public static function gdpr_poll_requests() {
+        self::verify_request();
+        
+        $request_id = sanitize_text_field($_POST['request_id'] ?? '');
+        
+        try {
+            $integrator = WC_WMS_Service_Container::getWmsClient()->gdprIntegrator();
+            
+            $pending = array_filter($integrator->getGdprRequests(), function($request) use ($request_id) {
+                return $request['status'] === 'pending' && ($request_id === '' || $request['id'] === $request_id);
+            });
+            
+            $errors = [];
+            foreach ($pending as $request) {
+                try {
+                    $integrator->refreshGdprRequest($request['id']);
+                } catch (Exception $e) {
+                    $errors[] = [
+                        'request_id' => $request['id'],
+                        'email' => $request['email'],
+                        'error' => $e->getMessage()
+                    ];
+                }
+            }
+            
+            wp_send_json_success([
+                'checked' => count($pending),
+                'errors' => $errors,
+                'requests' => $integrator->getGdprRequests(),
+                'audit' => $integrator->getGdprAuditTrail()
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to check GDPR requests: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Download the data WMS exported for a GDPR request as a JSON file
+     */
+    public static function gdpr_download_export() {
+        self::verify_request();
+        
+        $request_id = sanitize_text_field($_GET['request_id'] ?? '');
+        
+        try {
+            $client = WC_WMS_Service_Container::getWmsClient();
+            $export = $client->gdprIntegrator()->getGdprExportData($request_id);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to download GDPR export: ' . $e->getMessage());
+            return;
+        }
+        
+        $filename = sprintf('wms-gdpr-export-%s-%s.json', sanitize_file_name($export['request']['email']), gmdate('Y-m-d'));
+        
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        
+        echo wp_json_encode([
+            'email' => $export['request']['email'],
+            'wms_request_id' => $export['request']['wms_request_id'],
+            'requested_at' => gmdate('c', $export['request']['requested_at']),
+            'requested_by' => $export['request']['requested_by'],
+            'data' => $export['data']
+        ], JSON_PRETTY_PRINT);
+        exit;
+    }
+    
+    /**
+     * Get the plugin's cron jobs with their schedule and last run
+     */
+    public static function get_cron_schedules() {
+        self::verify_request();
+        
+        try {
+            wp_send_json_success([
+                'schedules' => WC_WMS_Cron_Manager::getSchedules(),
+                'intervals' => WC_WMS_Cron_Manager::getIntervalOptions(),
+                'cron_disabled' => defined('DISABLE_WP_CRON') && DISABLE_WP_CRON,
+                'now' => time()
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to load cron schedules: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Change the interval of a cron job, or pause or resume it
+     */
+    public static function update_cron_schedule() {
+        self::verify_request();
+        
+        try {
+            $hook = sanitize_text_field($_POST['hook'] ?? '');
+            $operation = sanitize_text_field($_POST['operation'] ?? '');
+            
+            switch ($operation) {
+                case 'interval':
+                    WC_WMS_Cron_Manager::updateHookInterval($hook, sanitize_text_field($_POST['interval'] ?? ''));
+                    break;
+                case 'pause':
+                    WC_WMS_Cron_Manager::pauseHook($hook);
+                    break;
+                case 'resume':
+                    WC_WMS_Cron_Manager::resumeHook($hook);
+                    break;
+                default:
+                    throw new Exception('Unknown operation: ' . $operation);
+            }
+            
+            wp_send_json_success([
+                'schedules' => WC_WMS_Cron_Manager::getSchedules(),
+                'now' => time()
+            ]);
+        } catch (Exception $e) {
+            wp_send_json_error('Failed to update cron schedule: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Run the handler of a cron job now, streaming its log lines and result as Server-Sent Events
+     */
+    public static function stream_cron_run() {
+        self::verify_request();
+        
+        $hook = sanitize_text_field($_GET['hook'] ?? '');
+        
+        // Let the job finish and release its lock when the browser goes away
+        ignore_user_abort(true);
+        if (function_exists('set_time_limit')) {
+            set_time_limit(WC_WMS_Constants::CRON_RUN_LOCK);
+        }
+        
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+        
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        
+        self::send_sse_event('start', [
+            'hook' => $hook,
+            'started' => time()
+        ]);
+        
+        add_action('wc_wms_logged', function($level, $message) {
+            self::send_sse_event('log', [
+                'level' => $level,
+                'message' => $message,
+                'time' => time()
+            ]);
+        }, 10, 2);
+        
+        try {
+            $run = WC_WMS_Cron_Manager::runHookNow($hook);
+            self::send_sse_event('done', $run);
+        } catch (Exception $e) {
+            self::send_sse_event('failed', ['message' => $e->getMessage()]);
+        }
+        
+        exit;
+    }
+    
     /**
      * Verify AJAX request (authentication and authorization)
      */
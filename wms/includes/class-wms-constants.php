@@ -30,6 +30,10 @@ class WC_WMS_Constants {
     const TOKEN_REFRESH_BUFFER = 300;       // 5 minutes
     const RATE_LIMIT_WAIT_MAX = 300;        // 5 minutes
     const REQUEST_TIMEOUT = 30;             // 30 seconds
+    const SSE_STREAM_DURATION = 25;         // 25 seconds per progress stream connection
+    const SSE_KEEPALIVE_INTERVAL = 10;      // 10 seconds between keepalive comments
+    const WEBHOOK_SECRET_GRACE_PERIOD = 86400; // 24 hours the previous secret stays valid after rotation
+    const SYNC_JOB_STALE_AFTER = 600;       // 10 minutes - a sync job still processing after this was interrupted
     
     // Retry Configuration
     const RETRY_INTERVALS = [30, 120, 300, 900, 3600]; // 30s, 2m, 5m, 15m, 1h
@@ -40,6 +44,26 @@ class WC_WMS_Constants {
     const CLEANUP_FAILED_DAYS = 30;
     const CLEANUP_LOGS_DAYS = 30;
     
+    // Order Sync
+    const ORDER_SYNC_CURSOR_OVERLAP = 300;  // 5 minutes re-fetched before the cursor on every run
+    const ORDER_SYNC_MAX_PAGES = 20;        // Pages fetched per incremental run or backfill
+    const ORDER_SYNC_MAX_ATTEMPTS = 3;      // Runs a failing order may hold the cursor before it is set aside for manual retry
+    const ORDER_SYNC_SET_ASIDE_LIMIT = 100; // Set-aside orders kept per store
+    
+    // Product Export
+    const PRODUCT_EXPORT_CHUNK_SIZE = 20;   // Products per export chunk job
+    const TARGETED_REFRESH_MAX_PRODUCTS = 50; // Products refreshed from WMS per targeted refresh request
+    
+    // GDPR
+    const GDPR_REQUEST_HISTORY_LIMIT = 100; // Tracked GDPR requests kept, with their exported data
+    const GDPR_AUDIT_TRAIL_LIMIT = 1000;    // GDPR audit trail entries kept
+    const GDPR_EXPORT_RETENTION = 604800;   // 7 days exported data is kept before it is deleted
+    
+    // Stock
+    const STOCK_MODIFICATIONS_PAGE_SIZE = 25; // Modifications per page in the Stock tab history
+    const STOCK_LOW_THRESHOLD_DEFAULT = 5;  // Stock quantity at or below which a product is low in stock
+    const STOCK_TURNOVER_PERIODS = [7, 30, 90]; // Days shown in the stock dashboard turnover report
+    
     // Rate Limiting
     const RATE_LIMIT_DEFAULT = 3600;        // Requests per hour
     const RATE_LIMIT_THRESHOLD = 10;        // Remaining requests threshold
@@ -50,6 +74,7 @@ class WC_WMS_Constants {
     const CRON_URGENT_INTERVAL = 300;       // 5 minutes
     const CRON_REGULAR_INTERVAL = 900;      // 15 minutes
     const CRON_HOURLY_CHECK = 3600;         // 1 hour
+    const CRON_RUN_LOCK = 900;              // 15 minutes a running job blocks another run of the same job
     
     // Queue Status
     const QUEUE_STATUS_PENDING = 'pending';
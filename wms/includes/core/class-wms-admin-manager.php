@@ -24,6 +24,12 @@ class WC_WMS_Admin_Manager {
         // Register AJAX handlers for admin notices
         add_action('wp_ajax_wc_wms_integration_dismiss_notice', [__CLASS__, 'dismissNotice']);
         add_action('wp_ajax_wc_wms_gdpr_dismiss_notice', [__CLASS__, 'dismissGdprNotice']);
+        
+        // Shipments meta box on the order edit screen
+        WC_WMS_Order_Meta_Box::init();
+        
+        // Refresh from WMS bulk action on the products list
+        WC_WMS_Product_Bulk_Actions::init();
     }
     
     /**
@@ -33,11 +33,28 @@ class WC_WMS_Cron_Handler {
         // Webhook management hooks
         add_action('wc_wms_check_stuck_webhooks', [__CLASS__, 'checkStuckWebhooks']);
         add_action('wc_wms_webhook_health_check', [__CLASS__, 'healthCheckWebhookQueue']);
+        add_action('wc_wms_retire_previous_webhook_secret', [__CLASS__, 'retirePreviousWebhookSecret']);
         
         // NEW: Sync jobs processor
         add_action('wc_wms_process_sync_jobs', [__CLASS__, 'processSyncJobs']);
     }
     
+    /**
+     * Log a skipped cron run and report it to the schedules console
+     */
+    private static function skipRun(string $message): void {
+        error_log('WMS Integration: ' . $message);
+        WC_WMS_Cron_Manager::reportRunResult('skipped', $message);
+    }
+    
+    /**
+     * Log a failed cron run and report it to the schedules console
+     */
+    private static function failRun(string $message): void {
+        error_log('WMS Integration: ' . $message);
+        WC_WMS_Cron_Manager::reportRunResult('failed', $message);
+    }
+    
     /**
      * Cleanup old queue items
      */
@@ -164,12 +181,21 @@ class WC_WMS_Cron_Handler {
             date('Y-m-d H:i:s', strtotime('-7 days'))
         ));
         
+        // Delete GDPR exports kept longer than the retention period
+        $expired_exports = 0;
+        try {
+            $expired_exports = WC_WMS_Service_Container::getWmsClient()->gdprIntegrator()->deleteExpiredGdprExports();
+        } catch (Exception $e) {
+            error_log('WMS Integration: Deleting expired GDPR exports failed: ' . $e->getMessage());
+        }
+        
         // Log cleanup results
-        if ($sensitive_logs > 0 || $sensitive_api > 0) {
+        if ($sensitive_logs > 0 || $sensitive_api > 0 || $expired_exports > 0) {
             error_log(sprintf(
-                'WMS Integration: Sensitive data cleanup completed. Removed %d webhook logs and %d API logs with personal data.',
+                'WMS Integration: Sensitive data cleanup completed. Removed %d webhook logs and %d API logs with personal data, and %d expired GDPR exports.',
                 $sensitive_logs,
-                $sensitive_api
+                $sensitive_api,
+                $expired_exports
             ));
         }
     }
@@ -208,7 +234,7 @@ class WC_WMS_Cron_Handler {
     public static function processOrderQueue(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping order queue processing - initial sync not completed');
+            self::skipRun('Skipping order queue processing - initial sync not completed');
             return;
         }
         
@@ -226,7 +252,7 @@ class WC_WMS_Cron_Handler {
             ]);
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Order queue cron processing failed: ' . $e->getMessage());
+            self::failRun('Order queue cron processing failed: ' . $e->getMessage());
         }
     }
     
@@ -236,7 +262,7 @@ class WC_WMS_Cron_Handler {
     public static function processWebhookQueue(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping webhook queue processing - initial sync not completed');
+            self::skipRun('Skipping webhook queue processing - initial sync not completed');
             return;
         }
         
@@ -273,7 +299,7 @@ class WC_WMS_Cron_Handler {
             }
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Webhook queue cron processing failed: ' . $e->getMessage());
+            self::failRun('Webhook queue cron processing failed: ' . $e->getMessage());
             
             // Also log to WMS logger if available
             try {
@@ -296,7 +322,7 @@ class WC_WMS_Cron_Handler {
     public static function syncStock(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping stock sync - initial sync not completed');
+            self::skipRun('Skipping stock sync - initial sync not completed');
             return;
         }
         
@@ -316,7 +342,7 @@ class WC_WMS_Cron_Handler {
             ]);
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Stock sync cron failed: ' . $e->getMessage());
+            self::failRun('Stock sync cron failed: ' . $e->getMessage());
         }
     }
     
@@ -326,16 +352,16 @@ class WC_WMS_Cron_Handler {
     public static function syncOrders(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping order sync - initial sync not completed');
+            self::skipRun('Skipping order sync - initial sync not completed');
             return;
         }
         
         try {
             $wmsClient = WC_WMS_Service_Container::getWmsClient();
             
-            // Use centralized order sync manager
+            // Use centralized order sync manager - only orders changed since the last run
             $orderSyncManager = new WC_WMS_Order_Sync_Manager($wmsClient);
-            $result = $orderSyncManager->processCronOrderSync(['limit' => 50]);
+            $result = $orderSyncManager->processIncrementalOrderSync(['limit' => 50]);
             
             // Use the WMS logger for structured logging
             $wmsClient->logger()->info('Order sync completed via cron (centralized)', [
@@ -344,14 +370,16 @@ class WC_WMS_Cron_Handler {
                 'created' => $result['created'] ?? 0,
                 'updated' => $result['updated'] ?? 0,
                 'skipped' => $result['skipped'] ?? 0,
-                'errors_count' => count($result['errors'] ?? [])
+                'errors_count' => count($result['errors'] ?? []),
+                'synced_until' => $result['cursor']['synced_until_formatted'] ?? null,
+                'has_more' => !empty($result['has_more'])
             ]);
             
             // Update sync timestamp
             update_option('wc_wms_orders_last_sync', time());
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Order sync cron failed: ' . $e->getMessage());
+            self::failRun('Order sync cron failed: ' . $e->getMessage());
         }
     }
     
@@ -361,7 +389,7 @@ class WC_WMS_Cron_Handler {
     public static function syncInbounds(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping inbound sync - initial sync not completed');
+            self::skipRun('Skipping inbound sync - initial sync not completed');
             return;
         }
         
@@ -379,7 +407,7 @@ class WC_WMS_Cron_Handler {
             $inbounds = $inboundService->getInbounds($params);
             
             if (is_wp_error($inbounds)) {
-                error_log('WMS Integration: Inbound sync cron failed: ' . $inbounds->get_error_message());
+                self::failRun('Inbound sync cron failed: ' . $inbounds->get_error_message());
                 return;
             }
             
@@ -407,7 +435,7 @@ class WC_WMS_Cron_Handler {
             ]);
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Inbound sync cron failed: ' . $e->getMessage());
+            self::failRun('Inbound sync cron failed: ' . $e->getMessage());
         }
     }
     
@@ -417,7 +445,7 @@ class WC_WMS_Cron_Handler {
     public static function syncShipments(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping shipment sync - initial sync not completed');
+            self::skipRun('Skipping shipment sync - initial sync not completed');
             return;
         }
         
@@ -489,7 +517,7 @@ class WC_WMS_Cron_Handler {
             }
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Shipment sync cron failed: ' . $e->getMessage());
+            self::failRun('Shipment sync cron failed: ' . $e->getMessage());
         }
     }
     
@@ -499,7 +527,7 @@ class WC_WMS_Cron_Handler {
     public static function syncProducts(): void {
         // Check if initial sync is completed
         if (!get_option('wc_wms_initial_sync_completed', false)) {
-            error_log('WMS Integration: Skipping product sync - initial sync not completed');
+            self::skipRun('Skipping product sync - initial sync not completed');
             return;
         }
         
@@ -518,7 +546,7 @@ class WC_WMS_Cron_Handler {
             ]);
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Product sync cron failed: ' . $e->getMessage());
+            self::failRun('Product sync cron failed: ' . $e->getMessage());
         }
     }
     
@@ -567,7 +595,7 @@ class WC_WMS_Cron_Handler {
             }
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Stuck webhook check failed: ' . $e->getMessage());
+            self::failRun('Stuck webhook check failed: ' . $e->getMessage());
         }
     }
     
@@ -588,7 +616,7 @@ class WC_WMS_Cron_Handler {
             }
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Webhook health check failed: ' . $e->getMessage());
+            self::failRun('Webhook health check failed: ' . $e->getMessage());
         }
     }
     
@@ -614,7 +642,19 @@ class WC_WMS_Cron_Handler {
             }
             
         } catch (Exception $e) {
-            error_log('WMS Integration: Webhook cleanup failed: ' . $e->getMessage());
+            self::failRun('Webhook cleanup failed: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Retire the previous webhook secret once the rotation grace period has ended
+     */
+    public static function retirePreviousWebhookSecret(): void {
+        try {
+            // Reading the status retires a rotation whose grace period is over
+            WC_WMS_Service_Container::getWmsClient()->webhooks()->getSecretRotationStatus();
+        } catch (Exception $e) {
+            error_log('WMS Integration: Retiring previous webhook secret failed: ' . $e->getMessage());
         }
     }
     
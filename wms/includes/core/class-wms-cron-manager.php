@@ -13,6 +13,113 @@ if (!defined('ABSPATH')) {
 
 class WC_WMS_Cron_Manager {
     
+    /**
+     * Option holding interval overrides and paused flags per hook
+     */
+    const SCHEDULES_OPTION = 'wc_wms_cron_schedules';
+    
+    /**
+     * Option holding the last run of each hook
+     */
+    const RUNS_OPTION = 'wc_wms_cron_runs';
+    
+    /**
+     * Run being tracked in this request
+     */
+    private static $currentRun = null;
+    
+    /**
+     * Hooks whose WP-Cron run was skipped in this request because a manual run held the lock
+     */
+    private static $skippedScheduledRuns = [];
+    
+    /**
+     * Recurring cron jobs with their handler method, default interval and first run offset
+     */
+    public static function getScheduleDefinitions(): array {
+        return [
+            'wc_wms_process_order_queue' => [
+                'label' => __('Order queue', 'wc-wms-integration'),
+                'callback' => 'processOrderQueue',
+                'interval' => 'wc_wms_every_2min',
+                'offset' => 0
+            ],
+            'wc_wms_process_webhook_queue' => [
+                'label' => __('Webhook queue', 'wc-wms-integration'),
+                'callback' => 'processWebhookQueue',
+                'interval' => 'wc_wms_every_1min',
+                'offset' => 30
+            ],
+            'wc_wms_sync_stock' => [
+                'label' => __('Stock sync', 'wc-wms-integration'),
+                'callback' => 'syncStock',
+                'interval' => 'hourly',
+                'offset' => 0
+            ],
+            'wc_wms_sync_orders' => [
+                'label' => __('Order sync', 'wc-wms-integration'),
+                'callback' => 'syncOrders',
+                'interval' => 'wc_wms_every_2hours',
+                'offset' => 60
+            ],
+            'wc_wms_sync_inbounds' => [
+                'label' => __('Inbound sync', 'wc-wms-integration'),
+                'callback' => 'syncInbounds',
+                'interval' => 'wc_wms_every_4hours',
+                'offset' => 120
+            ],
+            'wc_wms_sync_shipments' => [
+                'label' => __('Shipment sync', 'wc-wms-integration'),
+                'callback' => 'syncShipments',
+                'interval' => 'wc_wms_every_3hours',
+                'offset' => 180
+            ],
+            'wc_wms_sync_products' => [
+                'label' => __('Product sync', 'wc-wms-integration'),
+                'callback' => 'syncProducts',
+                'interval' => 'twicedaily',
+                'offset' => 300
+            ],
+            'wc_wms_cleanup_queue' => [
+                'label' => __('Queue cleanup', 'wc-wms-integration'),
+                'callback' => 'cleanupQueue',
+                'interval' => 'daily',
+                'offset' => 0
+            ],
+            'wc_wms_cleanup_webhooks' => [
+                'label' => __('Webhook cleanup', 'wc-wms-integration'),
+                'callback' => 'cleanupWebhooks',
+                'interval' => 'weekly',
+                'offset' => 0
+            ],
+            // GDPR compliance
+            'wc_wms_cleanup_sensitive_logs' => [
+                'label' => __('Sensitive log cleanup', 'wc-wms-integration'),
+                'callback' => 'cleanupSensitiveLogs',
+                'interval' => 'daily',
+                'offset' => 0
+            ],
+            'wc_wms_reset_rate_limits' => [
+                'label' => __('Rate limit reset', 'wc-wms-integration'),
+                'callback' => 'resetRateLimits',
+                'interval' => 'hourly',
+                'offset' => 0
+            ],
+            'wc_wms_check_stuck_webhooks' => [
+                'label' => __('Stuck webhook check', 'wc-wms-integration'),
+                'callback' => 'checkStuckWebhooks',
+                'interval' => 'wc_wms_every_5min',
+                'offset' => 300
+            ],
+            'wc_wms_webhook_health_check' => [
+                'label' => __('Webhook health check', 'wc-wms-integration'),
+                'callback' => 'healthCheckWebhookQueue',
+                'interval' => 'wc_wms_every_15min',
+                'offset' => 360
+            ]
+        ];
+    }
+    
     /**
      * Schedule all cron jobs
      */
@@ -20,59 +127,10 @@ class WC_WMS_Cron_Manager {
         // Clear any existing schedules first
         self::clearJobs();
         
-        // Schedule order queue processing (every 2 minutes)
-        if (!wp_next_scheduled('wc_wms_process_order_queue')) {
-            wp_schedule_event(time(), 'wc_wms_every_2min', 'wc_wms_process_order_queue');
-        }
-        
-        // Schedule webhook queue processing (every 1 minute)
-        if (!wp_next_scheduled('wc_wms_process_webhook_queue')) {
-            wp_schedule_event(time() + 30, 'wc_wms_every_1min', 'wc_wms_process_webhook_queue');
-        }
-        
-        // Schedule stock synchronization (every hour)
-        if (!wp_next_scheduled('wc_wms_sync_stock')) {
-            wp_schedule_event(time(), 'hourly', 'wc_wms_sync_stock');
-        }
-        
-        // Schedule order synchronization (every 2 hours)
-        if (!wp_next_scheduled('wc_wms_sync_orders')) {
-            wp_schedule_event(time() + 60, 'wc_wms_every_2hours', 'wc_wms_sync_orders');
-        }
-        
-        // Schedule inbound synchronization (every 4 hours) 
-        if (!wp_next_scheduled('wc_wms_sync_inbounds')) {
-            wp_schedule_event(time() + 120, 'wc_wms_every_4hours', 'wc_wms_sync_inbounds');
-        }
-        
-        // Schedule shipment synchronization (every 3 hours)
-        if (!wp_next_scheduled('wc_wms_sync_shipments')) {
-            wp_schedule_event(time() + 180, 'wc_wms_every_3hours', 'wc_wms_sync_shipments');
-        }
-        
-        // Schedule product synchronization (every 6 hours)
-        if (!wp_next_scheduled('wc_wms_sync_products')) {
-            wp_schedule_event(time() + 300, 'twicedaily', 'wc_wms_sync_products');
-        }
-        
-        // Schedule queue cleanup (daily)
-        if (!wp_next_scheduled('wc_wms_cleanup_queue')) {
-            wp_schedule_event(time(), 'daily', 'wc_wms_cleanup_queue');
-        }
-        
-        // Schedule webhook cleanup (weekly)
-        if (!wp_next_scheduled('wc_wms_cleanup_webhooks')) {
-            wp_schedule_event(time(), 'weekly', 'wc_wms_cleanup_webhooks');
-        }
-        
-        // Schedule sensitive log cleanup (daily) - GDPR compliance
-        if (!wp_next_scheduled('wc_wms_cleanup_sensitive_logs')) {
-            wp_schedule_event(time(), 'daily', 'wc_wms_cleanup_sensitive_logs');
-        }
-        
-        // Schedule rate limit reset check (hourly)
-        if (!wp_next_scheduled('wc_wms_reset_rate_limits')) {
-            wp_schedule_event(time(), 'hourly', 'wc_wms_reset_rate_limits');
+        foreach (self::getScheduleDefinitions() as $hook => $definition) {
+            if (!self::isHookPaused($hook) && !wp_next_scheduled($hook)) {
+                wp_schedule_event(time() + $definition['offset'], self::getHookInterval($hook), $hook);
+            }
         }
     }
     
@@ -80,21 +138,7 @@ class WC_WMS_Cron_Manager {
      * Clear all scheduled cron jobs
      */
     public static function clearJobs(): void {
-        $cron_hooks = [
-            'wc_wms_process_order_queue',
-            'wc_wms_process_webhook_queue',
-            'wc_wms_sync_stock',
-            'wc_wms_sync_orders',
-            'wc_wms_sync_inbounds', 
-            'wc_wms_sync_shipments',
-            'wc_wms_sync_products',
-            'wc_wms_cleanup_queue',
-            'wc_wms_cleanup_webhooks',
-            'wc_wms_cleanup_sensitive_logs',
-            'wc_wms_reset_rate_limits'
-        ];
-        
-        foreach ($cron_hooks as $hook) {
+        foreach (array_keys(self::getScheduleDefinitions()) as $hook) {
             $timestamp = wp_next_scheduled($hook);
             if ($timestamp) {
                 wp_unschedule_event($timestamp, $hook);
@@ -165,57 +209,383 @@ class WC_WMS_Cron_Manager {
         
         $missing_jobs = [];
         
-        // Check if essential cron jobs are scheduled
-        if (!wp_next_scheduled('wc_wms_process_order_queue')) {
-            wp_schedule_event(time(), 'wc_wms_every_2min', 'wc_wms_process_order_queue');
-            $missing_jobs[] = 'order_queue';
+        // Paused jobs are left unscheduled on purpose
+        foreach (self::getScheduleDefinitions() as $hook => $definition) {
+            if (!self::isHookPaused($hook) && !wp_next_scheduled($hook)) {
+                wp_schedule_event(time() + $definition['offset'], self::getHookInterval($hook), $hook);
+                $missing_jobs[] = $hook;
+            }
         }
         
-        if (!wp_next_scheduled('wc_wms_process_webhook_queue')) {
-            wp_schedule_event(time() + 30, 'wc_wms_every_1min', 'wc_wms_process_webhook_queue');
-            $missing_jobs[] = 'webhook_queue';
+        if (!empty($missing_jobs)) {
+            error_log('WMS Integration: Rescheduled missing cron jobs: ' . implode(', ', $missing_jobs));
         }
         
-        if (!wp_next_scheduled('wc_wms_sync_stock')) {
-            wp_schedule_event(time() + 60, 'hourly', 'wc_wms_sync_stock');
-            $missing_jobs[] = 'stock_sync';
+        update_option('wc_wms_cron_last_check', time());
+    }
+    
+    /**
+     * Check whether a cron job was paused from the console
+     */
+    public static function isHookPaused(string $hook): bool {
+        $overrides = get_option(self::SCHEDULES_OPTION, []);
+        
+        return !empty($overrides[$hook]['paused']);
+    }
+    
+    /**
+     * Get the interval a cron job should be scheduled with
+     */
+    public static function getHookInterval(string $hook): string {
+        $definitions = self::getScheduleDefinitions();
+        $overrides = get_option(self::SCHEDULES_OPTION, []);
+        $interval = $overrides[$hook]['interval'] ?? '';
+        
+        // Fall back to the default when the overridden interval is no longer registered
+        if ($interval !== '' && isset(wp_get_schedules()[$interval])) {
+            return $interval;
         }
         
-        if (!wp_next_scheduled('wc_wms_sync_orders')) {
-            wp_schedule_event(time() + 120, 'wc_wms_every_2hours', 'wc_wms_sync_orders');
-            $missing_jobs[] = 'order_sync';
+        return $definitions[$hook]['interval'] ?? 'hourly';
+    }
+    
+    /**
+     * Get the intervals a cron job can be scheduled with, shortest first
+     */
+    public static function getIntervalOptions(): array {
+        $options = [];
+        
+        foreach (wp_get_schedules() as $name => $schedule) {
+            $options[] = [
+                'name' => $name,
+                'display' => $schedule['display'],
+                'interval' => (int) $schedule['interval']
+            ];
         }
         
-        if (!wp_next_scheduled('wc_wms_sync_inbounds')) {
-            wp_schedule_event(time() + 180, 'wc_wms_every_4hours', 'wc_wms_sync_inbounds');
-            $missing_jobs[] = 'inbound_sync';
+        usort($options, function($a, $b) {
+            return $a['interval'] <=> $b['interval'];
+        });
+        
+        return $options;
+    }
+    
+    /**
+     * Get every cron job with its schedule and last run
+     */
+    public static function getSchedules(): array {
+        $runs = get_option(self::RUNS_OPTION, []);
+        $schedules = wp_get_schedules();
+        $rows = [];
+        
+        foreach (self::getScheduleDefinitions() as $hook => $definition) {
+            $next_run = wp_next_scheduled($hook);
+            // Report the interval the job is actually scheduled with, which differs until it is rescheduled
+            $interval = wp_get_schedule($hook) ?: self::getHookInterval($hook);
+            
+            $rows[] = [
+                'hook' => $hook,
+                'label' => $definition['label'],
+                'callback' => $definition['callback'],
+                'interval' => $interval,
+                'interval_display' => $schedules[$interval]['display'] ?? $interval,
+                'default_interval' => $definition['interval'],
+                'paused' => self::isHookPaused($hook),
+                'next_run' => $next_run ?: null,
+                'running' => (bool) get_transient(self::getRunLockKey($hook)),
+                'last_run' => $runs[$hook] ?? null
+            ];
         }
         
-        if (!wp_next_scheduled('wc_wms_sync_shipments')) {
-            wp_schedule_event(time() + 240, 'wc_wms_every_3hours', 'wc_wms_sync_shipments');
-            $missing_jobs[] = 'shipment_sync';
+        return $rows;
+    }
+    
+    /**
+     * Change the interval of a cron job and reschedule it
+     */
+    public static function updateHookInterval(string $hook, string $interval): void {
+        self::assertKnownHook($hook);
+        
+        $schedules = wp_get_schedules();
+        if (!isset($schedules[$interval])) {
+            throw new Exception('Unknown interval: ' . $interval);
         }
         
-        if (!wp_next_scheduled('wc_wms_sync_products')) {
-            wp_schedule_event(time() + 120, 'twicedaily', 'wc_wms_sync_products');
-            $missing_jobs[] = 'product_sync';
+        $definitions = self::getScheduleDefinitions();
+        $overrides = get_option(self::SCHEDULES_OPTION, []);
+        
+        if ($interval === $definitions[$hook]['interval']) {
+            unset($overrides[$hook]['interval']);
+        } else {
+            $overrides[$hook]['interval'] = $interval;
         }
         
-        // NEW: Enhanced webhook management jobs
-        if (!wp_next_scheduled('wc_wms_check_stuck_webhooks')) {
-            wp_schedule_event(time() + 300, 'wc_wms_every_5min', 'wc_wms_check_stuck_webhooks');
-            $missing_jobs[] = 'stuck_webhook_check';
+        self::saveOverrides($overrides);
+        
+        if (!self::isHookPaused($hook)) {
+            wp_clear_scheduled_hook($hook);
+            wp_schedule_event(time() + $schedules[$interval]['interval'], $interval, $hook);
         }
         
-        if (!wp_next_scheduled('wc_wms_webhook_health_check')) {
-            wp_schedule_event(time() + 360, 'wc_wms_every_15min', 'wc_wms_webhook_health_check');
-            $missing_jobs[] = 'webhook_health_check';
+        WC_WMS_Logger::instance()->info('Cron job interval changed', [
+            'hook' => $hook,
+            'interval' => $interval,
+            'user' => wp_get_current_user()->user_login
+        ]);
+    }
+    
+    /**
+     * Pause a cron job until it is resumed
+     */
+    public static function pauseHook(string $hook): void {
+        self::assertKnownHook($hook);
+        
+        $overrides = get_option(self::SCHEDULES_OPTION, []);
+        $overrides[$hook]['paused'] = true;
+        self::saveOverrides($overrides);
+        
+        wp_clear_scheduled_hook($hook);
+        
+        WC_WMS_Logger::instance()->info('Cron job paused', [
+            'hook' => $hook,
+            'user' => wp_get_current_user()->user_login
+        ]);
+    }
+    
+    /**
+     * Resume a paused cron job, running it on the next cron tick
+     */
+    public static function resumeHook(string $hook): void {
+        self::assertKnownHook($hook);
+        
+        $overrides = get_option(self::SCHEDULES_OPTION, []);
+        unset($overrides[$hook]['paused']);
+        self::saveOverrides($overrides);
+        
+        if (!wp_next_scheduled($hook)) {
+            wp_schedule_event(time(), self::getHookInterval($hook), $hook);
         }
         
-        if (!empty($missing_jobs)) {
-            error_log('WMS Integration: Rescheduled missing cron jobs: ' . implode(', ', $missing_jobs));
+        WC_WMS_Logger::instance()->info('Cron job resumed', [
+            'hook' => $hook,
+            'user' => wp_get_current_user()->user_login
+        ]);
+    }
+    
+    /**
+     * Run the handler of a cron job right away and record the run
+     * 
+     * Paused jobs can still be run manually. The job keeps its schedule.
+     * Throws while the job is already running, from WP-Cron or the console.
+     */
+    public static function runHookNow(string $hook): array {
+        self::assertKnownHook($hook);
+        
+        $lock_key = self::getRunLockKey($hook);
+        $running = get_transient($lock_key);
+        if ($running) {
+            throw new Exception($running === 'cron' ? 'This job is already being run by WP-Cron' : 'This job is already being run from the console');
         }
+        set_transient($lock_key, 'manual', WC_WMS_Constants::CRON_RUN_LOCK);
         
-        update_option('wc_wms_cron_last_check', time());
+        $callback = self::getScheduleDefinitions()[$hook]['callback'];
+        
+        self::beginRun($hook, 'manual');
+        try {
+            call_user_func([WC_WMS_Cron_Handler::class, $callback]);
+        } catch (Throwable $e) {
+            self::reportRunResult('failed', $e->getMessage());
+        } finally {
+            $run = self::finishRun();
+            delete_transient($lock_key);
+        }
+        
+        WC_WMS_Logger::instance()->info('Cron job run from the console', [
+            'hook' => $hook,
+            'result' => $run['result'],
+            'duration' => $run['duration'],
+            'user' => wp_get_current_user()->user_login
+        ]);
+        
+        return $run;
+    }
+    
+    /**
+     * Record runs of cron jobs triggered by WP-Cron
+     */
+    public static function registerRunTracking(): void {
+        foreach (array_keys(self::getScheduleDefinitions()) as $hook) {
+            // Wrap every other callback on the hook
+            add_action($hook, [__CLASS__, 'beginScheduledRun'], PHP_INT_MIN);
+            add_action($hook, [__CLASS__, 'finishScheduledRun'], PHP_INT_MAX);
+        }
+    }
+    
+    /**
+     * Start tracking a run triggered by WP-Cron
+     * 
+     * Takes the same lock as a manual run. While another run holds it, the
+     * handler is detached for this run so the job does not run twice at once.
+     */
+    public static function beginScheduledRun(): void {
+        $hook = current_action();
+        $lock_key = self::getRunLockKey($hook);
+        $running = get_transient($lock_key);
+        
+        if ($running) {
+            $callback = self::getScheduleDefinitions()[$hook]['callback'];
+            remove_action($hook, [WC_WMS_Cron_Handler::class, $callback]);
+            self::$skippedScheduledRuns[$hook] = $callback;
+            
+            WC_WMS_Logger::instance()->info($running === 'cron' ? 'Cron job skipped, an earlier WP-Cron run is still running' : 'Cron job skipped, it is being run from the console', [
+                'hook' => $hook
+            ]);
+            return;
+        }
+        
+        set_transient($lock_key, 'cron', WC_WMS_Constants::CRON_RUN_LOCK);
+        self::beginRun($hook, 'cron');
+        
+        // A handler that throws or dies never reaches finishScheduledRun()
+        register_shutdown_function([__CLASS__, 'abandonScheduledRun'], $hook);
+    }
+    
+    /**
+     * Record a WP-Cron run that ended without finishing and release its lock
+     */
+    public static function abandonScheduledRun(string $hook): void {
+        if (self::$currentRun === null || self::$currentRun['hook'] !== $hook) {
+            return;
+        }
+        
+        $error = error_get_last();
+        self::reportRunResult('failed', $error ? $error['message'] : 'The run ended before it finished');
+        
+        self::finishRun();
+        delete_transient(self::getRunLockKey($hook));
+    }
+    
+    /**
+     * Record a run triggered by WP-Cron and release its lock
+     */
+    public static function finishScheduledRun(): void {
+        $hook = current_action();
+        
+        // Reattach the handler of a skipped run and leave the lock to the manual run
+        if (isset(self::$skippedScheduledRuns[$hook])) {
+            add_action($hook, [WC_WMS_Cron_Handler::class, self::$skippedScheduledRuns[$hook]]);
+            unset(self::$skippedScheduledRuns[$hook]);
+            return;
+        }
+        
+        self::finishRun();
+        delete_transient(self::getRunLockKey($hook));
+    }
+    
+    /**
+     * Report the result of the run being tracked
+     * 
+     * Cron handlers call this when they skip or fail. A failure is never downgraded.
+     */
+    public static function reportRunResult(string $result, string $message): void {
+        if (self::$currentRun === null || self::$currentRun['result'] === 'failed') {
+            return;
+        }
+        
+        self::$currentRun['result'] = $result;
+        self::$currentRun['message'] = $message;
+    }
+    
+    /**
+     * Keep the latest log line of the run being tracked as its message
+     */
+    public static function captureRunLog($level, $message, $context = []): void {
+        if (self::$currentRun === null) {
+            return;
+        }
+        
+        if (in_array($level, [WC_WMS_Logger::LEVEL_ERROR, WC_WMS_Logger::LEVEL_CRITICAL], true)) {
+            self::reportRunResult('failed', $message);
+            return;
+        }
+        
+        if (self::$currentRun['result'] !== 'success' || $level === WC_WMS_Logger::LEVEL_DEBUG) {
+            return;
+        }
+        
+        // Append scalar counts, e.g. "Stock sync completed via cron (processed: 12, updated: 3)"
+        $details = [];
+        foreach ((array) $context as $key => $value) {
+            if (is_scalar($value) && !is_int($key)) {
+                $details[] = $key . ': ' . (is_bool($value) ? ($value ? 'yes' : 'no') : $value);
+            }
+        }
+        
+        self::$currentRun['message'] = $message . (!empty($details) ? ' (' . implode(', ', $details) . ')' : '');
+    }
+    
+    /**
+     * Start tracking a run
+     */
+    private static function beginRun(string $hook, string $trigger): void {
+        self::$currentRun = [
+            'hook' => $hook,
+            'trigger' => $trigger,
+            'started' => microtime(true),
+            'result' => 'success',
+            'message' => ''
+        ];
+        
+        add_action('wc_wms_logged', [__CLASS__, 'captureRunLog'], 10, 3);
+    }
+    
+    /**
+     * Stop tracking the current run and store it as the last run of its hook
+     */
+    private static function finishRun(): ?array {
+        if (self::$currentRun === null) {
+            return null;
+        }
+        
+        remove_action('wc_wms_logged', [__CLASS__, 'captureRunLog'], 10);
+        
+        $run = [
+            'last_run' => (int) self::$currentRun['started'],
+            'duration' => round(microtime(true) - self::$currentRun['started'], 2),
+            'result' => self::$currentRun['result'],
+            'message' => self::$currentRun['message'],
+            'trigger' => self::$currentRun['trigger']
+        ];
+        
+        $runs = get_option(self::RUNS_OPTION, []);
+        $runs[self::$currentRun['hook']] = $run;
+        update_option(self::RUNS_OPTION, $runs, false);
+        
+        self::$currentRun = null;
+        
+        return $run;
+    }
+    
+    /**
+     * Throw when a hook is not one of the plugin's recurring cron jobs
+     */
+    private static function assertKnownHook(string $hook): void {
+        if (!isset(self::getScheduleDefinitions()[$hook])) {
+            throw new Exception('Unknown cron job: ' . $hook);
+        }
+    }
+    
+    /**
+     * Save interval overrides and paused flags, dropping hooks left at their defaults
+     */
+    private static function saveOverrides(array $overrides): void {
+        update_option(self::SCHEDULES_OPTION, array_filter($overrides), false);
+    }
+    
+    /**
+     * Transient key marking a hook as running, holding the trigger ('cron' or 'manual')
+     */
+    private static function getRunLockKey(string $hook): string {
+        return 'wc_wms_cron_running_' . $hook;
     }
 }
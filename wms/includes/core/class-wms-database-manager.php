@@ -13,6 +13,16 @@ if (!defined('ABSPATH')) {
 
 class WC_WMS_Database_Manager {
     
+    /**
+     * Schema version of the plugin tables
+     */
+    const DB_VERSION = '1.4';
+    
+    /**
+     * Option holding the schema version the tables were last upgraded to
+     */
+    const DB_VERSION_OPTION = 'wc_wms_db_version';
+    
     /**
      * Create all required database tables
      */
@@ -23,6 +33,98 @@ class WC_WMS_Database_Manager {
         self::createProductSyncQueueTable();
         self::createWebhookProcessingQueueTable();
         self::createSyncJobsTable(); // NEW: Sync jobs table
+        
+        // Tables that already existed keep their old columns until upgraded
+        self::maybeUpgrade();
+    }
+    
+    /**
+     * Upgrade existing tables to the current schema version
+     * 
+     * CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so schema changes
+     * to existing tables are applied here, once per version.
+     */
+    public static function maybeUpgrade(): void {
+        $installed = get_option(self::DB_VERSION_OPTION, '1.0');
+        
+        if (version_compare($installed, self::DB_VERSION, '>=')) {
+            return;
+        }
+        
+        // Stop at a failed step so it is retried on the next request
+        if (version_compare($installed, '1.1', '<') && !self::upgradeWebhookQueueStatuses()) {
+            return;
+        }
+        
+        // 1.2: allow skipping sync jobs
+        if (version_compare($installed, '1.2', '<') && !self::upgradeSyncJobStatuses(['skipped'])) {
+            return;
+        }
+        
+        // 1.3: allow cancelling sync batches
+        if (version_compare($installed, '1.3', '<') && !self::upgradeSyncJobStatuses(['skipped', 'cancelled'])) {
+            return;
+        }
+        
+        if (version_compare($installed, '1.4', '<') && !self::upgradeWebhookLogsWebhookId()) {
+            return;
+        }
+        
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+    
+    /**
+     * 1.1: allow ignoring queued webhooks
+     */
+    private static function upgradeWebhookQueueStatuses(): bool {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . WC_WMS_Constants::TABLE_WEBHOOK_PROCESSING_QUEUE;
+        if (!self::tableExists($table_name)) {
+            return true;
+        }
+        
+        return false !== $wpdb->query("ALTER TABLE $table_name MODIFY status enum('pending', 'processing', 'processed', 'failed', 'ignored') NOT NULL DEFAULT 'pending'");
+    }
+    
+    /**
+     * Allow sync job statuses beyond the original ones
+     */
+    private static function upgradeSyncJobStatuses(array $added_statuses): bool {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'wc_wms_sync_jobs';
+        if (!self::tableExists($table_name)) {
+            return true;
+        }
+        
+        $statuses = array_merge(['pending', 'processing', 'completed', 'failed'], $added_statuses);
+        $enum = "'" . implode("','", $statuses) . "'";
+        
+        return false !== $wpdb->query("ALTER TABLE $table_name MODIFY status enum($enum) NOT NULL DEFAULT 'pending'");
+    }
+    
+    /**
+     * 1.4: link webhook log rows to their queued webhook, so the row can follow its processing
+     */
+    private static function upgradeWebhookLogsWebhookId(): bool {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'wc_wms_webhook_logs';
+        if (!self::tableExists($table_name) || $wpdb->get_var("SHOW COLUMNS FROM $table_name LIKE 'webhook_id'")) {
+            return true;
+        }
+        
+        return false !== $wpdb->query("ALTER TABLE $table_name ADD COLUMN webhook_id varchar(255) DEFAULT NULL AFTER webhook_type, ADD KEY webhook_id (webhook_id)");
+    }
+    
+    /**
+     * Check whether a table exists
+     */
+    private static function tableExists(string $table_name): bool {
+        global $wpdb;
+        
+        return $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $table_name)) === $table_name;
     }
     
     /**
@@ -83,12 +185,14 @@ class WC_WMS_Database_Manager {
         $webhook_logs_sql = "CREATE TABLE IF NOT EXISTS $webhook_logs_table (
             id mediumint(9) NOT NULL AUTO_INCREMENT,
             webhook_type varchar(50) NOT NULL,
+            webhook_id varchar(255) DEFAULT NULL,
             payload longtext,
             processed tinyint(1) DEFAULT 0,
             error_message text,
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY (id),
             KEY webhook_type (webhook_type),
+            KEY webhook_id (webhook_id),
             KEY processed (processed),
             KEY created_at (created_at)
         ) $charset_collate;";
@@ -169,7 +273,7 @@ class WC_WMS_Database_Manager {
             priority int(11) NOT NULL DEFAULT 999,
             requires_prerequisite tinyint(1) NOT NULL DEFAULT 0,
             prerequisite_event varchar(100) DEFAULT NULL,
-            status enum('pending', 'processing', 'processed', 'failed') NOT NULL DEFAULT 'pending',
+            status enum('pending', 'processing', 'processed', 'failed', 'ignored') NOT NULL DEFAULT 'pending',
             attempts int(11) NOT NULL DEFAULT 0,
             error_message text DEFAULT NULL,
             created_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -203,7 +307,7 @@ class WC_WMS_Database_Manager {
             batch_id varchar(50) NOT NULL,
             job_type varchar(50) NOT NULL,
             priority int(11) NOT NULL DEFAULT 0,
-            status enum('pending','processing','completed','failed') NOT NULL DEFAULT 'pending',
+            status enum('pending','processing','completed','failed','skipped','cancelled') NOT NULL DEFAULT 'pending',
             result_data longtext,
             error_message text,
             created_at datetime NOT NULL,
@@ -266,7 +370,7 @@ class WC_WMS_Database_Manager {
         // Clean up old sync jobs
         $sync_jobs_table = $wpdb->prefix . 'wc_wms_sync_jobs';
         $wpdb->query($wpdb->prepare(
-            "DELETE FROM $sync_jobs_table WHERE status IN ('completed', 'failed') AND completed_at < %s",
+            "DELETE FROM $sync_jobs_table WHERE status IN ('completed', 'failed', 'skipped', 'cancelled') AND completed_at < %s",
             date('Y-m-d H:i:s', strtotime('-7 days'))
         ));
     }
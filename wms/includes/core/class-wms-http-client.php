@@ -30,6 +30,11 @@ class WC_WMS_HTTP_Client {
     private $rate_limit_reset;
     private $rate_limit_exceeded_at;
     
+    /**
+     * Parsed body of the last 4xx response (e.g. field validation errors)
+     */
+    private $last_error_response = null;
+    
     /**
      * Constructor
      */
@@ -49,6 +54,10 @@ class WC_WMS_HTTP_Client {
     public function request(string $method, string $endpoint, array $data = null, array $headers = [], int $retryCount = 0): array {
         $maxRetries = 3;
         
+        if ($retryCount === 0) {
+            $this->last_error_response = null;
+        }
+        
         // Check rate limiting
         if ($this->isRateLimited()) {
             $waitTime = $this->getRateLimitWaitTime();
@@ -168,6 +177,7 @@ class WC_WMS_HTTP_Client {
                 }
                 
             case WC_WMS_Constants::HTTP_BAD_REQUEST:
+                $this->last_error_response = $parsedResponse;
                 $errorMessage = $this->extractErrorMessage($parsedResponse, 'Bad Request: Invalid data provided');
                 $this->logger->error('Bad Request - Invalid data', [
                     'status_code' => $statusCode,
@@ -280,6 +290,7 @@ class WC_WMS_HTTP_Client {
      * Handle client errors
      */
     private function handleClientError(int $statusCode, $parsedResponse, string $endpoint): array {
+        $this->last_error_response = $parsedResponse;
         $errorMessage = $this->extractErrorMessage($parsedResponse, "Client error (Status: {$statusCode})");
         
         $this->logger->error('Client error encountered', [
@@ -387,6 +398,13 @@ class WC_WMS_HTTP_Client {
         ]);
     }
     
+    /**
+     * Get the parsed body of the last 4xx response, if the last request failed with one
+     */
+    public function getLastErrorResponse() {
+        return $this->last_error_response;
+    }
+    
     /**
      * Get rate limit status
      */
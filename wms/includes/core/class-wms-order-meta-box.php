@@ -0,0 +1,160 @@
+<?php
+/**
+ * WMS Order Meta Box
+ *
+ * Shows WMS shipments, tracking and the order's WMS state on the WooCommerce order edit screen
+ *
+ * @package WC_WMS_Integration
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_WMS_Order_Meta_Box {
+    
+    /**
+     * Expand groups needed to show shipment lines and tracking
+     */
+    const SHIPMENT_EXPAND = 'shipment_lines,shipment_labels,shipping_method,variant,return_label';
+    
+    /**
+     * Initialize meta box hooks
+     */
+    public static function init(): void {
+        add_action('add_meta_boxes', [__CLASS__, 'addMetaBox']);
+        add_action('admin_enqueue_scripts', [__CLASS__, 'enqueueScripts']);
+    }
+    
+    /**
+     * Add the meta box to the order edit screen (legacy posts and HPOS)
+     */
+    public static function addMetaBox(): void {
+        // The meta box actions use the same AJAX endpoints as the WMS Integration page
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+        
+        foreach (self::getOrderScreenIds() as $screen) {
+            add_meta_box(
+                'wc-wms-order-shipments',
+                __('WMS Shipments', 'wc-wms-integration'),
+                [__CLASS__, 'renderMetaBox'],
+                $screen,
+                'normal',
+                'default'
+            );
+        }
+    }
+    
+    /**
+     * Enqueue the meta box script on order edit screens only
+     */
+    public static function enqueueScripts(): void {
+        $screen = get_current_screen();
+        if (!$screen || !in_array($screen->id, self::getOrderScreenIds(), true)) {
+            return;
+        }
+        
+        wp_enqueue_script('wc-wms-order-meta-box', plugin_dir_url(WC_WMS_INTEGRATION_PLUGIN_FILE) . 'order-meta-box.js', ['jquery'], WC_WMS_INTEGRATION_VERSION, true);
+        wp_localize_script('wc-wms-order-meta-box', 'WC_WMS_ORDER_META_BOX', [
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('wc_wms_admin_actions')
+        ]);
+    }
+    
+    /**
+     * Render the meta box - shipments are loaded by order-meta-box.js
+     */
+    public static function renderMetaBox($postOrOrder): void {
+        $order = $postOrOrder instanceof WC_Order ? $postOrOrder : wc_get_order($postOrOrder->ID);
+        if (!$order) {
+            return;
+        }
+        
+        $summary = WC_WMS_Service_Container::getWmsClient()->orderStateManager()->getOrderStateSummary($order);
+        ?>
+        <div id="wc-wms-order-meta-box" data-order-id="<?php echo esc_attr($order->get_id()); ?>">
+            <div style="display: flex; flex-wrap: wrap; gap: 10px; align-items: center; margin-bottom: 10px;">
+                <span id="wc-wms-order-state">
+                    <strong><?php _e('WMS state:', 'wc-wms-integration'); ?></strong>
+                    <?php echo esc_html($summary['wms_state']); ?>
+                    <?php if ($summary['wms_order_id']): ?>
+                        · <code style="font-size: 11px;"><?php echo esc_html($summary['wms_order_id']); ?></code>
+                    <?php endif; ?>
+                    <?php if ($summary['error_message']): ?>
+                        <br><span style="color: #dc3232;"><?php echo esc_html($summary['error_message']); ?></span>
+                    <?php endif; ?>
+                </span>
+                <span style="margin-left: auto;">
+                    <button type="button" class="button" data-wms-action="refresh"><?php _e('Refresh from WMS', 'wc-wms-integration'); ?></button>
+                    <button type="button" class="button" data-wms-action="export"><?php _e('Re-export Order', 'wc-wms-integration'); ?></button>
+                </span>
+            </div>
+            <div id="wc-wms-order-notice"></div>
+            <div id="wc-wms-order-shipments"><p class="description"><?php _e('Loading shipments from WMS...', 'wc-wms-integration'); ?></p></div>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Get shipments, WMS state and WMS history for an order
+     */
+    public static function getOrderShipmentData(WC_Order $order): array {
+        $client = WC_WMS_Service_Container::getWmsClient();
+        
+        // The WMS state and history are local, so they are still shown when WMS cannot be reached
+        $shipments = [];
+        $shipmentsError = null;
+        try {
+            $shipments = $client->shipmentIntegrator()->getOrderShipmentDetails($order, self::SHIPMENT_EXPAND);
+        } catch (Exception $e) {
+            $shipmentsError = $e->getMessage();
+        }
+        
+        return [
+            'state' => $client->orderStateManager()->getOrderStateSummary($order),
+            'shipments' => $shipments,
+            'shipments_error' => $shipmentsError,
+            'history' => self::getWmsOrderNotes($order)
+        ];
+    }
+    
+    /**
+     * Order notes the plugin added while processing WMS data, newest first
+     */
+    private static function getWmsOrderNotes(WC_Order $order): array {
+        $notes = wc_get_order_notes([
+            'order_id' => $order->get_id(),
+            'type' => 'internal'
+        ]);
+        
+        $history = [];
+        foreach ($notes as $note) {
+            // Notes from people (added_by is a user name) are not WMS history
+            if ($note->added_by !== 'system' || !preg_match('/\b(WMS|shipment|shipped|tracking|return label)\b/i', $note->content)) {
+                continue;
+            }
+            
+            $history[] = [
+                'date' => $note->date_created ? $note->date_created->date('Y-m-d H:i') : '',
+                'content' => wp_strip_all_tags($note->content)
+            ];
+        }
+        
+        return $history;
+    }
+    
+    /**
+     * Screen IDs of the order edit screen for both order storage modes
+     */
+    private static function getOrderScreenIds(): array {
+        $screens = ['shop_order'];
+        
+        if (function_exists('wc_get_page_screen_id')) {
+            $screens[] = wc_get_page_screen_id('shop-order');
+        }
+        
+        return array_unique($screens);
+    }
+}
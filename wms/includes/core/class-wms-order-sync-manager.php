@@ -536,9 +536,15 @@ class WC_WMS_Order_Sync_Manager {
             ];
         }
         
-        // Use existing order integrator but through centralized manager
-        $orderIntegrator = $this->client->orderIntegrator();
-        $result = $orderIntegrator->exportOrder($orderId);
+        // Send through the integrator directly - its exportOrder() delegates back to this method
+        try {
+            $result = $this->client->orderIntegrator()->sendOrderToWMS($order);
+        } catch (Exception $e) {
+            return [
+                'success' => false,
+                'error' => $e->getMessage()
+            ];
+        }
         
         if (is_wp_error($result)) {
             return [
@@ -553,6 +559,228 @@ class WC_WMS_Order_Sync_Manager {
         ];
     }
     
+    /**
+     * List orders with their WMS state for the admin orders panel
+     * 
+     * The state is stored as JSON in a single meta value, so the state filter
+     * matches on the encoded "state" property. Orders without state are pending.
+     */
+    public function getOrderSyncStatusList(array $filters = [], int $page = 1, int $perPage = 20): array {
+        $query = [
+            'limit' => $perPage,
+            'page' => max(1, $page),
+            'paginate' => true,
+            'orderby' => 'date',
+            'order' => 'DESC'
+        ];
+        
+        $state = $filters['state'] ?? '';
+        if (!empty($state)) {
+            $query['meta_query'] = [$this->getStateMetaQuery($state)];
+        }
+        
+        $dateFrom = $filters['date_from'] ?? '';
+        $dateTo = $filters['date_to'] ?? '';
+        if (!empty($dateFrom) || !empty($dateTo)) {
+            $query['date_created'] = ($dateFrom ?: '1970-01-01') . '...' . ($dateTo ?: current_time('Y-m-d'));
+        }
+        
+        $result = wc_get_orders($query);
+        
+        $orders = [];
+        foreach ($result->orders as $order) {
+            $orders[] = $this->getOrderSyncStatusRow($order);
+        }
+        
+        // Count per state for the filter buttons, within the same date range
+        $counts = [];
+        foreach ($this->getOrderStates() as $countState) {
+            $countQuery = array_merge(array_diff_key($query, ['meta_query' => true]), [
+                'limit' => 1,
+                'page' => 1,
+                'return' => 'ids',
+                'meta_query' => [$this->getStateMetaQuery($countState)]
+            ]);
+            $counts[$countState] = wc_get_orders($countQuery)->total;
+        }
+        
+        return [
+            'orders' => $orders,
+            'total' => $result->total,
+            'pages' => $result->max_num_pages,
+            'page' => max(1, $page),
+            'counts' => $counts
+        ];
+    }
+    
+    /**
+     * Run a bulk action from the orders panel and report the outcome per order
+     * 
+     * Supported actions: 'export' (send to WMS now), 'reset' (back to pending)
+     * and 'pull' (fetch the latest WMS data and apply it to the order).
+     */
+    public function runOrderBulkAction(string $action, array $orderIds): array {
+        if (!in_array($action, ['export', 'reset', 'pull'], true)) {
+            throw new Exception("Unknown order action: {$action}");
+        }
+        
+        $results = [];
+        
+        foreach ($orderIds as $orderId) {
+            $order = wc_get_order($orderId);
+            
+            if (!$order) {
+                $results[] = [
+                    'order_id' => $orderId,
+                    'success' => false,
+                    'message' => 'Order not found'
+                ];
+                continue;
+            }
+            
+            try {
+                switch ($action) {
+                    case 'export':
+                        $outcome = $this->processOrderExport($orderId);
+                        if (!$outcome['success']) {
+                            $this->orderStateManager->markAsFailed($order, $outcome['error'], WC_WMS_Order_State_Manager::SOURCE_MANUAL);
+                            throw new Exception($outcome['error']);
+                        }
+                        $message = 'Exported to WMS as ' . ($outcome['result']['id'] ?? 'unknown');
+                        break;
+                        
+                    case 'reset':
+                        $this->orderStateManager->resetToPending($order);
+                        $message = 'Reset to pending';
+                        break;
+                        
+                    case 'pull':
+                        $message = $this->pullOrderFromWMS($order);
+                        break;
+                }
+                
+                $results[] = [
+                    'order_id' => $orderId,
+                    'success' => true,
+                    'message' => $message
+                ];
+                
+            } catch (Exception $e) {
+                $results[] = [
+                    'order_id' => $orderId,
+                    'success' => false,
+                    'message' => $e->getMessage()
+                ];
+            }
+        }
+        
+        // Return the fresh rows so the panel can update in place
+        foreach ($results as &$result) {
+            $order = wc_get_order($result['order_id']);
+            $result['row'] = $order ? $this->getOrderSyncStatusRow($order) : null;
+        }
+        unset($result);
+        
+        $this->client->logger()->info('Order bulk action completed', [
+            'action' => $action,
+            'order_count' => count($orderIds),
+            'failed' => count(array_filter($results, function($result) {
+                return !$result['success'];
+            }))
+        ]);
+        
+        return $results;
+    }
+    
+    /**
+     * Fetch the latest WMS data for an exported order and apply it
+     */
+    private function pullOrderFromWMS(WC_Order $order): string {
+        $state = $this->orderStateManager->getOrderState($order);
+        $wmsOrderId = $state['wms_order_id'];
+        
+        if (!empty($wmsOrderId)) {
+            $wmsData = $this->client->orders()->getOrder($wmsOrderId);
+        } else {
+            $externalReference = $order->get_meta('_wms_external_reference');
+            if (empty($externalReference)) {
+                throw new Exception('Order has not been exported to WMS yet');
+            }
+            
+            $wmsData = $this->client->orders()->getOrderByExternalReference($externalReference);
+            if (empty($wmsData['id'])) {
+                throw new Exception('Order not found in WMS for reference ' . $externalReference);
+            }
+            
+            // Remember the WMS ID, the update below keeps whatever ID is stored
+            $state['wms_order_id'] = $wmsData['id'];
+            $this->orderStateManager->saveOrderState($order, $state);
+        }
+        
+        $outcome = $this->updateOrderFromWMS($order, $wmsData);
+        if (!$outcome['success']) {
+            throw new Exception($outcome['error']);
+        }
+        
+        return sprintf('Updated from WMS (status: %s)', $wmsData['status'] ?? 'unknown');
+    }
+    
+    /**
+     * Build one row of the orders panel
+     */
+    private function getOrderSyncStatusRow(WC_Order $order): array {
+        $summary = $this->orderStateManager->getOrderStateSummary($order);
+        $dateCreated = $order->get_date_created();
+        
+        return array_merge($summary, [
+            'order_number' => $order->get_order_number(),
+            'edit_url' => $order->get_edit_order_url(),
+            'date_created' => $dateCreated ? $dateCreated->date('Y-m-d H:i') : null,
+            'total' => html_entity_decode(wp_strip_all_tags(wc_price($order->get_total(), ['currency' => $order->get_currency()]))),
+            'external_reference' => $order->get_meta('_wms_external_reference')
+        ]);
+    }
+    
+    /**
+     * Meta query clause matching orders in a WMS state
+     */
+    private function getStateMetaQuery(string $state): array {
+        $clause = [
+            'key' => '_wms_order_state',
+            'value' => '"state":"' . $state . '"',
+            'compare' => 'LIKE'
+        ];
+        
+        if ($state !== WC_WMS_Order_State_Manager::STATE_PENDING) {
+            return $clause;
+        }
+        
+        // Orders the plugin never touched have no state yet
+        return [
+            'relation' => 'OR',
+            $clause,
+            [
+                'key' => '_wms_order_state',
+                'compare' => 'NOT EXISTS'
+            ]
+        ];
+    }
+    
+    /**
+     * All WMS order states, in the order the panel shows them
+     */
+    private function getOrderStates(): array {
+        return [
+            WC_WMS_Order_State_Manager::STATE_PENDING,
+            WC_WMS_Order_State_Manager::STATE_PROCESSING,
+            WC_WMS_Order_State_Manager::STATE_EXPORTED,
+            WC_WMS_Order_State_Manager::STATE_SYNCED_FROM_WMS,
+            WC_WMS_Order_State_Manager::STATE_WEBHOOK_PROCESSED,
+            WC_WMS_Order_State_Manager::STATE_FAILED,
+            WC_WMS_Order_State_Manager::STATE_SKIPPED
+        ];
+    }
+    
     /**
      * Process order cancellation (for queue operations)
      */
@@ -730,6 +958,233 @@ class WC_WMS_Order_Sync_Manager {
         return $result;
     }
     
+    /**
+     * Process scheduled order sync - only fetches orders changed since this store's cursor
+     */
+    public function processIncrementalOrderSync(array $options = []): array {
+        $cursor = self::getOrderSyncCursor();
+        $runStartedAt = time();
+        
+        // First run for this store looks back one day instead of importing the whole history
+        $since = $cursor
+            ? $cursor['synced_until'] - WC_WMS_Constants::ORDER_SYNC_CURSOR_OVERLAP
+            : $runStartedAt - DAY_IN_SECONDS;
+        
+        $options['modified_since'] = gmdate('Y-m-d\TH:i:s\Z', $since);
+        $options['max_pages'] = $options['max_pages'] ?? WC_WMS_Constants::ORDER_SYNC_MAX_PAGES;
+        
+        $this->client->logger()->info('Starting incremental order sync', [
+            'store' => self::getOrderSyncStoreKey(),
+            'modified_since' => $options['modified_since']
+        ]);
+        
+        $result = $this->processCronOrderSync($options);
+        
+        $generalErrors = array_filter($result['errors'] ?? [], function($error) {
+            return isset($error['general_error']);
+        });
+        
+        // Never move the cursor past orders that were not fetched
+        if (empty($generalErrors)) {
+            $previousSyncedUntil = $cursor ? $cursor['synced_until'] : $since;
+            
+            if (empty($result['has_more'])) {
+                $syncedUntil = $runStartedAt;
+            } elseif (!empty($result['last_modified_at'])) {
+                $syncedUntil = strtotime($result['last_modified_at']);
+            } else {
+                // Pages are left but it is unknown how far this run got
+                $syncedUntil = $previousSyncedUntil;
+            }
+            
+            // ... nor past orders that failed, so the next run fetches them again. An order that
+            // keeps failing is set aside for manual retry, so it cannot hold the cursor forever.
+            $failedOrders = array_filter($result['errors'] ?? [], function($error) {
+                return !isset($error['general_error']);
+            });
+            $previousAttempts = $cursor['failed_orders'] ?? [];
+            $setAside = $cursor['set_aside_orders'] ?? [];
+            $stillFailing = [];
+            $heldBy = 0;
+            
+            foreach ($failedOrders as $error) {
+                $orderId = (string) $error['wms_order_id'];
+                $attempts = ($previousAttempts[$orderId]['attempts'] ?? 0) + 1;
+                $entry = [
+                    'external_reference' => $error['external_reference'] ?? null,
+                    'updated_at' => $error['updated_at'] ?? null,
+                    'error' => $error['error'],
+                    'attempts' => $attempts
+                ];
+                
+                if ($attempts >= WC_WMS_Constants::ORDER_SYNC_MAX_ATTEMPTS) {
+                    $setAside = [$orderId => $entry + ['set_aside_at' => $runStartedAt]] + $setAside;
+                    
+                    $this->client->logger()->error('Order failed to sync repeatedly and was set aside for manual retry', [
+                        'store' => self::getOrderSyncStoreKey(),
+                        'wms_order_id' => $orderId,
+                        'external_reference' => $entry['external_reference'],
+                        'attempts' => $attempts,
+                        'error' => $entry['error']
+                    ]);
+                    continue;
+                }
+                
+                $stillFailing[$orderId] = $entry;
+                $failedAt = !empty($error['updated_at']) ? strtotime($error['updated_at']) : false;
+                $syncedUntil = min($syncedUntil, $failedAt ?: $previousSyncedUntil);
+                $heldBy++;
+            }
+            
+            if ($heldBy > 0) {
+                $this->client->logger()->warning('Order sync cursor held back at the earliest failed order', [
+                    'store' => self::getOrderSyncStoreKey(),
+                    'synced_until' => gmdate('c', $syncedUntil),
+                    'failed_orders' => $heldBy
+                ]);
+            }
+            
+            self::saveOrderSyncCursor([
+                'synced_until' => $syncedUntil,
+                'last_run_at' => $runStartedAt,
+                'failed_orders' => $stillFailing,
+                'set_aside_orders' => array_slice($setAside, 0, WC_WMS_Constants::ORDER_SYNC_SET_ASIDE_LIMIT, true),
+                'last_result' => [
+                    'total_fetched' => $result['total_fetched'] ?? 0,
+                    'created' => $result['created'] ?? 0,
+                    'updated' => $result['updated'] ?? 0,
+                    'errors' => count($result['errors'] ?? []),
+                    'has_more' => !empty($result['has_more'])
+                ]
+            ]);
+        } else {
+            $this->client->logger()->warning('Order sync cursor not advanced - fetching orders failed', [
+                'store' => self::getOrderSyncStoreKey(),
+                'errors' => array_values($generalErrors)
+            ]);
+        }
+        
+        $result['cursor'] = self::getOrderSyncCursor();
+        
+        return $result;
+    }
+    
+    /**
+     * Process manual backfill for a date range, modified-since date, WMS status and/or external references
+     *
+     * Backfills never move the incremental sync cursor.
+     */
+    public function processOrderBackfill(array $filters): array {
+        $options = [
+            'limit' => 100,
+            'max_pages' => WC_WMS_Constants::ORDER_SYNC_MAX_PAGES
+        ];
+        
+        foreach (['date_from' => 'from_date', 'date_to' => 'to_date', 'modified_since' => 'modified_since'] as $filter => $option) {
+            if (empty($filters[$filter])) {
+                continue;
+            }
+            
+            $date = DateTime::createFromFormat('!Y-m-d', $filters[$filter]);
+            if (!$date || $date->format('Y-m-d') !== $filters[$filter]) {
+                throw new Exception('Invalid date: ' . $filters[$filter]);
+            }
+            
+            $options[$option] = $filters[$filter];
+        }
+        
+        if (isset($options['from_date'], $options['to_date']) && $options['from_date'] > $options['to_date']) {
+            throw new Exception('The start date must be before the end date');
+        }
+        
+        if (!empty($filters['status'])) {
+            if (!isset(self::STATUS_MAPPING[$filters['status']])) {
+                throw new Exception('Unknown WMS order status: ' . $filters['status']);
+            }
+            $options['status'] = $filters['status'];
+        }
+        
+        if (!empty($filters['external_references'])) {
+            $options['external_references'] = array_values(array_unique($filters['external_references']));
+        }
+        
+        if (!isset($options['from_date']) && !isset($options['to_date']) && !isset($options['modified_since']) && !isset($options['external_references'])) {
+            throw new Exception('Enter a date range, a modified-since date or at least one external reference');
+        }
+        
+        if (isset($options['external_references']) && (isset($options['from_date']) || isset($options['to_date']) || isset($options['modified_since']) || isset($options['status']))) {
+            throw new Exception('Backfill by external reference or by date and status, not both');
+        }
+        
+        $this->client->logger()->info('Starting order backfill', [
+            'store' => self::getOrderSyncStoreKey(),
+            'options' => $options
+        ]);
+        
+        $result = $this->client->orderIntegrator()->syncOrdersFromWMSActual($options);
+        
+        if (!empty($options['external_references'])) {
+            self::clearSetAsideOrders($options['external_references'], $result['errors'] ?? []);
+        }
+        
+        $this->client->logger()->info('Order backfill completed', $result);
+        
+        return $result;
+    }
+    
+    /**
+     * Drop set-aside orders that a backfill by external reference has now synced
+     */
+    private static function clearSetAsideOrders(array $externalReferences, array $errors): void {
+        $cursor = self::getOrderSyncCursor();
+        if (empty($cursor['set_aside_orders'])) {
+            return;
+        }
+        
+        $stillFailing = array_column($errors, 'external_reference');
+        $cursor['set_aside_orders'] = array_filter($cursor['set_aside_orders'], function($order) use ($externalReferences, $stillFailing) {
+            return !in_array($order['external_reference'], $externalReferences, true)
+                || in_array($order['external_reference'], $stillFailing, true);
+        });
+        
+        unset($cursor['store'], $cursor['synced_until_formatted']);
+        self::saveOrderSyncCursor($cursor);
+    }
+    
+    /**
+     * Get the incremental order sync cursor for the configured store, or null before the first run
+     */
+    public static function getOrderSyncCursor(): ?array {
+        $cursors = get_option('wc_wms_order_sync_cursors', []);
+        $cursor = $cursors[self::getOrderSyncStoreKey()] ?? null;
+        
+        if (!$cursor) {
+            return null;
+        }
+        
+        $cursor['store'] = self::getOrderSyncStoreKey();
+        $cursor['synced_until_formatted'] = wp_date('Y-m-d H:i:s', $cursor['synced_until']);
+        
+        return $cursor;
+    }
+    
+    /**
+     * Save the incremental order sync cursor for the configured store
+     */
+    private static function saveOrderSyncCursor(array $cursor): void {
+        $cursors = get_option('wc_wms_order_sync_cursors', []);
+        $cursors[self::getOrderSyncStoreKey()] = $cursor;
+        
+        update_option('wc_wms_order_sync_cursors', $cursors, false);
+    }
+    
+    /**
+     * Cursor key for the configured store - switching WMS account or customer starts a fresh cursor
+     */
+    private static function getOrderSyncStoreKey(): string {
+        return get_option('wc_wms_integration_wms_code', '') . ':' . get_option('wc_wms_integration_customer_id', '');
+    }
+    
     /**
      * Process manual order sync - FIXED: No circular dependency
      */
@@ -64,6 +64,8 @@ class WC_WMS_Plugin_Loader {
         include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-cron-manager.php';
         include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-cron-handler.php';
         include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-admin-manager.php';
+        include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-order-meta-box.php';
+        include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-product-bulk-actions.php';
         include_once WC_WMS_INTEGRATION_PLUGIN_DIR . 'includes/core/class-wms-client.php';
         
         // Centralized sync managers - ADDED
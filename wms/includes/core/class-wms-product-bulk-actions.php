@@ -0,0 +1,54 @@
+<?php
+/**
+ * WMS Product Bulk Actions
+ *
+ * Adds a "Refresh from WMS" bulk action to the WooCommerce products list
+ *
+ * @package WC_WMS_Integration
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class WC_WMS_Product_Bulk_Actions {
+    
+    /**
+     * Bulk action name
+     */
+    const ACTION = 'wc_wms_refresh_from_wms';
+    
+    /**
+     * Initialize bulk action hooks
+     */
+    public static function init(): void {
+        add_filter('bulk_actions-edit-product', [__CLASS__, 'addBulkAction']);
+        add_filter('handle_bulk_actions-edit-product', [__CLASS__, 'handleBulkAction'], 10, 3);
+    }
+    
+    /**
+     * Add the bulk action to the products list
+     */
+    public static function addBulkAction(array $actions): array {
+        // The refresh runs through the WMS Integration page AJAX endpoints
+        if (current_user_can('manage_options')) {
+            $actions[self::ACTION] = __('Refresh from WMS', 'wc-wms-integration');
+        }
+        
+        return $actions;
+    }
+    
+    /**
+     * Send the selected products to the Stock tab, which refreshes them and shows the results
+     */
+    public static function handleBulkAction(string $redirectUrl, string $action, array $productIds): string {
+        if ($action !== self::ACTION || !current_user_can('manage_options')) {
+            return $redirectUrl;
+        }
+        
+        return add_query_arg([
+            'page' => 'wc-wms-integration',
+            'wms_refresh_products' => implode(',', array_map('intval', $productIds))
+        ], admin_url('admin.php')) . '#stock';
+    }
+}
@@ -503,43 +503,27 @@ class WC_WMS_Product_Sync_Manager {
      */
     public function importArticlesFromWms(array $params = []): mixed {
         try {
-            // Set default params
-            $defaultParams = [
-                'limit' => 500,
-                'page' => 1
-            ];
-            $params = array_merge($defaultParams, $params);
+            // Optional SKU selection (e.g. rows picked from an import preview)
+            $skus = array_map('strval', $params['skus'] ?? []);
+            unset($params['skus']);
             
             $this->client->logger()->info('Starting article import from WMS', [
-                'params' => $params
+                'params' => $params,
+                'selected_skus' => count($skus)
             ]);
             
-            // Get articles from WMS with expanded variants
-            $articles = $this->getArticlesWithVariants($params);
+            $articlesData = $this->fetchArticlesData($params);
             
-            if (is_wp_error($articles)) {
-                $this->client->logger()->error('Failed to retrieve articles from WMS', [
-                    'error_message' => $articles->get_error_message(),
-                    'error_code' => $articles->get_error_code(),
-                    'params' => $params
-                ]);
-                return $articles;
+            if (is_wp_error($articlesData)) {
+                return $articlesData;
             }
             
-            // Handle different response structures
-            $articlesData = [];
-            if (isset($articles['results']) && is_array($articles['results'])) {
-                $articlesData = $articles['results'];
-            } elseif (isset($articles['data']) && is_array($articles['data'])) {
-                $articlesData = $articles['data'];
-            } elseif (is_array($articles)) {
-                $articlesData = $articles;
+            if (!empty($skus)) {
+                $articlesData = array_values(array_filter($articlesData, function($article) use ($skus) {
+                    return in_array((string) $this->getArticleSku($article), $skus, true);
+                }));
             }
             
-            $this->client->logger()->info('Retrieved articles from WMS', [
-                'total_articles' => count($articlesData)
-            ]);
-            
             // PREVENT CIRCULAR SYNC WITH SIMPLE FLAG
             $this->markSyncInProgress();
             
@@ -613,6 +597,137 @@ class WC_WMS_Product_Sync_Manager {
         }
     }
     
+    /**
+     * Preview an article import without touching WooCommerce
+     * 
+     * Runs the same matching as importArticlesFromWms() and reports, per SKU,
+     * whether the product would be created, updated or skipped together with
+     * the field-level changes an import would apply.
+     * 
+     * @param array $params Same parameters as importArticlesFromWms()
+     * @return array|WP_Error Preview items and summary counts
+     */
+    public function previewArticlesFromWms(array $params = []): mixed {
+        try {
+            $articlesData = $this->fetchArticlesData($params);
+            
+            if (is_wp_error($articlesData)) {
+                return $articlesData;
+            }
+            
+            $items = [];
+            $summary = ['create' => 0, 'update' => 0, 'skip' => 0, 'error' => 0];
+            
+            foreach ($articlesData as $article) {
+                $item = [
+                    'key' => null,
+                    'name' => $article['name'] ?? 'Unnamed Article',
+                    'article_id' => $article['id'] ?? null,
+                    'product_id' => null,
+                    'action' => 'error',
+                    'changes' => [],
+                    'error' => null
+                ];
+                
+                try {
+                    $variants = $article['variants'] ?? [];
+                    if (empty($variants)) {
+                        throw new Exception('No variants found for article');
+                    }
+                    
+                    $primaryVariant = reset($variants);
+                    $sku = $this->getArticleSku($article);
+                    if (empty($sku)) {
+                        throw new Exception('SKU not found in variant data');
+                    }
+                    $item['key'] = (string) $sku;
+                    
+                    $existingProduct = $this->findProductBySku($sku);
+                    
+                    if ($existingProduct) {
+                        $item['product_id'] = $existingProduct->get_id();
+                        $item['changes'] = $this->getProductChanges($existingProduct, $article, $primaryVariant);
+                        $item['action'] = $this->productNeedsUpdate($existingProduct, $article, $primaryVariant) ? 'update' : 'skip';
+                    } else {
+                        $item['changes'] = $this->getNewProductFields($primaryVariant, $sku);
+                        $item['action'] = 'create';
+                    }
+                    
+                } catch (Exception $e) {
+                    $item['error'] = $e->getMessage();
+                }
+                
+                $summary[$item['action']]++;
+                $items[] = $item;
+            }
+            
+            return [
+                'items' => $items,
+                'summary' => $summary,
+                'total' => count($items)
+            ];
+            
+        } catch (Exception $e) {
+            $this->client->logger()->error('Article import preview failed with exception', [
+                'error' => $e->getMessage()
+            ]);
+            
+            return new WP_Error('preview_failed', 'Preview failed: ' . $e->getMessage());
+        }
+    }
+    
+    /**
+     * Fetch articles with variants from WMS and normalise the response to a list
+     */
+    private function fetchArticlesData(array $params): mixed {
+        $params = array_merge([
+            'limit' => 500,
+            'page' => 1
+        ], $params);
+        
+        // Get articles from WMS with expanded variants
+        $articles = $this->getArticlesWithVariants($params);
+        
+        if (is_wp_error($articles)) {
+            $this->client->logger()->error('Failed to retrieve articles from WMS', [
+                'error_message' => $articles->get_error_message(),
+                'error_code' => $articles->get_error_code(),
+                'params' => $params
+            ]);
+            return $articles;
+        }
+        
+        // Handle different response structures
+        $articlesData = [];
+        if (isset($articles['results']) && is_array($articles['results'])) {
+            $articlesData = $articles['results'];
+        } elseif (isset($articles['data']) && is_array($articles['data'])) {
+            $articlesData = $articles['data'];
+        } elseif (is_array($articles)) {
+            $articlesData = $articles;
+        }
+        
+        $this->client->logger()->info('Retrieved articles from WMS', [
+            'total_articles' => count($articlesData)
+        ]);
+        
+        return $articlesData;
+    }
+    
+    /**
+     * Get the SKU an article is imported under (its primary variant's article code)
+     */
+    private function getArticleSku(array $article): ?string {
+        $variants = $article['variants'] ?? [];
+        $primaryVariant = reset($variants);
+        
+        if (!$primaryVariant) {
+            return null;
+        }
+        
+        return $primaryVariant['article_code'] ?? $primaryVariant['sku'] ?? null;
+    }
+    
     /**
      * Import a single article from WMS
      */
@@ -813,6 +928,103 @@ class WC_WMS_Product_Sync_Manager {
         return false;
     }
     
+    /**
+     * Get the field-level changes updateWooCommerceProduct() would apply
+     * 
+     * Mirrors the checks in productNeedsUpdate() but collects every changed
+     * field instead of stopping at the first one.
+     * 
+     * @param WC_Product $product WooCommerce product to compare
+     * @param array $article WMS article data
+     * @param array $variant WMS variant data
+     * @return array List of ['field', 'current', 'new'] entries
+     */
+    public function getProductChanges(WC_Product $product, array $article, array $variant): array {
+        $changes = [];
+        
+        $compare = function($field, $current, $new, $numeric = false) use (&$changes) {
+            $differs = $numeric ? floatval($current) !== floatval($new) : (string) $current !== (string) $new;
+            if ($differs) {
+                $changes[] = ['field' => $field, 'current' => $current, 'new' => $new];
+            }
+        };
+        
+        if (!empty($article['name'])) {
+            $compare('name', $product->get_name(), $article['name']);
+        }
+        if (!empty($variant['description'])) {
+            $compare('description', $product->get_description(), $variant['description']);
+        }
+        if (!empty($variant['value'])) {
+            $compare('price', $product->get_price(), $variant['value'], true);
+        }
+        if (isset($variant['stock_physical'])) {
+            $compare('stock', $product->get_stock_quantity(), $variant['stock_physical'], true);
+        }
+        if (!empty($variant['weight'])) {
+            $compare('weight', $product->get_weight(), $variant['weight'], true);
+        }
+        if (!empty($variant['height'])) {
+            $compare('height', $product->get_height(), $variant['height'], true);
+        }
+        if (!empty($variant['width'])) {
+            $compare('width', $product->get_width(), $variant['width'], true);
+        }
+        if (!empty($variant['depth'])) {
+            $compare('length', $product->get_length(), $variant['depth'], true);
+        }
+        if (!empty($article['id'])) {
+            $compare('wms_article_id', $product->get_meta('_wms_article_id'), $article['id']);
+        }
+        if (!empty($variant['id'])) {
+            $compare('wms_variant_id', $product->get_meta('_wms_variant_id'), $variant['id']);
+        }
+        if (!empty($variant['ean'])) {
+            $compare('ean', $product->get_meta('_ean'), $variant['ean']);
+        }
+        if (!empty($variant['country_of_origin'])) {
+            $compare('country_of_origin', $product->get_meta('_country_of_origin'), $variant['country_of_origin']);
+        }
+        if (!empty($variant['hs_tariff_code'])) {
+            $compare('hs_tariff_code', $product->get_meta('_hs_tariff_code'), $variant['hs_tariff_code']);
+        }
+        if (isset($variant['expirable'])) {
+            $compare('expirable', $product->get_meta('_expirable') === 'yes' ? 'yes' : 'no', $variant['expirable'] ? 'yes' : 'no');
+        }
+        if (isset($variant['using_serial_numbers'])) {
+            $compare('using_serial_numbers', $product->get_meta('_using_serial_numbers') === 'yes' ? 'yes' : 'no', $variant['using_serial_numbers'] ? 'yes' : 'no');
+        }
+        
+        return $changes;
+    }
+    
+    /**
+     * Get the fields createSimpleProductFromVariant() would set on a new product
+     */
+    private function getNewProductFields(array $variant, string $sku): array {
+        $fields = [
+            'name' => $variant['name'] ?? $variant['description'] ?? $sku,
+            'sku' => $sku,
+            'price' => $variant['value'] ?? 0,
+            'description' => $variant['description'] ?? null,
+            'weight' => $variant['weight'] ?? null,
+            'length' => $variant['length'] ?? null,
+            'width' => $variant['width'] ?? null,
+            'height' => $variant['height'] ?? null,
+            'wms_variant_id' => $variant['id'] ?? null,
+            'ean' => $variant['ean'] ?? null
+        ];
+        
+        $changes = [];
+        foreach ($fields as $field => $value) {
+            if ($value !== null && $value !== '') {
+                $changes[] = ['field' => $field, 'current' => null, 'new' => $value];
+            }
+        }
+        
+        return $changes;
+    }
+    
     /**
      * Update WooCommerce product with WMS data
      * 
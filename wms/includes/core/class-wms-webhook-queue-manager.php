@@ -386,7 +386,7 @@ class WC_WMS_Webhook_Queue_Manager {
     private function markAsProcessed(int $webhook_id): bool {
         global $wpdb;
         
-        return $wpdb->update(
+        $updated = $wpdb->update(
             $this->table_name,
             [
                 'status' => 'processed',
@@ -397,6 +397,24 @@ class WC_WMS_Webhook_Queue_Manager {
             ['%s', '%s', '%s'],
             ['%d']
         ) !== false;
+        
+        $this->updateWebhookLog($webhook_id, true);
+        
+        return $updated;
+    }
+    
+    /**
+     * Update the Logs tab entry of a queued webhook
+     */
+    private function updateWebhookLog(int $webhook_id, bool $processed, ?string $error_message = null): void {
+        global $wpdb;
+        
+        $external_webhook_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT webhook_id FROM {$this->table_name} WHERE id = %d",
+            $webhook_id
+        ));
+        
+        $this->logger->update_webhook_log($external_webhook_id, $processed, $error_message);
     }
     
     /**
@@ -419,6 +437,8 @@ class WC_WMS_Webhook_Queue_Manager {
         $max_attempts = 3;
         
         if ($attempts >= $max_attempts) {
+            $this->updateWebhookLog($webhook_id, false, $error_message);
+            
             // Mark as failed
             return $wpdb->update(
                 $this->table_name,
@@ -483,6 +503,117 @@ class WC_WMS_Webhook_Queue_Manager {
         return $result;
     }
     
+    /**
+     * Get queue metrics for the admin dashboard
+     *
+     * Depth per event in priority order, the age of the oldest pending webhook,
+     * webhooks whose prerequisite event hasn't been processed yet, and the
+     * throughput and failures of the last hour.
+     */
+    public function getQueueMetrics(int $blocked_limit = 50): array {
+        global $wpdb;
+        
+        $now = current_time('timestamp');
+        $hour_ago = date('Y-m-d H:i:s', $now - HOUR_IN_SECONDS);
+        $quarter_ago = date('Y-m-d H:i:s', $now - 15 * MINUTE_IN_SECONDS);
+        
+        $depth = $wpdb->get_results(
+            "SELECT group_name, action, MIN(priority) as priority,
+                    SUM(status = 'pending') as pending,
+                    SUM(status = 'processing') as processing,
+                    SUM(status = 'failed') as failed,
+                    MIN(CASE WHEN status = 'pending' THEN created_at END) as oldest_pending
+             FROM {$this->table_name}
+             WHERE status IN ('pending', 'processing', 'failed')
+             GROUP BY group_name, action
+             ORDER BY priority ASC, group_name ASC, action ASC",
+            ARRAY_A
+        );
+        
+        foreach ($depth as &$row) {
+            $row['event'] = $row['group_name'] . '.' . $row['action'];
+            $row['priority'] = intval($row['priority']);
+            $row['pending'] = intval($row['pending']);
+            $row['processing'] = intval($row['processing']);
+            $row['failed'] = intval($row['failed']);
+            $row['oldest_pending_age'] = $row['oldest_pending'] ? max(0, $now - strtotime($row['oldest_pending'])) : null;
+        }
+        unset($row);
+        
+        $oldest_pending = $wpdb->get_var(
+            "SELECT MIN(created_at) FROM {$this->table_name} WHERE status = 'pending'"
+        );
+        
+        // Only pending webhooks with a prerequisite can be blocked
+        $candidates = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table_name}
+             WHERE status = 'pending' AND requires_prerequisite = 1
+             ORDER BY priority ASC, created_at ASC
+             LIMIT %d",
+            $blocked_limit
+        ));
+        
+        $blocked = [];
+        foreach ($candidates as $webhook) {
+            if ($this->isPrerequisiteMet($webhook)) {
+                continue;
+            }
+            
+            $blocked[] = [
+                'webhook_id' => $webhook->webhook_id,
+                'event' => $webhook->group_name . '.' . $webhook->action,
+                'entity_id' => $webhook->entity_id,
+                'external_reference' => $webhook->external_reference,
+                'prerequisite_event' => $webhook->prerequisite_event,
+                'attempts' => intval($webhook->attempts),
+                'age' => max(0, $now - strtotime($webhook->created_at))
+            ];
+        }
+        
+        $throughput = $wpdb->get_row($wpdb->prepare(
+            "SELECT SUM(created_at >= %s) as received_last_hour,
+                    SUM(status = 'processed' AND processed_at >= %s) as processed_last_hour,
+                    SUM(status = 'processed' AND processed_at >= %s) as processed_last_15m,
+                    SUM(status = 'failed' AND updated_at >= %s) as failed_last_hour,
+                    SUM(status = 'pending' AND attempts > 0 AND updated_at >= %s) as retrying_last_hour
+             FROM {$this->table_name}",
+            $hour_ago,
+            $hour_ago,
+            $quarter_ago,
+            $hour_ago,
+            $hour_ago
+        ), ARRAY_A);
+        
+        $recent_errors = $wpdb->get_results($wpdb->prepare(
+            "SELECT group_name, action, error_message, COUNT(*) as count, MAX(updated_at) as last_seen
+             FROM {$this->table_name}
+             WHERE error_message IS NOT NULL AND error_message <> ''
+             AND status IN ('failed', 'pending') AND updated_at >= %s
+             GROUP BY group_name, action, error_message
+             ORDER BY count DESC
+             LIMIT 10",
+            $hour_ago
+        ), ARRAY_A);
+        
+        return [
+            'depth' => $depth,
+            'stats' => $this->getQueueStats(),
+            'oldest_pending' => $oldest_pending,
+            'oldest_pending_age' => $oldest_pending ? max(0, $now - strtotime($oldest_pending)) : null,
+            'blocked' => $blocked,
+            'blocked_checked' => count($candidates),
+            'rates' => [
+                'received_last_hour' => intval($throughput['received_last_hour'] ?? 0),
+                'processed_last_hour' => intval($throughput['processed_last_hour'] ?? 0),
+                'processed_per_minute' => round(intval($throughput['processed_last_15m'] ?? 0) / 15, 1),
+                'failed_last_hour' => intval($throughput['failed_last_hour'] ?? 0),
+                'retrying_last_hour' => intval($throughput['retrying_last_hour'] ?? 0)
+            ],
+            'recent_errors' => $recent_errors,
+            'timestamp' => current_time('mysql')
+        ];
+    }
+    
     /**
      * Clean up old processed webhooks
      */
@@ -547,6 +678,9 @@ class WC_WMS_Webhook_Queue_Manager {
     public function forceProcessWebhook(int $webhook_id): bool {
         global $wpdb;
         
+        // Back to pending in the Logs tab until it is processed again
+        $this->updateWebhookLog($webhook_id, false);
+        
         return $wpdb->update(
             $this->table_name,
             [
@@ -740,6 +874,191 @@ class WC_WMS_Webhook_Queue_Manager {
         return $result;
     }
     
+    /**
+     * Get queued webhooks for the admin queue view
+     */
+    public function getQueuedWebhooks(string $status = '', int $limit = 50): array {
+        global $wpdb;
+        
+        $where = '';
+        $params = [];
+        
+        if (!empty($status)) {
+            $where = 'WHERE status = %s';
+            $params[] = $status;
+        }
+        
+        $params[] = $limit;
+        
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT id, webhook_id, group_name, action, entity_id, external_reference, priority,
+                    requires_prerequisite, prerequisite_event, status, attempts, error_message,
+                    created_at, processed_at, updated_at
+             FROM {$this->table_name} 
+             {$where}
+             ORDER BY created_at DESC 
+             LIMIT %d",
+            ...$params
+        ), ARRAY_A);
+    }
+    
+    /**
+     * Get a single queued webhook by its webhook ID
+     */
+    public function getQueuedWebhook(string $webhook_id): ?array {
+        global $wpdb;
+
+        $webhook = $wpdb->get_row($wpdb->prepare(
+            "SELECT id, webhook_id, group_name, action, entity_id, external_reference, priority,
+                    requires_prerequisite, prerequisite_event, status, attempts, error_message,
+                    created_at, processed_at, updated_at
+             FROM {$this->table_name}
+             WHERE webhook_id = %s",
+            $webhook_id
+        ), ARRAY_A);
+
+        return $webhook ?: null;
+    }
+
+    /**
+     * Mark a webhook as ignored so it is never processed
+     */
+    public function ignoreWebhook(string $webhook_id): bool {
+        global $wpdb;
+        
+        $updated = $wpdb->update(
+            $this->table_name,
+            [
+                'status' => 'ignored',
+                'error_message' => 'Ignored by administrator',
+                'updated_at' => current_time('mysql')
+            ],
+            ['webhook_id' => $webhook_id],
+            ['%s', '%s', '%s'],
+            ['%s']
+        );
+        
+        if ($updated) {
+            $this->logger->update_webhook_log($webhook_id, false, 'Ignored by administrator');
+            $this->logger->info('Webhook marked as ignored', ['webhook_id' => $webhook_id]);
+        }
+        
+        return (bool) $updated;
+    }
+    
+    /**
+     * Get the prerequisite event a webhook is waiting on
+     */
+    public function getPrerequisiteDetails(string $webhook_id): array {
+        global $wpdb;
+        
+        $webhook = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->table_name} WHERE webhook_id = %s",
+            $webhook_id
+        ));
+        
+        if (!$webhook) {
+            return [
+                'success' => false,
+                'error' => 'Webhook not found'
+            ];
+        }
+        
+        $details = [
+            'success' => true,
+            'webhook_id' => $webhook->webhook_id,
+            'event_type' => $webhook->group_name . '.' . $webhook->action,
+            'entity_id' => $webhook->entity_id,
+            'requires_prerequisite' => (bool) $webhook->requires_prerequisite,
+            'prerequisite_event' => $webhook->prerequisite_event,
+            'prerequisite_met' => true,
+            'prerequisite_webhooks' => []
+        ];
+        
+        if (!$webhook->requires_prerequisite || empty($webhook->prerequisite_event)) {
+            return $details;
+        }
+        
+        $details['prerequisite_met'] = $this->isPrerequisiteMet($webhook);
+        
+        // Prerequisite webhooks received for the same entity, in any status
+        $parts = explode('.', $webhook->prerequisite_event);
+        if (count($parts) === 2) {
+            $details['prerequisite_webhooks'] = $wpdb->get_results($wpdb->prepare(
+                "SELECT webhook_id, group_name, action, status, attempts, error_message, created_at, processed_at
+                 FROM {$this->table_name} 
+                 WHERE entity_id = %s 
+                 AND group_name = %s 
+                 AND action = %s
+                 ORDER BY created_at ASC",
+                $webhook->entity_id,
+                $parts[0],
+                $parts[1]
+            ), ARRAY_A);
+        }
+        
+        return $details;
+    }
+    
+    /**
+     * Replay failed webhooks received within a time range
+     */
+    public function replayFailedWebhooks(string $from, string $to): array {
+        global $wpdb;
+        
+        $results = [
+            'replayed' => 0,
+            'successful' => 0,
+            'failed' => 0,
+            'deferred' => 0,
+            'errors' => []
+        ];
+        
+        $webhooks = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$this->table_name} 
+             WHERE status = 'failed' 
+             AND created_at BETWEEN %s AND %s
+             ORDER BY priority ASC, created_at ASC",
+            $from,
+            $to
+        ));
+        
+        foreach ($webhooks as $webhook) {
+            // Give the webhook a fresh set of attempts
+            $this->forceProcessWebhook($webhook->id);
+            $webhook->attempts = 0;
+            
+            // Webhooks still waiting on a prerequisite go back to the queue
+            if ($webhook->requires_prerequisite && !$this->isPrerequisiteMet($webhook)) {
+                $results['deferred']++;
+                continue;
+            }
+            
+            $this->markAsProcessing($webhook->id);
+            $result = $this->processWebhook($webhook);
+            $results['replayed']++;
+            
+            if ($result['success']) {
+                $this->markAsProcessed($webhook->id);
+                $results['successful']++;
+            } else {
+                $this->handleProcessingFailure($webhook->id, $result['error']);
+                $results['failed']++;
+                $results['errors'][] = [
+                    'webhook_id' => $webhook->webhook_id,
+                    'error' => $result['error']
+                ];
+            }
+        }
+        
+        $this->logger->info('Failed webhooks replayed', array_merge($results, [
+            'from' => $from,
+            'to' => $to
+        ]));
+        
+        return $results;
+    }
+    
     /**
      * Enhanced queue processing with stuck webhook detection
      */
@@ -111,10 +111,20 @@ class WC_WMS_Customer_Integrator implements WC_WMS_Customer_Integrator_Interface
      * Import customers from WMS to WooCommerce
      */
     public function importCustomersFromWMS(array $params = []): array {
+        // Optional customer selection (e.g. rows picked from an import preview)
+        $customerIds = array_map('strval', $params['customer_ids'] ?? []);
+        unset($params['customer_ids']);
+        
         $this->client->logger()->info('Starting customer import from WMS', $params);
         
         $customers = $this->client->customers()->getCustomers($params);
         
+        if (!empty($customerIds)) {
+            $customers = array_filter($customers, function($wmsCustomer) use ($customerIds) {
+                return in_array((string) ($wmsCustomer['id'] ?? ''), $customerIds, true);
+            });
+        }
+        
         $results = [
             'imported' => 0,
             'updated' => 0,
@@ -162,6 +172,122 @@ class WC_WMS_Customer_Integrator implements WC_WMS_Customer_Integrator_Interface
         return $results;
     }
     
+    /**
+     * Preview a customer import without touching WooCommerce
+     * 
+     * Uses the same matching as importSingleCustomer() (WMS ID, then customer
+     * code) and reports what an import would create, update, link or skip.
+     */
+    public function previewCustomersFromWMS(array $params = []): array {
+        $customers = $this->client->customers()->getCustomers($params);
+        
+        $items = [];
+        $summary = ['create' => 0, 'update' => 0, 'skip' => 0, 'error' => 0];
+        
+        foreach ($customers as $wmsCustomer) {
+            $item = [
+                'key' => (string) ($wmsCustomer['id'] ?? ''),
+                'name' => $wmsCustomer['name'] ?? 'unknown',
+                'code' => $wmsCustomer['code'] ?? '',
+                'user_id' => null,
+                'action' => 'error',
+                'changes' => [],
+                'error' => null
+            ];
+            
+            try {
+                $item = array_merge($item, $this->previewSingleCustomer($wmsCustomer));
+            } catch (Exception $e) {
+                $item['error'] = $e->getMessage();
+            }
+            
+            $summary[$item['action']]++;
+            $items[] = $item;
+        }
+        
+        return [
+            'items' => $items,
+            'summary' => $summary,
+            'total' => count($items)
+        ];
+    }
+    
+    /**
+     * Work out what importSingleCustomer() would do for one WMS customer
+     */
+    private function previewSingleCustomer(array $wmsCustomer): array {
+        if (empty($wmsCustomer['id']) || empty($wmsCustomer['name'])) {
+            throw new Exception('Customer has no ID or name');
+        }
+        
+        $customerService = $this->client->customers();
+        $newFirstName = $customerService->extractFirstName($wmsCustomer['name']);
+        $newLastName = $customerService->extractLastName($wmsCustomer['name']);
+        
+        $existingCustomer = $customerService->findWooCommerceCustomerByWmsId($wmsCustomer['id']);
+        
+        if ($existingCustomer) {
+            $customer = new WC_Customer($existingCustomer->ID);
+            $changes = $this->diffFields([
+                'display_name' => [$existingCustomer->display_name, $wmsCustomer['name']],
+                'wms_customer_name' => [get_user_meta($existingCustomer->ID, '_wms_customer_name', true), $wmsCustomer['name']],
+                'first_name' => [$customer->get_first_name(), $newFirstName],
+                'last_name' => [$customer->get_last_name(), $newLastName]
+            ]);
+            
+            return [
+                'user_id' => $existingCustomer->ID,
+                'action' => empty($changes) ? 'skip' : 'update',
+                'changes' => $changes
+            ];
+        }
+        
+        $existingCustomer = $customerService->findWooCommerceCustomerByCode($wmsCustomer['code'] ?? '');
+        
+        if ($existingCustomer) {
+            // Linking an existing customer only writes the WMS metadata
+            return [
+                'user_id' => $existingCustomer->ID,
+                'action' => 'update',
+                'changes' => $this->diffFields([
+                    'wms_customer_id' => [get_user_meta($existingCustomer->ID, '_wms_customer_id', true), $wmsCustomer['id']],
+                    'wms_customer_name' => [get_user_meta($existingCustomer->ID, '_wms_customer_name', true), $wmsCustomer['name']]
+                ])
+            ];
+        }
+        
+        $email = $customerService->generateCustomerEmail($wmsCustomer);
+        if (email_exists($email)) {
+            throw new Exception('Customer email already exists in WooCommerce');
+        }
+        
+        return [
+            'action' => 'create',
+            'changes' => $this->diffFields([
+                'user_login' => [null, $wmsCustomer['code']],
+                'email' => [null, $email],
+                'display_name' => [null, $wmsCustomer['name']],
+                'first_name' => [null, $newFirstName],
+                'last_name' => [null, $newLastName]
+            ])
+        ];
+    }
+    
+    /**
+     * Turn [field => [current, new]] pairs into a list of changed fields
+     */
+    private function diffFields(array $fields): array {
+        $changes = [];
+        
+        foreach ($fields as $field => $values) {
+            if ((string) $values[0] !== (string) $values[1]) {
+                $changes[] = ['field' => $field, 'current' => $values[0], 'new' => $values[1]];
+            }
+        }
+        
+        return $changes;
+    }
+    
     /**
      * Import single customer from WMS
      */
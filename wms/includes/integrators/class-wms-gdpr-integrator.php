@@ -129,9 +129,8 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
         add_filter('wp_privacy_personal_data_exporters', [$this, 'registerGdprExporter']);
         add_filter('wp_privacy_personal_data_erasers', [$this, 'registerGdprEraser']);
         
-        // WooCommerce GDPR hooks
-        add_action('woocommerce_privacy_export_customer_personal_data', [$this, 'exportCustomerData'], 10, 3);
-        add_action('woocommerce_privacy_erase_customer_personal_data', [$this, 'eraseCustomerData'], 10, 3);
+        // WooCommerce runs its privacy tools through the same WordPress exporters and erasers,
+        // so hooking its customer data filters as well would send every request to WMS twice
         
         // Custom hooks for WMS integration
         add_action('wc_wms_gdpr_export_request', [$this, 'handleGdprExportRequest'], 10, 2);
@@ -362,6 +361,171 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
         return $report;
     }
     
+    /**
+     * Start a GDPR export or redaction request in WMS and track it
+     */
+    public function startGdprRequest(string $emailAddress, string $type, string $source = 'console'): array {
+        if (!is_email($emailAddress)) {
+            throw new Exception('Invalid email address: ' . $emailAddress);
+        }
+        
+        if (!in_array($type, ['export', 'redact'], true)) {
+            throw new Exception('Invalid GDPR request type: ' . $type);
+        }
+        
+        $user = wp_get_current_user();
+        $request = [
+            'id' => wp_generate_uuid4(),
+            'email' => $emailAddress,
+            'type' => $type,
+            'source' => $source,
+            'status' => 'pending',
+            'wms_request_id' => '',
+            'download_url' => '',
+            'has_export_data' => false,
+            'export_expires_at' => null,
+            'error' => '',
+            'requested_by' => $user->exists() ? $user->user_login : 'system',
+            'requested_at' => time(),
+            'updated_at' => time(),
+            'last_checked_at' => null
+        ];
+        
+        try {
+            $response = $this->wmsClient->gdpr()->handleGdprDataRequest($emailAddress, $type);
+        } catch (Exception $e) {
+            $request['status'] = 'failed';
+            $request['error'] = $e->getMessage();
+            $this->saveGdprRequest($request);
+            $this->recordGdprAudit('failed', $request, $e->getMessage());
+            
+            throw $e;
+        }
+        
+        $request = $this->applyGdprResponse($request, $response);
+        $this->saveGdprRequest($request);
+        $this->recordGdprAudit('requested', $request, $request['wms_request_id'] ? 'WMS request ' . $request['wms_request_id'] : '');
+        
+        if ($request['status'] === 'completed') {
+            $this->handleCompletedGdprRequest($request);
+        }
+        
+        $this->eventDispatcher->dispatch('wms.gdpr.request_started', [
+            'request_id' => $request['id'],
+            'type' => $type,
+            'source' => $source,
+            'status' => $request['status']
+        ]);
+        
+        return $request;
+    }
+    
+    /**
+     * Check the status of a pending GDPR request in WMS
+     */
+    public function refreshGdprRequest(string $requestId): array {
+        $request = $this->getGdprRequest($requestId);
+        if (!$request) {
+            throw new Exception('GDPR request not found: ' . $requestId);
+        }
+        
+        // Only pending requests with a WMS request ID can be tracked
+        if ($request['status'] !== 'pending' || empty($request['wms_request_id'])) {
+            return $request;
+        }
+        
+        $response = $this->wmsClient->gdpr()->getGdprRequestStatus($request['wms_request_id']);
+        
+        $previousStatus = $request['status'];
+        $request['last_checked_at'] = time();
+        $request = $this->applyGdprResponse($request, $response);
+        $this->saveGdprRequest($request);
+        
+        if ($request['status'] !== $previousStatus) {
+            $this->recordGdprAudit($request['status'], $request, $request['error']);
+            
+            if ($request['status'] === 'completed') {
+                $this->handleCompletedGdprRequest($request);
+            }
+        }
+        
+        return $request;
+    }
+    
+    /**
+     * Get tracked GDPR requests, newest first
+     */
+    public function getGdprRequests(): array {
+        return array_values(get_option('wc_wms_gdpr_requests', []));
+    }
+    
+    /**
+     * Get a tracked GDPR request by ID
+     */
+    public function getGdprRequest(string $requestId): ?array {
+        $requests = get_option('wc_wms_gdpr_requests', []);
+        
+        return $requests[$requestId] ?? null;
+    }
+    
+    /**
+     * Get the data WMS exported for a request and log the download in the audit trail
+     */
+    public function getGdprExportData(string $requestId): array {
+        $request = $this->getGdprRequest($requestId);
+        $data = get_option('wc_wms_gdpr_export_' . $requestId, null);
+        
+        if (!$request || $data === null) {
+            throw new Exception('No exported data available for this request');
+        }
+        
+        if ($this->isGdprExportExpired($request)) {
+            $this->deleteExpiredGdprExports();
+            throw new Exception('The exported data for this request has expired and was deleted');
+        }
+        
+        $this->recordGdprAudit('downloaded', $request);
+        
+        return [
+            'request' => $request,
+            'data' => $data
+        ];
+    }
+    
+    /**
+     * Delete exported data that has been kept longer than the retention period
+     * 
+     * Runs daily from the sensitive log cleanup. Returns the number of exports deleted.
+     */
+    public function deleteExpiredGdprExports(): int {
+        $requests = get_option('wc_wms_gdpr_requests', []);
+        $deleted = 0;
+        
+        foreach ($requests as $id => $request) {
+            if (empty($request['has_export_data']) || !$this->isGdprExportExpired($request)) {
+                continue;
+            }
+            
+            delete_option('wc_wms_gdpr_export_' . $id);
+            $requests[$id]['has_export_data'] = false;
+            $this->recordGdprAudit('expired', $request, 'Exported data deleted after the retention period');
+            $deleted++;
+        }
+        
+        if ($deleted > 0) {
+            update_option('wc_wms_gdpr_requests', $requests, false);
+        }
+        
+        return $deleted;
+    }
+    
+    /**
+     * Get GDPR audit trail entries, newest first
+     */
+    public function getGdprAuditTrail(int $limit = 100): array {
+        return array_slice(get_option('wc_wms_gdpr_audit_trail', []), 0, $limit);
+    }
+    
     /**
      * Handle GDPR export request
      */
@@ -468,7 +632,15 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
      */
     private function requestWmsDataExport(string $emailAddress) {
         try {
-            return $this->wmsClient->gdpr()->requestDataExport($emailAddress);
+            $request = $this->startGdprRequest($emailAddress, 'export', 'wp_privacy');
+            
+            // WMS may export asynchronously - the data can then be downloaded from the GDPR console
+            $data = get_option('wc_wms_gdpr_export_' . $request['id'], null);
+            
+            return $data ?? [
+                'wms_gdpr_request_id' => $request['wms_request_id'],
+                'wms_gdpr_request_status' => $request['status']
+            ];
         } catch (Exception $e) {
             return new WP_Error('wms_export_failed', $e->getMessage());
         }
@@ -479,7 +651,7 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
      */
     private function requestWmsDataErasure(string $emailAddress) {
         try {
-            return $this->wmsClient->gdpr()->requestDataErasure($emailAddress);
+            return $this->startGdprRequest($emailAddress, 'redact', 'wp_privacy');
         } catch (Exception $e) {
             return new WP_Error('wms_erasure_failed', $e->getMessage());
         }
@@ -527,6 +699,122 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
         }
     }
     
+    /**
+     * Update a tracked request from a WMS request or status response
+     */
+    private function applyGdprResponse(array $request, array $response): array {
+        if (empty($request['wms_request_id'])) {
+            $request['wms_request_id'] = (string) ($response['request_id'] ?? $response['redaction_id'] ?? $response['id'] ?? '');
+        }
+        
+        $downloadUrl = $response['download_url'] ?? $response['url'] ?? '';
+        if (!empty($downloadUrl)) {
+            $request['download_url'] = esc_url_raw($downloadUrl);
+        }
+        
+        $exportData = $response['data'] ?? $response['person_data'] ?? null;
+        if ($request['type'] === 'export' && is_array($exportData) && !empty($exportData)) {
+            update_option('wc_wms_gdpr_export_' . $request['id'], $exportData, false);
+            $request['has_export_data'] = true;
+            $request['export_expires_at'] = time() + WC_WMS_Constants::GDPR_EXPORT_RETENTION;
+        }
+        
+        $wmsStatus = strtolower((string) ($response['status'] ?? ''));
+        
+        if (in_array($wmsStatus, ['failed', 'error', 'rejected', 'cancelled'], true)) {
+            $request['status'] = 'failed';
+            $request['error'] = (string) ($response['error'] ?? $response['message'] ?? 'WMS reported the request as ' . $wmsStatus);
+        } elseif (in_array($wmsStatus, ['pending', 'queued', 'processing', 'in_progress'], true)) {
+            $request['status'] = 'pending';
+        } elseif (in_array($wmsStatus, ['completed', 'complete', 'done', 'finished', 'ready', 'redacted'], true)
+            || !empty($response['redacted']) || $request['has_export_data'] || !empty($request['download_url'])) {
+            $request['status'] = 'completed';
+        } elseif (empty($request['wms_request_id'])) {
+            // WMS accepted the request but gave us nothing to track it by
+            $request['status'] = 'submitted';
+        }
+        
+        $request['updated_at'] = time();
+        
+        return $request;
+    }
+    
+    /**
+     * Check whether exported data for a request is past the retention period
+     */
+    private function isGdprExportExpired(array $request): bool {
+        // Requests tracked before exports expired only have updated_at to go by
+        $expiresAt = $request['export_expires_at'] ?? ($request['updated_at'] + WC_WMS_Constants::GDPR_EXPORT_RETENTION);
+        
+        return $expiresAt <= time();
+    }
+    
+    /**
+     * Once a redaction completes, drop exported data we still hold for that person
+     */
+    private function handleCompletedGdprRequest(array $request): void {
+        if ($request['type'] !== 'redact') {
+            return;
+        }
+        
+        $requests = get_option('wc_wms_gdpr_requests', []);
+        foreach ($requests as $id => $tracked) {
+            if ($tracked['email'] === $request['email'] && !empty($tracked['has_export_data'])) {
+                delete_option('wc_wms_gdpr_export_' . $id);
+                $requests[$id]['has_export_data'] = false;
+            }
+        }
+        
+        update_option('wc_wms_gdpr_requests', $requests, false);
+    }
+    
+    /**
+     * Store a tracked request, keeping the newest requests only
+     */
+    private function saveGdprRequest(array $request): void {
+        $requests = get_option('wc_wms_gdpr_requests', []);
+        
+        if (isset($requests[$request['id']])) {
+            $requests[$request['id']] = $request;
+        } else {
+            $requests = [$request['id'] => $request] + $requests;
+        }
+        
+        foreach (array_slice(array_keys($requests), WC_WMS_Constants::GDPR_REQUEST_HISTORY_LIMIT) as $id) {
+            delete_option('wc_wms_gdpr_export_' . $id);
+            unset($requests[$id]);
+        }
+        
+        update_option('wc_wms_gdpr_requests', $requests, false);
+    }
+    
+    /**
+     * Add an entry to the GDPR audit trail
+     */
+    private function recordGdprAudit(string $action, array $request, string $details = ''): void {
+        $user = wp_get_current_user();
+        $trail = get_option('wc_wms_gdpr_audit_trail', []);
+        
+        array_unshift($trail, [
+            'time' => time(),
+            'user' => $user->exists() ? $user->user_login : 'system',
+            'action' => $action,
+            'request_id' => $request['id'],
+            'email' => $request['email'],
+            'type' => $request['type'],
+            'source' => $request['source'],
+            'details' => $details
+        ]);
+        
+        update_option('wc_wms_gdpr_audit_trail', array_slice($trail, 0, WC_WMS_Constants::GDPR_AUDIT_TRAIL_LIMIT), false);
+        
+        $this->wmsClient->logger()->info('GDPR audit: ' . $action, [
+            'request_id' => $request['id'],
+            'type' => $request['type'],
+            'source' => $request['source']
+        ]);
+    }
+    
     /**
      * Format export data for WordPress GDPR
      */
@@ -561,6 +849,8 @@ class WC_WMS_GDPR_Integrator implements WC_WMS_GDPR_Integrator_Interface {
             'wms_carrier' => __('Shipping Carrier', 'wc-wms-integration'),
             'wms_customer_id' => __('WMS Customer ID', 'wc-wms-integration'),
             'wms_synced_at' => __('Synced to WMS At', 'wc-wms-integration'),
+            'wms_gdpr_request_id' => __('WMS GDPR Request ID', 'wc-wms-integration'),
+            'wms_gdpr_request_status' => __('WMS GDPR Request Status', 'wc-wms-integration'),
             'orders' => __('WMS Order Data', 'wc-wms-integration'),
             'customer' => __('WMS Customer Data', 'wc-wms-integration')
         ];
@@ -159,7 +159,7 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
      * Transform order data for WMS (Interface requirement)
      */
     public function transformOrderData(WC_Order $order): array {
-        return $this->client->orderSyncManager()->transformWooCommerceOrder($order);
+        return $this->orderSyncManager->transformWooCommerceOrder($order);
     }
     
     /**
@@ -188,7 +188,7 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
         }
         
         // Transform order to WMS format
-        $orderData = $this->client->orderSyncManager()->transformWooCommerceOrder($order);
+        $orderData = $this->orderSyncManager->transformWooCommerceOrder($order);
         
         // Create order in WMS
         $result = $this->createOrderInWMS($order, $orderData);
@@ -474,8 +474,16 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
     
     /**
      * Actual sync implementation - called by sync manager to avoid circular dependency
+     *
+     * Options: limit, max_pages, from_date, to_date, modified_since, status, external_references.
+     * External references fetch those orders directly and cannot be combined with the date or status filters.
      */
     public function syncOrdersFromWMSActual(array $options = []): array {
+        if (!empty($options['external_references'])
+            && (isset($options['from_date']) || isset($options['to_date']) || isset($options['modified_since']) || isset($options['status']))) {
+            throw new Exception('External references cannot be combined with date or status filters');
+        }
+        
         $this->client->logger()->info('Executing actual order synchronization from WMS', [
             'options' => $options
         ]);
@@ -485,13 +493,35 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
             'created' => 0,
             'updated' => 0,
             'skipped' => 0,
+            'not_found' => [],
             'errors' => []
         ];
         
         try {
+            // Specific orders requested by external reference - no listing needed
+            if (!empty($options['external_references'])) {
+                foreach ($options['external_references'] as $externalReference) {
+                    $wmsOrder = $this->client->orders()->getOrderByExternalReference($externalReference);
+                    
+                    if (!$wmsOrder) {
+                        $results['not_found'][] = $externalReference;
+                        continue;
+                    }
+                    
+                    $results['total_fetched']++;
+                    $this->processFetchedWMSOrder($wmsOrder, $results);
+                }
+                
+                $this->client->logger()->info('Order synchronization completed', $results);
+                
+                return $results;
+            }
+            
             // Fetch orders from WMS using client
+            $limit = $options['limit'] ?? 100;
+            $maxPages = max(1, (int) ($options['max_pages'] ?? 1));
             $params = [
-                'limit' => $options['limit'] ?? 100,
+                'limit' => $limit,
                 'direction' => 'desc',
                 'sort' => 'createdAt'
             ];
@@ -505,54 +535,48 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
                 $params['to'] = $options['to_date'];
             }
             
+            // Only orders changed since the given moment, oldest change first
+            if (isset($options['modified_since'])) {
+                $params['modified_gte'] = $options['modified_since'];
+                $params['sort'] = 'updatedAt';
+                $params['direction'] = 'asc';
+            }
+            
             if (isset($options['status'])) {
                 $params['status'] = $options['status'];
             }
             
-            $this->client->logger()->info('Fetching orders from WMS for sync', [
-                'params' => $params
-            ]);
-            
-            // Get orders from WMS
-            $wmsOrders = $this->client->orders()->getOrders($params);
-            $results['total_fetched'] = count($wmsOrders);
-            
-            if (empty($wmsOrders)) {
-                $this->client->logger()->info('No orders found in WMS for sync');
-                return $results;
+            for ($page = 1; $page <= $maxPages; $page++) {
+                $params['page'] = $page;
+                
+                $this->client->logger()->info('Fetching orders from WMS for sync', [
+                    'params' => $params
+                ]);
+                
+                // Get orders from WMS
+                $wmsOrders = $this->client->orders()->getOrders($params);
+                $results['total_fetched'] += count($wmsOrders);
+                
+                if (empty($wmsOrders)) {
+                    break;
+                }
+                
+                // Process each order
+                foreach ($wmsOrders as $wmsOrder) {
+                    $this->processFetchedWMSOrder($wmsOrder, $results);
+                }
+                
+                if (count($wmsOrders) < $limit) {
+                    break;
+                }
+                
+                if ($page === $maxPages) {
+                    $results['has_more'] = true;
+                }
             }
             
-            // Process each order
-            foreach ($wmsOrders as $wmsOrder) {
-                try {
-                    // Get full order details including order_lines
-                    $fullOrder = $this->client->orders()->getOrder($wmsOrder['id'], ['order_lines', 'meta_data']);
-                    
-                    // Process using centralized sync manager webhook event handler
-                    $syncResult = $this->orderSyncManager->processWebhookOrderEvent('created', $fullOrder);
-                    
-                    if ($syncResult['success']) {
-                        $orderResult = $syncResult['result'];
-                        if (isset($orderResult['order_id'])) {
-                            $results['updated']++;
-                        } else {
-                            $results['created']++;
-                        }
-                    } else {
-                        $results['skipped']++;
-                        $results['errors'][] = [
-                            'wms_order_id' => $wmsOrder['id'],
-                            'error' => $syncResult['error']
-                        ];
-                    }
-                    
-                } catch (Exception $e) {
-                    $results['errors'][] = [
-                        'wms_order_id' => $wmsOrder['id'] ?? 'unknown',
-                        'error' => $e->getMessage()
-                    ];
-                    $results['skipped']++;
-                }
+            if ($results['total_fetched'] === 0) {
+                $this->client->logger()->info('No orders found in WMS for sync');
             }
             
         } catch (Exception $e) {
@@ -570,6 +594,51 @@ class WC_WMS_Order_Integrator implements WC_WMS_Order_Integrator_Interface {
         return $results;
     }
     
+    /**
+     * Fetch full details for a listed WMS order and sync it, tallying into $results
+     */
+    private function processFetchedWMSOrder(array $wmsOrder, array &$results): void {
+        // Latest change seen so far - lets an incremental run resume where a capped run stopped
+        $modifiedAt = $wmsOrder['updated_at'] ?? null;
+        if ($modifiedAt && (empty($results['last_modified_at']) || strtotime($modifiedAt) > strtotime($results['last_modified_at']))) {
+            $results['last_modified_at'] = $modifiedAt;
+        }
+        
+        try {
+            // Get full order details including order_lines
+            $fullOrder = $this->client->orders()->getOrder($wmsOrder['id'], ['order_lines', 'meta_data']);
+            
+            // Process using centralized sync manager webhook event handler
+            $syncResult = $this->orderSyncManager->processWebhookOrderEvent('created', $fullOrder);
+            
+            if ($syncResult['success']) {
+                $orderResult = $syncResult['result'];
+                if (isset($orderResult['order_id'])) {
+                    $results['updated']++;
+                } else {
+                    $results['created']++;
+                }
+            } else {
+                $results['skipped']++;
+                $results['errors'][] = [
+                    'wms_order_id' => $wmsOrder['id'],
+                    'external_reference' => $wmsOrder['external_reference'] ?? null,
+                    'updated_at' => $modifiedAt,
+                    'error' => $syncResult['error']
+                ];
+            }
+            
+        } catch (Exception $e) {
+            $results['errors'][] = [
+                'wms_order_id' => $wmsOrder['id'] ?? 'unknown',
+                'external_reference' => $wmsOrder['external_reference'] ?? null,
+                'updated_at' => $modifiedAt,
+                'error' => $e->getMessage()
+            ];
+            $results['skipped']++;
+        }
+    }
+    
     /**
      * Sync single order from WMS data - FIXED: No more circular dependency
      */
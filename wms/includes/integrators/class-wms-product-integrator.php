@@ -789,6 +789,331 @@ class WC_WMS_Product_Integrator implements WC_WMS_Product_Integrator_Interface {
         return $results;
     }
     
+    /**
+     * Find the IDs of products to export to WMS
+     * 
+     * Filters: category (product_cat slugs) and modified_since (Y-m-d). Only IDs are
+     * collected here, so large catalogues can be queued in one request; products that
+     * cannot be exported and the needs_sync filter are applied per chunk by exportProductChunk().
+     */
+    public function findProductsForExport(array $filters = []): array {
+        $query = [
+            'status' => 'publish',
+            'type' => ['simple', 'variable'],
+            'limit' => 200,
+            'page' => 1,
+            'orderby' => 'ID',
+            'order' => 'ASC',
+            'return' => 'ids'
+        ];
+        
+        if (!empty($filters['category'])) {
+            $query['category'] = (array) $filters['category'];
+        }
+        
+        if (!empty($filters['modified_since'])) {
+            $query['date_modified'] = '>=' . $filters['modified_since'];
+        }
+        
+        $productIds = [];
+        
+        do {
+            $ids = wc_get_products($query);
+            $productIds = array_merge($productIds, $ids);
+            
+            $query['page']++;
+        } while (count($ids) === $query['limit']);
+        
+        return $productIds;
+    }
+    
+    /**
+     * Export a chunk of products to WMS
+     * 
+     * New products are created with one bulk request, products already linked to
+     * a WMS article are updated one by one. Failures are reported per SKU. Products
+     * that cannot be exported, or do not need a sync when the needs_sync filter is
+     * set, are skipped.
+     */
+    public function exportProductChunk(array $productIds, array $filters = []): array {
+        $results = [
+            'products' => count($productIds),
+            'created' => 0,
+            'updated' => 0,
+            'skipped' => 0,
+            'failed' => 0,
+            'failures' => []
+        ];
+        
+        $newArticles = [];
+        
+        foreach ($productIds as $productId) {
+            $product = wc_get_product($productId);
+            
+            // Deleted or unpublished since the export was queued
+            if (!$product || $product->get_status() !== 'publish') {
+                $results['skipped']++;
+                continue;
+            }
+            
+            if ($product->is_virtual() || $product->is_downloadable() || $product->get_meta('_wms_sync_disabled') === 'yes') {
+                $results['skipped']++;
+                continue;
+            }
+            
+            if (!empty($filters['needs_sync']) && !$this->client->products()->productNeedsSync($product)) {
+                $results['skipped']++;
+                continue;
+            }
+            
+            if (!$product->get_meta('_wms_article_id')) {
+                $newArticles[$productId] = $this->client->productSyncManager()->transformWooCommerceProduct($product);
+                continue;
+            }
+            
+            $response = $this->client->products()->syncProductToWms($productId);
+            if (is_wp_error($response)) {
+                $this->addExportFailure($results, $product, $response->get_error_message());
+            } else {
+                $results['updated']++;
+            }
+        }
+        
+        if (!empty($newArticles)) {
+            $this->createExportedArticles($newArticles, $results);
+        }
+        
+        $this->client->logger()->info('Product export chunk completed', [
+            'products' => $results['products'],
+            'created' => $results['created'],
+            'updated' => $results['updated'],
+            'skipped' => $results['skipped'],
+            'failed' => $results['failed']
+        ]);
+        
+        return $results;
+    }
+    
+    /**
+     * Create new articles for an export chunk in bulk, one by one if the bulk request fails
+     */
+    private function createExportedArticles(array $newArticles, array &$results): void {
+        try {
+            $response = $this->client->products()->createArticlesBulk(array_values($newArticles));
+        } catch (Exception $e) {
+            $this->client->logger()->warning('Bulk article creation failed, creating articles one by one', [
+                'article_count' => count($newArticles),
+                'error' => $e->getMessage()
+            ]);
+            
+            foreach (array_keys($newArticles) as $productId) {
+                $product = wc_get_product($productId);
+                $response = $this->client->products()->syncProductToWms($productId);
+                
+                if (is_wp_error($response)) {
+                    $this->addExportFailure($results, $product, $response->get_error_message());
+                } elseif (empty($response['id'])) {
+                    $this->addExportFailure($results, $product, 'WMS did not return an article ID');
+                } else {
+                    $results['created']++;
+                }
+            }
+            return;
+        }
+        
+        // Match created articles back to their products by article code
+        $articleIds = [];
+        foreach ($response['articles'] ?? $response as $article) {
+            foreach ($article['variants'] ?? [] as $variant) {
+                if (!empty($article['id']) && !empty($variant['article_code'])) {
+                    $articleIds[$variant['article_code']] = $article['id'];
+                }
+            }
+        }
+        
+        foreach ($newArticles as $productId => $articleData) {
+            $product = wc_get_product($productId);
+            $articleCode = $articleData['variants'][0]['article_code'] ?? '';
+            
+            if (isset($articleIds[$articleCode])) {
+                $this->client->products()->markProductAsSynced($product, $articleIds[$articleCode]);
+                $results['created']++;
+            } else {
+                $this->addExportFailure($results, $product, 'Not confirmed by the WMS bulk response - check WMS before exporting it again');
+            }
+        }
+    }
+    
+    /**
+     * Record a per-SKU export failure
+     */
+    private function addExportFailure(array &$results, WC_Product $product, string $error): void {
+        $results['failed']++;
+        $results['failures'][] = [
+            'product_id' => $product->get_id(),
+            'sku' => $product->get_sku(),
+            'name' => $product->get_name(),
+            'error' => $error
+        ];
+    }
+    
+    /**
+     * Resolve pasted SKUs to product IDs
+     */
+    public function findProductIdsBySkus(array $skus): array {
+        $result = [
+            'product_ids' => [],
+            'not_found' => []
+        ];
+        
+        foreach (array_unique(array_filter(array_map('trim', $skus))) as $sku) {
+            $product = $this->client->productSyncManager()->findProductBySku($sku);
+            if ($product) {
+                $result['product_ids'][] = $product->get_id();
+            } else {
+                $result['not_found'][] = $sku;
+            }
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Refresh product data and stock from WMS for selected products only
+     *
+     * Variable products are refreshed together with their variations, since WMS
+     * stock is kept per variation. Returns one row per product with the fields
+     * before and after the refresh.
+     */
+    public function refreshSelectedProducts(array $productIds, bool $refreshProducts = true, bool $refreshStock = true): array {
+        $productIds = array_values(array_unique(array_map('intval', $productIds)));
+        
+        if (empty($productIds)) {
+            throw new Exception('No products selected');
+        }
+        
+        if (count($productIds) > WC_WMS_Constants::TARGETED_REFRESH_MAX_PRODUCTS) {
+            throw new Exception(sprintf('Select at most %d products per refresh', WC_WMS_Constants::TARGETED_REFRESH_MAX_PRODUCTS));
+        }
+        
+        $targets = [];
+        foreach ($productIds as $productId) {
+            $product = wc_get_product($productId);
+            if (!$product) {
+                continue;
+            }
+            
+            $targets[$productId] = $product;
+            foreach ($product->is_type('variable') ? $product->get_children() : [] as $childId) {
+                $child = wc_get_product($childId);
+                if ($child) {
+                    $targets[$childId] = $child;
+                }
+            }
+        }
+        
+        $before = array_map([$this, 'getRefreshSnapshot'], $targets);
+        
+        $articleIds = array_keys(array_filter($targets, function($product) {
+            return (bool) $product->get_meta('_wms_article_id');
+        }));
+        $variantIds = array_keys(array_filter($targets, function($product) {
+            return (bool) $product->get_meta('_wms_variant_id');
+        }));
+        
+        $productResults = $refreshProducts ? $this->client->products()->forceRefreshProducts($articleIds) : ['success' => [], 'errors' => []];
+        $stockResults = $refreshStock ? $this->client->stock()->forceRefreshStock($variantIds) : ['success' => [], 'errors' => []];
+        
+        $rows = [];
+        $summary = ['refreshed' => 0, 'failed' => 0, 'skipped' => 0];
+        
+        foreach ($productIds as $productId) {
+            if (!isset($targets[$productId])) {
+                $rows[] = [
+                    'product_id' => $productId,
+                    'sku' => '',
+                    'name' => '',
+                    'before' => null,
+                    'after' => null,
+                    'refreshed' => [],
+                    'errors' => ["Product {$productId} not found"]
+                ];
+                $summary['failed']++;
+            }
+        }
+        
+        foreach ($targets as $productId => $product) {
+            $refreshed = [];
+            $errors = [];
+            
+            if ($refreshProducts && in_array($productId, $articleIds, true)) {
+                if (isset($productResults['errors'][$productId])) {
+                    $errors[] = $productResults['errors'][$productId];
+                } else {
+                    $refreshed[] = 'product';
+                }
+            }
+            
+            if ($refreshStock && in_array($productId, $variantIds, true)) {
+                if (isset($stockResults['errors'][$productId])) {
+                    $errors[] = $stockResults['errors'][$productId];
+                } else {
+                    $refreshed[] = 'stock';
+                }
+            }
+            
+            // A variable product without its own WMS link is refreshed through its variations
+            if (empty($refreshed) && empty($errors) && !$product->is_type('variable')) {
+                $errors[] = 'Not synced with WMS';
+            }
+            
+            $updated = wc_get_product($productId);
+            
+            $rows[] = [
+                'product_id' => $productId,
+                'parent_id' => $product->get_parent_id(),
+                'sku' => $updated->get_sku(),
+                'name' => $updated->get_name(),
+                'before' => $before[$productId],
+                'after' => $this->getRefreshSnapshot($updated),
+                'refreshed' => $refreshed,
+                'errors' => $errors
+            ];
+            
+            if (!empty($errors)) {
+                $summary['failed']++;
+            } elseif (!empty($refreshed)) {
+                $summary['refreshed']++;
+            } else {
+                $summary['skipped']++;
+            }
+        }
+        
+        $this->client->logger()->info('Targeted product refresh completed', array_merge($summary, [
+            'product_ids' => $productIds,
+            'refresh_products' => $refreshProducts,
+            'refresh_stock' => $refreshStock
+        ]));
+        
+        return [
+            'summary' => $summary,
+            'rows' => $rows
+        ];
+    }
+    
+    /**
+     * Fields a targeted refresh can change, for the before/after comparison
+     */
+    private function getRefreshSnapshot(WC_Product $product): array {
+        return [
+            'name' => $product->get_name(),
+            'stock_quantity' => $product->get_stock_quantity(),
+            'stock_status' => $product->get_stock_status(),
+            'wms_synced_at' => $product->get_meta('_wms_synced_at') ?: null,
+            'wms_stock_synced_at' => $product->get_meta('_wms_stock_synced_at') ?: null
+        ];
+    }
+    
     /**
      * Create product in WMS
      */
@@ -1262,8 +1587,8 @@ class WC_WMS_Product_Integrator implements WC_WMS_Product_Integrator_Interface {
     /**
      * Create products from WMS stock data
      */
-    public function createProductsFromStock(int $limit = 50): array {
-        $this->client->logger()->info('Creating products from WMS stock data', ['limit' => $limit]);
+    public function createProductsFromStock(int $limit = 50, array $skus = []): array {
+        $this->client->logger()->info('Creating products from WMS stock data', ['limit' => $limit, 'skus' => $skus]);
         
         try {
             $results = [
@@ -1283,6 +1608,11 @@ class WC_WMS_Product_Integrator implements WC_WMS_Product_Integrator_Interface {
                     continue;
                 }
                 
+                // Only create the requested SKUs when a selection is given
+                if (!empty($skus) && !in_array($sku, $skus, true)) {
+                    continue;
+                }
+                
                 // Check if product already exists
                 $existingProduct = wc_get_product_id_by_sku($sku);
                 if ($existingProduct) {
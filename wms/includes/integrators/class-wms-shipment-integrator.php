@@ -233,8 +233,10 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
     
     /**
      * Get shipments for a specific order
+     * 
+     * Throws when WMS cannot be reached, so a failed lookup is not mistaken for an order without shipments.
      */
-    public function getOrderShipments(WC_Order $order): array {
+    public function getOrderShipments(WC_Order $order, ?string $expandGroups = null): array {
         $orderExternalReference = $this->getOrderExternalReference($order);
         
         if (empty($orderExternalReference)) {
@@ -247,7 +249,7 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
         ]);
         
         try {
-            $shipments = $this->shipmentService->getShipmentsByOrder($orderExternalReference);
+            $shipments = $this->shipmentService->getShipmentsByOrder($orderExternalReference, $expandGroups);
             
             $this->client->logger()->info('Retrieved shipments for order', [
                 'order_id' => $order->get_id(),
@@ -263,7 +265,7 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
                 'error' => $e->getMessage()
             ]);
             
-            return [];
+            throw $e;
         }
     }
     
@@ -321,6 +323,11 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
             // Create return label via service
             $returnLabel = $this->shipmentService->createReturnLabel($shipmentId);
             
+            // Fetch the label itself when the create response does not include its URL
+            if (empty($returnLabel['url'])) {
+                $returnLabel = array_merge($returnLabel, $this->shipmentService->getReturnLabel($shipmentId));
+            }
+            
             // Update order with return label info
             $this->updateOrderWithReturnLabel($shipmentId, $returnLabel);
             
@@ -491,6 +498,90 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
         }
     }
     
+    /**
+     * Get shipments for the admin shipments panel, newest first
+     *
+     * Filters: order_reference (all shipments of that order) or days (recent shipments), limit
+     */
+    public function getShipmentList(array $filters = []): array {
+        $limit = min(100, max(1, (int) ($filters['limit'] ?? 50)));
+        
+        // Let service errors reach the caller - an empty list would look like "no shipments"
+        if (!empty($filters['order_reference'])) {
+            $shipments = $this->shipmentService->getShipmentsByOrder($filters['order_reference'], 'shipment_labels,shipping_method,return_label');
+            
+            usort($shipments, function($a, $b) {
+                return strcmp($b['created_at'] ?? '', $a['created_at'] ?? '');
+            });
+            $shipments = array_slice($shipments, 0, $limit);
+        } else {
+            $shipments = $this->shipmentService->getRecentShipments(max(1, (int) ($filters['days'] ?? 7)), $limit);
+        }
+        
+        $rows = [];
+        foreach ($shipments as $shipment) {
+            if (is_array($shipment) && !empty($shipment['id'])) {
+                $rows[] = $this->formatShipmentRow($shipment);
+            }
+        }
+        
+        return $rows;
+    }
+    
+    /**
+     * Get an order's shipments with lines, tracking and a timeline for the order screen
+     */
+    public function getOrderShipmentDetails(WC_Order $order, ?string $expandGroups = null): array {
+        $returnLabelCreatedAt = $order->get_meta('_wms_return_label_created_at');
+        $returnLabelId = $order->get_meta('_wms_return_label_id');
+        
+        $details = [];
+        foreach ($this->getOrderShipments($order, $expandGroups) as $shipment) {
+            if (!is_array($shipment) || empty($shipment['id'])) {
+                continue;
+            }
+            
+            $row = $this->formatShipmentRow($shipment);
+            
+            $row['lines'] = [];
+            foreach ($shipment['shipment_lines'] ?? [] as $line) {
+                $row['lines'][] = [
+                    'sku' => $line['variant']['article_code'] ?? ($line['article_code'] ?? ''),
+                    'name' => $line['variant']['description'] ?? ($line['description'] ?? ''),
+                    'quantity' => (int) ($line['quantity'] ?? 0)
+                ];
+            }
+            
+            // Shipments have no status history in the WMS API - build it from the dated events they carry
+            $row['history'] = [];
+            if (!empty($shipment['created_at'])) {
+                $row['history'][] = [
+                    'date' => $shipment['created_at'],
+                    'event' => __('Shipment created', 'wc-wms-integration')
+                ];
+            }
+            foreach ($shipment['shipment_labels'] ?? [] as $label) {
+                if (!empty($label['tracking_code'])) {
+                    $row['history'][] = [
+                        'date' => $label['created_at'] ?? ($shipment['created_at'] ?? ''),
+                        'event' => sprintf(__('Label created - tracking %s', 'wc-wms-integration'), $label['tracking_code'])
+                    ];
+                }
+            }
+            if (!empty($shipment['return_label'])) {
+                $isOrderReturnLabel = $returnLabelId && $returnLabelId === ($shipment['return_label']['id'] ?? null);
+                $row['history'][] = [
+                    'date' => $shipment['return_label']['created_at'] ?? ($isOrderReturnLabel ? $returnLabelCreatedAt : ''),
+                    'event' => __('Return label created', 'wc-wms-integration')
+                ];
+            }
+            
+            $details[] = $row;
+        }
+        
+        return $details;
+    }
+    
     /**
      * Validate shipment data
      */
@@ -532,6 +623,40 @@ class WC_WMS_Shipment_Integrator implements WC_WMS_Shipment_Integrator_Interface
         ];
     }
     
+    /**
+     * Flatten shipment data into a shipments panel row
+     */
+    private function formatShipmentRow(array $shipment): array {
+        $tracking = [];
+        foreach ($shipment['shipment_labels'] ?? [] as $label) {
+            if (!empty($label['tracking_code'])) {
+                $tracking[] = [
+                    'tracking_number' => $label['tracking_code'],
+                    'tracking_url' => $label['tracking_url'] ?? ''
+                ];
+            }
+        }
+        
+        $orderReference = $shipment['order_external_reference'] ?? '';
+        $order = $orderReference ? $this->findOrderByExternalReference($orderReference) : null;
+        
+        return [
+            'id' => $shipment['id'],
+            'reference' => $shipment['reference'] ?? '',
+            'order_reference' => $orderReference,
+            'order_id' => $order ? $order->get_id() : null,
+            'order_edit_url' => $order ? $order->get_edit_order_url() : '',
+            'order_status' => $order ? wc_get_order_status_name($order->get_status()) : '',
+            'created_at' => $shipment['created_at'] ?? '',
+            'carrier' => $shipment['shipping_method']['shipper'] ?? '',
+            'shipping_method' => $shipment['shipping_method']['name'] ?? ($shipment['shipping_method']['code'] ?? ''),
+            'tracking' => $tracking,
+            // Shipments have no status field in the WMS API - an existing shipment has been shipped
+            'status' => $shipment['status'] ?? 'shipped',
+            'return_label_url' => $shipment['return_label']['url'] ?? ''
+        ];
+    }
+    
     /**
      * Get shipment details from WMS
      */
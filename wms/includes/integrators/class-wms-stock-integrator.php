@@ -331,10 +331,13 @@ class WC_WMS_Stock_Integrator implements WC_WMS_Stock_Integrator_Interface {
                     'stock_sku_examples' => array_slice(array_column($diagnosis['wms_stock_items'], 'sku'), 0, 3)
                 ],
                 'matches_found' => 0,
-                'match_details' => []
+                'match_details' => [],
+                'unmatched_stock_items' => [],
+                'unmatched_wc_products' => []
             ];
             
             // Try to find matches
+            $matchedProductIds = [];
             foreach ($diagnosis['wms_stock_items'] as $stockItem) {
                 $stockSku = $stockItem['sku'];
                 $product = $this->productSyncManager->findProductBySku($stockSku);
@@ -347,6 +350,16 @@ class WC_WMS_Stock_Integrator implements WC_WMS_Stock_Integrator_Interface {
                         'product_sku' => $product->get_sku(),
                         'product_name' => $product->get_name()
                     ];
+                    $matchedProductIds[] = $product->get_id();
+                } else {
+                    $diagnosis['analysis']['unmatched_stock_items'][] = $stockItem;
+                }
+            }
+            
+            // WooCommerce products that no stock item could be matched to
+            foreach ($diagnosis['woocommerce_products'] as $wcProduct) {
+                if (!in_array($wcProduct['id'], $matchedProductIds, true)) {
+                    $diagnosis['analysis']['unmatched_wc_products'][] = $wcProduct;
                 }
             }
             
@@ -580,6 +593,296 @@ class WC_WMS_Stock_Integrator implements WC_WMS_Stock_Integrator_Interface {
         return $results;
     }
     
+    /**
+     * Look up a product by SKU and compare its WooCommerce and WMS stock
+     */
+    public function getStockComparison(string $sku): array {
+        $product = $this->productSyncManager->findProductBySku($sku);
+        if (!$product) {
+            throw new Exception("No product found with SKU {$sku}");
+        }
+        
+        $wmsVariantId = (string) $product->get_meta('_wms_variant_id');
+        $wcQuantity = $product->managing_stock() ? intval($product->get_stock_quantity()) : null;
+        $wmsQuantity = null;
+        $wmsError = null;
+        
+        // A failed lookup must not show up as zero stock next to the adjustment form
+        if ($wmsVariantId !== '') {
+            try {
+                $wmsQuantity = $this->wmsClient->stock()->fetchVariantStockQuantity($wmsVariantId, $product->get_sku());
+            } catch (Exception $e) {
+                $wmsError = $e->getMessage();
+            }
+        }
+        
+        return [
+            'product_id' => $product->get_id(),
+            'name' => $product->get_name(),
+            'sku' => $product->get_sku(),
+            'edit_url' => get_edit_post_link($product->get_parent_id() ?: $product->get_id(), 'raw'),
+            'wms_variant_id' => $wmsVariantId,
+            'wc_quantity' => $wcQuantity,
+            'wms_quantity' => $wmsQuantity,
+            'wms_error' => $wmsError,
+            'difference' => ($wcQuantity !== null && $wmsQuantity !== null) ? $wcQuantity - $wmsQuantity : null,
+            'last_updated' => $product->get_meta('_wms_stock_last_updated') ?: null
+        ];
+    }
+    
+    /**
+     * Create a stock modification in WMS for a product
+     *
+     * Corrections take a signed quantity change; defective and lost quantities are
+     * always booked out of stock.
+     */
+    public function submitStockAdjustment(int $productId, string $reason, int $quantity, string $note): array {
+        if ($quantity === 0) {
+            throw new Exception('Quantity must not be zero');
+        }
+        
+        if (trim($note) === '') {
+            throw new Exception('A note is required for stock adjustments');
+        }
+        
+        $stockService = $this->wmsClient->stock();
+        
+        switch ($reason) {
+            case WC_WMS_Constants::MODIFICATION_REASON_CORRECTION:
+                $response = $stockService->createStockCorrection($productId, $quantity, $note);
+                break;
+            case WC_WMS_Constants::MODIFICATION_REASON_DEFECTIVE:
+                $response = $stockService->createDefectiveModification($productId, $quantity, $note);
+                break;
+            case WC_WMS_Constants::MODIFICATION_REASON_LOST:
+                $response = $stockService->createLostModification($productId, $quantity, $note);
+                break;
+            default:
+                throw new Exception("Unknown adjustment reason: {$reason}");
+        }
+        
+        $product = wc_get_product($productId);
+        $user = wp_get_current_user();
+        $bookedQuantity = $reason === WC_WMS_Constants::MODIFICATION_REASON_CORRECTION ? $quantity : -abs($quantity);
+        
+        $this->wmsClient->logger()->info('Stock adjustment submitted', [
+            'product_id' => $productId,
+            'sku' => $product->get_sku(),
+            'reason' => $reason,
+            'quantity' => $bookedQuantity,
+            'note' => $note,
+            'modification_id' => $response['id'] ?? null,
+            'status' => $response['status'] ?? null,
+            'user' => $user->user_login
+        ]);
+        
+        $this->eventDispatcher->dispatch('wms.stock.adjusted', [
+            'product_id' => $productId,
+            'sku' => $product->get_sku(),
+            'reason' => $reason,
+            'quantity' => $bookedQuantity,
+            'modification_id' => $response['id'] ?? null
+        ]);
+        
+        return [
+            'modification_id' => $response['id'] ?? null,
+            'status' => $response['status'] ?? null,
+            'reason' => $reason,
+            'quantity' => $bookedQuantity
+        ];
+    }
+    
+    /**
+     * Get a page of WMS stock modifications, with their lines mapped to local SKUs
+     */
+    public function getModificationHistory(int $page = 1, string $reason = ''): array {
+        $params = [
+            'limit' => WC_WMS_Constants::STOCK_MODIFICATIONS_PAGE_SIZE,
+            'page' => max(1, $page),
+            'sort' => 'createdAt',
+            'direction' => 'desc'
+        ];
+        
+        if ($reason !== '') {
+            $params['reason'] = $reason;
+        }
+        
+        $modifications = $this->wmsClient->stock()->getModifications($params);
+        
+        $history = [];
+        foreach ($modifications as $modification) {
+            $lines = [];
+            foreach ($modification['modification_lines'] ?? [] as $line) {
+                $variant = $line['variant'] ?? null;
+                $variantId = is_array($variant) ? ($variant['id'] ?? '') : (string) $variant;
+                
+                $lines[] = [
+                    'variant_id' => $variantId,
+                    'sku' => is_array($variant) ? ($variant['article_code'] ?? $variant['sku'] ?? null) : $this->findSkuByVariantId($variantId),
+                    'quantity' => intval($line['quantity'] ?? 0)
+                ];
+            }
+            
+            $history[] = [
+                'id' => $modification['id'] ?? '',
+                'reason' => $modification['reason'] ?? '',
+                'status' => $modification['status'] ?? '',
+                'note' => $modification['note'] ?? '',
+                'created_at' => $modification['created_at'] ?? $modification['createdAt'] ?? '',
+                'lines' => $lines
+            ];
+        }
+        
+        return [
+            'modifications' => $history,
+            'page' => $params['page'],
+            'has_more' => count($modifications) >= WC_WMS_Constants::STOCK_MODIFICATIONS_PAGE_SIZE
+        ];
+    }
+    
+    /**
+     * Find the SKU of the local product synchronized with a WMS variant
+     */
+    private function findSkuByVariantId(string $variantId): ?string {
+        static $skus = [];
+        
+        if ($variantId === '') {
+            return null;
+        }
+        
+        if (!array_key_exists($variantId, $skus)) {
+            $productIds = wc_get_products([
+                'return' => 'ids',
+                'limit' => 1,
+                'type' => ['simple', 'variable', 'variation'],
+                'meta_key' => '_wms_variant_id',
+                'meta_value' => $variantId
+            ]);
+            
+            $product = !empty($productIds) ? wc_get_product($productIds[0]) : null;
+            $skus[$variantId] = $product ? $product->get_sku() : null;
+        }
+        
+        return $skus[$variantId];
+    }
+    
+    /**
+     * Get the stock dashboard: summary, alerts, low stock, turnover per period and WMS batches
+     */
+    public function getStockDashboard(): array {
+        $stockService = $this->wmsClient->stock();
+        $threshold = $stockService->getLowStockThreshold();
+        
+        $turnover = [];
+        foreach (WC_WMS_Constants::STOCK_TURNOVER_PERIODS as $days) {
+            $turnover[$days] = $stockService->getStockTurnover($days);
+        }
+        
+        // Batches come from WMS, the rest is local - a WMS failure should not hide the dashboard
+        $batches = [];
+        $batchesError = null;
+        try {
+            foreach ($stockService->getBatches(['limit' => 100]) as $batch) {
+                $batches[] = $this->normalizeBatch($batch);
+            }
+        } catch (Exception $e) {
+            $batchesError = $e->getMessage();
+        }
+        
+        return [
+            'threshold' => $threshold,
+            'summary' => $stockService->getStockSummary(),
+            'alerts' => $stockService->getStockAlerts(),
+            'low_stock' => $stockService->getLowStockProducts($threshold),
+            'turnover' => $turnover,
+            'batches' => $batches,
+            'batches_error' => $batchesError,
+            'currency' => html_entity_decode(get_woocommerce_currency_symbol()),
+            'generated_at' => time()
+        ];
+    }
+    
+    /**
+     * Get one row per product that is low in stock or sold recently, for purchase planning
+     *
+     * Low stock products come first, then the products that run out soonest at
+     * their 30 day sales rate.
+     */
+    public function getStockPlanningRows(): array {
+        $stockService = $this->wmsClient->stock();
+        $threshold = $stockService->getLowStockThreshold();
+        $rows = [];
+        
+        // Every low stock product belongs in the plan, not just the first page the dashboard shows
+        $page = 1;
+        do {
+            $lowStockProducts = $stockService->getLowStockProducts($threshold, 200, $page);
+            foreach ($lowStockProducts as $lowStock) {
+                $rows[$lowStock['id']]['low_stock'] = true;
+            }
+            $page++;
+        } while (count($lowStockProducts) === 200);
+        
+        foreach (WC_WMS_Constants::STOCK_TURNOVER_PERIODS as $days) {
+            foreach ($stockService->getStockTurnover($days, 500) as $turnover) {
+                $rows[$turnover['product_id']]['sold_' . $days] = $turnover['total_sold'];
+            }
+        }
+        
+        $planning = [];
+        foreach ($rows as $productId => $row) {
+            $product = wc_get_product($productId);
+            if (!$product) {
+                continue;
+            }
+            
+            $stockQuantity = $product->get_stock_quantity();
+            $sold30 = $row['sold_30'] ?? 0;
+            
+            $planningRow = [
+                'sku' => $product->get_sku(),
+                'name' => $product->get_name(),
+                'product_id' => $productId,
+                'stock_quantity' => $stockQuantity,
+                'stock_status' => $product->get_stock_status(),
+                'low_stock' => !empty($row['low_stock'])
+            ];
+            
+            foreach (WC_WMS_Constants::STOCK_TURNOVER_PERIODS as $days) {
+                $planningRow['sold_' . $days] = $row['sold_' . $days] ?? 0;
+            }
+            
+            $planningRow['days_of_stock'] = ($sold30 > 0 && $stockQuantity !== null) ? round(max(0, $stockQuantity) / $sold30 * 30, 1) : null;
+            $planningRow['wms_variant_id'] = $product->get_meta('_wms_variant_id');
+            
+            $planning[] = $planningRow;
+        }
+        
+        usort($planning, function($a, $b) {
+            if ($a['low_stock'] !== $b['low_stock']) {
+                return $a['low_stock'] ? -1 : 1;
+            }
+            return ($a['days_of_stock'] ?? PHP_INT_MAX) <=> ($b['days_of_stock'] ?? PHP_INT_MAX);
+        });
+        
+        return $planning;
+    }
+    
+    /**
+     * Map a WMS batch to the fields shown on the stock dashboard
+     */
+    private function normalizeBatch(array $batch): array {
+        $variant = $batch['variant'] ?? null;
+        
+        return [
+            'id' => $batch['id'] ?? '',
+            'reference' => $batch['reference'] ?? $batch['batch_number'] ?? '',
+            'sku' => $batch['article_code'] ?? $batch['sku'] ?? (is_array($variant) ? ($variant['article_code'] ?? null) : $this->findSkuByVariantId((string) $variant)),
+            'expiration_date' => $batch['expiration_date'] ?? $batch['expiry_date'] ?? null,
+            'quantity' => intval($batch['stock_physical'] ?? $batch['quantity'] ?? 0)
+        ];
+    }
+    
     /**
      * Get stock sync statistics
      */
@@ -870,8 +1173,12 @@ class WC_WMS_Stock_Integrator implements WC_WMS_Stock_Integrator_Interface {
      * Schedule stock sync cron job
      */
     public function scheduleStockSync(): void {
+        if (WC_WMS_Cron_Manager::isHookPaused('wc_wms_sync_stock')) {
+            return;
+        }
+        
         if (!wp_next_scheduled('wc_wms_sync_stock')) {
-            wp_schedule_event(time(), 'hourly', 'wc_wms_sync_stock');
+            wp_schedule_event(time(), WC_WMS_Cron_Manager::getHookInterval('wc_wms_sync_stock'), 'wc_wms_sync_stock');
             $this->wmsClient->logger()->info('Stock sync cron job scheduled');
         }
     }
@@ -179,6 +179,7 @@ class WC_WMS_Webhook_Integrator implements WC_WMS_Webhook_Integrator_Interface {
                 'webhook_id' => $webhook_id,
                 'event_type' => $event_type
             ]);
+            $this->client->logger()->log_webhook($event_type, $payload, false, 'Invalid signature');
             
             return new WP_REST_Response([
                 'success' => false,
@@ -221,6 +222,8 @@ class WC_WMS_Webhook_Integrator implements WC_WMS_Webhook_Integrator_Interface {
             ], 200);
         }
         
+        $logged = false;
+        
         try {
             // Queue webhook for ordered processing instead of immediate processing
             $webhook_queue = new WC_WMS_Webhook_Queue_Manager();
@@ -240,6 +243,10 @@ class WC_WMS_Webhook_Integrator implements WC_WMS_Webhook_Integrator_Interface {
                 throw new Exception('Failed to queue webhook for processing');
             }
             
+            // Store the full payload for the Logs tab; it stays pending until the queue processed it
+            $this->client->logger()->log_webhook($event_type, $payload, false, null, $webhook_id);
+            $logged = true;
+            
             // Immediately try to process the queue to minimize delay
             $queue_result = $webhook_queue->processQueuedWebhooks(10);
             
@@ -278,6 +285,10 @@ class WC_WMS_Webhook_Integrator implements WC_WMS_Webhook_Integrator_Interface {
                 'error' => $e->getMessage(),
                 'processing_time_ms' => $processing_time
             ]);
+            // A queued webhook keeps its pending log row until the queue processed it
+            if (!$logged) {
+                $this->client->logger()->log_webhook($event_type, $payload, false, $e->getMessage(), $webhook_id);
+            }
             
             return new WP_REST_Response([
                 'success' => false,
@@ -440,6 +451,48 @@ class WC_WMS_Webhook_Integrator implements WC_WMS_Webhook_Integrator_Interface {
         return $this->client->webhooks()->deleteAllWebhooks();
     }
     
+    /**
+     * Get per-event webhook registration matrix
+     */
+    public function getWebhookEventMatrix(): array {
+        return $this->client->webhooks()->getWebhookEventMatrix();
+    }
+    
+    /**
+     * Register (or re-register) a single webhook event
+     */
+    public function registerWebhookEvent(string $event, bool $replace = false): array {
+        return $this->client->webhooks()->registerWebhookEvent($event, $replace);
+    }
+    
+    /**
+     * Delete the registrations of a single webhook event
+     */
+    public function deleteWebhookEvent(string $event): array {
+        return $this->client->webhooks()->deleteWebhookEvent($event);
+    }
+    
+    /**
+     * Register only the missing webhook events
+     */
+    public function repairMissingWebhooks(): array {
+        return $this->client->webhooks()->repairMissingWebhooks();
+    }
+
+    /**
+     * Get sample payloads for the test webhook tool
+     */
+    public function getTestWebhookSamples(): array {
+        return $this->client->webhooks()->getTestWebhookSamples();
+    }
+
+    /**
+     * Send a signed (or deliberately mis-signed) test webhook to our own endpoint
+     */
+    public function sendTestWebhook(array $payload, bool $invalidSignature = false): array {
+        return $this->client->webhooks()->sendTestWebhook($payload, $invalidSignature);
+    }
+
     /**
      * Get webhook registration status
      */
@@ -11,7 +11,7 @@ if (!defined('ABSPATH')) {
     exit;
 }
 
-class WC_WMS_GDPR_Service {
+class WC_WMS_GDPR_Service implements WC_WMS_GDPR_Service_Interface {
     
     /**
      * WMS client instance
@@ -25,6 +25,71 @@ class WC_WMS_GDPR_Service {
         $this->client = $client;
     }
     
+    /**
+     * Get service name
+     */
+    public function getServiceName(): string {
+        return 'gdpr';
+    }
+    
+    /**
+     * Check if service is available
+     */
+    public function isAvailable(): bool {
+        return $this->client->config()->hasValidCredentials();
+    }
+    
+    /**
+     * Get service configuration
+     */
+    public function getConfig(): array {
+        return [
+            'service_name' => $this->getServiceName(),
+            'is_available' => $this->isAvailable(),
+            'gdpr_supported' => $this->isGdprSupported(),
+            'endpoints' => [
+                'export' => WC_WMS_Constants::ENDPOINT_GDPR_EXPORT,
+                'redact' => WC_WMS_Constants::ENDPOINT_GDPR_REDACT,
+                'status' => '/wms/gdpr/request-status/{id}/'
+            ]
+        ];
+    }
+    
+    /**
+     * Check if GDPR requests should be sent to WMS
+     */
+    public function isGdprSupported(): bool {
+        return (bool) apply_filters('wc_wms_gdpr_enabled', true);
+    }
+    
+    /**
+     * Request data export from WMS (Interface requirement)
+     */
+    public function requestDataExport(string $emailAddress): mixed {
+        return $this->requestPersonData($emailAddress);
+    }
+    
+    /**
+     * Request data erasure from WMS (Interface requirement)
+     */
+    public function requestDataErasure(string $emailAddress): mixed {
+        return $this->redactPersonData($emailAddress);
+    }
+    
+    /**
+     * Get data export request status (Interface requirement)
+     */
+    public function getDataExportStatus(string $requestId): mixed {
+        return $this->getGdprRequestStatus($requestId);
+    }
+    
+    /**
+     * Get data erasure request status (Interface requirement)
+     */
+    public function getDataErasureStatus(string $requestId): mixed {
+        return $this->getGdprRequestStatus($requestId);
+    }
+    
     /**
      * Request person data export from WMS
      */
@@ -130,7 +195,7 @@ class WC_WMS_GDPR_Service {
             'request_id' => $requestId
         ]);
         
-        return $this->client->makeAuthenticatedRequest('GET', '/wms/gdpr/request-status/' . $requestId . '/');
+        return $this->client->makeAuthenticatedRequest('GET', '/wms/gdpr/request-status/' . rawurlencode($requestId) . '/');
     }
     
     /**
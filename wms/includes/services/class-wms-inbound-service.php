@@ -199,6 +199,34 @@ class WC_WMS_Inbound_Service implements WC_WMS_Inbound_Service_Interface {
      */
     public function updateInbound(string $inboundId, array $inboundData): mixed {
         try {
+            // Validate lines before sending them so errors can be shown per line
+            if (isset($inboundData['inbound_lines'])) {
+                if (empty($inboundData['inbound_lines']) || !is_array($inboundData['inbound_lines'])) {
+                    return new WP_Error('missing_inbound_lines', 'At least one inbound line is required');
+                }
+                
+                $lineErrors = [];
+                foreach ($inboundData['inbound_lines'] as $index => $line) {
+                    if (empty($line['article_code'])) {
+                        $lineErrors[$index][] = 'Article code is required';
+                    }
+                    
+                    if (empty($line['quantity']) || !is_numeric($line['quantity']) || $line['quantity'] < 1) {
+                        $lineErrors[$index][] = 'Quantity must be at least 1';
+                    }
+                    
+                    if (isset($line['packing_slip']) && $line['packing_slip'] < 0) {
+                        $lineErrors[$index][] = 'Packing slip cannot be negative';
+                    }
+                }
+                
+                if (!empty($lineErrors)) {
+                    return new WP_Error('invalid_inbound_lines', 'Some inbound lines are invalid', [
+                        'line_errors' => $lineErrors
+                    ]);
+                }
+            }
+            
             $response = $this->client->makeAuthenticatedRequest('PATCH', WC_WMS_Constants::ENDPOINT_INBOUNDS . "/{$inboundId}/", $inboundData);
             
             if (is_wp_error($response)) {
@@ -223,8 +251,62 @@ class WC_WMS_Inbound_Service implements WC_WMS_Inbound_Service_Interface {
                 'data' => $inboundData,
                 'error' => $e->getMessage()
             ]);
-            return new WP_Error('inbound_update_failed', $e->getMessage());
+            
+            $errorResponse = $this->client->httpClient()->getLastErrorResponse();
+            
+            return new WP_Error('inbound_update_failed', $e->getMessage(), [
+                'line_errors' => is_array($errorResponse) ? $this->extractLineErrors($errorResponse) : []
+            ]);
+        }
+    }
+    
+    /**
+     * Map WMS validation errors to inbound line indexes
+     * 
+     * Handles both nested (inbound_lines: [{field: [messages]}]) and flat
+     * (violations/errors with a property path like inbound_lines[1].quantity)
+     * error bodies. Returns [line index => [messages]].
+     */
+    private function extractLineErrors(array $errorResponse): array {
+        $lineErrors = [];
+        
+        foreach (['inbound_lines', 'inboundLines'] as $key) {
+            if (!isset($errorResponse[$key]) || !is_array($errorResponse[$key])) {
+                continue;
+            }
+            
+            foreach ($errorResponse[$key] as $index => $fields) {
+                if (!is_array($fields)) {
+                    $lineErrors[$index][] = (string) $fields;
+                    continue;
+                }
+                foreach ($fields as $field => $messages) {
+                    foreach ((array) $messages as $message) {
+                        $lineErrors[$index][] = (is_string($field) ? $field . ': ' : '') . (is_array($message) ? ($message['message'] ?? wp_json_encode($message)) : $message);
+                    }
+                }
+            }
+        }
+        
+        foreach (['violations', 'errors'] as $key) {
+            if (!isset($errorResponse[$key]) || !is_array($errorResponse[$key])) {
+                continue;
+            }
+            
+            foreach ($errorResponse[$key] as $error) {
+                if (!is_array($error)) {
+                    continue;
+                }
+                
+                $path = $error['propertyPath'] ?? $error['property_path'] ?? $error['field'] ?? $error['property'] ?? '';
+                if (preg_match('/inbound_?lines\W*(\d+)\W*(\w*)/i', $path, $matches)) {
+                    $message = $error['message'] ?? $error['title'] ?? 'Invalid value';
+                    $lineErrors[(int) $matches[1]][] = ($matches[2] !== '' ? $matches[2] . ': ' : '') . $message;
+                }
+            }
         }
+        
+        return $lineErrors;
     }
     
     /**
@@ -138,6 +138,51 @@ class WC_WMS_Location_Service {
         return array_values($transportTypes);
     }
     
+    /**
+     * Get location types for the location types browser
+     * 
+     * Filters: search (part of code, name or administration code), pickable and transport (true, false or null for either)
+     */
+    public function browseLocationTypes(array $filters = []): array {
+        $pickable = $filters['pickable'] ?? null;
+        $transport = $filters['transport'] ?? null;
+        $search = strtolower(trim($filters['search'] ?? ''));
+        
+        // Narrow the request where the API or an existing helper can
+        if ($transport === true) {
+            $locationTypes = $this->getTransportLocationTypes();
+        } elseif ($pickable === true) {
+            $locationTypes = $this->getPickableLocationTypes();
+        } else {
+            $locationTypes = $this->getLocationTypes();
+        }
+        
+        $locationTypes = array_filter($locationTypes, function($type) use ($pickable, $transport, $search) {
+            if ($pickable !== null && !empty($type['pickable']) !== $pickable) {
+                return false;
+            }
+            
+            if ($transport !== null && !empty($type['transport']) !== $transport) {
+                return false;
+            }
+            
+            if ($search === '') {
+                return true;
+            }
+            
+            $administrationCode = $type['administration_code'] ?? '';
+            if (is_array($administrationCode)) {
+                $administrationCode = $administrationCode['code'] ?? '';
+            }
+            
+            $haystack = strtolower(($type['code'] ?? '') . ' ' . ($type['name'] ?? '') . ' ' . $administrationCode);
+            
+            return strpos($haystack, $search) !== false;
+        });
+        
+        return array_values($locationTypes);
+    }
+    
     /**
      * Get location type by code
      */
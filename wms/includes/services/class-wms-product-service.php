@@ -888,6 +888,8 @@ class WC_WMS_Product_Service implements WC_WMS_Product_Service_Interface {
     
     /**
      * Force refresh product data from WMS
+     * 
+     * Errors are keyed by product ID.
      */
     public function forceRefreshProducts(array $productIds): array {
         $results = [
@@ -898,13 +900,13 @@ class WC_WMS_Product_Service implements WC_WMS_Product_Service_Interface {
         foreach ($productIds as $productId) {
             $product = wc_get_product($productId);
             if (!$product) {
-                $results['errors'][] = "Product {$productId} not found";
+                $results['errors'][$productId] = "Product {$productId} not found";
                 continue;
             }
             
             $wmsArticleId = $product->get_meta('_wms_article_id');
             if (!$wmsArticleId) {
-                $results['errors'][] = "Product {$productId} not synced with WMS";
+                $results['errors'][$productId] = "Product {$productId} not synced with WMS";
                 continue;
             }
             
@@ -933,7 +935,7 @@ class WC_WMS_Product_Service implements WC_WMS_Product_Service_Interface {
                 ];
                 
             } catch (Exception $e) {
-                $results['errors'][] = "Failed to refresh {$productId}: " . $e->getMessage();
+                $results['errors'][$productId] = "Failed to refresh {$productId}: " . $e->getMessage();
             }
         }
         
@@ -180,78 +180,87 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
     
     /**
      * Get stock quantity for a variant
-     * FIXED: Use proper API parameters, fallback to batch call if needed
+     * 
+     * Returns 0 when WMS cannot be reached; use fetchVariantStockQuantity() where
+     * a failed lookup must not be mistaken for an empty stock.
      */
     public function getVariantStockQuantity(string $variantId, ?string $sku = null): int {
         try {
-            $stockData = null;
-            
-            // Try to get stock by SKU first (most efficient)
-            if (!empty($sku)) {
-                $stockData = $this->getStock(['sku' => $sku]);
-                
-                // If not found by SKU, try by article_code
-                if (empty($stockData)) {
-                    $stockData = $this->getStock(['article_code' => $sku]);
-                }
-            }
-            
-            // If still no data, we need to get all stock and filter by variant_id
-            // This is less efficient but sometimes necessary
-            if (empty($stockData)) {
-                $this->client->logger()->debug('No stock found by SKU, getting all stock data', [
-                    'variant_id' => $variantId,
-                    'sku' => $sku
-                ]);
-                
-                $allStockData = $this->getAllStockData();
-                
-                // Filter by variant ID
-                foreach ($allStockData as $stockItem) {
-                    if (isset($stockItem['variant']['id']) && $stockItem['variant']['id'] === $variantId) {
-                        $stockData = [$stockItem];
-                        break;
-                    }
-                }
-            }
+            return $this->fetchVariantStockQuantity($variantId, $sku);
+        } catch (Exception $e) {
+            $this->client->logger()->warning('Failed to get stock quantity for variant', [
+                'variant_id' => $variantId,
+                'sku' => $sku,
+                'error' => $e->getMessage()
+            ]);
+            return 0;
+        }
+    }
+    
+    /**
+     * Get stock quantity for a variant, throwing when the WMS request fails
+     * FIXED: Use proper API parameters, fallback to batch call if needed
+     */
+    public function fetchVariantStockQuantity(string $variantId, ?string $sku = null): int {
+        $stockData = null;
+        
+        // Try to get stock by SKU first (most efficient)
+        if (!empty($sku)) {
+            $stockData = $this->getStock(['sku' => $sku]);
             
+            // If not found by SKU, try by article_code
             if (empty($stockData)) {
-                $this->client->logger()->debug('No stock data found for variant', [
-                    'variant_id' => $variantId,
-                    'sku' => $sku
-                ]);
-                return 0;
+                $stockData = $this->getStock(['article_code' => $sku]);
             }
-            
-            $totalStock = 0;
-            foreach ($stockData as $stockItem) {
-                $quantity = intval(
-                    $stockItem['stock_available'] ?? 
-                    $stockItem['stock_salable'] ?? 
-                    $stockItem['stock_physical'] ?? 
-                    $stockItem['quantity'] ?? 
-                    0
-                );
-                $totalStock += $quantity;
-            }
-            
-            $this->client->logger()->debug('Stock quantity calculated', [
+        }
+        
+        // If still no data, we need to get all stock and filter by variant_id
+        // This is less efficient but sometimes necessary
+        if (empty($stockData)) {
+            $this->client->logger()->debug('No stock found by SKU, getting all stock data', [
                 'variant_id' => $variantId,
-                'sku' => $sku,
-                'total_stock' => $totalStock,
-                'records_count' => count($stockData)
+                'sku' => $sku
             ]);
             
-            return $totalStock;
+            $allStockData = $this->getAllStockData();
             
-        } catch (Exception $e) {
-            $this->client->logger()->warning('Failed to get stock quantity for variant', [
+            // Filter by variant ID
+            foreach ($allStockData as $stockItem) {
+                if (isset($stockItem['variant']['id']) && $stockItem['variant']['id'] === $variantId) {
+                    $stockData = [$stockItem];
+                    break;
+                }
+            }
+        }
+        
+        if (empty($stockData)) {
+            $this->client->logger()->debug('No stock data found for variant', [
                 'variant_id' => $variantId,
-                'sku' => $sku,
-                'error' => $e->getMessage()
+                'sku' => $sku
             ]);
             return 0;
         }
+        
+        $totalStock = 0;
+        foreach ($stockData as $stockItem) {
+            $quantity = intval(
+                $stockItem['stock_available'] ?? 
+                $stockItem['stock_salable'] ?? 
+                $stockItem['stock_physical'] ?? 
+                $stockItem['quantity'] ?? 
+                0
+            );
+            $totalStock += $quantity;
+        }
+        
+        $this->client->logger()->debug('Stock quantity calculated', [
+            'variant_id' => $variantId,
+            'sku' => $sku,
+            'total_stock' => $totalStock,
+            'records_count' => count($stockData)
+        ]);
+        
+        return $totalStock;
     }
     
     /**
@@ -441,10 +450,27 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
         ];
     }
     
+    /**
+     * Get the configured low stock threshold
+     */
+    public function getLowStockThreshold(): int {
+        return intval(get_option('wc_wms_low_stock_threshold', WC_WMS_Constants::STOCK_LOW_THRESHOLD_DEFAULT));
+    }
+    
+    /**
+     * Set the low stock threshold used by the dashboard and stock alerts
+     */
+    public function setLowStockThreshold(int $threshold): void {
+        update_option('wc_wms_low_stock_threshold', max(0, $threshold), false);
+    }
+    
     /**
      * Get low stock products
+     * 
+     * Returns one page of $limit products; callers that need every low stock
+     * product page through until a page comes back short.
      */
-    public function getLowStockProducts(int $threshold = 5): array {
+    public function getLowStockProducts(int $threshold = 5, int $limit = 50, int $page = 1): array {
         $products = wc_get_products([
             'meta_query' => [
                 [
@@ -454,10 +480,12 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
                 [
                     'key' => '_stock',
                     'value' => $threshold,
-                    'compare' => '<='
+                    'compare' => '<=',
+                    'type' => 'NUMERIC'
                 ]
             ],
-            'limit' => 50
+            'limit' => $limit,
+            'page' => $page
         ]);
         
         $lowStockProducts = [];
@@ -589,7 +617,7 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
         $summary['wms_connection'] = $this->isAvailable();
         
         // Add low stock alerts
-        $lowStockProducts = $this->getLowStockProducts(5);
+        $lowStockProducts = $this->getLowStockProducts($this->getLowStockThreshold());
         $summary['low_stock_alerts'] = count($lowStockProducts);
         $summary['low_stock_products'] = array_slice($lowStockProducts, 0, 5); // Top 5
         
@@ -623,8 +651,11 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
     
     /**
      * Get stock turnover rate
+     * 
+     * Uses the WooCommerce order analytics lookup tables, which work with both
+     * order storage modes. Variations are reported on their own.
      */
-    public function getStockTurnover(int $days = 30): array {
+    public function getStockTurnover(int $days = 30, int $limit = 20): array {
         global $wpdb;
         
         $since = date('Y-m-d H:i:s', strtotime("-{$days} days"));
@@ -632,41 +663,49 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
         // Get products sold in the period
         $query = $wpdb->prepare("
             SELECT 
-                oi.product_id,
+                sold.product_id,
                 p.post_title as product_name,
                 pm_sku.meta_value as sku,
-                SUM(oi.product_qty) as total_sold,
-                CAST(pm_stock.meta_value AS UNSIGNED) as current_stock
-            FROM {$wpdb->prefix}woocommerce_order_items oi
-            INNER JOIN {$wpdb->prefix}woocommerce_order_itemmeta oim ON oi.order_item_id = oim.order_item_id
-            INNER JOIN {$wpdb->posts} o ON oi.order_id = o.ID
-            INNER JOIN {$wpdb->posts} p ON oi.product_id = p.ID
+                sold.total_sold,
+                CAST(pm_stock.meta_value AS SIGNED) as current_stock
+            FROM (
+                SELECT 
+                    IF(opl.variation_id > 0, opl.variation_id, opl.product_id) as product_id,
+                    SUM(opl.product_qty) as total_sold
+                FROM {$wpdb->prefix}wc_order_product_lookup opl
+                INNER JOIN {$wpdb->prefix}wc_order_stats os ON opl.order_id = os.order_id
+                WHERE os.date_created >= %s
+                AND os.status IN ('wc-completed', 'wc-processing')
+                GROUP BY IF(opl.variation_id > 0, opl.variation_id, opl.product_id)
+            ) sold
+            INNER JOIN {$wpdb->posts} p ON sold.product_id = p.ID
             LEFT JOIN {$wpdb->postmeta} pm_sku ON p.ID = pm_sku.post_id AND pm_sku.meta_key = '_sku'
             LEFT JOIN {$wpdb->postmeta} pm_stock ON p.ID = pm_stock.post_id AND pm_stock.meta_key = '_stock'
-            WHERE o.post_date >= %s
-            AND o.post_status IN ('wc-completed', 'wc-processing')
-            AND oim.meta_key = '_product_id'
-            GROUP BY oi.product_id
-            HAVING total_sold > 0
-            ORDER BY total_sold DESC
-            LIMIT 20
-        ", $since);
+            WHERE sold.total_sold > 0
+            ORDER BY sold.total_sold DESC
+            LIMIT %d
+        ", $since, $limit);
         
-        $results = $wpdb->get_results($query, ARRAY_A);
+        $results = $wpdb->get_results($query, ARRAY_A) ?: [];
         
         // Calculate turnover rates
         foreach ($results as &$result) {
             $currentStock = intval($result['current_stock']);
             $totalSold = intval($result['total_sold']);
             
+            $result['product_id'] = intval($result['product_id']);
+            $result['total_sold'] = $totalSold;
+            $result['current_stock'] = $currentStock;
+            
             if ($currentStock > 0) {
                 $result['turnover_rate'] = round($totalSold / $currentStock, 2);
-                $result['days_of_stock'] = $currentStock > 0 ? round(($currentStock / $totalSold) * $days, 1) : 0;
+                $result['days_of_stock'] = round(($currentStock / $totalSold) * $days, 1);
             } else {
                 $result['turnover_rate'] = 'N/A';
                 $result['days_of_stock'] = 0;
             }
         }
+        unset($result);
         
         return $results;
     }
@@ -678,7 +717,7 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
         $alerts = [];
         
         // Low stock alerts
-        $lowStockProducts = $this->getLowStockProducts(5);
+        $lowStockProducts = $this->getLowStockProducts($this->getLowStockThreshold());
         if (!empty($lowStockProducts)) {
             $alerts[] = [
                 'type' => 'low_stock',
@@ -720,6 +759,9 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
     
     /**
      * Force refresh stock for specific products
+     * 
+     * Errors are keyed by product ID. A failed WMS lookup leaves the product's
+     * stock untouched instead of setting it to zero.
      */
     public function forceRefreshStock(array $productIds): array {
         $results = [
@@ -730,20 +772,22 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
         foreach ($productIds as $productId) {
             $product = wc_get_product($productId);
             if (!$product) {
-                $results['errors'][] = "Product {$productId} not found";
+                $results['errors'][$productId] = "Product {$productId} not found";
                 continue;
             }
             
             $variantId = $product->get_meta('_wms_variant_id');
             if (!$variantId) {
-                $results['errors'][] = "Product {$productId} not synced with WMS";
+                $results['errors'][$productId] = "Product {$productId} not synced with WMS";
                 continue;
             }
             
             try {
-                $stockQuantity = $this->getVariantStockQuantity($variantId, $product->get_sku());
+                $stockQuantity = $this->fetchVariantStockQuantity($variantId, $product->get_sku());
                 
                 $oldQuantity = $product->get_stock_quantity();
+                $oldStatus = $product->get_stock_status();
+                $product->set_manage_stock(true);
                 $product->set_stock_quantity($stockQuantity);
                 $product->set_stock_status($stockQuantity > 0 ? 'instock' : 'outofstock');
                 $product->update_meta_data('_wms_stock_synced_at', current_time('mysql'));
@@ -753,11 +797,13 @@ class WC_WMS_Stock_Service implements WC_WMS_Stock_Service_Interface {
                     'product_id' => $productId,
                     'sku' => $product->get_sku(),
                     'old_quantity' => $oldQuantity,
-                    'new_quantity' => $stockQuantity
+                    'new_quantity' => $stockQuantity,
+                    'old_status' => $oldStatus,
+                    'new_status' => $product->get_stock_status()
                 ];
                 
             } catch (Exception $e) {
-                $results['errors'][] = "Failed to refresh {$productId}: " . $e->getMessage();
+                $results['errors'][$productId] = "Failed to refresh {$productId}: " . $e->getMessage();
             }
         }
         
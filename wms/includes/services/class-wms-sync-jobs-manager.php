@@ -16,6 +16,11 @@ class WC_WMS_Sync_Jobs_Manager {
     private $jobs_table;
     private $wmsClient;
     
+    /**
+     * Job type prefix of product export chunks, followed by the chunk number
+     */
+    const PRODUCT_EXPORT_JOB_PREFIX = 'product_export_chunk_';
+    
     /**
      * Sync job types in execution order
      */
@@ -103,6 +108,163 @@ class WC_WMS_Sync_Jobs_Manager {
         return $batch_id;
     }
     
+    /**
+     * Start a product export: queue the matching catalogue as chunk jobs of one batch
+     */
+    public function startProductExport(array $filters = []): array {
+        if (!empty($filters['modified_since'])) {
+            $date = DateTime::createFromFormat('!Y-m-d', $filters['modified_since']);
+            if (!$date || $date->format('Y-m-d') !== $filters['modified_since']) {
+                throw new Exception('Invalid date: ' . $filters['modified_since']);
+            }
+        }
+        
+        $latest_batch_id = $this->getLatestProductExportBatchId();
+        if ($latest_batch_id && $this->isProductExportRunning($latest_batch_id)) {
+            throw new Exception('A product export is already running (' . $latest_batch_id . ')');
+        }
+        
+        $productIds = $this->wmsClient->productIntegrator()->findProductsForExport($filters);
+        
+        if (empty($productIds)) {
+            return [
+                'batch_id' => null,
+                'total_products' => 0,
+                'total_chunks' => 0
+            ];
+        }
+        
+        $batch_id = 'export_' . date('Ymd_His') . '_' . wp_generate_password(8, false);
+        $chunks = array_chunk($productIds, WC_WMS_Constants::PRODUCT_EXPORT_CHUNK_SIZE);
+        
+        update_option('wc_wms_product_export_' . $batch_id, [
+            'filters' => $filters,
+            'total_products' => count($productIds),
+            'chunks' => $chunks
+        ], false);
+        
+        foreach ($chunks as $index => $chunk) {
+            $this->queueSyncJob($batch_id, self::PRODUCT_EXPORT_JOB_PREFIX . ($index + 1), ['priority' => $index + 1]);
+        }
+        
+        $this->wmsClient->logger()->info('Starting product export batch', [
+            'batch_id' => $batch_id,
+            'filters' => $filters,
+            'total_products' => count($productIds),
+            'total_chunks' => count($chunks)
+        ]);
+        
+        $this->triggerJobProcessing();
+        
+        return [
+            'batch_id' => $batch_id,
+            'total_products' => count($productIds),
+            'total_chunks' => count($chunks)
+        ];
+    }
+    
+    /**
+     * Resume an interrupted product export after its last completed chunk
+     * 
+     * Failed and cancelled chunks, and chunks that stopped while processing,
+     * are queued again; completed chunks are not exported twice.
+     */
+    public function resumeProductExport(string $batch_id): int {
+        global $wpdb;
+        
+        if (!get_option('wc_wms_product_export_' . $batch_id)) {
+            throw new Exception('Product export not found: ' . $batch_id);
+        }
+        
+        $stale_before = date('Y-m-d H:i:s', strtotime(current_time('mysql')) - WC_WMS_Constants::SYNC_JOB_STALE_AFTER);
+        
+        $resumed = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->jobs_table} 
+             SET status = 'pending', 
+                 error_message = NULL, 
+                 started_at = NULL, 
+                 completed_at = NULL, 
+                 updated_at = %s 
+             WHERE batch_id = %s 
+             AND (status IN ('failed', 'cancelled') OR (status = 'processing' AND started_at < %s))",
+            current_time('mysql'),
+            $batch_id,
+            $stale_before
+        ));
+        
+        $this->wmsClient->logger()->info('Product export resumed', [
+            'batch_id' => $batch_id,
+            'resumed_chunks' => $resumed ?: 0
+        ]);
+        
+        if ($resumed) {
+            $this->triggerJobProcessing();
+        }
+        
+        return $resumed ?: 0;
+    }
+    
+    /**
+     * Get the filters and product count of a product export
+     */
+    public function getProductExport(string $batch_id): ?array {
+        $export = get_option('wc_wms_product_export_' . $batch_id);
+        
+        if (!$export) {
+            return null;
+        }
+        
+        return [
+            'batch_id' => $batch_id,
+            'filters' => $export['filters'],
+            'total_products' => $export['total_products'],
+            'total_chunks' => count($export['chunks'])
+        ];
+    }
+    
+    /**
+     * Get the most recent product export batch
+     */
+    public function getLatestProductExportBatchId(): ?string {
+        global $wpdb;
+        
+        $batch_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT batch_id FROM {$this->jobs_table} 
+             WHERE batch_id LIKE %s 
+             ORDER BY created_at DESC, id DESC 
+             LIMIT 1",
+            $wpdb->esc_like('export_') . '%'
+        ));
+        
+        return $batch_id ?: null;
+    }
+    
+    /**
+     * Check if a product export still has chunks waiting or being exported
+     */
+    private function isProductExportRunning(string $batch_id): bool {
+        global $wpdb;
+        
+        $stale_before = date('Y-m-d H:i:s', strtotime(current_time('mysql')) - WC_WMS_Constants::SYNC_JOB_STALE_AFTER);
+        
+        $running = $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->jobs_table} 
+             WHERE batch_id = %s 
+             AND (status = 'pending' OR (status = 'processing' AND started_at >= %s))",
+            $batch_id,
+            $stale_before
+        ));
+        
+        return intval($running) > 0;
+    }
+    
+    /**
+     * Check if a job type is known (a Sync Everything job or a product export chunk)
+     */
+    public static function isKnownJobType(string $job_type): bool {
+        return isset(self::SYNC_JOBS[$job_type]) || preg_match('/^' . self::PRODUCT_EXPORT_JOB_PREFIX . '\d+$/', $job_type) === 1;
+    }
+    
     /**
      * Get sync progress for a batch
      */
@@ -126,6 +288,8 @@ class WC_WMS_Sync_Jobs_Manager {
             'total_jobs' => count($jobs),
             'completed_jobs' => 0,
             'failed_jobs' => 0,
+            'skipped_jobs' => 0,
+            'cancelled_jobs' => 0,
             'current_job' => null,
             'overall_status' => 'running',
             'jobs' => [],
@@ -137,16 +301,17 @@ class WC_WMS_Sync_Jobs_Manager {
         $last_completed = null;
         
         foreach ($jobs as $job) {
-            $job_config = self::SYNC_JOBS[$job['job_type']] ?? ['title' => $job['job_type']];
-            
             $job_progress = [
                 'type' => $job['job_type'],
-                'title' => $job_config['title'],
+                'title' => $this->getJobTitle($job['job_type']),
                 'status' => $job['status'],
                 'result' => $job['result_data'] ? json_decode($job['result_data'], true) : null,
                 'error' => $job['error_message'],
                 'started_at' => $job['started_at'],
-                'completed_at' => $job['completed_at']
+                'completed_at' => $job['completed_at'],
+                // Still processing long after it started - the request running it died
+                'stalled' => $job['status'] === 'processing' && $job['started_at']
+                    && strtotime(current_time('mysql')) - strtotime($job['started_at']) > WC_WMS_Constants::SYNC_JOB_STALE_AFTER
             ];
             
             $progress['jobs'][] = $job_progress;
@@ -168,6 +333,12 @@ class WC_WMS_Sync_Jobs_Manager {
                 case 'failed':
                     $progress['failed_jobs']++;
                     break;
+                case 'skipped':
+                    $progress['skipped_jobs']++;
+                    break;
+                case 'cancelled':
+                    $progress['cancelled_jobs']++;
+                    break;
                 case 'processing':
                     $progress['current_job'] = $job_progress;
                     break;
@@ -177,8 +348,12 @@ class WC_WMS_Sync_Jobs_Manager {
         $progress['started_at'] = $first_started;
         $progress['completed_at'] = $last_completed;
         
+        $finished_jobs = $progress['completed_jobs'] + $progress['failed_jobs'] + $progress['skipped_jobs'] + $progress['cancelled_jobs'];
+        
         // Determine overall status
-        if ($progress['completed_jobs'] + $progress['failed_jobs'] >= $progress['total_jobs']) {
+        if ($finished_jobs >= $progress['total_jobs'] && $progress['cancelled_jobs'] > 0) {
+            $progress['overall_status'] = 'cancelled';
+        } elseif ($finished_jobs >= $progress['total_jobs']) {
             $progress['overall_status'] = $progress['failed_jobs'] > 0 ? 'completed_with_errors' : 'completed';
         } elseif ($progress['current_job']) {
             $progress['overall_status'] = 'running';
@@ -187,13 +362,56 @@ class WC_WMS_Sync_Jobs_Manager {
         }
         
         // Calculate percentage
-        $progress['percentage'] = round(
-            (($progress['completed_jobs'] + $progress['failed_jobs']) / $progress['total_jobs']) * 100
-        );
+        $progress['percentage'] = round(($finished_jobs / $progress['total_jobs']) * 100);
         
         return $progress;
     }
     
+    /**
+     * Get the most recent Sync Everything batch that still has pending or processing jobs
+     */
+    public function getActiveBatchId(): ?string {
+        global $wpdb;
+        
+        $batch_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT batch_id FROM {$this->jobs_table} 
+             WHERE status IN ('pending', 'processing') 
+             AND batch_id LIKE %s 
+             ORDER BY created_at DESC 
+             LIMIT 1",
+            $wpdb->esc_like('sync_') . '%'
+        ));
+        
+        return $batch_id ?: null;
+    }
+    
+    /**
+     * Get past Sync Everything batches with their per-job results (newest first)
+     */
+    public function getBatchHistory(int $limit = 10): array {
+        global $wpdb;
+        
+        $batches = $wpdb->get_results($wpdb->prepare(
+            "SELECT batch_id, MIN(created_at) as created_at 
+             FROM {$this->jobs_table} 
+             WHERE batch_id LIKE %s 
+             GROUP BY batch_id 
+             ORDER BY created_at DESC 
+             LIMIT %d",
+            $wpdb->esc_like('sync_') . '%',
+            $limit
+        ), ARRAY_A);
+        
+        $history = [];
+        foreach ($batches as $batch) {
+            $progress = $this->getSyncProgress($batch['batch_id']);
+            $progress['created_at'] = $batch['created_at'];
+            $history[] = $progress;
+        }
+        
+        return $history;
+    }
+    
     /**
      * Process next pending job
      */
@@ -216,6 +434,113 @@ class WC_WMS_Sync_Jobs_Manager {
         return $this->processJob($job);
     }
     
+    /**
+     * Cancel a batch by marking its remaining pending jobs as cancelled
+     * 
+     * A job that is already processing cannot be interrupted and finishes normally.
+     */
+    public function cancelBatch(string $batch_id): int {
+        global $wpdb;
+        
+        $cancelled = $wpdb->query($wpdb->prepare(
+            "UPDATE {$this->jobs_table} 
+             SET status = 'cancelled', 
+                 completed_at = %s, 
+                 updated_at = %s 
+             WHERE batch_id = %s 
+             AND status = 'pending'",
+            current_time('mysql'),
+            current_time('mysql'),
+            $batch_id
+        ));
+        
+        $this->wmsClient->logger()->info('Sync batch cancelled', [
+            'batch_id' => $batch_id,
+            'cancelled_jobs' => $cancelled ?: 0
+        ]);
+        
+        return $cancelled ?: 0;
+    }
+    
+    /**
+     * Retry a single failed job of a batch immediately
+     */
+    public function retryJob(string $batch_id, string $job_type): array {
+        global $wpdb;
+        
+        $job = $this->getBatchJob($batch_id, $job_type);
+        
+        if (!$job) {
+            return ['success' => false, 'error' => 'Job not found'];
+        }
+        
+        if (!in_array($job['status'], ['failed', 'skipped', 'cancelled'], true)) {
+            return ['success' => false, 'error' => "Only failed, skipped or cancelled jobs can be retried (job is {$job['status']})"];
+        }
+        
+        $this->wmsClient->logger()->info("Retrying sync job: {$job_type}", [
+            'job_id' => $job['id'],
+            'batch_id' => $batch_id
+        ]);
+        
+        return $this->processJob($job);
+    }
+    
+    /**
+     * Skip a failed or pending job so the batch can finish without it
+     */
+    public function skipJob(string $batch_id, string $job_type): array {
+        global $wpdb;
+        
+        $job = $this->getBatchJob($batch_id, $job_type);
+        
+        if (!$job) {
+            return ['success' => false, 'error' => 'Job not found'];
+        }
+        
+        if (!in_array($job['status'], ['failed', 'pending'], true)) {
+            return ['success' => false, 'error' => "Only failed or pending jobs can be skipped (job is {$job['status']})"];
+        }
+        
+        $wpdb->update(
+            $this->jobs_table,
+            [
+                'status' => 'skipped',
+                'result_data' => wp_json_encode([
+                    'skipped' => true,
+                    'message' => 'Skipped by administrator',
+                    'previous_error' => $job['error_message']
+                ]),
+                'error_message' => null,
+                'completed_at' => current_time('mysql'),
+                'updated_at' => current_time('mysql')
+            ],
+            ['id' => $job['id']],
+            ['%s', '%s', '%s', '%s', '%s'],
+            ['%d']
+        );
+        
+        $this->wmsClient->logger()->info("Sync job skipped: {$job_type}", [
+            'job_id' => $job['id'],
+            'batch_id' => $batch_id
+        ]);
+        
+        return ['success' => true, 'result' => ['skipped' => true]];
+    }
+    
+    /**
+     * Get a single job of a batch by type
+     */
+    private function getBatchJob(string $batch_id, string $job_type): ?array {
+        global $wpdb;
+        
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$this->jobs_table} WHERE batch_id = %s AND job_type = %s",
+            $batch_id,
+            $job_type
+        ), ARRAY_A);
+    }
+    
     /**
      * Process a specific job
      */
@@ -230,11 +555,12 @@ class WC_WMS_Sync_Jobs_Manager {
             $this->jobs_table,
             [
                 'status' => 'processing',
+                'error_message' => null,
                 'started_at' => current_time('mysql'),
                 'updated_at' => current_time('mysql')
             ],
             ['id' => $job_id],
-            ['%s', '%s', '%s'],
+            ['%s', '%s', '%s', '%s'],
             ['%d']
         );
         
@@ -244,7 +570,7 @@ class WC_WMS_Sync_Jobs_Manager {
         ]);
         
         try {
-            $result = $this->executeSyncJob($job_type);
+            $result = $this->executeSyncJob($job_type, $job['batch_id']);
             
             // Mark as completed
             $wpdb->update(
@@ -294,7 +620,11 @@ class WC_WMS_Sync_Jobs_Manager {
     /**
      * Execute specific sync job
      */
-    private function executeSyncJob(string $job_type): array {
+    private function executeSyncJob(string $job_type, string $batch_id): array {
+        if (strpos($job_type, self::PRODUCT_EXPORT_JOB_PREFIX) === 0) {
+            return $this->executeProductExportChunk($batch_id, (int) substr($job_type, strlen(self::PRODUCT_EXPORT_JOB_PREFIX)));
+        }
+        
         switch ($job_type) {
             case 'connection_test':
                 return $this->wmsClient->testConnection();
@@ -418,6 +748,50 @@ class WC_WMS_Sync_Jobs_Manager {
         }
     }
     
+    /**
+     * Export one chunk of a product export batch
+     */
+    private function executeProductExportChunk(string $batch_id, int $chunk): array {
+        global $wpdb;
+        
+        $export = get_option('wc_wms_product_export_' . $batch_id);
+        if (!$export || !isset($export['chunks'][$chunk - 1])) {
+            throw new Exception("Product export chunk {$chunk} of batch {$batch_id} not found");
+        }
+        
+        $result = $this->wmsClient->productIntegrator()->exportProductChunk($export['chunks'][$chunk - 1], $export['filters']);
+        
+        // Last chunk of the batch done: the catalogue is in WMS
+        $remaining = $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$this->jobs_table} 
+             WHERE batch_id = %s AND job_type != %s AND status != 'completed'",
+            $batch_id,
+            self::PRODUCT_EXPORT_JOB_PREFIX . $chunk
+        ));
+        
+        if (intval($remaining) === 0) {
+            update_option('wc_wms_products_exported', true);
+            update_option('wc_wms_products_exported_at', current_time('mysql'));
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Get the display title of a job
+     */
+    private function getJobTitle(string $job_type): string {
+        if (isset(self::SYNC_JOBS[$job_type])) {
+            return self::SYNC_JOBS[$job_type]['title'];
+        }
+        
+        if (strpos($job_type, self::PRODUCT_EXPORT_JOB_PREFIX) === 0) {
+            return 'Exporting Products (chunk ' . substr($job_type, strlen(self::PRODUCT_EXPORT_JOB_PREFIX)) . ')';
+        }
+        
+        return $job_type;
+    }
+    
     /**
      * Queue a sync job
      */
@@ -458,7 +832,7 @@ class WC_WMS_Sync_Jobs_Manager {
             batch_id varchar(50) NOT NULL,
             job_type varchar(50) NOT NULL,
             priority int(11) NOT NULL DEFAULT 0,
-            status enum('pending','processing','completed','failed') NOT NULL DEFAULT 'pending',
+            status enum('pending','processing','completed','failed','skipped','cancelled') NOT NULL DEFAULT 'pending',
             result_data longtext,
             error_message text,
             created_at datetime NOT NULL,
@@ -495,11 +869,29 @@ class WC_WMS_Sync_Jobs_Manager {
         
         $deleted = $wpdb->query($wpdb->prepare(
             "DELETE FROM {$this->jobs_table} 
-             WHERE status IN ('completed', 'failed') 
+             WHERE status IN ('completed', 'failed', 'skipped', 'cancelled') 
              AND completed_at < %s",
             $cutoff_date
         ));
         
+        // Drop the chunk lists of product exports whose jobs are gone
+        $export_options = $wpdb->get_col($wpdb->prepare(
+            "SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+            $wpdb->esc_like('wc_wms_product_export_') . '%'
+        ));
+        
+        foreach ($export_options as $option_name) {
+            $batch_id = substr($option_name, strlen('wc_wms_product_export_'));
+            $jobs = $wpdb->get_var($wpdb->prepare(
+                "SELECT COUNT(*) FROM {$this->jobs_table} WHERE batch_id = %s",
+                $batch_id
+            ));
+            
+            if (intval($jobs) === 0) {
+                delete_option($option_name);
+            }
+        }
+        
         return $deleted ?: 0;
     }
     
@@ -13,6 +13,36 @@ if (!defined('ABSPATH')) {
 
 class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
     
+    /**
+     * Webhook events this plugin registers and processes
+     */
+    const EXPECTED_EVENTS = [
+        // Order lifecycle webhooks
+        'order.created',
+        'order.updated',    // Handles cancellations via status
+        'order.planned',    // Order allocated for picking
+        'order.processing', // Order being processed
+        'order.shipped',
+        
+        // Stock webhooks
+        'stock.updated',
+        
+        // Shipment webhooks
+        'shipment.created',
+        'shipment.updated',
+        
+        // Inbound webhooks
+        'inbound.created',
+        'inbound.updated',
+        'inbound.completed',
+        
+        // Product webhooks (optional - enable if needed)
+        // 'article.created',
+        // 'article.updated',
+        // 'article.deleted',
+        // 'variant.updated'
+    ];
+    
     /**
      * WMS client instance
      */
@@ -144,7 +174,7 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
     public function updateWebhook(string $webhookId, array $webhookData): mixed {
         $this->client->logger()->info('Updating webhook in WMS', [
             'webhook_id' => $webhookId,
-            'data' => $webhookData
+            'data' => array_diff_key($webhookData, ['hash_secret' => true])
         ]);
         
         $response = $this->client->makeAuthenticatedRequest('PATCH', "/webhooks/{$webhookId}/", $webhookData);
@@ -204,23 +234,10 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
      * Validate webhook signature
      */
     public function validateWebhookSignature(string $payload, string $signature): bool {
-        $webhook_secret = $this->client->config()->getWebhookSecret();
-        
-        if (empty($webhook_secret)) {
-            if (defined('WP_DEBUG') && WP_DEBUG) {
-                $this->client->logger()->warning('Webhook signature validation skipped (no secret configured)');
-                return true;
-            }
-            return false;
-        }
-        
-        if (empty($signature)) {
-            return false;
-        }
-        
-        $expected_signature = $this->calculateSignature($payload, $webhook_secret);
+        // The validator also accepts the previous secret while a rotation is in progress
+        $validator = new WC_WMS_Webhook_Validator();
         
-        return hash_equals($expected_signature, $signature);
+        return $validator->validate_signature_direct($payload, $signature);
     }
     
     /**
@@ -294,33 +311,10 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
         // Register all configured webhooks
         $this->client->logger()->info('Registering fresh webhooks');
         
-        // Standard webhook configurations (updated based on eWarehousing documentation)
-        $webhook_configs = [
-            // Order lifecycle webhooks
-            ['group' => 'order', 'action' => 'created'],
-            ['group' => 'order', 'action' => 'updated'],    // Handles cancellations via status
-            ['group' => 'order', 'action' => 'planned'],    // Order allocated for picking
-            ['group' => 'order', 'action' => 'processing'], // Order being processed
-            ['group' => 'order', 'action' => 'shipped'],
-            
-            // Stock webhooks
-            ['group' => 'stock', 'action' => 'updated'],
-            
-            // Shipment webhooks
-            ['group' => 'shipment', 'action' => 'created'],
-            ['group' => 'shipment', 'action' => 'updated'],
-            
-            // Inbound webhooks
-            ['group' => 'inbound', 'action' => 'created'],
-            ['group' => 'inbound', 'action' => 'updated'],
-            ['group' => 'inbound', 'action' => 'completed'],
-            
-            // Product webhooks (optional - enable if needed)
-            // ['group' => 'article', 'action' => 'created'],
-            // ['group' => 'article', 'action' => 'updated'],
-            // ['group' => 'article', 'action' => 'deleted'],
-            // ['group' => 'variant', 'action' => 'updated']
-        ];
+        $webhook_configs = array_map(function($event) {
+            list($group, $action) = explode('.', $event);
+            return ['group' => $group, 'action' => $action];
+        }, self::EXPECTED_EVENTS);
         
         $results = [
             'registered' => [],
@@ -464,19 +458,7 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
             $data_source = 'local_storage';
         }
         
-        $expected_webhooks = [
-            'order.created',
-            'order.updated',
-            'order.planned',
-            'order.processing', 
-            'order.shipped',
-            'stock.updated',
-            'shipment.created',
-            'shipment.updated',
-            'inbound.created',
-            'inbound.updated',
-            'inbound.completed'
-        ];
+        $expected_webhooks = self::EXPECTED_EVENTS;
         
         $registered_events = [];
         foreach ($registered_webhooks as $webhook) {
@@ -503,6 +485,357 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
         ];
     }
     
+    /**
+     * Get per-event registration state of the expected webhooks
+     * 
+     * Each expected event is 'registered' (points at this site), 'missing' or
+     * 'drifted' (registered, but with a different URL). Registrations for
+     * events the plugin doesn't expect are listed as 'unexpected'.
+     */
+    public function getWebhookEventMatrix(): array {
+        $webhook_url = $this->getWebhookUrl();
+        $webhooks = $this->getWebhooks(['limit' => 100]);
+        
+        $by_event = [];
+        foreach ($webhooks as $webhook) {
+            $event = ($webhook['group'] ?? '') . '.' . ($webhook['action'] ?? '');
+            $by_event[$event][] = [
+                'id' => $webhook['id'] ?? '',
+                'url' => $webhook['url'] ?? ''
+            ];
+        }
+        
+        $events = [];
+        foreach (array_unique(array_merge(self::EXPECTED_EVENTS, array_keys($by_event))) as $event) {
+            $registrations = $by_event[$event] ?? [];
+            
+            if (!in_array($event, self::EXPECTED_EVENTS, true)) {
+                $status = 'unexpected';
+            } elseif (empty($registrations)) {
+                $status = 'missing';
+            } elseif (count(array_filter($registrations, function($webhook) use ($webhook_url) {
+                return $webhook['url'] !== $webhook_url;
+            })) > 0) {
+                $status = 'drifted';
+            } else {
+                $status = 'registered';
+            }
+            
+            $events[] = [
+                'event' => $event,
+                'status' => $status,
+                'webhooks' => $registrations
+            ];
+        }
+        
+        $counts = array_count_values(array_column($events, 'status'));
+        
+        return [
+            'webhook_url' => $webhook_url,
+            'events' => $events,
+            'counts' => array_merge(['registered' => 0, 'missing' => 0, 'drifted' => 0, 'unexpected' => 0], $counts)
+        ];
+    }
+    
+    /**
+     * Register a single webhook event, optionally replacing existing registrations
+     * 
+     * When replacing, the new registration is created before the old ones are deleted,
+     * so a failed registration never leaves the event without a webhook.
+     */
+    public function registerWebhookEvent(string $event, bool $replace = false): array {
+        if (!in_array($event, self::EXPECTED_EVENTS, true)) {
+            throw new Exception("Unknown webhook event: {$event}");
+        }
+        
+        $webhook_secret = $this->client->config()->getWebhookSecret();
+        if (empty($webhook_secret)) {
+            throw new Exception('Webhook secret not configured');
+        }
+        
+        list($group, $action) = explode('.', $event);
+        $result = $this->createWebhook([
+            'group' => $group,
+            'action' => $action,
+            'url' => $this->getWebhookUrl(),
+            'hash_secret' => $webhook_secret
+        ]);
+        
+        if (!isset($result['id'])) {
+            throw new Exception("Failed to register {$event}: No ID returned");
+        }
+        
+        $deleted = [];
+        if ($replace) {
+            try {
+                $deleted = $this->deleteWebhookEvent($event, [$result['id']])['deleted'];
+            } catch (Exception $e) {
+                $this->refreshStoredRegistrations();
+                throw new Exception("Registered {$event}, but deleting the previous registration failed: " . $e->getMessage());
+            }
+        }
+        
+        $this->refreshStoredRegistrations();
+        
+        return [
+            'event' => $event,
+            'webhook_id' => $result['id'],
+            'deleted' => $deleted
+        ];
+    }
+    
+    /**
+     * Delete every registration of a single webhook event, except the IDs in $keepIds
+     */
+    public function deleteWebhookEvent(string $event, array $keepIds = []): array {
+        list($group, $action) = array_pad(explode('.', $event, 2), 2, '');
+        
+        $deleted = [];
+        foreach ($this->getWebhooks(['limit' => 100]) as $webhook) {
+            if (($webhook['group'] ?? '') !== $group || ($webhook['action'] ?? '') !== $action || empty($webhook['id'])) {
+                continue;
+            }
+            
+            if (in_array((string) $webhook['id'], array_map('strval', $keepIds), true)) {
+                continue;
+            }
+            
+            $this->deleteWebhook($webhook['id']);
+            $deleted[] = $webhook['id'];
+        }
+        
+        $this->refreshStoredRegistrations();
+        
+        return [
+            'event' => $event,
+            'deleted' => $deleted
+        ];
+    }
+    
+    /**
+     * Register only the expected events that have no registration at all
+     */
+    public function repairMissingWebhooks(): array {
+        $status = $this->getWebhookStatus();
+        
+        $results = [
+            'registered' => [],
+            'errors' => []
+        ];
+        
+        foreach ($status['missing_events'] as $event) {
+            try {
+                $results['registered'][] = $this->registerWebhookEvent($event);
+                
+                // Add small delay to avoid rate limiting
+                usleep(100000); // 0.1 second delay
+                
+            } catch (Exception $e) {
+                $results['errors'][] = "Failed to register {$event}: " . $e->getMessage();
+            }
+        }
+        
+        $this->client->logger()->info('Missing webhook repair completed', [
+            'registered_count' => count($results['registered']),
+            'error_count' => count($results['errors'])
+        ]);
+        
+        return array_merge($results, [
+            'success' => empty($results['errors']),
+            'summary' => sprintf(
+                'Registered %d missing webhooks, %d errors',
+                count($results['registered']),
+                count($results['errors'])
+            )
+        ]);
+    }
+    
+    /**
+     * Get a sample eWarehousing payload for every expected event
+     *
+     * Test webhooks go through the real processors, so the samples use references
+     * no store order, product or inbound can have.
+     */
+    public function getTestWebhookSamples(): array {
+        $bodies = [
+            'order' => [
+                'id' => 'test-order-0001',
+                'reference' => 'ORD00000000001',
+                'external_reference' => 'WMS-TEST-ORDER',
+                'status' => 'created',
+                'order_lines' => [
+                    ['sku' => 'WMS-TEST-SKU', 'quantity' => 1]
+                ]
+            ],
+            'stock' => [
+                'article_code' => 'WMS-TEST-SKU',
+                'stock_physical' => 25,
+                'stock_available' => 20,
+                'stock_status' => 'instock'
+            ],
+            'shipment' => [
+                'id' => 'test-shipment-0001',
+                'order_external_reference' => 'WMS-TEST-ORDER',
+                'shipping_method' => 'postnl-standard',
+                'tracking_number' => '3SABCD1234567',
+                'tracking_url' => 'https://postnl.nl/tracktrace/?B=3SABCD1234567',
+                'status' => 'shipped'
+            ],
+            'inbound' => [
+                'id' => 'test-inbound-0001',
+                'reference' => 'INB00000000001',
+                'external_reference' => 'WMS-TEST-INBOUND',
+                'status' => 'completed',
+                'inbound_lines' => [
+                    ['article_code' => 'WMS-TEST-SKU', 'quantity' => 10, 'processed' => 10]
+                ]
+            ]
+        ];
+
+        $statuses = [
+            'order.created' => 'created',
+            'order.updated' => 'updated',
+            'order.planned' => 'planned',
+            'order.processing' => 'processing',
+            'order.shipped' => 'shipped',
+            'inbound.created' => 'announced',
+            'inbound.updated' => 'processing',
+            'inbound.completed' => 'completed'
+        ];
+
+        $samples = [];
+        foreach (self::EXPECTED_EVENTS as $event) {
+            list($group, $action) = explode('.', $event);
+            $body = $bodies[$group] ?? [];
+
+            if (isset($statuses[$event])) {
+                $body['status'] = $statuses[$event];
+            }
+
+            $samples[$event] = [
+                'group' => $group,
+                'action' => $action,
+                'entityId' => $body['id'] ?? wp_generate_uuid4(),
+                'entity' => $group === 'stock' ? 'variant' : $group,
+                'customer' => '',
+                'body' => $body
+            ];
+        }
+
+        return $samples;
+    }
+
+    /**
+     * Send a test webhook to our own endpoint and report how it was handled
+     *
+     * The payload is signed with the configured secret, or with a wrong one when
+     * $invalidSignature is set, so both the happy path and the rejection path can
+     * be exercised without WMS.
+     */
+    public function sendTestWebhook(array $payload, bool $invalidSignature = false): array {
+        $group = $payload['group'] ?? '';
+        $action = $payload['action'] ?? '';
+
+        if (empty($group) || empty($action)) {
+            throw new Exception('Payload must contain a group and an action');
+        }
+
+        $event = "{$group}.{$action}";
+        $webhook_id = 'test-' . wp_generate_uuid4();
+        $body = wp_json_encode($payload);
+        $webhook_secret = $this->client->config()->getWebhookSecret();
+
+        if ($invalidSignature) {
+            $signature = $this->calculateSignature($body, 'invalid-' . $webhook_secret);
+        } else {
+            $signature = empty($webhook_secret) ? '' : $this->calculateSignature($body, $webhook_secret);
+        }
+
+        // Same check the endpoint runs, reported separately so the verdict is visible
+        $validator = new WC_WMS_Webhook_Validator();
+        $signature_valid = $validator->validate_signature_direct($body, $signature);
+
+        $factory = new WC_WMS_Webhook_Processor_Factory($this->client);
+        $processor = $factory->isGroupSupported($group) ? get_class($factory->getProcessor($group)) : null;
+
+        $headers = [
+            'Content-Type' => 'application/json',
+            'X-Webhook-Id' => $webhook_id,
+            'X-Webhook-Topic' => $event,
+            'X-Hmac-Sha256' => $signature
+        ];
+
+        $sent_at = current_time('mysql');
+        $transport = 'http';
+
+        $response = wp_remote_post($this->getWebhookUrl(), [
+            'timeout' => 30,
+            'headers' => $headers,
+            'body' => $body,
+            'user-agent' => 'WC-WMS-Integration-Test/1.0',
+            'sslverify' => apply_filters('https_local_ssl_verify', false)
+        ]);
+
+        if (is_wp_error($response)) {
+            // Loopback requests are blocked on some hosts, dispatch through the REST server instead
+            $this->client->logger()->warning('Test webhook loopback failed, dispatching internally', [
+                'error' => $response->get_error_message()
+            ]);
+
+            $transport = 'internal';
+            $request = new WP_REST_Request('POST', '/wc-wms/v1/webhook');
+            foreach ($headers as $name => $value) {
+                $request->set_header($name, $value);
+            }
+            $request->set_body($body);
+
+            $rest_response = rest_do_request($request);
+            $status_code = $rest_response->get_status();
+            $response_body = $rest_response->get_data();
+        } else {
+            $status_code = wp_remote_retrieve_response_code($response);
+            $response_body = json_decode(wp_remote_retrieve_body($response), true);
+        }
+
+        $queue_manager = new WC_WMS_Webhook_Queue_Manager();
+        $queue_entry = $queue_manager->getQueuedWebhook($webhook_id);
+
+        $log_entry = null;
+        $logs = $this->client->logger()->query_logs([
+            'type' => 'webhook',
+            'webhook_group' => $group,
+            'webhook_action' => $action
+        ], '', 1);
+
+        if (!empty($logs['logs']) && $logs['logs'][0]->created_at >= $sent_at) {
+            $log_entry = $logs['logs'][0];
+        }
+
+        $this->client->logger()->info('Test webhook sent', [
+            'webhook_id' => $webhook_id,
+            'event' => $event,
+            'invalid_signature' => $invalidSignature,
+            'status_code' => $status_code
+        ]);
+
+        return [
+            'webhook_id' => $webhook_id,
+            'event' => $event,
+            'transport' => $transport,
+            'signature' => [
+                'sent' => $signature,
+                'intentionally_invalid' => $invalidSignature,
+                'secret_configured' => !empty($webhook_secret),
+                'valid' => $signature_valid
+            ],
+            'processor' => $processor,
+            'status_code' => $status_code,
+            'response' => $response_body,
+            'queue_entry' => $queue_entry,
+            'log_entry' => $log_entry
+        ];
+    }
+
     /**
      * Process webhook payload
      */
@@ -599,17 +932,170 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
     }
     
     /**
-     * Generate webhook secret
+     * Start rotating the webhook secret
+     * 
+     * A new secret becomes current straight away, while the previous one stays
+     * valid for $gracePeriod seconds so webhooks WMS signed with it keep passing
+     * validation until every registration carries the new secret.
      */
-    public function generateWebhookSecret(int $length = 32): string {
-        $secret = wp_generate_password($length, false);
-        update_option('wc_wms_integration_webhook_secret', $secret);
+    public function startSecretRotation(int $gracePeriod = WC_WMS_Constants::WEBHOOK_SECRET_GRACE_PERIOD): array {
+        $previous_secret = $this->client->config()->getWebhookSecret();
+        
+        if (empty($previous_secret)) {
+            throw new Exception('No webhook secret is configured yet, so there is nothing to rotate');
+        }
+        
+        if (WC_WMS_Webhook_Validator::get_active_rotation()) {
+            throw new Exception('A secret rotation is already in progress. Retire the previous secret before starting another one.');
+        }
         
-        $this->client->logger()->info('New webhook secret generated', [
-            'length' => strlen($secret)
+        $now = time();
+        
+        // Store the previous secret first so no incoming webhook is rejected during the switch
+        update_option('wc_wms_webhook_secret_rotation', [
+            'previous_secret' => $previous_secret,
+            'started_at' => $now,
+            'expires_at' => $now + $gracePeriod,
+            'previous_last_used' => null,
+            'reregistration' => null
+        ], false);
+        
+        $this->client->config()->updateConfig([
+            'webhook_secret' => wp_generate_password(32, false)
+        ]);
+        
+        wp_clear_scheduled_hook('wc_wms_retire_previous_webhook_secret');
+        wp_schedule_single_event($now + $gracePeriod, 'wc_wms_retire_previous_webhook_secret');
+        
+        $this->client->logger()->info('Webhook secret rotation started', [
+            'grace_period_seconds' => $gracePeriod,
+            'expires_at' => date('Y-m-d H:i:s', $now + $gracePeriod)
         ]);
         
-        return $secret;
+        try {
+            $this->reregisterWebhooksWithCurrentSecret();
+        } catch (Exception $e) {
+            // The rotation itself stands; the admin can retry re-registration from the Webhooks tab
+            $this->client->logger()->error('Re-registering webhooks after secret rotation failed', [
+                'error' => $e->getMessage()
+            ]);
+        }
+
+        return $this->getSecretRotationStatus();
+    }
+    
+    /**
+     * Update every registered webhook in WMS to sign with the current secret
+     * 
+     * Registrations are patched in place, so there is no window in which an
+     * event has no registration at all.
+     */
+    public function reregisterWebhooksWithCurrentSecret(): array {
+        $webhook_secret = $this->client->config()->getWebhookSecret();
+        
+        $results = [
+            'updated' => [],
+            'errors' => [],
+            'missing' => []
+        ];
+        
+        $registered_events = [];
+        foreach ($this->getWebhooks(['limit' => 100]) as $webhook) {
+            $event = ($webhook['group'] ?? '') . '.' . ($webhook['action'] ?? '');
+            
+            if (empty($webhook['id']) || !in_array($event, self::EXPECTED_EVENTS, true)) {
+                continue;
+            }
+            
+            $registered_events[] = $event;
+            
+            try {
+                $this->updateWebhook($webhook['id'], ['hash_secret' => $webhook_secret]);
+                $results['updated'][] = $event;
+                
+                // Add small delay to avoid rate limiting
+                usleep(100000); // 0.1 second delay
+                
+            } catch (Exception $e) {
+                $results['errors'][] = "Failed to update {$event}: " . $e->getMessage();
+            }
+        }
+        
+        $results['missing'] = array_values(array_diff(self::EXPECTED_EVENTS, $registered_events));
+        $results['completed_at'] = time();
+        
+        $rotation = get_option('wc_wms_webhook_secret_rotation', []);
+        if (!empty($rotation)) {
+            $rotation['reregistration'] = $results;
+            update_option('wc_wms_webhook_secret_rotation', $rotation, false);
+        }
+        
+        $this->client->logger()->info('Webhooks re-registered with current secret', [
+            'updated_count' => count($results['updated']),
+            'error_count' => count($results['errors']),
+            'missing_count' => count($results['missing'])
+        ]);
+        
+        return $results;
+    }
+    
+    /**
+     * Get the state of the webhook secret rotation
+     * 
+     * A rotation whose grace period has ended is retired on read, so the state
+     * is correct even when the scheduled retirement hasn't run yet.
+     */
+    public function getSecretRotationStatus(): array {
+        $rotation = get_option('wc_wms_webhook_secret_rotation', []);
+        
+        if (!empty($rotation) && !WC_WMS_Webhook_Validator::get_active_rotation()) {
+            $this->retirePreviousSecret('expired');
+            $rotation = [];
+        }
+        
+        if (empty($rotation)) {
+            return [
+                'state' => 'idle',
+                'default_grace_period' => WC_WMS_Constants::WEBHOOK_SECRET_GRACE_PERIOD,
+                'last_rotation' => get_option('wc_wms_webhook_last_rotation', null)
+            ];
+        }
+        
+        return [
+            'state' => 'active',
+            'started_at' => $rotation['started_at'],
+            'expires_at' => $rotation['expires_at'],
+            'seconds_remaining' => max(0, $rotation['expires_at'] - time()),
+            'previous_last_used' => $rotation['previous_last_used'],
+            'reregistration' => $rotation['reregistration']
+        ];
+    }
+    
+    /**
+     * Stop accepting the previous webhook secret
+     */
+    public function retirePreviousSecret(string $reason = 'confirmed'): bool {
+        $rotation = get_option('wc_wms_webhook_secret_rotation', []);
+        
+        if (empty($rotation)) {
+            return false;
+        }
+        
+        delete_option('wc_wms_webhook_secret_rotation');
+        wp_clear_scheduled_hook('wc_wms_retire_previous_webhook_secret');
+        
+        update_option('wc_wms_webhook_last_rotation', [
+            'started_at' => $rotation['started_at'],
+            'retired_at' => time(),
+            'reason' => $reason
+        ]);
+        
+        $this->client->logger()->info('Previous webhook secret retired', [
+            'reason' => $reason,
+            'previous_last_used' => $rotation['previous_last_used'] ? date('Y-m-d H:i:s', $rotation['previous_last_used']) : null
+        ]);
+        
+        return true;
     }
     
     /**
@@ -672,6 +1158,27 @@ class WC_WMS_Webhook_Service implements WC_WMS_Webhook_Service_Interface {
         ]);
     }
     
+    /**
+     * Replace the locally stored registrations with what the WMS reports now
+     */
+    private function refreshStoredRegistrations(): void {
+        $normalized_webhooks = [];
+        
+        foreach ($this->getWebhooks(['limit' => 100]) as $webhook) {
+            $normalized_webhooks[] = [
+                'id' => $webhook['id'] ?? 'unknown',
+                'webhook_id' => $webhook['id'] ?? 'unknown',
+                'group' => $webhook['group'] ?? '',
+                'action' => $webhook['action'] ?? '',
+                'url' => $webhook['url'] ?? $this->getWebhookUrl(),
+                'event' => ($webhook['group'] ?? '') . '.' . ($webhook['action'] ?? '')
+            ];
+        }
+        
+        update_option('wc_wms_registered_webhooks', $normalized_webhooks);
+        update_option('wc_wms_webhooks_registered_at', current_time('mysql'));
+    }
+    
     /**
      * Clear stored registration results
      */
@@ -53,9 +53,7 @@ class WC_WMS_Webhook_Validator {
             return false;
         }
         
-        $expected_signature = $this->calculate_signature($body, $webhook_secret);
-        
-        if (!hash_equals($expected_signature, $signature_header)) {
+        if (!$this->matches_accepted_secret($body, $signature_header, $webhook_secret)) {
             $this->logger->error('Webhook signature validation failed');
             return false;
         }
@@ -81,9 +79,47 @@ class WC_WMS_Webhook_Validator {
             return false;
         }
         
-        $expected_signature = $this->calculate_signature($body, $webhook_secret);
+        return $this->matches_accepted_secret($body, $signature, $webhook_secret);
+    }
+    
+    /**
+     * Get the secret rotation in progress, or null when no grace period is running
+     */
+    public static function get_active_rotation(): ?array {
+        $rotation = get_option('wc_wms_webhook_secret_rotation', []);
+        
+        if (empty($rotation['previous_secret']) || time() >= intval($rotation['expires_at'] ?? 0)) {
+            return null;
+        }
         
-        return hash_equals($expected_signature, $signature);
+        return $rotation;
+    }
+    
+    /**
+     * Check a signature against the current secret and, during a rotation, the previous one
+     * 
+     * WMS keeps signing with the old secret until its registrations are updated,
+     * so both are accepted until the grace period ends.
+     */
+    private function matches_accepted_secret(string $body, string $signature, string $webhook_secret): bool {
+        if (hash_equals($this->calculate_signature($body, $webhook_secret), $signature)) {
+            return true;
+        }
+        
+        $rotation = self::get_active_rotation();
+        if (!$rotation || !hash_equals($this->calculate_signature($body, $rotation['previous_secret']), $signature)) {
+            return false;
+        }
+        
+        // Record when the previous secret was last seen so the admin can tell when WMS switched over
+        $rotation['previous_last_used'] = time();
+        update_option('wc_wms_webhook_secret_rotation', $rotation, false);
+        
+        $this->logger->info('Webhook signed with previous secret accepted during rotation grace period', [
+            'expires_at' => date('Y-m-d H:i:s', $rotation['expires_at'])
+        ]);
+        
+        return true;
     }
     
     /**
@@ -0,0 +1,228 @@
+/**
+ * WMS Shipments meta box on the WooCommerce order edit screen
+ */
+
+jQuery(document).ready(function($) {
+    var box = $('#wc-wms-order-meta-box');
+    if (box.length === 0 || typeof WC_WMS_ORDER_META_BOX === 'undefined') {
+        return;
+    }
+    
+    var orderId = box.data('order-id');
+    
+    var stateLabels = {
+        pending: '⏳ Pending',
+        processing: '🔄 Processing',
+        exported: '✅ Exported',
+        synced_from_wms: '⬇️ Synced from WMS',
+        webhook_processed: '🔗 Webhook processed',
+        failed: '❌ Failed',
+        skipped: '⏭️ Skipped'
+    };
+    
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    function post(action, data) {
+        return $.post(WC_WMS_ORDER_META_BOX.ajaxUrl, $.extend({
+            action: action,
+            nonce: WC_WMS_ORDER_META_BOX.nonce
+        }, data));
+    }
+    
+    function showNotice(message, type) {
+        $('#wc-wms-order-notice').html('<div class="notice notice-' + type + ' inline"><p>' + message + '</p></div>');
+    }
+    
+    function errorMessage(data) {
+        if (typeof data === 'string') {
+            return data;
+        }
+        return (data && data.message) || 'Unknown error';
+    }
+    
+    function renderState(state) {
+        var html = '<strong>WMS state:</strong> ' + (stateLabels[state.wms_state] || escapeHtml(state.wms_state));
+        if (state.wms_order_id) {
+            html += ' · <code style="font-size: 11px;">' + escapeHtml(state.wms_order_id) + '</code>';
+        }
+        if (state.last_processed) {
+            html += ' <small>(' + escapeHtml(state.last_processed) + ')</small>';
+        }
+        if (state.error_message) {
+            html += '<br><span style="color: #dc3232;">' + escapeHtml(state.error_message) + '</span>';
+        }
+        $('#wc-wms-order-state').html(html);
+    }
+    
+    function renderShipment(shipment) {
+        var html = '<div style="border: 1px solid #ddd; border-radius: 4px; padding: 10px; margin-bottom: 10px;">';
+        
+        html += '<p style="margin-top: 0;"><strong>🚚 ' + escapeHtml(shipment.reference || shipment.id) + '</strong> · ' + escapeHtml(shipment.status);
+        if (shipment.carrier) {
+            html += ' · ' + escapeHtml(shipment.carrier) + (shipment.shipping_method ? ' (' + escapeHtml(shipment.shipping_method) + ')' : '');
+        }
+        html += '</p>';
+        
+        // Tracking
+        html += '<p><strong>Tracking:</strong> ';
+        if (shipment.tracking.length === 0) {
+            html += '—';
+        }
+        html += shipment.tracking.map(function(tracking) {
+            return tracking.tracking_url
+                ? '<a href="' + escapeHtml(tracking.tracking_url) + '" target="_blank" rel="noopener">' + escapeHtml(tracking.tracking_number) + '</a>'
+                : '<code>' + escapeHtml(tracking.tracking_number) + '</code>';
+        }).join(', ');
+        html += '</p>';
+        
+        // Lines
+        if (shipment.lines.length > 0) {
+            html += '<table class="widefat striped" style="margin-bottom: 10px;"><thead><tr><th>SKU</th><th>Product</th><th style="width: 60px;">Qty</th></tr></thead><tbody>';
+            shipment.lines.forEach(function(line) {
+                html += '<tr><td><code>' + escapeHtml(line.sku) + '</code></td><td>' + escapeHtml(line.name) + '</td><td>' + line.quantity + '</td></tr>';
+            });
+            html += '</tbody></table>';
+        }
+        
+        // History
+        if (shipment.history.length > 0) {
+            html += '<ul style="margin: 0 0 10px 0;">';
+            shipment.history.forEach(function(entry) {
+                html += '<li><small>' + escapeHtml(entry.date || '—') + '</small> ' + escapeHtml(entry.event) + '</li>';
+            });
+            html += '</ul>';
+        }
+        
+        // Return label
+        if (shipment.return_label_url) {
+            html += '<a href="' + escapeHtml(shipment.return_label_url) + '" target="_blank" rel="noopener" class="button">📄 View return label</a>';
+        } else {
+            html += '<button type="button" class="button" data-wms-action="return-label" data-shipment-id="' + escapeHtml(shipment.id) + '">Create return label</button>';
+        }
+        
+        html += '</div>';
+        
+        return html;
+    }
+    
+    function renderHistory(history) {
+        if (history.length === 0) {
+            return '';
+        }
+        
+        var html = '<h4 style="margin-bottom: 5px;">WMS history</h4><ul style="margin-top: 0;">';
+        history.forEach(function(entry) {
+            html += '<li><small>' + escapeHtml(entry.date) + '</small> ' + escapeHtml(entry.content) + '</li>';
+        });
+        html += '</ul>';
+        
+        return html;
+    }
+    
+    function loadShipments() {
+        var container = $('#wc-wms-order-shipments');
+        container.html('<p class="description">Loading shipments from WMS...</p>');
+        
+        post('wc_wms_get_order_shipments', {order_id: orderId}).done(function(response) {
+            if (!response.success) {
+                container.html('<p style="color: #dc3232;">' + escapeHtml(errorMessage(response.data)) + '</p>');
+                return;
+            }
+            
+            renderState(response.data.state);
+            
+            var html = '';
+            if (response.data.shipments_error) {
+                html = '<p style="color: #dc3232;">Could not load shipments from WMS: ' + escapeHtml(response.data.shipments_error) + '</p>';
+            } else if (response.data.shipments.length === 0) {
+                html = '<p class="description">No shipments in WMS for this order yet.</p>';
+            }
+            response.data.shipments.forEach(function(shipment) {
+                html += renderShipment(shipment);
+            });
+            html += renderHistory(response.data.history);
+            
+            container.html(html);
+        }).fail(function(xhr, status, error) {
+            container.html('<p style="color: #dc3232;">Request failed: ' + escapeHtml(error) + '</p>');
+        });
+    }
+    
+    function runOrderAction(button, bulkAction, doneText) {
+        button.prop('disabled', true);
+        
+        post('wc_wms_order_bulk_action', {bulk_action: bulkAction, order_ids: [orderId]}).done(function(response) {
+            if (!response.success) {
+                showNotice('❌ ' + escapeHtml(errorMessage(response.data)), 'error');
+                return;
+            }
+            
+            var result = response.data.results[0];
+            showNotice((result.success ? '✅ ' + doneText + ' ' : '❌ ') + escapeHtml(result.message), result.success ? 'success' : 'error');
+            if (result.row) {
+                renderState(result.row);
+            }
+            loadShipments();
+        }).fail(function(xhr, status, error) {
+            showNotice('❌ Request failed: ' + escapeHtml(error), 'error');
+        }).always(function() {
+            button.prop('disabled', false);
+        });
+    }
+    
+    function createReturnLabel(button) {
+        if (!confirm('Create a return label for this shipment? The customer can use it to send the parcel back.')) {
+            return;
+        }
+        
+        button.prop('disabled', true);
+        
+        post('wc_wms_create_return_label', {shipment_id: button.data('shipment-id')}).done(function(response) {
+            if (!response.success) {
+                showNotice('❌ ' + escapeHtml(errorMessage(response.data)), 'error');
+                button.prop('disabled', false);
+                return;
+            }
+            
+            var url = response.data.return_label_url;
+            if (url) {
+                showNotice('✅ Return label created: <a href="' + escapeHtml(url) + '" target="_blank" rel="noopener">download / print label</a>', 'success');
+                window.open(url, '_blank');
+            } else {
+                showNotice('⚠️ Return label created, but WMS did not return a label URL yet. Refresh in a moment.', 'warning');
+            }
+            loadShipments();
+        }).fail(function(xhr, status, error) {
+            showNotice('❌ Request failed: ' + escapeHtml(error), 'error');
+            button.prop('disabled', false);
+        });
+    }
+    
+    box.on('click', '[data-wms-action]', function(e) {
+        e.preventDefault();
+        var button = $(this);
+        
+        switch (button.data('wms-action')) {
+            case 'refresh':
+                runOrderAction(button, 'pull', 'Refreshed from WMS:');
+                break;
+            case 'export':
+                if (confirm('Export this order to WMS again?')) {
+                    runOrderAction(button, 'export', 'Re-exported:');
+                }
+                break;
+            case 'return-label':
+                createReturnLabel(button);
+                break;
+        }
+    });
+    
+    loadShipments();
+});
@@ -88,6 +88,9 @@ class WC_WMS_Integration {
         // Load plugin files
         $this->loadFiles();
         
+        // Bring tables of existing installs up to date after a plugin update
+        WC_WMS_Database_Manager::maybeUpgrade();
+        
         // Initialize admin interface
         WC_WMS_Admin_Manager::init();
         
@@ -110,6 +113,7 @@ class WC_WMS_Integration {
         // Register cron schedules and handlers
         add_filter('cron_schedules', ['WC_WMS_Cron_Manager', 'addCustomIntervals']);
         WC_WMS_Cron_Handler::registerHooks();
+        WC_WMS_Cron_Manager::registerRunTracking();
         
         // Ensure cron jobs are scheduled
         add_action('wp_loaded', ['WC_WMS_Cron_Manager', 'ensureJobsScheduled']);